@@ -0,0 +1,120 @@
+/**
+ * Static API key authentication
+ * Keys come from a JSON file and/or an environment variable. Only their
+ * SHA-256 hashes are kept in memory, and the file may store hashes
+ * instead of plain keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { AuthError } = require('./errors');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Parse AUTH_API_KEYS: a JSON array of key entries, or "id:key" pairs
+ * separated by commas
+ */
+function parseEnvKeys(value) {
+  const text = value.trim();
+  if (!text) return [];
+  if (text.startsWith('[')) return JSON.parse(text);
+
+  return text.split(',').map((pair) => {
+    const separator = pair.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('AUTH_API_KEYS entries must look like "id:key"');
+    }
+    return { id: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() };
+  });
+}
+
+class ApiKeyProvider {
+  /**
+   * @param {Array<Object>} entries - { id, key | keyHash, name?, roles?, metadata?, disabled?, expiresAt? };
+   *   keyHash is the hex SHA-256 of the key, optionally prefixed with "sha256:"
+   */
+  constructor(entries) {
+    this.name = 'apikey';
+    this.keys = new Map();
+
+    for (const entry of entries) {
+      if (!entry || !entry.id) {
+        throw new Error('Every API key needs an id');
+      }
+      const hash = entry.keyHash
+        ? String(entry.keyHash).replace(/^sha256:/, '').toLowerCase()
+        : entry.key && sha256(String(entry.key));
+      if (!hash) {
+        throw new Error(`API key "${entry.id}" has neither key nor keyHash`);
+      }
+      this.keys.set(hash, {
+        id: String(entry.id),
+        name: entry.name || String(entry.id),
+        roles: Array.isArray(entry.roles) ? entry.roles.map(String) : [],
+        metadata: entry.metadata || {},
+        disabled: Boolean(entry.disabled),
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt) : null
+      });
+    }
+  }
+
+  /**
+   * Build the provider from the configured file and environment variable
+   * @returns {ApiKeyProvider|null} null when no keys are configured
+   */
+  static fromConfig({ file, env }) {
+    const entries = [];
+    if (file) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      entries.push(...(Array.isArray(parsed) ? parsed : parsed.keys || []));
+    }
+    if (env) {
+      entries.push(...parseEnvKeys(env));
+    }
+    return entries.length > 0 ? new ApiKeyProvider(entries) : null;
+  }
+
+  /**
+   * Key sent by the client, if any
+   */
+  _credential(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+
+    const match = /^ApiKey\s+(.+)$/i.exec(req.get('Authorization') || '');
+    return match ? match[1].trim() : null;
+  }
+
+  /**
+   * @returns {Object|null} Principal, or null when the request carries no API key
+   * @throws {AuthError} When the key is unknown, disabled or expired
+   */
+  authenticate(req) {
+    const key = this._credential(req);
+    if (!key) return null;
+
+    const entry = this.keys.get(sha256(key));
+    if (!entry || entry.disabled) {
+      throw new AuthError('Invalid API key', 'INVALID_CREDENTIALS');
+    }
+    if (entry.expiresAt && entry.expiresAt.getTime() <= Date.now()) {
+      throw new AuthError('API key has expired', 'CREDENTIALS_EXPIRED');
+    }
+
+    return {
+      type: 'apikey',
+      id: entry.id,
+      name: entry.name,
+      roles: entry.roles,
+      metadata: entry.metadata
+    };
+  }
+}
+
+module.exports = {
+  ApiKeyProvider,
+  sha256,
+};
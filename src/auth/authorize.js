@@ -0,0 +1,176 @@
+/**
+ * Authorization middleware
+ * Checks req.auth.roles against the role policy before a route handler
+ * runs. Nothing is checked when authentication is off or no policy file
+ * is configured.
+ */
+
+const { authConfig } = require('../config/auth');
+const { AuthError } = require('./errors');
+const { Policy, ACTIONS } = require('./policy');
+const { tableAccess } = require('../sql/tables');
+const { SqlSyntaxError } = require('../sql/tokenizer');
+const { errorBody } = require('../routes/errors');
+const { config } = require('../config/database');
+
+const policy = authConfig.enabled ? Policy.fromConfig(authConfig.policy) : null;
+if (authConfig.enabled && !policy) {
+  console.warn('No AUTH_POLICY_FILE configured; every authenticated caller has full access');
+}
+
+const isEnforced = req => Boolean(policy && req.auth);
+
+function forbid(res, message, details) {
+  res.status(403).json(new AuthError(message, 'FORBIDDEN', 403, details).toJSON());
+}
+
+/**
+ * Require an endpoint permission (query, execute, transaction, procedure, cache.clear)
+ */
+function requireEndpoint(endpoint) {
+  return (req, res, next) => {
+    if (isEnforced(req) && !policy.allowsEndpoint(req.auth.roles, endpoint)) {
+      return forbid(res, `Not allowed to use ${req.method} ${req.originalUrl.split('?')[0]}`, { permission: endpoint });
+    }
+    next();
+  };
+}
+
+/**
+ * Require an action on the :tableName route parameter. When the grant is
+ * limited to some columns, the columns the request names must all be
+ * allowed, and req.allowedColumns is set for the handler (null otherwise).
+ * @param {string} action - read, insert, update or delete
+ * @param {Function} getColumns - (req) => column names the request writes, if any
+ */
+function requireTable(action, getColumns = null) {
+  return (req, res, next) => {
+    req.allowedColumns = null;
+    if (!isEnforced(req)) return next();
+
+    const table = req.params.tableName;
+    const allowed = policy.columnsFor(req.auth.roles, table, action);
+    if (allowed === false) {
+      return forbid(res, `Not allowed to ${action} ${table}`, { permission: action, table });
+    }
+
+    if (allowed instanceof Set) {
+      const columns = (getColumns && getColumns(req)) || [];
+      const denied = columns.filter(column => !allowed.has(String(column).toLowerCase()));
+      if (denied.length > 0) {
+        return forbid(res, `Not allowed to ${action} column(s) ${denied.join(', ')} of ${table}`, {
+          permission: action,
+          table,
+          columns: denied
+        });
+      }
+      req.allowedColumns = [...allowed];
+    }
+    next();
+  };
+}
+
+/**
+ * Whether a table reference names another database or server than the
+ * service's: grants are by table name, so they cannot cover those
+ */
+function isForeign({ database, server }) {
+  return (database !== null && database !== config.database.toLowerCase())
+    || (server !== null && server !== config.server.toLowerCase());
+}
+
+/**
+ * Check every table a SQL text references
+ * @returns {AuthError|null}
+ */
+function checkSql(roles, sql) {
+  for (const access of tableAccess(sql)) {
+    const { table, action } = access;
+    if (isForeign(access)) {
+      const name = `${access.database}${access.server ? `@${access.server}` : ''}:${table}`;
+      return new AuthError(`Not allowed to use ${name}: tables of other databases cannot be granted`, 'FORBIDDEN', 403, {
+        permission: action,
+        table,
+        database: access.database,
+        ...(access.server ? { server: access.server } : {})
+      });
+    }
+    const allowed = policy.columnsFor(roles, table, action);
+    if (allowed === false) {
+      return new AuthError(`Not allowed to ${action} ${table}`, 'FORBIDDEN', 403, { permission: action, table });
+    }
+    // Raw SQL cannot be limited to columns reliably (SELECT *, expressions)
+    if (allowed instanceof Set) {
+      return new AuthError(
+        `Access to ${table} is limited to some columns; use /api/data/${table}`,
+        'FORBIDDEN',
+        403,
+        { permission: action, table, columns: [...allowed] }
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Require an endpoint permission plus the table permissions of the raw SQL
+ * in the request body
+ * @param {string|null} endpoint - Endpoint permission, or null for tables only
+ * @param {Function} getSql - (req) => array of SQL texts (default: [req.body.sql])
+ */
+function requireSql(endpoint, getSql = req => [req.body && req.body.sql]) {
+  return (req, res, next) => {
+    if (!isEnforced(req)) return next();
+
+    if (endpoint && !policy.allowsEndpoint(req.auth.roles, endpoint)) {
+      return forbid(res, `Not allowed to use ${req.method} ${req.originalUrl.split('?')[0]}`, { permission: endpoint });
+    }
+
+    try {
+      for (const sql of getSql(req)) {
+        if (typeof sql !== 'string') continue;
+        const denied = checkSql(req.auth.roles, sql);
+        if (denied) return res.status(403).json(denied.toJSON());
+      }
+    } catch (error) {
+      if (error instanceof SqlSyntaxError) {
+        return res.status(400).json(errorBody(error.message, 'INVALID_SQL'));
+      }
+      return next(error);
+    }
+    next();
+  };
+}
+
+/**
+ * Keep only the tables the caller may read
+ * @param {Object} req
+ * @param {Array<string>} tables
+ */
+function readableTables(req, tables) {
+  if (!isEnforced(req)) return tables;
+  return tables.filter(table => policy.columnsFor(req.auth.roles, table, 'read') !== false);
+}
+
+/**
+ * What the caller may do with one table
+ * @param {Object} req
+ * @param {string} table
+ * @returns {Object} action -> allowed column names, null for all columns, false when denied
+ */
+function tableGrants(req, table) {
+  const grants = {};
+  for (const action of ACTIONS) {
+    const allowed = isEnforced(req) ? policy.columnsFor(req.auth.roles, table, action) : null;
+    grants[action] = allowed instanceof Set ? [...allowed] : allowed;
+  }
+  return grants;
+}
+
+module.exports = {
+  requireEndpoint,
+  requireTable,
+  requireSql,
+  readableTables,
+  tableGrants,
+};
@@ -0,0 +1,31 @@
+/**
+ * Authentication or authorization error: missing, malformed or rejected
+ * credentials (401), or a caller lacking a permission (403)
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - e.g. UNAUTHENTICATED, INVALID_CREDENTIALS, TOKEN_EXPIRED, FORBIDDEN
+   * @param {number} status - HTTP status (default 401)
+   * @param {Object} details - What was denied, for 403s
+   */
+  constructor(message, code, status = 401, details = undefined) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+    this.timestamp = new Date().toISOString();
+  }
+
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code,
+      details: this.details,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+module.exports = { AuthError };
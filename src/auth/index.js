@@ -0,0 +1,92 @@
+/**
+ * Authentication middleware
+ * Tries each configured provider in turn and attaches the caller's
+ * principal to req.auth: { type, id, name, roles, metadata }
+ */
+
+const { authConfig } = require('../config/auth');
+const { AuthError } = require('./errors');
+const { ApiKeyProvider } = require('./apiKeys');
+const { JwtProvider } = require('./jwt');
+
+/**
+ * Build the provider list from configuration
+ * @returns {Array<{name: string, authenticate: Function}>}
+ */
+function createProviders(options = authConfig) {
+  return [
+    ApiKeyProvider.fromConfig(options.apiKeys),
+    JwtProvider.fromConfig(options.jwt)
+  ].filter(Boolean);
+}
+
+/**
+ * Express middleware requiring valid credentials on every request except
+ * the public paths
+ * @param {Object} options
+ * @param {Array} options.providers - Objects with authenticate(req) returning a principal,
+ *   null when their credential is absent, or throwing AuthError
+ * @param {Array<string>} options.publicPaths - Paths left open; "/prefix/*" also opens
+ *   everything below /prefix. Credentials sent to a public path are still
+ *   checked and set req.auth when valid, but bad ones are not rejected.
+ * @param {boolean} options.enabled - false lets every request through
+ */
+function authenticate(options = {}) {
+  const enabled = options.enabled !== undefined ? options.enabled : authConfig.enabled;
+  const paths = options.publicPaths || authConfig.publicPaths;
+  const publicPaths = new Set(paths.filter(path => !path.endsWith('/*')));
+  const publicPrefixes = paths.filter(path => path.endsWith('/*')).map(path => path.slice(0, -2));
+  const isPublic = path => publicPaths.has(path)
+    || publicPrefixes.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+
+  if (!enabled) {
+    console.warn('Authentication is disabled (AUTH_ENABLED=false); every request is allowed');
+    return (req, res, next) => next();
+  }
+
+  const providers = options.providers || createProviders();
+  if (providers.length === 0) {
+    // Fail closed rather than run an open SQL endpoint by accident
+    console.error('Authentication is enabled but no API keys or JWT secret are configured; rejecting requests');
+  }
+
+  const challenge = [
+    providers.some(provider => provider.name === 'jwt') && 'Bearer realm="informix"',
+    providers.some(provider => provider.name === 'apikey') && 'ApiKey realm="informix"'
+  ].filter(Boolean).join(', ');
+
+  const reject = (res, error) => {
+    if (error.status === 401 && challenge) {
+      res.set('WWW-Authenticate', challenge);
+    }
+    res.status(error.status).json(error.toJSON());
+  };
+
+  return (req, res, next) => {
+    const open = isPublic(req.path.replace(/(.)\/$/, '$1'));
+
+    try {
+      for (const provider of providers) {
+        const principal = provider.authenticate(req);
+        if (principal) {
+          req.auth = principal;
+          return next();
+        }
+      }
+    } catch (error) {
+      if (open) return next();
+      if (error instanceof AuthError) return reject(res, error);
+      return next(error);
+    }
+
+    if (open) return next();
+
+    reject(res, new AuthError('Authentication required', 'UNAUTHENTICATED'));
+  };
+}
+
+module.exports = {
+  authenticate,
+  createProviders,
+  AuthError,
+};
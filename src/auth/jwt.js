@@ -0,0 +1,152 @@
+/**
+ * JWT bearer token authentication
+ * Verifies HMAC-signed tokens (HS256/HS384/HS512) locally with a shared
+ * secret; no call to an identity provider is made per request
+ */
+
+const crypto = require('crypto');
+const { AuthError } = require('./errors');
+
+const HMAC_ALGORITHMS = {
+  HS256: 'sha256',
+  HS384: 'sha384',
+  HS512: 'sha512'
+};
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new AuthError('Malformed token', 'INVALID_TOKEN');
+  }
+}
+
+/**
+ * Verify a compact JWS and return its claims
+ * @param {string} token
+ * @param {Object} options
+ * @param {string} options.secret - Shared HMAC secret
+ * @param {Array<string>} options.algorithms - Accepted "alg" values
+ * @param {string} options.issuer - Required "iss", if set
+ * @param {string} options.audience - Required "aud" entry, if set
+ * @param {number} options.clockTolerance - Allowed skew in seconds
+ * @param {boolean} options.requireExp - Reject tokens without "exp"
+ * @returns {Object} Claims
+ * @throws {AuthError}
+ */
+function verifyJwt(token, options) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new AuthError('Malformed token', 'INVALID_TOKEN');
+  }
+  const [headerPart, payloadPart, signaturePart] = parts;
+
+  const header = decodeSegment(headerPart);
+  const hash = HMAC_ALGORITHMS[header.alg];
+  // Never let the token pick its own algorithm ("none", RS256 with the secret as a key, ...)
+  if (!hash || !options.algorithms.includes(header.alg)) {
+    throw new AuthError('Token algorithm not accepted', 'INVALID_TOKEN');
+  }
+
+  const expected = crypto.createHmac(hash, options.secret).update(`${headerPart}.${payloadPart}`).digest();
+  const signature = Buffer.from(signaturePart, 'base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new AuthError('Invalid token signature', 'INVALID_TOKEN');
+  }
+
+  const claims = decodeSegment(payloadPart);
+  if (!claims || typeof claims !== 'object') {
+    throw new AuthError('Malformed token', 'INVALID_TOKEN');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance || 0;
+  if (claims.exp === undefined) {
+    if (options.requireExp) throw new AuthError('Token has no expiry', 'INVALID_TOKEN');
+  } else if (typeof claims.exp !== 'number' || now - tolerance >= claims.exp) {
+    throw new AuthError('Token has expired', 'TOKEN_EXPIRED');
+  }
+  if (claims.nbf !== undefined && (typeof claims.nbf !== 'number' || now + tolerance < claims.nbf)) {
+    throw new AuthError('Token is not valid yet', 'INVALID_TOKEN');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new AuthError('Token issuer not accepted', 'INVALID_TOKEN');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new AuthError('Token audience not accepted', 'INVALID_TOKEN');
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Sign claims as an HMAC JWT (for issuing tokens from scripts and tests)
+ * @param {Object} claims
+ * @param {string} secret
+ * @param {string} algorithm - HS256, HS384 or HS512
+ * @returns {string}
+ */
+function signJwt(claims, secret, algorithm = 'HS256') {
+  const hash = HMAC_ALGORITHMS[algorithm];
+  if (!hash) {
+    throw new TypeError(`Unsupported algorithm: ${algorithm}`);
+  }
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: algorithm, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.createHmac(hash, secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+class JwtProvider {
+  /**
+   * @param {Object} options - See verifyJwt, plus rolesClaim
+   */
+  constructor(options) {
+    for (const algorithm of options.algorithms) {
+      if (!HMAC_ALGORITHMS[algorithm]) {
+        throw new Error(`Unsupported JWT algorithm: ${algorithm}. Use ${Object.keys(HMAC_ALGORITHMS).join(', ')}`);
+      }
+    }
+    this.name = 'jwt';
+    this.options = options;
+  }
+
+  /**
+   * @returns {JwtProvider|null} null when no secret is configured
+   */
+  static fromConfig(options) {
+    return options.secret ? new JwtProvider(options) : null;
+  }
+
+  /**
+   * @returns {Object|null} Principal, or null when the request carries no bearer token
+   * @throws {AuthError} When the token does not verify
+   */
+  authenticate(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (!match) return null;
+
+    const claims = verifyJwt(match[1].trim(), this.options);
+    if (claims.sub === undefined || claims.sub === null || claims.sub === '') {
+      throw new AuthError('Token has no subject', 'INVALID_TOKEN');
+    }
+
+    const roles = claims[this.options.rolesClaim];
+    return {
+      type: 'jwt',
+      id: String(claims.sub),
+      name: claims.name || String(claims.sub),
+      roles: Array.isArray(roles) ? roles.map(String) : typeof roles === 'string' ? roles.split(/\s+/).filter(Boolean) : [],
+      metadata: claims
+    };
+  }
+}
+
+module.exports = {
+  JwtProvider,
+  verifyJwt,
+  signJwt,
+};
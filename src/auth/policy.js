@@ -0,0 +1,147 @@
+/**
+ * Role-based authorization policy
+ * Grants each role raw SQL endpoints and per-table actions, optionally
+ * limited to some columns. A caller's permissions are the union of their
+ * roles' grants; anything not granted is denied.
+ *
+ * {
+ *   "roles": {
+ *     "analyst": {
+ *       "endpoints": ["query"],
+ *       "tables": {
+ *         "*": ["read"],
+ *         "payroll": [],
+ *         "customers": { "read": ["id", "name", "city"] }
+ *       }
+ *     },
+ *     "admin": { "endpoints": ["*"], "tables": { "*": "*" } }
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+
+const ACTIONS = ['read', 'insert', 'update', 'delete'];
+
+// query: raw SELECT (/api/query, /api/query/one, session queries)
+// execute: raw INSERT/UPDATE/DELETE (/api/execute, session executes)
+// transaction: /api/transaction and interactive sessions
+// procedure: list and call stored procedures (/api/procedures)
+// cache.clear: POST /api/cache/clear
+const ENDPOINTS = ['query', 'execute', 'transaction', 'procedure', 'cache.clear'];
+
+const IDENTIFIER = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Normalize one table grant: "*", ["read", ...] or { read: true | "*" | [columns] }
+ * @returns {Map<string, Set<string>|null>} action -> allowed columns (null = all)
+ */
+function parseTableGrant(grant, where) {
+  const actions = new Map();
+  const allow = (action, columns) => {
+    if (action !== '*' && !ACTIONS.includes(action)) {
+      throw new Error(`${where}: unknown action "${action}" (use ${ACTIONS.join(', ')} or *)`);
+    }
+    for (const name of action === '*' ? ACTIONS : [action]) {
+      actions.set(name, columns);
+    }
+  };
+
+  if (grant === '*') {
+    allow('*', null);
+  } else if (Array.isArray(grant)) {
+    grant.forEach(action => allow(action, null));
+  } else if (grant && typeof grant === 'object') {
+    for (const [action, columns] of Object.entries(grant)) {
+      if (columns === false) continue;
+      if (columns === true || columns === '*') {
+        allow(action, null);
+      } else if (Array.isArray(columns) && columns.every(column => IDENTIFIER.test(column))) {
+        allow(action, new Set(columns.map(column => column.toLowerCase())));
+      } else {
+        throw new Error(`${where}.${action}: expected true, "*" or an array of column names`);
+      }
+    }
+  } else {
+    throw new Error(`${where}: expected "*", an array of actions or an object`);
+  }
+  return actions;
+}
+
+class Policy {
+  /**
+   * @param {Object} definition - { roles: { name: { endpoints?, tables? } } }
+   */
+  constructor(definition) {
+    if (!definition || typeof definition.roles !== 'object' || definition.roles === null) {
+      throw new Error('Policy must have a "roles" object');
+    }
+
+    this.roles = new Map();
+    for (const [role, spec] of Object.entries(definition.roles)) {
+      const endpoints = spec.endpoints || [];
+      for (const endpoint of endpoints) {
+        if (endpoint !== '*' && !ENDPOINTS.includes(endpoint)) {
+          throw new Error(`roles.${role}.endpoints: unknown endpoint "${endpoint}" (use ${ENDPOINTS.join(', ')} or *)`);
+        }
+      }
+
+      const tables = new Map();
+      for (const [table, grant] of Object.entries(spec.tables || {})) {
+        if (table !== '*' && !IDENTIFIER.test(table)) {
+          throw new Error(`roles.${role}.tables: invalid table name "${table}"`);
+        }
+        tables.set(table.toLowerCase(), parseTableGrant(grant, `roles.${role}.tables.${table}`));
+      }
+
+      this.roles.set(role, {
+        endpoints: new Set(endpoints.includes('*') ? ENDPOINTS : endpoints),
+        tables
+      });
+    }
+  }
+
+  /**
+   * Load the policy file, if one is configured
+   * @returns {Policy|null}
+   */
+  static fromConfig({ file }) {
+    if (!file) return null;
+    return new Policy(JSON.parse(fs.readFileSync(file, 'utf8')));
+  }
+
+  _grants(roles) {
+    return roles.map(role => this.roles.get(role)).filter(Boolean);
+  }
+
+  /**
+   * Whether any of the roles may use a raw SQL endpoint
+   */
+  allowsEndpoint(roles, endpoint) {
+    return this._grants(roles).some(grant => grant.endpoints.has(endpoint));
+  }
+
+  /**
+   * Columns the roles may use for an action on a table. Within a role a
+   * table's own entry replaces its "*" entry.
+   * @returns {Set<string>|null|false} Allowed columns, null for all columns, false when denied
+   */
+  columnsFor(roles, table, action) {
+    let columns = false;
+    for (const grant of this._grants(roles)) {
+      const actions = grant.tables.get(table.toLowerCase()) || grant.tables.get('*');
+      if (!actions || !actions.has(action)) continue;
+
+      const allowed = actions.get(action);
+      if (allowed === null) return null;
+      columns = new Set([...(columns || []), ...allowed]);
+    }
+    return columns;
+  }
+}
+
+module.exports = {
+  Policy,
+  ACTIONS,
+  ENDPOINTS,
+};
@@ -0,0 +1,183 @@
+/**
+ * In-memory cache store
+ * LRU cache of query results bounded by entry count and approximate size,
+ * with a TTL per entry and a background sweep of expired entries. Each
+ * replica keeps its own entries.
+ */
+
+class MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Upper bound on cached results
+   * @param {number} options.maxBytes - Upper bound on the JSON size of keys and results
+   * @param {number} options.sweepInterval - Time between sweeps of expired entries (ms)
+   */
+  constructor(options) {
+    this.name = 'memory';
+    this.shared = false;
+    this.maxEntries = Math.max(options.maxEntries, 1);
+    this.maxBytes = options.maxBytes;
+    this.sweepInterval = options.sweepInterval;
+
+    // Map order is recency order: the first entry is the least recently used
+    this.entries = new Map();
+    this.byTable = new Map();
+    this.bytes = 0;
+    this.sweepTimer = null;
+
+    this.metrics = {
+      evictions: 0,
+      expirations: 0,
+      oversized: 0,
+    };
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Start sweeping expired entries in the background
+   */
+  start() {
+    if (!this.sweepTimer && this.sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+      this.sweepTimer.unref();
+    }
+  }
+
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Cached value of a key, or undefined on a miss
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      return entry.value;
+    }
+    if (entry) {
+      this._remove(key, entry);
+      this.metrics.expirations++;
+    }
+    return undefined;
+  }
+
+  /**
+   * Cache a value, evicting the least recently used entries to make room
+   * @param {string} key
+   * @param {*} value - JSON-serializable result
+   * @param {number} ttl - Time to live (ms)
+   * @param {Array<string>} tables - Tables the result was read from
+   * @returns {boolean} false when the value is too large to cache
+   */
+  set(key, value, ttl, tables) {
+    const bytes = Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value));
+    const previous = this.entries.get(key);
+    if (previous) this._remove(key, previous);
+    if (bytes > this.maxBytes) {
+      this.metrics.oversized++;
+      return false;
+    }
+
+    while (this.entries.size > 0 && (this.entries.size >= this.maxEntries || this.bytes + bytes > this.maxBytes)) {
+      const [oldestKey, oldest] = this.entries.entries().next().value;
+      this._remove(oldestKey, oldest);
+      this.metrics.evictions++;
+    }
+
+    this.entries.set(key, { value, bytes, tables, expiresAt: Date.now() + ttl });
+    this.bytes += bytes;
+    for (const table of tables) {
+      if (!this.byTable.has(table)) this.byTable.set(table, new Set());
+      this.byTable.get(table).add(key);
+    }
+    return true;
+  }
+
+  /**
+   * Drop one key
+   * @returns {boolean} Whether it was cached
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return false;
+    this._remove(key, entry);
+    return true;
+  }
+
+  /**
+   * Drop the results read from any of the given tables
+   * @param {Array<string>} tables - Lower-case table names
+   * @returns {number} Entries dropped
+   */
+  invalidate(tables) {
+    const keys = new Set();
+    for (const table of tables) {
+      for (const key of this.byTable.get(table) || []) keys.add(key);
+    }
+    for (const key of keys) this._remove(key, this.entries.get(key));
+    return keys.size;
+  }
+
+  /**
+   * Drop everything
+   * @returns {number} Entries dropped
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.byTable.clear();
+    this.bytes = 0;
+    return count;
+  }
+
+  /**
+   * Drop expired entries
+   * @returns {number} Entries dropped
+   */
+  sweep() {
+    const now = Date.now();
+    let count = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this._remove(key, entry);
+        count++;
+      }
+    }
+    this.metrics.expirations += count;
+    return count;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ...this.metrics,
+    };
+  }
+
+  _remove(key, entry) {
+    this.entries.delete(key);
+    this.bytes -= entry.bytes;
+    for (const table of entry.tables) {
+      const keys = this.byTable.get(table);
+      if (!keys) continue;
+      keys.delete(key);
+      if (keys.size === 0) this.byTable.delete(table);
+    }
+  }
+}
+
+module.exports = {
+  MemoryStore,
+};
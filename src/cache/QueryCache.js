@@ -0,0 +1,245 @@
+/**
+ * Query Cache
+ * Caches query results in a store: in memory per replica (the default) or
+ * in a Redis-protocol server shared by every replica. Every entry records
+ * the tables its query reads, so a write invalidates only the results that
+ * depend on the tables it wrote. With a Redis URL, invalidations are also
+ * published to the other replicas, which drop the same entries from their
+ * own stores.
+ */
+
+const crypto = require('crypto');
+const { MemoryStore } = require('./MemoryStore');
+const { RedisStore } = require('./RedisStore');
+const { RedisClient } = require('./redis');
+
+// Table tag of results that may depend on any table (views, synonyms, unparsed SQL)
+const ANY_TABLE = '*';
+
+class QueryCache {
+  /**
+   * @param {Object} options - config.cache
+   * @param {string} options.store - 'memory' or 'redis'
+   * @param {number} options.ttl - Default time to live (ms)
+   * @param {string} options.redis.url - Redis server for the shared store and invalidation messages
+   * @param {string} options.redis.prefix - Prepended to keys and the channel name
+   * @param {boolean} options.redis.broadcast - Publish invalidations to other replicas
+   */
+  constructor(options) {
+    this.ttl = options.ttl;
+    const redis = options.redis;
+    if (options.store === 'redis' && !redis.url) {
+      throw new Error('INFORMIX_CACHE_REDIS_URL is required when INFORMIX_CACHE_STORE=redis');
+    }
+    const client = () => new RedisClient(redis.url, { commandTimeout: redis.timeout });
+
+    this.store = options.store === 'redis'
+      ? new RedisStore(client(), { prefix: redis.prefix, maxBytes: options.maxBytes })
+      : new MemoryStore(options);
+
+    // Invalidations are published on the store's connection (or a new one)
+    // and received on a subscribed connection of their own
+    this.channel = null;
+    if (redis.url && redis.broadcast) {
+      this.channel = {
+        name: `${redis.prefix}invalidate`,
+        origin: crypto.randomUUID(),
+        publisher: this.store.client || client(),
+        subscriber: client(),
+      };
+      this.channel.subscriber.on('message', (name, text) => this._onMessage(text));
+    }
+
+    // Invalidation counter, and the count at each table's last invalidation,
+    // so a result read while a write landed is not cached
+    this.epoch = 0;
+    this.invalidatedAt = new Map();
+    this.clearedAt = 0;
+    this.failing = false;
+
+    this.metrics = {
+      hits: 0,
+      misses: 0,
+      invalidations: 0,
+      remoteInvalidations: 0,
+      errors: 0,
+    };
+  }
+
+  /**
+   * Entries held in this replica's memory; null for a shared store
+   */
+  get size() {
+    return this.store.size;
+  }
+
+  /**
+   * Whether no replica can hold an entry: false for a shared store, or when
+   * other replicas act on this one's invalidations
+   */
+  isEmpty() {
+    return !this.channel && this.store.size === 0;
+  }
+
+  start() {
+    this.store.start();
+    if (this.channel) {
+      if (this.channel.publisher !== this.store.client) this.channel.publisher.connect().catch(() => {});
+      this.channel.subscriber.subscribe(this.channel.name).catch(() => {});
+    }
+  }
+
+  /**
+   * Close the store's connections. Entries in memory are dropped here only;
+   * a shared store keeps them for the other replicas.
+   */
+  async stop() {
+    await this.store.stop();
+    if (!this.store.shared) this.store.clear();
+    if (this.channel) {
+      await this.channel.publisher.quit();
+      await this.channel.subscriber.quit();
+    }
+  }
+
+  /**
+   * Cached value of a key, or undefined on a miss (or when the store fails)
+   */
+  async get(key) {
+    const value = await this._attempt(() => this.store.get(key));
+    if (value === undefined) this.metrics.misses++;
+    else this.metrics.hits++;
+    return value;
+  }
+
+  /**
+   * Cache a value
+   * @param {string} key
+   * @param {*} value - JSON-serializable result
+   * @param {Object} options
+   * @param {number} options.ttl - Time to live (ms); the cache default when not given
+   * @param {Array<string>} options.tables - Tables the result was read from; ANY_TABLE for unknown
+   * @param {number} options.epoch - The cache's epoch when the query started; the value is
+   *   dropped if one of its tables was invalidated since
+   * @returns {Promise<boolean>} false when the value was not cached
+   */
+  async set(key, value, options = {}) {
+    const tables = [...new Set(options.tables && options.tables.length > 0 ? options.tables : [ANY_TABLE])];
+    if (options.epoch !== undefined && this._invalidatedSince(tables, options.epoch)) return false;
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    return (await this._attempt(() => this.store.set(key, value, ttl, tables))) === true;
+  }
+
+  /**
+   * Drop one key, on every replica
+   * @returns {Promise<boolean>} Whether it was cached here (or in the shared store)
+   */
+  async delete(key) {
+    this._publish({ key });
+    const deleted = (await this._attempt(() => this.store.delete(key))) === true;
+    if (deleted) this.metrics.invalidations++;
+    return deleted;
+  }
+
+  /**
+   * Drop the results read from any of the given tables, and those that may
+   * depend on any table, on every replica
+   * @param {Array<string>} tables - Lower-case table names
+   * @returns {Promise<number>} Entries dropped here (or in the shared store)
+   */
+  async invalidate(tables) {
+    this._markInvalidated(tables);
+    this._publish({ tables });
+    const count = (await this._attempt(() => this.store.invalidate([...tables, ANY_TABLE]))) || 0;
+    this.metrics.invalidations += count;
+    return count;
+  }
+
+  /**
+   * Drop everything, on every replica
+   * @returns {Promise<number>} Entries dropped here (or in the shared store)
+   */
+  async clear() {
+    this.clearedAt = ++this.epoch;
+    this._publish({ all: true });
+    const count = (await this._attempt(() => this.store.clear())) || 0;
+    this.metrics.invalidations += count;
+    return count;
+  }
+
+  stats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    return {
+      store: this.store.name,
+      ...this.store.stats(),
+      ttl: this.ttl,
+      broadcast: this.channel ? this.channel.subscriber.ready : null,
+      ...this.metrics,
+      hitRate: lookups > 0 ? this.metrics.hits / lookups : null,
+    };
+  }
+
+  _markInvalidated(tables) {
+    this.epoch++;
+    for (const table of tables) this.invalidatedAt.set(table, this.epoch);
+  }
+
+  _invalidatedSince(tables, epoch) {
+    if (this.clearedAt > epoch) return true;
+    if (tables.includes(ANY_TABLE)) return this.epoch > epoch;
+    return tables.some(table => (this.invalidatedAt.get(table) || 0) > epoch);
+  }
+
+  /**
+   * Run a store operation; a failing store behaves as an empty one
+   */
+  async _attempt(operation) {
+    try {
+      const result = await operation();
+      this.failing = false;
+      return result;
+    } catch (error) {
+      this.metrics.errors++;
+      // Report the first failure of an outage, not every operation
+      if (!this.failing) console.error('Query cache store error:', error.message);
+      this.failing = true;
+      return undefined;
+    }
+  }
+
+  _publish(message) {
+    if (!this.channel) return;
+    const text = JSON.stringify({ origin: this.channel.origin, ...message });
+    this._attempt(() => this.channel.publisher.command('PUBLISH', this.channel.name, text));
+  }
+
+  /**
+   * Apply another replica's invalidation. A shared store has already
+   * dropped the entries; only queries in flight here need to know.
+   */
+  _onMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+    if (!message || message.origin === this.channel.origin) return;
+    this.metrics.remoteInvalidations++;
+
+    if (message.all) {
+      this.clearedAt = ++this.epoch;
+      if (!this.store.shared) this.store.clear();
+    } else if (Array.isArray(message.tables)) {
+      this._markInvalidated(message.tables);
+      if (!this.store.shared) this.store.invalidate([...message.tables, ANY_TABLE]);
+    } else if (typeof message.key === 'string' && !this.store.shared) {
+      this.store.delete(message.key);
+    }
+  }
+}
+
+module.exports = {
+  ANY_TABLE,
+  QueryCache,
+};
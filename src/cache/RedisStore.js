@@ -0,0 +1,133 @@
+/**
+ * Redis cache store
+ * Keeps query results in a Redis-protocol server shared by every replica.
+ * A result is stored as JSON under a hash of its cache key and expires with
+ * its TTL; a set per table lists the results read from it. Redis bounds the
+ * memory (configure maxmemory with an LRU policy); results larger than
+ * maxBytes are not stored.
+ */
+
+const crypto = require('crypto');
+
+// Table sets outlive the longest cacheTtlMs; stale members point at expired keys
+const INDEX_TTL = 24 * 60 * 60 * 1000;
+const SCAN_COUNT = 500;
+
+class RedisStore {
+  /**
+   * @param {RedisClient} client
+   * @param {Object} options
+   * @param {string} options.prefix - Prepended to every key
+   * @param {number} options.maxBytes - Upper bound on the JSON size of one key and result
+   */
+  constructor(client, options) {
+    this.name = 'redis';
+    this.shared = true;
+    this.client = client;
+    this.prefix = options.prefix;
+    this.maxBytes = options.maxBytes;
+
+    this.metrics = {
+      oversized: 0,
+    };
+  }
+
+  // Entries live in Redis; the count is not tracked here
+  get size() {
+    return null;
+  }
+
+  _key(key) {
+    return `${this.prefix}q:${crypto.createHash('sha1').update(key).digest('hex')}`;
+  }
+
+  _index(table) {
+    return `${this.prefix}t:${table}`;
+  }
+
+  start() {
+    this.client.connect().catch(() => {});
+  }
+
+  stop() {
+    return this.client.quit();
+  }
+
+  async get(key) {
+    const text = await this.client.command('GET', this._key(key));
+    return text === null ? undefined : JSON.parse(text);
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - JSON-serializable result
+   * @param {number} ttl - Time to live (ms)
+   * @param {Array<string>} tables - Tables the result was read from
+   * @returns {Promise<boolean>} false when the value is too large to cache
+   */
+  async set(key, value, ttl, tables) {
+    const text = JSON.stringify(value);
+    if (Buffer.byteLength(key) + Buffer.byteLength(text) > this.maxBytes) {
+      this.metrics.oversized++;
+      return false;
+    }
+    const id = this._key(key);
+    await this.client.transaction([
+      ['SET', id, text, 'PX', ttl],
+      ...tables.flatMap(table => [['SADD', this._index(table), id], ['PEXPIRE', this._index(table), INDEX_TTL]]),
+    ]);
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.client.command('DEL', this._key(key))) > 0;
+  }
+
+  /**
+   * Drop the results read from any of the given tables. The table sets are
+   * read and removed in one transaction so a result cached meanwhile is kept
+   * in a fresh set.
+   * @returns {Promise<number>} Entries dropped
+   */
+  async invalidate(tables) {
+    const indexes = tables.map(table => this._index(table));
+    const replies = await this.client.transaction([
+      ...indexes.map(index => ['SMEMBERS', index]),
+      ['DEL', ...indexes],
+    ]);
+    const keys = [...new Set(replies.slice(0, -1).flat())];
+    return keys.length > 0 ? this.client.command('DEL', ...keys) : 0;
+  }
+
+  /**
+   * Drop every key under the prefix
+   * @returns {Promise<number>} Entries dropped
+   */
+  async clear() {
+    const results = `${this.prefix}q:`;
+    let cursor = '0';
+    let count = 0;
+    do {
+      const [next, keys] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', SCAN_COUNT);
+      cursor = next;
+      if (keys.length > 0) {
+        await this.client.command('DEL', ...keys);
+        count += keys.filter(key => key.startsWith(results)).length;
+      }
+    } while (cursor !== '0');
+    return count;
+  }
+
+  stats() {
+    return {
+      entries: null,
+      maxBytes: this.maxBytes,
+      connected: this.client.ready,
+      ...this.metrics,
+    };
+  }
+}
+
+module.exports = {
+  RedisStore,
+};
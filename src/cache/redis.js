@@ -0,0 +1,308 @@
+/**
+ * Redis protocol client
+ * A small RESP2 client for the shared cache store and its invalidation
+ * channel: pipelined commands, MULTI/EXEC, SUBSCRIBE, and reconnects with
+ * backoff. Works with Redis and servers that speak its protocol (Valkey,
+ * KeyDB, Dragonfly).
+ */
+
+const { EventEmitter } = require('events');
+const net = require('net');
+const tls = require('tls');
+
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+const CRLF = '\r\n';
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let text = `*${args.length}${CRLF}`;
+  for (const arg of args) {
+    const value = String(arg);
+    text += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  }
+  return text;
+}
+
+/**
+ * Parse one reply from the start of a buffer
+ * @returns {{value: *, offset: number}|null} null when the reply is incomplete
+ */
+function parseReply(buffer, start = 0) {
+  const end = buffer.indexOf(CRLF, start);
+  if (end === -1) return null;
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, end);
+  const next = end + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+class RedisClient extends EventEmitter {
+  /**
+   * @param {string} url - redis://[user:password@]host[:port][/db], or rediss:// for TLS
+   * @param {Object} options
+   * @param {number} options.commandTimeout - Max wait for a reply (ms)
+   * @param {number} options.retryDelay - Initial delay before reconnecting (ms)
+   * @param {number} options.maxRetryDelay - Upper bound for the reconnect backoff (ms)
+   */
+  constructor(url, options = {}) {
+    super();
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:' && parsed.protocol !== 'rediss:') {
+      throw new Error(`Unsupported cache URL protocol "${parsed.protocol}" (use redis: or rediss:)`);
+    }
+    this.tls = parsed.protocol === 'rediss:';
+    this.host = parsed.hostname || 'localhost';
+    this.port = parseInt(parsed.port, 10) || 6379;
+    this.username = decodeURIComponent(parsed.username);
+    this.password = decodeURIComponent(parsed.password);
+    this.db = parseInt(parsed.pathname.slice(1), 10) || 0;
+
+    this.commandTimeout = options.commandTimeout || 1000;
+    this.retryDelay = options.retryDelay || 500;
+    this.maxRetryDelay = options.maxRetryDelay || 30000;
+
+    this.socket = null;
+    this.ready = false;
+    this.connecting = null;
+    this.closing = false;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.channels = new Set();
+    this.retryTimer = null;
+    this.currentRetryDelay = this.retryDelay;
+    this.lastError = null;
+  }
+
+  /**
+   * Connect (no-op when connected or connecting). Failures schedule a reconnect.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.ready) return Promise.resolve();
+    if (!this.connecting) {
+      this.closing = false;
+      this.connecting = this._open().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  _open() {
+    return new Promise((resolve, reject) => {
+      const options = { host: this.host, port: this.port };
+      const socket = this.tls ? tls.connect({ ...options, servername: this.host }) : net.connect(options);
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+
+      const connectTimer = setTimeout(() => {
+        socket.destroy(new RedisError(`Timed out connecting to ${this.host}:${this.port}`));
+      }, this.commandTimeout * 5);
+
+      socket.once(this.tls ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(connectTimer);
+        try {
+          if (this.password) {
+            await this._send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) await this._send(['SELECT', this.db]);
+          for (const channel of this.channels) await this._send(['SUBSCRIBE', channel]);
+        } catch (error) {
+          socket.destroy(error);
+          return;
+        }
+        this.ready = true;
+        this.lastError = null;
+        this.currentRetryDelay = this.retryDelay;
+        this.emit('ready');
+        resolve();
+      });
+
+      socket.on('data', chunk => this._onData(chunk));
+
+      socket.on('error', (error) => {
+        clearTimeout(connectTimer);
+        // Report each outage once, not every reconnect attempt
+        if (!this.lastError) console.error(`Cache Redis connection error: ${error.message}`);
+        this.lastError = error;
+      });
+
+      socket.on('close', () => {
+        clearTimeout(connectTimer);
+        if (this.socket === socket) this.socket = null;
+        const wasReady = this.ready;
+        this.ready = false;
+        const error = this.lastError || new RedisError('Redis connection closed');
+        for (const entry of this.pending.splice(0)) entry.reject(error);
+        if (!wasReady) reject(error);
+        if (wasReady) this.emit('close');
+        this._scheduleReconnect();
+      });
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.closing || this.retryTimer) return;
+    const delay = this.currentRetryDelay;
+    this.currentRetryDelay = Math.min(this.currentRetryDelay * 2, this.maxRetryDelay);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect().catch(() => {});
+    }, delay);
+    this.retryTimer.unref();
+  }
+
+  _onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    let offset = 0;
+    for (;;) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket.destroy(error);
+        return;
+      }
+      if (!reply) break;
+      offset = reply.offset;
+      this._onReply(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  _onReply(value) {
+    // Published messages arrive on a subscribed connection without a request
+    if (this.channels.size > 0 && Array.isArray(value) && value[0] === 'message') {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+    const entry = this.pending.shift();
+    if (!entry) return;
+    if (value instanceof RedisError) entry.reject(value);
+    else entry.resolve(value);
+  }
+
+  /**
+   * Write a command and wait for its reply
+   */
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        settle(reject, new RedisError(`${args[0]} timed out after ${this.commandTimeout}ms`));
+      }, this.commandTimeout);
+      const settle = (fn, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        fn(value);
+      };
+      // A timed-out entry stays queued so the late reply is matched to it
+      this.pending.push({ resolve: value => settle(resolve, value), reject: error => settle(reject, error) });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command
+   * @param {...(string|number)} args - Command name and arguments
+   * @returns {Promise<*>} The reply
+   * @throws {RedisError} When the server rejects it, the reply times out or
+   *   the client is not connected
+   */
+  command(...args) {
+    if (!this.ready) {
+      this.connect().catch(() => {});
+      return Promise.reject(new RedisError('Redis is not connected'));
+    }
+    return this._send(args);
+  }
+
+  /**
+   * Run commands atomically with MULTI / EXEC
+   * @param {Array<Array>} commands
+   * @returns {Promise<Array>} One reply per command
+   */
+  async transaction(commands) {
+    const replies = await Promise.all([
+      this.command('MULTI'),
+      ...commands.map(args => this.command(...args)),
+      this.command('EXEC'),
+    ]);
+    const results = replies[replies.length - 1];
+    if (!Array.isArray(results)) throw new RedisError('Transaction was aborted');
+    const failed = results.find(result => result instanceof RedisError);
+    if (failed) throw failed;
+    return results;
+  }
+
+  /**
+   * Subscribe to a channel; messages are emitted as 'message' (channel, text).
+   * Subscriptions are renewed after a reconnect. A subscribed client can
+   * only run (UN)SUBSCRIBE, so use a separate client for other commands.
+   */
+  async subscribe(channel) {
+    this.channels.add(channel);
+    if (this.ready) await this._send(['SUBSCRIBE', channel]);
+    else await this.connect();
+  }
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  async quit() {
+    this.closing = true;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    const socket = this.socket;
+    if (!socket) return;
+    if (this.ready && this.channels.size === 0) {
+      await this._send(['QUIT']).catch(() => {});
+    }
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisError,
+};
@@ -4,54 +4,94 @@
  * Use this in your webapp to connect to the Informix service
  */
 
+// Extra wait for a response after a server-side timeoutMs, while the server cancels the statement
+const CANCEL_GRACE = 5000;
+// The server's default statement timeout (INFORMIX_QUERY_TIMEOUT)
+const SERVER_QUERY_TIMEOUT = 30000;
+
 class InformixClient {
   /**
    * Create a new Informix client
    * @param {Object} options
    * @param {string} options.baseUrl - Base URL of the Informix service (e.g., 'http://localhost:3000')
-   * @param {number} options.timeout - Request timeout in ms (default: 30000)
+   * @param {number} options.timeout - Request timeout in ms; closing a timed-out request
+   *   cancels its statement on the server. The default waits queryTimeout plus a grace
+   *   period, so the server's QUERY_TIMEOUT answer arrives first.
+   * @param {number} options.queryTimeout - The server's INFORMIX_QUERY_TIMEOUT (default: 30000)
    * @param {Object} options.headers - Additional headers to send with requests
+   * @param {string} options.apiKey - API key, sent as X-API-Key
+   * @param {string|Function} options.token - JWT bearer token, or a (possibly async) function
+   *   returning one; the function is called before every request so it can refresh the token
    */
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || 'http://localhost:3000';
-    this.timeout = options.timeout || 30000;
+    this.timeout = options.timeout || (options.queryTimeout || SERVER_QUERY_TIMEOUT) + CANCEL_GRACE;
+    this.apiKey = options.apiKey || null;
+    this.token = options.token || null;
     this.headers = {
       'Content-Type': 'application/json',
       ...options.headers
     };
   }
 
+  /**
+   * Request headers including credentials
+   * @param {Object} extra - Headers for this request only
+   */
+  async _headers(extra = {}) {
+    const headers = { ...this.headers, ...extra };
+    if (this.apiKey) {
+      headers['X-API-Key'] = this.apiKey;
+    }
+    const token = typeof this.token === 'function' ? await this.token() : this.token;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return headers;
+  }
+
   /**
    * Make HTTP request to the service
+   * @param {Object} options
+   * @param {Object} options.headers - Headers for this request only
+   * @param {boolean} options.etag - Copy the response ETag header to the result's etag
+   * @param {number} options.timeoutMs - Server-side statement timeout sent with the
+   *   request; the client waits long enough for the server to report it
    */
-  async _request(method, path, body = null) {
+  async _request(method, path, body = null, options = {}) {
     const url = `${this.baseUrl}${path}`;
+    const headers = await this._headers(options.headers);
     
     const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    const timeout = options.timeoutMs ? Math.max(this.timeout, options.timeoutMs + CANCEL_GRACE) : this.timeout;
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
 
     try {
-      const options = {
+      const init = {
         method,
-        headers: this.headers,
+        headers,
         signal: controller.signal
       };
 
       if (body) {
-        options.body = JSON.stringify(body);
+        init.body = JSON.stringify(body);
       }
 
-      const response = await fetch(url, options);
+      const response = await fetch(url, init);
       const data = await response.json();
 
       if (!response.ok) {
         throw new InformixClientError(
           data.error || 'Request failed',
           response.status,
-          data.code
+          data.code,
+          data.details
         );
       }
 
+      if (options.etag) {
+        data.etag = response.headers.get('ETag');
+      }
       return data;
     } catch (error) {
       if (error.name === 'AbortError') {
@@ -82,27 +122,324 @@ class InformixClient {
     return this._request('GET', '/api/stats');
   }
 
+  /**
+   * Identity the service authenticated this client as
+   * @returns {Promise<Object>} { type, id, name, roles, metadata }
+   */
+  async whoami() {
+    return this._request('GET', '/api/auth/me');
+  }
+
+  /**
+   * Encode parameter values that JSON cannot carry on its own
+   * (Date -> timestamp, Uint8Array/Buffer -> base64 binary)
+   */
+  _encodeParams(params) {
+    return params.map(value => {
+      if (value instanceof Date) {
+        return { $type: 'timestamp', value: value.toISOString() };
+      }
+      if (value instanceof Uint8Array) {
+        let binary = '';
+        for (const byte of value) binary += String.fromCharCode(byte);
+        return { $type: 'binary', value: btoa(binary) };
+      }
+      if (typeof value === 'bigint') {
+        return { $type: 'decimal', value: value.toString() };
+      }
+      return value;
+    });
+  }
+
   /**
    * Execute a SELECT query
-   * @param {string} sql - SQL query
+   * @param {string} sql - SQL query with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
    * @param {Object} options
    * @param {boolean} options.useCache - Whether to use cache (default: true)
-   * @returns {Promise<Object>} Query result
+   * @param {number} options.cacheTtlMs - How long the result stays cached (default: server setting)
+   * @param {boolean} options.coalesce - false to run it even when an identical query is running
+   * @param {string} options.decimals - DECIMAL/MONEY as 'string' (exact) or 'number'
+   * @param {number} options.timeoutMs - Cancel the query on the server after this long (default: server setting)
+   * @returns {Promise<Object>} Query result with typed rows and column descriptors
    */
-  async query(sql, options = {}) {
+  async query(sql, params = [], options = {}) {
+    if (!Array.isArray(params)) {
+      options = params;
+      params = [];
+    }
     return this._request('POST', '/api/query', {
       sql,
-      useCache: options.useCache !== false
-    });
+      params: this._encodeParams(params),
+      useCache: options.useCache !== false,
+      cacheTtlMs: options.cacheTtlMs,
+      coalesce: options.coalesce,
+      decimals: options.decimals,
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
+  }
+
+  /**
+   * Stream a SELECT's rows as they arrive instead of buffering the result
+   * @param {string} sql - SQL query with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
+   * @param {Object} options
+   * @param {number} options.fetchSize - JDBC fetch size on the server
+   * @param {string} options.decimals - DECIMAL/MONEY as 'string' (exact) or 'number'
+   * @param {AbortSignal} options.signal - Stops the stream (and the server-side cursor)
+   * @returns {AsyncGenerator<Object>} Rows
+   *
+   * @example
+   * for await (const row of client.streamQuery('SELECT * FROM orders')) { ... }
+   */
+  async *streamQuery(sql, params = [], options = {}) {
+    if (!Array.isArray(params)) {
+      options = params;
+      params = [];
+    }
+
+    const query = new URLSearchParams({ stream: 'ndjson' });
+    if (options.fetchSize) query.set('fetchSize', options.fetchSize);
+
+    // The timeout covers getting the response started; rows may take longer
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    const headers = await this._headers({ Accept: 'application/x-ndjson' });
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/query?${query}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          sql,
+          params: this._encodeParams(params),
+          decimals: options.decimals
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new InformixClientError('Request timeout', 408, 'TIMEOUT');
+      }
+      throw new InformixClientError(error.message, 0, 'NETWORK_ERROR');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new InformixClientError(data.error || 'Request failed', response.status, data.code, data.details);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    try {
+      while (true) {
+        let chunk;
+        try {
+          chunk = await reader.read();
+        } catch (error) {
+          throw new InformixClientError(error.message, 0, 'NETWORK_ERROR');
+        }
+        if (chunk.done) break;
+
+        buffered += decoder.decode(chunk.value, { stream: true });
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+          const line = buffered.slice(0, newline);
+          buffered = buffered.slice(newline + 1);
+          if (!line) continue;
+
+          const row = JSON.parse(line);
+          if (row.$error) {
+            throw new InformixClientError(row.$error.details || row.$error.error, 500, row.$error.code);
+          }
+          yield row;
+        }
+      }
+    } finally {
+      // Stopping early cancels the body, which cancels the query on the server
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Export a SELECT's rows as a file
+   * @param {string} sql - SQL query with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
+   * @param {Object} options
+   * @param {string} options.format - 'csv', 'tsv', 'xlsx' or 'parquet' (default: 'csv')
+   * @param {string} options.delimiter - CSV field separator
+   * @param {boolean} options.header - Include the header row (default: true)
+   * @param {string} options.filename - Download file name
+   * @param {string} options.decimals - DECIMAL/MONEY as 'string' (exact) or 'number'
+   * @param {AbortSignal} options.signal - Cancels the download
+   * @returns {Promise<Response>} Fetch response; read it with .blob() or stream its body
+   */
+  async exportQuery(sql, params = [], options = {}) {
+    if (!Array.isArray(params)) {
+      options = params;
+      params = [];
+    }
+
+    const query = new URLSearchParams({ format: options.format || 'csv' });
+    if (options.delimiter) query.set('delimiter', options.delimiter);
+    if (options.header === false) query.set('header', 'false');
+    if (options.filename) query.set('filename', options.filename);
+
+    const headers = await this._headers();
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/query?${query}`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          sql,
+          params: this._encodeParams(params),
+          decimals: options.decimals
+        }),
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new InformixClientError('Request timeout', 408, 'TIMEOUT');
+      }
+      throw new InformixClientError(error.message, 0, 'NETWORK_ERROR');
+    } finally {
+      clearTimeout(timeoutId);
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new InformixClientError(data.error || 'Request failed', response.status, data.code, data.details);
+    }
+    return response;
   }
 
   /**
    * Execute a query and return single row
-   * @param {string} sql - SQL query
+   * @param {string} sql - SQL query with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
    * @returns {Promise<Object>} Single row result
    */
-  async queryOne(sql) {
-    return this._request('POST', '/api/query/one', { sql });
+  async queryOne(sql, params = []) {
+    return this._request('POST', '/api/query/one', {
+      sql,
+      params: this._encodeParams(params)
+    });
+  }
+
+  /**
+   * Execute an INSERT, UPDATE or DELETE statement
+   * @param {string} sql - SQL statement with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
+   * @param {Object} options
+   * @param {boolean} options.requireMatch - Fail with 404 ROW_NOT_FOUND when no row was affected
+   * @param {number} options.timeoutMs - Cancel the statement on the server after this long (default: server setting)
+   * @returns {Promise<Object>} { operation, rowsAffected, generatedKeys (INSERT only) }
+   */
+  async execute(sql, params = [], options = {}) {
+    const query = options.requireMatch ? '?requireMatch=true' : '';
+    return this._request('POST', `/api/execute${query}`, {
+      sql,
+      params: this._encodeParams(params),
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
+  }
+
+  /**
+   * Run several statements atomically in one transaction
+   * @param {Array<Object>} statements - [{ sql, params?, type? } | { savepoint } | { rollbackTo } | { release }]
+   * @param {Object} options
+   * @param {string} options.isolation - dirty_read, committed_read, cursor_stability or repeatable_read
+   * @param {number} options.timeoutMs - Cancel the transaction on the server after this long (default: server setting)
+   * @returns {Promise<Object>} Per-statement results
+   */
+  async transaction(statements, options = {}) {
+    return this._request('POST', '/api/transaction', {
+      statements: statements.map(statement => (
+        statement.params ? { ...statement, params: this._encodeParams(statement.params) } : statement
+      )),
+      isolation: options.isolation,
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
+  }
+
+  /**
+   * Open an interactive transaction on the server
+   * @param {Object} options
+   * @param {string} options.isolation - dirty_read, committed_read, cursor_stability or repeatable_read
+   * @param {number} options.idleTimeoutMs - Roll back automatically after this much idle time
+   * @returns {Promise<InformixTransaction>} Handle for running statements, then commit or rollback
+   */
+  async beginTransaction(options = {}) {
+    const session = await this._request('POST', '/api/transactions', {
+      isolation: options.isolation,
+      idleTimeoutMs: options.idleTimeoutMs
+    });
+    return new InformixTransaction(this, session);
+  }
+
+  /**
+   * List stored procedures and functions
+   * @param {Object} options
+   * @param {string} options.name - LIKE pattern on the routine name (e.g. 'order_%')
+   * @param {string} options.owner - Only routines of this owner
+   * @param {string} options.language - Only routines in this language (e.g. 'spl')
+   * @returns {Promise<Object>} { count, procedures: [{ name, owner, kind, signature, parameters, returns, ... }] }
+   */
+  async listProcedures(options = {}) {
+    const params = new URLSearchParams();
+    if (options.name) params.set('name', options.name);
+    if (options.owner) params.set('owner', options.owner);
+    if (options.language) params.set('language', options.language);
+
+    const queryString = params.toString();
+    return this._request('GET', `/api/procedures${queryString ? '?' + queryString : ''}`);
+  }
+
+  /**
+   * Describe a stored procedure or function (every overload)
+   * @param {string} name - Routine name, optionally owner.name
+   * @returns {Promise<Object>} { name, overloads }
+   */
+  async getProcedure(name) {
+    return this._request('GET', `/api/procedures/${encodeURIComponent(name)}`);
+  }
+
+  /**
+   * Call a stored procedure or function
+   * @param {string} name - Routine name, optionally owner.name
+   * @param {Array|Object} args - Values for the IN / INOUT parameters, in
+   *   order or as { parameterName: value }; OUT parameters are left out
+   * @param {Object} options
+   * @param {string} options.decimals - DECIMAL/MONEY as 'string' (exact) or 'number'
+   * @param {number} options.timeoutMs - Cancel the call on the server after this long (default: server setting)
+   * @returns {Promise<Object>} { routine, kind, resultSets: [{ columns, rows }], outParams, rowsAffected }
+   *
+   * @example
+   * const { outParams } = await client.callProcedure('reserve_stock', { item_id: 42, qty: 3 });
+   */
+  async callProcedure(name, args = [], options = {}) {
+    const encoded = Array.isArray(args)
+      ? this._encodeParams(args)
+      : Object.fromEntries(Object.entries(args).map(([key, value]) => [key, this._encodeParams([value])[0]]));
+    return this._request('POST', `/api/procedures/${encodeURIComponent(name)}`, {
+      args: encoded,
+      decimals: options.decimals,
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
   }
 
   /**
@@ -123,17 +460,112 @@ class InformixClient {
   }
 
   /**
-   * Get data from a table with pagination
+   * List tables, views, synonyms and external tables with row estimates
+   * @param {Object} options
+   * @param {string} options.type - Only 'table', 'view', 'synonym' or 'external'
+   * @returns {Promise<Object>} { count, tables: [{ name, owner, type, rowEstimate, created }] }
+   */
+  async getSchemaTables(options = {}) {
+    const query = options.type ? `?type=${encodeURIComponent(options.type)}` : '';
+    return this._request('GET', `/api/schema/tables${query}`);
+  }
+
+  /**
+   * Describe a table or view: decoded columns and defaults, keys, indexes,
+   * check constraints, referencing tables and the row estimate
+   * @param {string} tableName - Table name
+   * @returns {Promise<Object>} { name, type, columns, primaryKey, uniqueKeys, foreignKeys, checks, indexes, referencedBy, ... }
+   */
+  async describeTable(tableName) {
+    return this._request('GET', `/api/schema/tables/${encodeURIComponent(tableName)}`);
+  }
+
+  /**
+   * List views with their definitions
+   * @returns {Promise<Object>} { count, views: [{ name, owner, created, definition }] }
+   */
+  async getViews() {
+    return this._request('GET', '/api/schema/views');
+  }
+
+  /**
+   * List synonyms and the tables they point at
+   * @returns {Promise<Object>} { count, synonyms: [{ name, owner, public, target }] }
+   */
+  async getSynonyms() {
+    return this._request('GET', '/api/schema/synonyms');
+  }
+
+  /**
+   * List sequences
+   * @returns {Promise<Object>} { count, sequences: [{ name, start, increment, min, max, cycle, cache, ordered }] }
+   */
+  async getSequences() {
+    return this._request('GET', '/api/schema/sequences');
+  }
+
+  /**
+   * OpenAPI document of the service, with per-table paths for the tables
+   * the caller may use
+   * @param {Object} options
+   * @param {boolean} options.tables - false leaves out the per-table paths
+   * @returns {Promise<Object>} OpenAPI 3.0 document
+   */
+  async getOpenApi(options = {}) {
+    return this._request('GET', `/api/openapi.json${options.tables === false ? '?tables=false' : ''}`);
+  }
+
+  /**
+   * Add where conditions to a query string in the where[column][operator]=value form
+   * @param {URLSearchParams} params
+   * @param {string} prefix - Key so far, e.g. 'where' or 'where[or][0]'
+   * @param {Object} where
+   */
+  _appendWhere(params, prefix, where) {
+    for (const [key, value] of Object.entries(where)) {
+      const name = `${prefix}[${key}]`;
+      if ((key === 'or' || key === 'and') && Array.isArray(value)) {
+        value.forEach((group, index) => this._appendWhere(params, `${name}[${index}]`, group));
+      } else if (value === null) {
+        params.append(`${name}[isnull]`, 'true');
+      } else if (typeof value === 'object' && !(value instanceof Date)) {
+        for (const [operator, operand] of Object.entries(value)) {
+          // in / between lists repeat the key
+          const operands = Array.isArray(operand) ? operand : [operand];
+          for (const item of operands) {
+            params.append(`${name}[${operator}]`, item instanceof Date ? item.toISOString() : String(item));
+          }
+        }
+      } else {
+        params.append(name, value instanceof Date ? value.toISOString() : String(value));
+      }
+    }
+  }
+
+  /**
+   * Get data from a table with filtering, sorting and pagination
    * @param {string} tableName - Table name
    * @param {Object} options
    * @param {number} options.limit - Max rows to return (default: 100)
    * @param {number} options.offset - Rows to skip (default: 0)
-   * @returns {Promise<Object>} Table data
+   * @param {Array<string>|string} options.select - Columns to return
+   * @param {Object} options.where - Conditions, e.g. { status: 'active', amount: { gte: 10 },
+   *   region: { in: ['north', 'south'] }, closed: null, or: [{ city: 'Oslo' }, { vip: true }] };
+   *   operators: eq, ne, lt, lte, gt, gte, like, in, between, isnull
+   * @param {Array<string>|string} options.order - Sort keys such as 'created_at.desc'
+   * @param {string} options.cursor - next or prev token of an earlier page (instead of offset)
+   * @param {string} options.count - 'exact' or 'estimate' to get total
+   * @returns {Promise<Object>} Table data with next and prev cursors
    */
   async getTableData(tableName, options = {}) {
     const params = new URLSearchParams();
     if (options.limit) params.set('limit', options.limit);
     if (options.offset) params.set('offset', options.offset);
+    if (options.cursor) params.set('cursor', options.cursor);
+    if (options.count) params.set('count', options.count);
+    if (options.select) params.set('select', [].concat(options.select).join(','));
+    if (options.where) this._appendWhere(params, 'where', options.where);
+    if (options.order) params.set('order', [].concat(options.order).join(','));
     
     const queryString = params.toString();
     const path = `/api/data/${encodeURIComponent(tableName)}${queryString ? '?' + queryString : ''}`;
@@ -142,11 +574,242 @@ class InformixClient {
   }
 
   /**
-   * Clear the server-side cache
-   * @returns {Promise<Object>} Success message
+   * Path of one row: composite key values are joined with commas, and
+   * commas or backslashes inside a value are escaped with a backslash
+   * @param {string} tableName
+   * @param {*|Array} key - Primary key value, or the values of a composite key in key order
+   */
+  _rowPath(tableName, key) {
+    const id = [].concat(key).map(value => String(value).replace(/[\\,]/g, '\\$&')).join(',');
+    return `/api/data/${encodeURIComponent(tableName)}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Insert one row
+   * @param {string} tableName - Table name
+   * @param {Object} data - { column: value }
+   * @param {Object} options
+   * @param {boolean} options.returnRow - Add the inserted row as data
+   * @returns {Promise<Object>} { rowsAffected, generatedKeys: { serialColumn: value } | null, data? }
+   */
+  async insertRow(tableName, data, options = {}) {
+    const query = options.returnRow ? '?return=rows' : '';
+    return this._request('POST', `/api/data/${encodeURIComponent(tableName)}${query}`, { data });
+  }
+
+  /**
+   * Read one row by primary key
+   * @param {string} tableName - Table name
+   * @param {*|Array} key - Primary key value(s)
+   * @returns {Promise<Object>} { key, data, etag }
+   */
+  async getRow(tableName, key) {
+    return this._request('GET', this._rowPath(tableName, key), null, { etag: true });
+  }
+
+  /**
+   * Update some columns of one row (PATCH)
+   * @param {string} tableName - Table name
+   * @param {*|Array} key - Primary key value(s)
+   * @param {Object} data - { column: value }
+   * @param {Object} options
+   * @param {string} options.ifMatch - ETag from getRow; fails with 412 if the row has changed since
+   * @param {boolean} options.returnRow - Add the updated row as data
+   * @returns {Promise<Object>} { key, rowsAffected, etag, data? }
+   */
+  async updateRow(tableName, key, data, options = {}) {
+    const query = options.returnRow ? '?return=rows' : '';
+    return this._request('PATCH', `${this._rowPath(tableName, key)}${query}`, { data }, {
+      headers: options.ifMatch ? { 'If-Match': options.ifMatch } : {},
+      etag: true
+    });
+  }
+
+  /**
+   * Replace one row (PUT): columns you may update that data leaves out are set to NULL
+   * @param {string} tableName - Table name
+   * @param {*|Array} key - Primary key value(s)
+   * @param {Object} data - { column: value }
+   * @param {Object} options
+   * @param {string} options.ifMatch - ETag from getRow
+   * @param {boolean} options.returnRow - Add the updated row as data
+   * @returns {Promise<Object>} { key, rowsAffected, etag, data? }
+   */
+  async replaceRow(tableName, key, data, options = {}) {
+    const query = options.returnRow ? '?return=rows' : '';
+    return this._request('PUT', `${this._rowPath(tableName, key)}${query}`, { data }, {
+      headers: options.ifMatch ? { 'If-Match': options.ifMatch } : {},
+      etag: true
+    });
+  }
+
+  /**
+   * Delete one row by primary key
+   * @param {string} tableName - Table name
+   * @param {*|Array} key - Primary key value(s)
+   * @param {Object} options
+   * @param {string} options.ifMatch - ETag from getRow
+   * @returns {Promise<Object>} { key, rowsAffected }
+   */
+  async deleteRow(tableName, key, options = {}) {
+    return this._request('DELETE', this._rowPath(tableName, key), null, {
+      headers: options.ifMatch ? { 'If-Match': options.ifMatch } : {}
+    });
+  }
+
+  /**
+   * Read every page of a table, following the next cursors
+   * @param {string} tableName - Table name
+   * @param {Object} options - As for getTableData; offset or cursor sets where to start
+   * @returns {AsyncGenerator<Object>} Table data of each page
+   * @example
+   * for await (const page of client.getTableDataPages('orders', { limit: 500 })) {
+   *   handle(page.data);
+   * }
+   */
+  async *getTableDataPages(tableName, options = {}) {
+    let page = await this.getTableData(tableName, options);
+    yield page;
+    while (page.next) {
+      // The count only needs asking for once
+      page = await this.getTableData(tableName, { ...options, offset: undefined, count: undefined, cursor: page.next });
+      yield page;
+    }
+  }
+
+  /**
+   * Bulk import rows into a table
+   * @param {string} tableName - Table name
+   * @param {Array<Object>|string|Blob} data - Row objects (sent as JSON), or CSV/TSV/NDJSON text or a file
+   * @param {Object} options
+   * @param {string} options.format - 'csv', 'tsv' or 'ndjson' when data is text or a file (default: 'csv')
+   * @param {string} options.mode - 'stop' (default) rolls back at the first bad row; 'skip' loads the good rows
+   * @param {Object} options.map - Renames as { sourceField: column }; '' drops a field
+   * @param {boolean} options.ignoreUnknown - Drop fields that match no column
+   * @param {number} options.batchSize - Rows per JDBC batch
+   * @param {string} options.delimiter - CSV field separator
+   * @returns {Promise<Object>} Report: { inserted, rejected, errors: [{ row, column?, error }] }.
+   *   A stopped import throws an InformixClientError carrying the report.
+   */
+  async importRows(tableName, data, options = {}) {
+    const isJson = Array.isArray(data);
+    const format = isJson ? 'json' : (options.format || 'csv');
+    const query = new URLSearchParams({ format });
+    if (options.mode) query.set('mode', options.mode);
+    if (options.batchSize) query.set('batchSize', options.batchSize);
+    if (options.delimiter) query.set('delimiter', options.delimiter);
+    if (options.ignoreUnknown) query.set('ignoreUnknown', 'true');
+    for (const [source, column] of Object.entries(options.map || {})) {
+      query.set(`map[${source}]`, column);
+    }
+
+    const contentTypes = {
+      json: 'application/json',
+      csv: 'text/csv',
+      tsv: 'text/tab-separated-values',
+      ndjson: 'application/x-ndjson'
+    };
+
+    // Imports can legitimately run for a long time; only the caller's signal stops them
+    const headers = await this._headers({ 'Content-Type': contentTypes[format] || 'text/csv' });
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/import/${encodeURIComponent(tableName)}?${query}`, {
+        method: 'POST',
+        headers,
+        body: isJson ? JSON.stringify(data) : data,
+        signal: options.signal
+      });
+    } catch (error) {
+      throw new InformixClientError(error.message, 0, 'NETWORK_ERROR');
+    }
+
+    const report = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new InformixClientError(report.error || 'Request failed', response.status, report.code, report.details);
+      if (report.errors) error.report = report;
+      throw error;
+    }
+    return report;
+  }
+
+  /**
+   * Clear the server-side cache, or part of it
+   * @param {Object} options
+   * @param {Array<string>} options.tables - Only drop results read from these tables
+   * @param {string} options.sql - Only drop the result of this query
+   * @param {Array} options.params - Parameters of that query
+   * @returns {Promise<Object>} { success, message, cleared }
+   */
+  async clearCache(options = {}) {
+    const body = {};
+    if (options.tables) body.tables = options.tables;
+    if (options.sql) {
+      body.sql = options.sql;
+      body.params = this._encodeParams(options.params || []);
+    }
+    return this._request('POST', '/api/cache/clear', body);
+  }
+}
+
+/**
+ * Handle for an open server-side transaction session
+ */
+class InformixTransaction {
+  constructor(client, session) {
+    this.client = client;
+    this.id = session.transactionId;
+    this.isolation = session.isolation;
+    this.idleTimeoutMs = session.idleTimeoutMs;
+  }
+
+  _path(action) {
+    return `/api/transactions/${encodeURIComponent(this.id)}/${action}`;
+  }
+
+  /**
+   * Run a SELECT inside the transaction
+   * @param {string} sql - SQL query with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the query on the server after this long
+   */
+  async query(sql, params = [], options = {}) {
+    return this.client._request('POST', this._path('query'), {
+      sql,
+      params: this.client._encodeParams(params),
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
+  }
+
+  /**
+   * Run an INSERT, UPDATE or DELETE inside the transaction
+   * @param {string} sql - SQL statement with optional "?" placeholders
+   * @param {Array} params - Values bound to the placeholders (optional)
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement on the server after this long
+   * @returns {Promise<Object>} { operation, rowsAffected, generatedKeys (INSERT only) }
+   */
+  async execute(sql, params = [], options = {}) {
+    return this.client._request('POST', this._path('execute'), {
+      sql,
+      params: this.client._encodeParams(params),
+      timeoutMs: options.timeoutMs
+    }, { timeoutMs: options.timeoutMs });
+  }
+
+  /**
+   * Commit the transaction
+   */
+  async commit() {
+    return this.client._request('POST', this._path('commit'));
+  }
+
+  /**
+   * Roll back the transaction
    */
-  async clearCache() {
-    return this._request('POST', '/api/cache/clear');
+  async rollback() {
+    return this.client._request('POST', this._path('rollback'));
   }
 }
 
@@ -154,21 +817,23 @@ class InformixClient {
  * Client error class
  */
 class InformixClientError extends Error {
-  constructor(message, statusCode, code) {
+  constructor(message, statusCode, code, details) {
     super(message);
     this.name = 'InformixClientError';
     this.statusCode = statusCode;
     this.code = code;
+    this.details = details;
   }
 }
 
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { InformixClient, InformixClientError };
+  module.exports = { InformixClient, InformixClientError, InformixTransaction };
 }
 
 // For browser usage
 if (typeof window !== 'undefined') {
   window.InformixClient = InformixClient;
   window.InformixClientError = InformixClientError;
+  window.InformixTransaction = InformixTransaction;
 }
@@ -0,0 +1,50 @@
+/**
+ * Authentication configuration module
+ * Loads API key and JWT settings from environment variables
+ */
+
+require('dotenv').config();
+
+const authConfig = {
+  // Turn authentication off only for local development
+  enabled: process.env.AUTH_ENABLED !== 'false',
+
+  // Serve Swagger UI and the OpenAPI document without credentials; anonymous
+  // callers get the document without the per-table paths and schemas
+  publicDocs: process.env.AUTH_PUBLIC_DOCS === 'true',
+
+  // Routes that never require credentials; "/prefix/*" covers everything below it
+  publicPaths: ['/api/health', ...(process.env.AUTH_PUBLIC_DOCS === 'true' ? ['/api/openapi.json', '/api/docs/*'] : [])],
+
+  // Static API keys, sent as "X-API-Key: <key>" or "Authorization: ApiKey <key>"
+  apiKeys: {
+    // JSON file: { "keys": [{ id, key | keyHash, name?, roles?, metadata?, disabled?, expiresAt? }] }
+    file: process.env.AUTH_API_KEYS_FILE || '',
+    // Same entries as a JSON array, or "id:key" pairs separated by commas
+    env: process.env.AUTH_API_KEYS || '',
+  },
+
+  // Role-based permissions: JSON file granting roles endpoints and table actions.
+  // Without a policy every authenticated caller may do everything.
+  policy: {
+    file: process.env.AUTH_POLICY_FILE || '',
+  },
+
+  // HMAC-signed JWT bearer tokens, sent as "Authorization: Bearer <token>"
+  jwt: {
+    secret: process.env.AUTH_JWT_SECRET || '',
+    algorithms: (process.env.AUTH_JWT_ALGORITHMS || 'HS256').split(',').map(alg => alg.trim()),
+    issuer: process.env.AUTH_JWT_ISSUER || '',
+    audience: process.env.AUTH_JWT_AUDIENCE || '',
+    // Claim holding the caller's roles (array or space-separated string)
+    rolesClaim: process.env.AUTH_JWT_ROLES_CLAIM || 'roles',
+    // Allowed clock skew in seconds for exp / nbf
+    clockTolerance: parseInt(process.env.AUTH_JWT_CLOCK_TOLERANCE, 10) || 30,
+    // Reject tokens without an exp claim
+    requireExp: process.env.AUTH_JWT_REQUIRE_EXP !== 'false',
+  },
+};
+
+module.exports = {
+  authConfig,
+};
@@ -22,6 +22,109 @@ const config = {
   pool: {
     min: parseInt(process.env.INFORMIX_POOL_MIN, 10) || 2,
     max: parseInt(process.env.INFORMIX_POOL_MAX, 10) || 10,
+    idleTimeout: parseInt(process.env.INFORMIX_POOL_IDLE_TIMEOUT, 10) || 30000,
+    acquireTimeout: parseInt(process.env.INFORMIX_POOL_ACQUIRE_TIMEOUT, 10) || 10000,
+    validateOnCheckout: process.env.INFORMIX_POOL_VALIDATE !== 'false',
+  },
+
+  // Result encoding
+  results: {
+    // DECIMAL/MONEY as exact strings ('string') or JSON numbers ('number')
+    decimals: process.env.INFORMIX_DECIMAL_MODE === 'number' ? 'number' : 'string',
+  },
+
+  // Streamed results (NDJSON / chunked JSON responses)
+  streaming: {
+    fetchSize: parseInt(process.env.INFORMIX_STREAM_FETCH_SIZE, 10) || 500,
+    batchSize: parseInt(process.env.INFORMIX_STREAM_BATCH_SIZE, 10) || 200,
+    // Row batches the bridge may send ahead of the consumer
+    window: parseInt(process.env.INFORMIX_STREAM_WINDOW, 10) || 2,
+  },
+
+  // Statement timeouts: a request's statements are cancelled in the database
+  // once its timeout (the default, or its timeoutMs up to the maximum) passes
+  queries: {
+    timeout: parseInt(process.env.INFORMIX_QUERY_TIMEOUT, 10) || 30000,
+    maxTimeout: parseInt(process.env.INFORMIX_QUERY_MAX_TIMEOUT, 10) || 300000,
+  },
+
+  // Admission control: requests beyond the concurrency limits wait in a
+  // bounded queue, and are shed (429/503 with Retry-After) past its limits
+  admission: {
+    enabled: process.env.INFORMIX_ADMISSION_ENABLED !== 'false',
+    // Read and write requests running at once, across every client
+    concurrency: parseInt(process.env.INFORMIX_ADMISSION_CONCURRENCY, 10) ||
+      parseInt(process.env.INFORMIX_POOL_MAX, 10) || 10,
+    // Share of it for each lane; by default each leaves one slot for the other
+    readConcurrency: parseInt(process.env.INFORMIX_ADMISSION_READ_CONCURRENCY, 10) || null,
+    writeConcurrency: parseInt(process.env.INFORMIX_ADMISSION_WRITE_CONCURRENCY, 10) || null,
+    // Health checks, stats and docs run outside the global limit
+    adminConcurrency: parseInt(process.env.INFORMIX_ADMISSION_ADMIN_CONCURRENCY, 10) || 2,
+    // Per client (API key, token subject or address when authentication is off)
+    clientConcurrency: parseInt(process.env.INFORMIX_ADMISSION_CLIENT_CONCURRENCY, 10) || null,
+    clientQueue: parseInt(process.env.INFORMIX_ADMISSION_CLIENT_QUEUE, 10) || 10,
+    // Waiting requests per lane, and the longest wait (ms)
+    queue: parseInt(process.env.INFORMIX_ADMISSION_QUEUE, 10) || 100,
+    queueTimeout: parseInt(process.env.INFORMIX_ADMISSION_QUEUE_TIMEOUT, 10) || 10000,
+    // Retry-After sent with shed requests (ms, rounded up to seconds)
+    retryAfter: parseInt(process.env.INFORMIX_ADMISSION_RETRY_AFTER, 10) || 1000,
+  },
+
+  // Interactive transaction sessions (POST /api/transactions)
+  transactions: {
+    idleTimeout: parseInt(process.env.INFORMIX_TX_IDLE_TIMEOUT, 10) || 60000,
+    maxIdleTimeout: parseInt(process.env.INFORMIX_TX_MAX_IDLE_TIMEOUT, 10) || 600000,
+    // Each open session pins a pooled connection; leave one for everything else
+    maxOpen: parseInt(process.env.INFORMIX_TX_MAX_OPEN, 10) ||
+      Math.max((parseInt(process.env.INFORMIX_POOL_MAX, 10) || 10) - 1, 1),
+  },
+
+  // Query result cache (POST /api/query and internal catalog reads)
+  cache: {
+    ttl: parseInt(process.env.INFORMIX_CACHE_TTL, 10) || 60000,
+    maxEntries: parseInt(process.env.INFORMIX_CACHE_MAX_ENTRIES, 10) || 1000,
+    // Approximate: the JSON size of keys and results
+    maxBytes: parseInt(process.env.INFORMIX_CACHE_MAX_BYTES, 10) || 64 * 1024 * 1024,
+    sweepInterval: parseInt(process.env.INFORMIX_CACHE_SWEEP_INTERVAL, 10) || 30000,
+    // Identical queries running at the same time share one round trip
+    coalesce: process.env.INFORMIX_CACHE_COALESCE !== 'false',
+    // 'memory' (per replica) or 'redis' (shared by every replica)
+    store: process.env.INFORMIX_CACHE_STORE === 'redis' ? 'redis' : 'memory',
+    redis: {
+      url: process.env.INFORMIX_CACHE_REDIS_URL || '',
+      prefix: process.env.INFORMIX_CACHE_REDIS_PREFIX || 'informix:cache:',
+      // Max wait for a Redis reply (ms); a slow cache counts as a miss
+      timeout: parseInt(process.env.INFORMIX_CACHE_REDIS_TIMEOUT, 10) || 1000,
+      // Publish invalidations to the other replicas over pub/sub
+      broadcast: process.env.INFORMIX_CACHE_BROADCAST !== 'false',
+    },
+  },
+
+  // Table reads (GET /api/data/:tableName)
+  data: {
+    defaultLimit: parseInt(process.env.INFORMIX_DATA_DEFAULT_LIMIT, 10) || 100,
+    maxLimit: parseInt(process.env.INFORMIX_DATA_MAX_LIMIT, 10) || 10000,
+    // SKIP takes an INTEGER
+    maxOffset: 2147483647,
+  },
+
+  // Bulk imports (POST /api/import/:tableName)
+  imports: {
+    batchSize: parseInt(process.env.INFORMIX_IMPORT_BATCH_SIZE, 10) || 500,
+    // Size limit for JSON array bodies; CSV and NDJSON are streamed
+    jsonLimit: process.env.INFORMIX_IMPORT_JSON_LIMIT || '10mb',
+    // Rejected rows listed in the report (the count is always exact)
+    maxReportedErrors: parseInt(process.env.INFORMIX_IMPORT_MAX_REPORTED_ERRORS, 10) || 1000,
+    timeout: parseInt(process.env.INFORMIX_IMPORT_TIMEOUT, 10) || 600000,
+  },
+
+  // JDBC bridge process settings
+  bridge: {
+    startTimeout: parseInt(process.env.INFORMIX_BRIDGE_START_TIMEOUT, 10) || 30000,
+    restartDelay: parseInt(process.env.INFORMIX_BRIDGE_RESTART_DELAY, 10) || 1000,
+    maxRestartDelay: parseInt(process.env.INFORMIX_BRIDGE_MAX_RESTART_DELAY, 10) || 30000,
+    // Time a cancelled statement may take to stop before its connection is closed
+    cancelGrace: parseInt(process.env.INFORMIX_BRIDGE_CANCEL_GRACE, 10) || 5000,
   },
 };
 
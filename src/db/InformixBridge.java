@@ -0,0 +1,1140 @@
+/*
+ * Informix JDBC Bridge
+ * Long-lived helper process spoken to by src/db/bridge.js.
+ *
+ * Protocol: one JSON object per line on stdin (requests) and stdout
+ * (responses). Every request carries an "id" that is echoed back so
+ * the Node side can correlate responses; requests are handled
+ * concurrently on a worker pool. A request may emit "event" frames with
+ * its id before the final response (streamed row batches). Control
+ * frames without an id ("credit", "cancel") are handled on the reader
+ * thread and get no response. A request's "timeoutMs" becomes the JDBC
+ * query timeout of its statements, and "cancel" interrupts the statement
+ * it is running with Statement.cancel(). Anything the JDBC driver prints to
+ * System.out is redirected to stderr so it cannot corrupt the stream.
+ *
+ * Connection settings are read from the environment:
+ *   BRIDGE_JDBC_URL, BRIDGE_USER, BRIDGE_PASSWORD
+ */
+
+import java.io.*;
+import java.nio.charset.StandardCharsets;
+import java.sql.*;
+import java.util.*;
+import java.util.concurrent.*;
+import java.util.concurrent.atomic.AtomicInteger;
+
+public class InformixBridge {
+    private static final Map<String, Connection> connections = new ConcurrentHashMap<>();
+    // Open transactions by connection id, with their named savepoints
+    private static final Map<String, Map<String, Savepoint>> transactions = new ConcurrentHashMap<>();
+    private static final Set<String> isolationChanged = ConcurrentHashMap.newKeySet();
+    // Streams in progress by request id
+    private static final Map<Object, StreamState> streams = new ConcurrentHashMap<>();
+    // Requests in progress by id, and the one each worker thread is running
+    private static final Map<Object, RequestState> requests = new ConcurrentHashMap<>();
+    private static final ThreadLocal<RequestState> current = new ThreadLocal<>();
+    // Give up on a stream whose consumer grants no credit for this long
+    private static final long STREAM_STALL_SECONDS = 300;
+    private static final AtomicInteger threadCounter = new AtomicInteger();
+    private static final ExecutorService workers = Executors.newCachedThreadPool(r -> {
+        Thread t = new Thread(r, "bridge-worker-" + threadCounter.incrementAndGet());
+        t.setDaemon(true);
+        return t;
+    });
+
+    private static PrintStream out;
+    private static String jdbcUrl;
+    private static String user;
+    private static String password;
+
+    @SuppressWarnings("unchecked")
+    public static void main(String[] args) throws Exception {
+        out = new PrintStream(new FileOutputStream(FileDescriptor.out), false, "UTF-8");
+        System.setOut(System.err);
+
+        jdbcUrl = System.getenv("BRIDGE_JDBC_URL");
+        user = System.getenv("BRIDGE_USER");
+        password = System.getenv("BRIDGE_PASSWORD");
+
+        Class.forName("com.informix.jdbc.IfxDriver");
+
+        Map<String, Object> ready = new LinkedHashMap<>();
+        ready.put("event", "ready");
+        send(ready);
+
+        BufferedReader in = new BufferedReader(new InputStreamReader(System.in, StandardCharsets.UTF_8));
+        String line;
+        while ((line = in.readLine()) != null) {
+            if (line.trim().isEmpty()) continue;
+
+            Map<String, Object> parsed;
+            try {
+                parsed = (Map<String, Object>) Json.parse(line);
+            } catch (RuntimeException e) {
+                Map<String, Object> response = new LinkedHashMap<>();
+                response.put("id", null);
+                response.put("ok", false);
+                response.put("error", describe(e));
+                send(response);
+                continue;
+            }
+
+            if (control(parsed)) continue;
+            final Map<String, Object> request = parsed;
+            // Registered here so a "cancel" read right after it finds the request
+            final RequestState state = new RequestState(request.get("timeoutMs"));
+            if (request.get("id") != null) requests.put(request.get("id"), state);
+            workers.submit(() -> handle(request, state));
+        }
+
+        // stdin closed: the Node side is shutting us down
+        workers.shutdown();
+        workers.awaitTermination(5, TimeUnit.SECONDS);
+        for (Connection conn : connections.values()) {
+            try { conn.close(); } catch (SQLException ignored) {}
+        }
+        System.exit(0);
+    }
+
+    /**
+     * Write one response frame to stdout
+     */
+    private static void send(Map<String, Object> message) {
+        StringBuilder sb = new StringBuilder();
+        Json.write(sb, message);
+        sb.append('\n');
+        synchronized (out) {
+            out.print(sb);
+            out.flush();
+        }
+    }
+
+    /**
+     * Handle control frames inline on the reader thread
+     * @return true when the frame was a control frame
+     */
+    private static boolean control(Map<String, Object> request) {
+        Object op = request.get("op");
+        if (!"credit".equals(op) && !"cancel".equals(op)) return false;
+
+        if ("cancel".equals(op)) {
+            RequestState running = requests.get(request.get("target"));
+            if (running != null) running.cancel();
+        }
+
+        StreamState state = streams.get(request.get("target"));
+        if (state == null) return true;
+
+        if ("credit".equals(op)) {
+            Object count = request.get("count");
+            state.credits.release(count instanceof Number ? ((Number) count).intValue() : 1);
+        } else {
+            state.cancelled = true;
+            state.credits.release();
+        }
+        return true;
+    }
+
+    /**
+     * Cancellation state of one request: the statement it is running, if
+     * any, and whether a "cancel" frame arrived for it
+     */
+    static final class RequestState {
+        final long timeoutMs;
+        volatile Statement statement;
+        volatile boolean cancelled;
+
+        RequestState(Object timeoutMs) {
+            this.timeoutMs = timeoutMs instanceof Number ? ((Number) timeoutMs).longValue() : 0;
+        }
+
+        /**
+         * Interrupt the running statement; cancel() talks to the server, so
+         * it runs on a worker rather than the reader thread
+         */
+        void cancel() {
+            cancelled = true;
+            Statement running = statement;
+            if (running != null) {
+                workers.submit(() -> {
+                    try {
+                        running.cancel();
+                    } catch (SQLException ignored) {
+                        // Already finished or closed
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Apply the current request's timeout to a statement and let a "cancel"
+     * frame interrupt it. Call before executing the statement.
+     * @throws CancellationException when the request was already cancelled
+     */
+    private static void track(Statement statement) throws SQLException {
+        RequestState state = current.get();
+        if (state == null) return;
+        if (state.timeoutMs > 0) {
+            // JDBC takes whole seconds; the Node side cancels at the exact time
+            statement.setQueryTimeout((int) Math.max(1, (state.timeoutMs + 999) / 1000));
+        }
+        state.statement = statement;
+        if (state.cancelled) throw new CancellationException("Request cancelled");
+    }
+
+    /**
+     * Dispatch a single request and send its response
+     */
+    private static void handle(Map<String, Object> request, RequestState state) {
+        Object id = request.get("id");
+        Map<String, Object> response = new LinkedHashMap<>();
+        current.set(state);
+        try {
+            response.put("id", id);
+            response.put("ok", true);
+            response.put("result", dispatch(request));
+        } catch (Throwable e) {
+            response.clear();
+            response.put("id", id);
+            response.put("ok", false);
+            Map<String, Object> error = describe(e);
+            if (state.cancelled) error.put("cancelled", true);
+            if (e instanceof SQLTimeoutException) error.put("timedOut", true);
+            response.put("error", error);
+        } finally {
+            current.remove();
+            if (id != null) requests.remove(id);
+        }
+        send(response);
+    }
+
+    private static Object dispatch(Map<String, Object> request) throws Exception {
+        String op = (String) request.get("op");
+        if (op == null) throw new IllegalArgumentException("Missing op");
+
+        switch (op) {
+            case "ping":
+                return "pong";
+            case "open":
+                return open();
+            case "close":
+                return close((String) request.get("conn"));
+            case "query":
+                return query(connection(request), (String) request.get("sql"), params(request),
+                        "number".equals(request.get("decimals")));
+            case "execute":
+                return execute(connection(request), (String) request.get("sql"), params(request),
+                        Boolean.TRUE.equals(request.get("keys")), "number".equals(request.get("decimals")));
+            case "executeBatch":
+                return executeBatch(connection(request), (String) request.get("sql"), rows(request));
+            case "call":
+                return call(connection(request), (String) request.get("sql"), params(request), outParams(request),
+                        "number".equals(request.get("decimals")));
+            case "stream":
+                return stream(request.get("id"), connection(request), request);
+            case "begin":
+                return begin(connId(request), connection(request), (String) request.get("isolation"));
+            case "commit":
+                return endTransaction(connId(request), connection(request), true);
+            case "rollback":
+                return endTransaction(connId(request), connection(request), false);
+            case "savepoint":
+                return savepoint(connId(request), connection(request), (String) request.get("name"));
+            case "rollbackTo":
+                return rollbackTo(connId(request), connection(request), (String) request.get("name"));
+            case "release":
+                return releaseSavepoint(connId(request), connection(request), (String) request.get("name"));
+            default:
+                throw new IllegalArgumentException("Unknown op: " + op);
+        }
+    }
+
+    private static String connId(Map<String, Object> request) {
+        return (String) request.get("conn");
+    }
+
+    private static Connection connection(Map<String, Object> request) {
+        String connId = connId(request);
+        Connection conn = connId == null ? null : connections.get(connId);
+        if (conn == null) throw new IllegalStateException("Unknown connection: " + connId);
+        return conn;
+    }
+
+    @SuppressWarnings("unchecked")
+    private static List<Object> params(Map<String, Object> request) {
+        Object params = request.get("params");
+        return params == null ? Collections.emptyList() : (List<Object>) params;
+    }
+
+    @SuppressWarnings("unchecked")
+    private static List<List<Object>> rows(Map<String, Object> request) {
+        Object rows = request.get("rows");
+        if (!(rows instanceof List)) throw new IllegalArgumentException("Missing rows");
+        List<List<Object>> result = new ArrayList<>();
+        for (Object row : (List<Object>) rows) {
+            result.add(row == null ? Collections.emptyList() : (List<Object>) row);
+        }
+        return result;
+    }
+
+    /**
+     * OUT / INOUT parameter declarations of a call: 1-based index, JDBC
+     * type name and mode ("out" parameters are not bound)
+     */
+    @SuppressWarnings("unchecked")
+    private static List<Map<String, Object>> outParams(Map<String, Object> request) {
+        Object out = request.get("out");
+        return out == null ? Collections.emptyList() : (List<Map<String, Object>>) out;
+    }
+
+    /**
+     * Bind "?" placeholders. Plain JSON values map to their natural JDBC
+     * setter; other types arrive tagged as {"$type": ..., "value": ...}.
+     */
+    private static void bind(PreparedStatement ps, List<Object> params) throws SQLException {
+        for (int i = 0; i < params.size(); i++) {
+            bindValue(ps, i + 1, params.get(i));
+        }
+    }
+
+    @SuppressWarnings("unchecked")
+    private static void bindValue(PreparedStatement ps, int index, Object value) throws SQLException {
+        if (value == null) {
+            int sqlType = Types.VARCHAR;
+            try {
+                sqlType = ps.getParameterMetaData().getParameterType(index);
+            } catch (SQLException ignored) {
+                // Not every statement can describe its parameters
+            }
+            ps.setNull(index, sqlType);
+        } else if (value instanceof String) {
+            ps.setString(index, (String) value);
+        } else if (value instanceof Boolean) {
+            ps.setBoolean(index, (Boolean) value);
+        } else if (value instanceof Long) {
+            ps.setLong(index, (Long) value);
+        } else if (value instanceof java.math.BigDecimal) {
+            ps.setBigDecimal(index, (java.math.BigDecimal) value);
+        } else if (value instanceof Double) {
+            ps.setDouble(index, (Double) value);
+        } else if (value instanceof Map) {
+            bindTyped(ps, index, (Map<String, Object>) value);
+        } else {
+            throw new IllegalArgumentException("Unsupported value for parameter " + index);
+        }
+    }
+
+    private static void bindTyped(PreparedStatement ps, int index, Map<String, Object> tagged) throws SQLException {
+        String type = (String) tagged.get("$type");
+        Object raw = tagged.get("value");
+        if (raw == null) {
+            ps.setNull(index, Types.VARCHAR);
+            return;
+        }
+        String value = raw.toString();
+
+        switch (type == null ? "" : type) {
+            case "date":
+                ps.setDate(index, java.sql.Date.valueOf(java.time.LocalDate.parse(value.substring(0, Math.min(10, value.length())))));
+                break;
+            case "time":
+                ps.setTime(index, Time.valueOf(java.time.LocalTime.parse(value)));
+                break;
+            case "timestamp":
+            case "datetime":
+                ps.setTimestamp(index, parseTimestamp(value));
+                break;
+            case "decimal":
+                ps.setBigDecimal(index, new java.math.BigDecimal(value));
+                break;
+            case "binary":
+                ps.setBytes(index, Base64.getDecoder().decode(value));
+                break;
+            default:
+                throw new IllegalArgumentException("Unsupported parameter type for parameter " + index + ": " + type);
+        }
+    }
+
+    /**
+     * Accepts ISO-8601 with or without an offset ("2024-01-31T10:00:00Z",
+     * "2024-01-31T10:00:00") as well as the SQL form "2024-01-31 10:00:00"
+     */
+    private static Timestamp parseTimestamp(String value) {
+        String iso = value.trim().replace(' ', 'T');
+        try {
+            return Timestamp.from(java.time.OffsetDateTime.parse(iso).toInstant());
+        } catch (java.time.format.DateTimeParseException e) {
+            return Timestamp.valueOf(java.time.LocalDateTime.parse(iso));
+        }
+    }
+
+    private static Map<String, Object> open() throws SQLException {
+        Connection conn = DriverManager.getConnection(jdbcUrl, user, password);
+        String connId = UUID.randomUUID().toString();
+        connections.put(connId, conn);
+        Map<String, Object> result = new LinkedHashMap<>();
+        result.put("conn", connId);
+        return result;
+    }
+
+    private static boolean close(String connId) throws SQLException {
+        Connection conn = connId == null ? null : connections.remove(connId);
+        if (conn == null) return false;
+        transactions.remove(connId);
+        isolationChanged.remove(connId);
+        conn.close();
+        return true;
+    }
+
+    private static Map<String, Object> query(Connection conn, String sql, List<Object> params,
+                                             boolean decimalsAsNumbers) throws SQLException {
+        Map<String, Object> result = new LinkedHashMap<>();
+        try (PreparedStatement ps = conn.prepareStatement(sql)) {
+            track(ps);
+            bind(ps, params);
+            try (ResultSet rs = ps.executeQuery()) {
+                ResultSetMetaData meta = rs.getMetaData();
+                List<Object> rows = new ArrayList<>();
+                while (rs.next()) {
+                    rows.add(readRow(rs, meta, decimalsAsNumbers));
+                }
+                result.put("columns", describeColumns(meta));
+                result.put("rows", rows);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Flow-control state for one streamed query. The Node side grants one
+     * credit per row batch it is ready to receive.
+     */
+    static final class StreamState {
+        final Semaphore credits;
+        volatile boolean cancelled;
+
+        StreamState(int window) {
+            credits = new Semaphore(window);
+        }
+    }
+
+    private static int intOption(Map<String, Object> request, String name, int fallback) {
+        Object value = request.get(name);
+        return value instanceof Number && ((Number) value).intValue() > 0 ? ((Number) value).intValue() : fallback;
+    }
+
+    /**
+     * Run a query and send its rows as "columns" then "rows" event frames
+     * while reading from the cursor, pausing whenever the Node side runs
+     * out of credit
+     */
+    private static Map<String, Object> stream(Object id, Connection conn, Map<String, Object> request) throws Exception {
+        int fetchSize = intOption(request, "fetchSize", 500);
+        int batchSize = intOption(request, "batchSize", 200);
+        int window = intOption(request, "window", 2);
+        boolean decimalsAsNumbers = "number".equals(request.get("decimals"));
+
+        StreamState state = new StreamState(window);
+        streams.put(id, state);
+        long rowCount = 0;
+        try (PreparedStatement ps = conn.prepareStatement((String) request.get("sql"))) {
+            track(ps);
+            ps.setFetchSize(fetchSize);
+            bind(ps, params(request));
+            try (ResultSet rs = ps.executeQuery()) {
+                ResultSetMetaData meta = rs.getMetaData();
+                Map<String, Object> columns = new LinkedHashMap<>();
+                columns.put("id", id);
+                columns.put("event", "columns");
+                columns.put("columns", describeColumns(meta));
+                send(columns);
+
+                List<Object> batch = new ArrayList<>();
+                while (rs.next()) {
+                    batch.add(readRow(rs, meta, decimalsAsNumbers));
+                    rowCount++;
+                    if (batch.size() >= batchSize) {
+                        sendBatch(id, state, batch);
+                        batch = new ArrayList<>();
+                    }
+                }
+                if (!batch.isEmpty()) sendBatch(id, state, batch);
+            }
+        } finally {
+            streams.remove(id);
+        }
+
+        Map<String, Object> result = new LinkedHashMap<>();
+        result.put("rowCount", rowCount);
+        return result;
+    }
+
+    private static void sendBatch(Object id, StreamState state, List<Object> rows) throws InterruptedException {
+        if (!state.cancelled && !state.credits.tryAcquire(STREAM_STALL_SECONDS, TimeUnit.SECONDS)) {
+            throw new IllegalStateException("Stream consumer stalled");
+        }
+        if (state.cancelled) throw new CancellationException("Stream cancelled");
+
+        Map<String, Object> frame = new LinkedHashMap<>();
+        frame.put("id", id);
+        frame.put("event", "rows");
+        frame.put("rows", rows);
+        send(frame);
+    }
+
+    /**
+     * Column descriptors sent alongside rows: name, database type name,
+     * JDBC type, precision, scale and nullability (null when unknown)
+     */
+    private static List<Object> describeColumns(ResultSetMetaData meta) throws SQLException {
+        List<Object> columns = new ArrayList<>();
+        for (int i = 1; i <= meta.getColumnCount(); i++) {
+            Map<String, Object> column = new LinkedHashMap<>();
+            column.put("name", meta.getColumnName(i));
+            column.put("type", meta.getColumnTypeName(i));
+            column.put("jdbcType", jdbcTypeName(meta.getColumnType(i)));
+            column.put("precision", meta.getPrecision(i));
+            column.put("scale", meta.getScale(i));
+            int nullable = meta.isNullable(i);
+            column.put("nullable", nullable == ResultSetMetaData.columnNullableUnknown
+                    ? null : nullable == ResultSetMetaData.columnNullable);
+            columns.add(column);
+        }
+        return columns;
+    }
+
+    private static String jdbcTypeName(int type) {
+        try {
+            return JDBCType.valueOf(type).getName();
+        } catch (IllegalArgumentException e) {
+            return "OTHER";
+        }
+    }
+
+    private static Map<String, Object> readRow(ResultSet rs, ResultSetMetaData meta,
+                                               boolean decimalsAsNumbers) throws SQLException {
+        Map<String, Object> row = new LinkedHashMap<>();
+        for (int i = 1; i <= meta.getColumnCount(); i++) {
+            row.put(meta.getColumnName(i), readValue(rs, meta, i, decimalsAsNumbers));
+        }
+        return row;
+    }
+
+    // Largest integer a JavaScript number holds exactly
+    private static final long MAX_SAFE_INTEGER = 9007199254740991L;
+
+    /**
+     * Encode one column value according to its type:
+     * integers and floats as numbers (BIGINT beyond 2^53 as a string),
+     * DECIMAL/MONEY as exact strings unless numbers were requested,
+     * DATE/DATETIME as ISO-8601, INTERVAL as a structured value,
+     * BOOLEAN as boolean and BYTE/BLOB as base64
+     */
+    private static Object readValue(ResultSet rs, ResultSetMetaData meta, int i,
+                                    boolean decimalsAsNumbers) throws SQLException {
+        String typeName = meta.getColumnTypeName(i);
+        if (typeName != null && typeName.toLowerCase().startsWith("interval")) {
+            String text = rs.getString(i);
+            if (text == null) return null;
+            try {
+                return interval(text, typeName);
+            } catch (RuntimeException e) {
+                Map<String, Object> unparsed = new LinkedHashMap<>();
+                unparsed.put("text", text.trim());
+                return unparsed;
+            }
+        }
+
+        switch (meta.getColumnType(i)) {
+            case Types.TINYINT:
+            case Types.SMALLINT:
+            case Types.INTEGER: {
+                int value = rs.getInt(i);
+                return rs.wasNull() ? null : value;
+            }
+            case Types.BIGINT: {
+                long value = rs.getLong(i);
+                if (rs.wasNull()) return null;
+                return Math.abs(value) <= MAX_SAFE_INTEGER ? (Object) value : Long.toString(value);
+            }
+            case Types.REAL:
+            case Types.FLOAT:
+            case Types.DOUBLE: {
+                double value = rs.getDouble(i);
+                return rs.wasNull() ? null : value;
+            }
+            case Types.DECIMAL:
+            case Types.NUMERIC: {
+                java.math.BigDecimal value = rs.getBigDecimal(i);
+                if (value == null) return null;
+                return decimalsAsNumbers ? (Object) value.doubleValue() : value.toPlainString();
+            }
+            case Types.BIT:
+            case Types.BOOLEAN: {
+                boolean value = rs.getBoolean(i);
+                return rs.wasNull() ? null : value;
+            }
+            case Types.DATE: {
+                java.sql.Date value = rs.getDate(i);
+                return value == null ? null : value.toLocalDate().toString();
+            }
+            case Types.TIME: {
+                Time value = rs.getTime(i);
+                return value == null ? null : value.toLocalTime().format(java.time.format.DateTimeFormatter.ISO_LOCAL_TIME);
+            }
+            case Types.TIMESTAMP: {
+                Timestamp value = rs.getTimestamp(i);
+                return value == null ? null
+                        : value.toLocalDateTime().format(java.time.format.DateTimeFormatter.ISO_LOCAL_DATE_TIME);
+            }
+            case Types.BINARY:
+            case Types.VARBINARY:
+            case Types.LONGVARBINARY:
+            case Types.BLOB: {
+                byte[] value = rs.getBytes(i);
+                return value == null ? null : Base64.getEncoder().encodeToString(value);
+            }
+            default:
+                return rs.getString(i);
+        }
+    }
+
+    private static final String[] INTERVAL_FIELDS = {"year", "month", "day", "hour", "minute", "second"};
+    private static final String[] INTERVAL_KEYS = {"years", "months", "days", "hours", "minutes", "seconds"};
+
+    /**
+     * Break an INTERVAL's text form ("-5 10:30:15.250", "2-06") into fields,
+     * using the column qualifier ("interval day(3) to second") to tell
+     * which field comes first
+     */
+    private static Map<String, Object> interval(String text, String typeName) {
+        String value = text.trim();
+        boolean negative = value.startsWith("-");
+        if (negative) value = value.substring(1).trim();
+
+        String fraction = null;
+        int dot = value.lastIndexOf('.');
+        if (dot >= 0) {
+            fraction = value.substring(dot + 1);
+            value = value.substring(0, dot);
+        }
+
+        String qualifier = typeName.toLowerCase().replaceFirst("^interval\\s*", "");
+        int start = -1;
+        for (int k = 0; k < INTERVAL_FIELDS.length; k++) {
+            if (qualifier.startsWith(INTERVAL_FIELDS[k])) {
+                start = k;
+                break;
+            }
+        }
+        if (start < 0) start = value.contains("-") ? 0 : 2;
+
+        Map<String, Object> result = new LinkedHashMap<>();
+        result.put("text", text.trim());
+        result.put("negative", negative);
+
+        String[] parts = value.isEmpty() ? new String[0] : value.split("[-: ]+");
+        StringBuilder iso = new StringBuilder(negative ? "-P" : "P");
+        boolean timeStarted = false;
+        for (int p = 0; p < parts.length && start + p < INTERVAL_KEYS.length; p++) {
+            int field = start + p;
+            if (field == 5 && fraction != null) {
+                java.math.BigDecimal seconds = new java.math.BigDecimal(parts[p] + "." + fraction);
+                result.put(INTERVAL_KEYS[field], seconds.doubleValue());
+            } else {
+                result.put(INTERVAL_KEYS[field], Long.parseLong(parts[p]));
+            }
+            if (field >= 3 && !timeStarted) {
+                iso.append('T');
+                timeStarted = true;
+            }
+            iso.append(field == 5 && fraction != null ? parts[p] + "." + fraction : parts[p]);
+            iso.append("YMDHMS".charAt(field));
+        }
+        result.put("iso", iso.toString());
+        return result;
+    }
+
+    /**
+     * Run an INSERT, UPDATE, DELETE or MERGE. With keys, the values the
+     * server generated (SERIAL, SERIAL8, BIGSERIAL) are read back through
+     * getGeneratedKeys as "generatedKeys" rows.
+     */
+    private static Map<String, Object> execute(Connection conn, String sql, List<Object> params,
+                                               boolean keys, boolean decimalsAsNumbers) throws SQLException {
+        try (PreparedStatement ps = keys
+                ? conn.prepareStatement(sql, Statement.RETURN_GENERATED_KEYS)
+                : conn.prepareStatement(sql)) {
+            track(ps);
+            bind(ps, params);
+            int rowsAffected = ps.executeUpdate();
+            Map<String, Object> result = new LinkedHashMap<>();
+            result.put("rowsAffected", rowsAffected);
+            if (keys) {
+                List<Object> generated = new ArrayList<>();
+                try (ResultSet rs = ps.getGeneratedKeys()) {
+                    if (rs != null) {
+                        ResultSetMetaData meta = rs.getMetaData();
+                        while (rs.next()) {
+                            generated.add(readRow(rs, meta, decimalsAsNumbers));
+                        }
+                    }
+                }
+                result.put("generatedKeys", generated);
+            }
+            result.put("success", true);
+            return result;
+        }
+    }
+
+    /**
+     * Run one statement for every parameter row as a single JDBC batch.
+     * A failure is reported with the zero-based index of the row that failed
+     * (see describe).
+     */
+    private static Map<String, Object> executeBatch(Connection conn, String sql,
+                                                    List<List<Object>> rows) throws SQLException {
+        try (PreparedStatement ps = conn.prepareStatement(sql)) {
+            track(ps);
+            for (List<Object> row : rows) {
+                bind(ps, row);
+                ps.addBatch();
+            }
+            int[] counts = ps.executeBatch();
+            long rowsAffected = 0;
+            for (int count : counts) {
+                // SUCCESS_NO_INFO still means the row went in
+                rowsAffected += count == Statement.SUCCESS_NO_INFO ? 1 : Math.max(count, 0);
+            }
+            Map<String, Object> result = new LinkedHashMap<>();
+            result.put("rowsAffected", rowsAffected);
+            result.put("success", true);
+            return result;
+        }
+    }
+
+    /**
+     * Run EXECUTE PROCEDURE / EXECUTE FUNCTION through a CallableStatement.
+     * Every result set the routine produces is read in full, then the OUT
+     * and INOUT parameters, each typed like a column of the same JDBC type.
+     */
+    private static Map<String, Object> call(Connection conn, String sql, List<Object> params,
+                                            List<Map<String, Object>> out,
+                                            boolean decimalsAsNumbers) throws SQLException {
+        Set<Integer> outOnly = new HashSet<>();
+        for (Map<String, Object> param : out) {
+            if ("out".equals(param.get("mode"))) outOnly.add(((Number) param.get("index")).intValue());
+        }
+
+        try (CallableStatement cs = conn.prepareCall(sql)) {
+            track(cs);
+            for (int i = 0; i < params.size(); i++) {
+                if (!outOnly.contains(i + 1)) bindValue(cs, i + 1, params.get(i));
+            }
+            for (Map<String, Object> param : out) {
+                cs.registerOutParameter(((Number) param.get("index")).intValue(),
+                        JDBCType.valueOf((String) param.get("type")).getVendorTypeNumber());
+            }
+
+            List<Object> resultSets = new ArrayList<>();
+            long rowsAffected = 0;
+            boolean isResultSet = cs.execute();
+            while (true) {
+                if (isResultSet) {
+                    try (ResultSet rs = cs.getResultSet()) {
+                        ResultSetMetaData meta = rs.getMetaData();
+                        List<Object> rows = new ArrayList<>();
+                        while (rs.next()) {
+                            rows.add(readRow(rs, meta, decimalsAsNumbers));
+                        }
+                        Map<String, Object> resultSet = new LinkedHashMap<>();
+                        resultSet.put("columns", describeColumns(meta));
+                        resultSet.put("rows", rows);
+                        resultSets.add(resultSet);
+                    }
+                } else {
+                    int count = cs.getUpdateCount();
+                    if (count == -1) break;
+                    rowsAffected += count;
+                }
+                isResultSet = cs.getMoreResults();
+            }
+
+            List<Object> outValues = new ArrayList<>();
+            for (Map<String, Object> param : out) {
+                outValues.add(readOutValue(cs, ((Number) param.get("index")).intValue(),
+                        JDBCType.valueOf((String) param.get("type")).getVendorTypeNumber(), decimalsAsNumbers));
+            }
+
+            Map<String, Object> result = new LinkedHashMap<>();
+            result.put("resultSets", resultSets);
+            result.put("out", outValues);
+            result.put("rowsAffected", rowsAffected);
+            return result;
+        }
+    }
+
+    /**
+     * Encode an OUT parameter the same way readValue encodes a column
+     */
+    private static Object readOutValue(CallableStatement cs, int i, int sqlType,
+                                       boolean decimalsAsNumbers) throws SQLException {
+        switch (sqlType) {
+            case Types.TINYINT:
+            case Types.SMALLINT:
+            case Types.INTEGER: {
+                int value = cs.getInt(i);
+                return cs.wasNull() ? null : value;
+            }
+            case Types.BIGINT: {
+                long value = cs.getLong(i);
+                if (cs.wasNull()) return null;
+                return Math.abs(value) <= MAX_SAFE_INTEGER ? (Object) value : Long.toString(value);
+            }
+            case Types.REAL:
+            case Types.FLOAT:
+            case Types.DOUBLE: {
+                double value = cs.getDouble(i);
+                return cs.wasNull() ? null : value;
+            }
+            case Types.DECIMAL:
+            case Types.NUMERIC: {
+                java.math.BigDecimal value = cs.getBigDecimal(i);
+                if (value == null) return null;
+                return decimalsAsNumbers ? (Object) value.doubleValue() : value.toPlainString();
+            }
+            case Types.BIT:
+            case Types.BOOLEAN: {
+                boolean value = cs.getBoolean(i);
+                return cs.wasNull() ? null : value;
+            }
+            case Types.DATE: {
+                java.sql.Date value = cs.getDate(i);
+                return value == null ? null : value.toLocalDate().toString();
+            }
+            case Types.TIME: {
+                Time value = cs.getTime(i);
+                return value == null ? null : value.toLocalTime().format(java.time.format.DateTimeFormatter.ISO_LOCAL_TIME);
+            }
+            case Types.TIMESTAMP: {
+                Timestamp value = cs.getTimestamp(i);
+                return value == null ? null
+                        : value.toLocalDateTime().format(java.time.format.DateTimeFormatter.ISO_LOCAL_DATE_TIME);
+            }
+            case Types.BINARY:
+            case Types.VARBINARY:
+            case Types.LONGVARBINARY:
+            case Types.BLOB: {
+                byte[] value = cs.getBytes(i);
+                return value == null ? null : Base64.getEncoder().encodeToString(value);
+            }
+            default:
+                return cs.getString(i);
+        }
+    }
+
+    /**
+     * Start a transaction: autocommit off, optionally at a given isolation level
+     */
+    private static boolean begin(String connId, Connection conn, String isolation) throws SQLException {
+        if (transactions.containsKey(connId)) {
+            throw new IllegalStateException("Transaction already in progress");
+        }
+        if (isolation != null) {
+            setIsolation(conn, isolation);
+            isolationChanged.add(connId);
+        }
+        conn.setAutoCommit(false);
+        transactions.put(connId, new ConcurrentHashMap<>());
+        return true;
+    }
+
+    /**
+     * Commit or roll back, then put the connection back into autocommit mode
+     * at the default isolation level so the pool can hand it out again
+     */
+    private static boolean endTransaction(String connId, Connection conn, boolean commit) throws SQLException {
+        if (commit) {
+            conn.commit();
+        } else {
+            conn.rollback();
+        }
+        transactions.remove(connId);
+        conn.setAutoCommit(true);
+        if (isolationChanged.remove(connId)) {
+            setIsolation(conn, "committed_read");
+        }
+        return true;
+    }
+
+    private static void setIsolation(Connection conn, String isolation) throws SQLException {
+        String clause;
+        switch (isolation) {
+            case "dirty_read": clause = "DIRTY READ"; break;
+            case "committed_read": clause = "COMMITTED READ"; break;
+            case "cursor_stability": clause = "CURSOR STABILITY"; break;
+            case "repeatable_read": clause = "REPEATABLE READ"; break;
+            default: throw new IllegalArgumentException("Unknown isolation level: " + isolation);
+        }
+        try (Statement stmt = conn.createStatement()) {
+            stmt.execute("SET ISOLATION TO " + clause);
+        }
+    }
+
+    private static Map<String, Savepoint> savepoints(String connId) {
+        Map<String, Savepoint> named = transactions.get(connId);
+        if (named == null) throw new IllegalStateException("No transaction in progress");
+        return named;
+    }
+
+    private static Savepoint namedSavepoint(String connId, String name) {
+        Savepoint savepoint = savepoints(connId).get(name);
+        if (savepoint == null) throw new IllegalArgumentException("Unknown savepoint: " + name);
+        return savepoint;
+    }
+
+    private static String savepoint(String connId, Connection conn, String name) throws SQLException {
+        if (name == null) throw new IllegalArgumentException("Savepoint name is required");
+        savepoints(connId).put(name, conn.setSavepoint(name));
+        return name;
+    }
+
+    private static String rollbackTo(String connId, Connection conn, String name) throws SQLException {
+        conn.rollback(namedSavepoint(connId, name));
+        return name;
+    }
+
+    private static String releaseSavepoint(String connId, Connection conn, String name) throws SQLException {
+        conn.releaseSavepoint(namedSavepoint(connId, name));
+        savepoints(connId).remove(name);
+        return name;
+    }
+
+    private static Map<String, Object> describe(Throwable e) {
+        Map<String, Object> error = new LinkedHashMap<>();
+        error.put("message", e.getMessage() != null ? e.getMessage() : e.toString());
+        if (e instanceof SQLException) {
+            SQLException sqlError = (SQLException) e;
+            error.put("sqlState", sqlError.getSQLState());
+            error.put("errorCode", sqlError.getErrorCode());
+        }
+        if (e instanceof BatchUpdateException) {
+            // Drivers either stop at the failing row (fewer counts than rows)
+            // or carry on and mark it EXECUTE_FAILED
+            int[] counts = ((BatchUpdateException) e).getUpdateCounts();
+            int failed = counts == null ? -1 : counts.length;
+            for (int i = 0; counts != null && i < counts.length; i++) {
+                if (counts[i] == Statement.EXECUTE_FAILED) {
+                    failed = i;
+                    break;
+                }
+            }
+            if (failed >= 0) error.put("batchIndex", failed);
+        }
+        return error;
+    }
+
+    /**
+     * Minimal JSON reader/writer so the bridge has no dependencies
+     * beyond the JDBC driver.
+     */
+    static final class Json {
+        private final String s;
+        private int pos;
+
+        private Json(String s) {
+            this.s = s;
+        }
+
+        static Object parse(String text) {
+            Json parser = new Json(text);
+            parser.skipWhitespace();
+            Object value = parser.readValue();
+            parser.skipWhitespace();
+            if (parser.pos != parser.s.length()) throw parser.error("Trailing characters");
+            return value;
+        }
+
+        private Object readValue() {
+            if (pos >= s.length()) throw error("Unexpected end of input");
+            char c = s.charAt(pos);
+            switch (c) {
+                case '{': return readObject();
+                case '[': return readArray();
+                case '"': return readString();
+                case 't': expect("true"); return Boolean.TRUE;
+                case 'f': expect("false"); return Boolean.FALSE;
+                case 'n': expect("null"); return null;
+                default: return readNumber();
+            }
+        }
+
+        private Map<String, Object> readObject() {
+            Map<String, Object> map = new LinkedHashMap<>();
+            pos++;
+            skipWhitespace();
+            if (peek() == '}') { pos++; return map; }
+            while (true) {
+                skipWhitespace();
+                if (peek() != '"') throw error("Expected string key");
+                String key = readString();
+                skipWhitespace();
+                if (peek() != ':') throw error("Expected ':'");
+                pos++;
+                skipWhitespace();
+                map.put(key, readValue());
+                skipWhitespace();
+                char c = peek();
+                pos++;
+                if (c == '}') return map;
+                if (c != ',') throw error("Expected ',' or '}'");
+            }
+        }
+
+        private List<Object> readArray() {
+            List<Object> list = new ArrayList<>();
+            pos++;
+            skipWhitespace();
+            if (peek() == ']') { pos++; return list; }
+            while (true) {
+                skipWhitespace();
+                list.add(readValue());
+                skipWhitespace();
+                char c = peek();
+                pos++;
+                if (c == ']') return list;
+                if (c != ',') throw error("Expected ',' or ']'");
+            }
+        }
+
+        private String readString() {
+            StringBuilder sb = new StringBuilder();
+            pos++;
+            while (true) {
+                if (pos >= s.length()) throw error("Unterminated string");
+                char c = s.charAt(pos++);
+                if (c == '"') return sb.toString();
+                if (c != '\\') { sb.append(c); continue; }
+                char e = s.charAt(pos++);
+                switch (e) {
+                    case '"': sb.append('"'); break;
+                    case '\\': sb.append('\\'); break;
+                    case '/': sb.append('/'); break;
+                    case 'b': sb.append('\b'); break;
+                    case 'f': sb.append('\f'); break;
+                    case 'n': sb.append('\n'); break;
+                    case 'r': sb.append('\r'); break;
+                    case 't': sb.append('\t'); break;
+                    case 'u':
+                        sb.append((char) Integer.parseInt(s.substring(pos, pos + 4), 16));
+                        pos += 4;
+                        break;
+                    default: throw error("Invalid escape");
+                }
+            }
+        }
+
+        private Object readNumber() {
+            int start = pos;
+            boolean integral = true;
+            while (pos < s.length()) {
+                char c = s.charAt(pos);
+                if (c == '.' || c == 'e' || c == 'E') integral = false;
+                else if (!(c == '-' || c == '+' || (c >= '0' && c <= '9'))) break;
+                pos++;
+            }
+            String text = s.substring(start, pos);
+            if (text.isEmpty()) throw error("Unexpected character");
+            if (integral) {
+                try {
+                    return Long.parseLong(text);
+                } catch (NumberFormatException ignored) {
+                    return new java.math.BigDecimal(text);
+                }
+            }
+            return Double.parseDouble(text);
+        }
+
+        private void expect(String word) {
+            if (!s.startsWith(word, pos)) throw error("Expected " + word);
+            pos += word.length();
+        }
+
+        private char peek() {
+            if (pos >= s.length()) throw error("Unexpected end of input");
+            return s.charAt(pos);
+        }
+
+        private void skipWhitespace() {
+            while (pos < s.length() && Character.isWhitespace(s.charAt(pos))) pos++;
+        }
+
+        private IllegalArgumentException error(String message) {
+            return new IllegalArgumentException("Invalid JSON at " + pos + ": " + message);
+        }
+
+        @SuppressWarnings("unchecked")
+        static void write(StringBuilder sb, Object value) {
+            if (value == null) {
+                sb.append("null");
+            } else if (value instanceof String) {
+                writeString(sb, (String) value);
+            } else if (value instanceof Boolean) {
+                sb.append(value.toString());
+            } else if (value instanceof java.math.BigDecimal) {
+                sb.append(((java.math.BigDecimal) value).toPlainString());
+            } else if (value instanceof Double || value instanceof Float) {
+                double d = ((Number) value).doubleValue();
+                if (Double.isNaN(d) || Double.isInfinite(d)) sb.append("null");
+                else sb.append(value.toString());
+            } else if (value instanceof Number) {
+                sb.append(value.toString());
+            } else if (value instanceof Map) {
+                sb.append('{');
+                boolean first = true;
+                for (Map.Entry<String, Object> entry : ((Map<String, Object>) value).entrySet()) {
+                    if (!first) sb.append(',');
+                    first = false;
+                    writeString(sb, entry.getKey());
+                    sb.append(':');
+                    write(sb, entry.getValue());
+                }
+                sb.append('}');
+            } else if (value instanceof Collection) {
+                sb.append('[');
+                boolean first = true;
+                for (Object item : (Collection<Object>) value) {
+                    if (!first) sb.append(',');
+                    first = false;
+                    write(sb, item);
+                }
+                sb.append(']');
+            } else {
+                writeString(sb, value.toString());
+            }
+        }
+
+        private static void writeString(StringBuilder sb, String str) {
+            sb.append('"');
+            for (int i = 0; i < str.length(); i++) {
+                char c = str.charAt(i);
+                switch (c) {
+                    case '"': sb.append("\\\""); break;
+                    case '\\': sb.append("\\\\"); break;
+                    case '\n': sb.append("\\n"); break;
+                    case '\r': sb.append("\\r"); break;
+                    case '\t': sb.append("\\t"); break;
+                    default:
+                        if (c < 0x20 || c == 0x2028 || c == 0x2029) {
+                            sb.append(String.format("\\u%04x", (int) c));
+                        } else {
+                            sb.append(c);
+                        }
+                }
+            }
+            sb.append('"');
+        }
+    }
+}
@@ -0,0 +1,384 @@
+/**
+ * JDBC Bridge Process Manager
+ * Runs InformixBridge.java as one long-lived child process and talks to it
+ * over newline-delimited JSON on stdin/stdout
+ */
+
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const BRIDGE_SOURCE = path.join(__dirname, 'InformixBridge.java');
+const BRIDGE_CLASS = 'InformixBridge';
+
+class JdbcBridge extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.jar - Path to the Informix JDBC driver jar
+   * @param {string} options.jdbcUrl - JDBC connection URL
+   * @param {string} options.user - Database user
+   * @param {string} options.password - Database password
+   * @param {number} options.startTimeout - Max time to wait for the bridge to report ready (ms)
+   * @param {number} options.restartDelay - Initial delay before restarting a crashed bridge (ms)
+   * @param {number} options.maxRestartDelay - Upper bound for the restart backoff (ms)
+   * @param {number} options.cancelGrace - Time a cancelled request may take to stop before it is abandoned (ms)
+   */
+  constructor(options) {
+    super();
+    this.jar = options.jar;
+    this.jdbcUrl = options.jdbcUrl;
+    this.user = options.user;
+    this.password = options.password;
+    this.startTimeout = options.startTimeout || 30000;
+    this.restartDelay = options.restartDelay || 1000;
+    this.maxRestartDelay = options.maxRestartDelay || 30000;
+    this.cancelGrace = options.cancelGrace || 5000;
+
+    this.process = null;
+    this.starting = null;
+    this.stopping = false;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.restarts = 0;
+    this.restartTimer = null;
+    this.currentRestartDelay = this.restartDelay;
+  }
+
+  /**
+   * Whether the bridge process is up and accepting requests
+   */
+  get isRunning() {
+    return this.process !== null && this.starting === null;
+  }
+
+  /**
+   * Compile the bridge once per source revision; the class file is cached
+   * in a temp directory keyed on the source hash
+   * @returns {Promise<string>} Directory holding the compiled class
+   */
+  async _compile() {
+    const source = fs.readFileSync(BRIDGE_SOURCE);
+    const hash = crypto.createHash('sha1').update(source).digest('hex').slice(0, 12);
+    const outDir = path.join(os.tmpdir(), `informix-bridge-${hash}`);
+
+    if (fs.existsSync(path.join(outDir, `${BRIDGE_CLASS}.class`))) {
+      return outDir;
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      const compile = spawn('javac', ['-cp', this.jar, '-d', outDir, BRIDGE_SOURCE]);
+
+      let compileErr = '';
+      compile.stderr.on('data', (d) => compileErr += d);
+
+      compile.on('error', (err) => {
+        reject(new Error(`Failed to run javac: ${err.message}`));
+      });
+
+      compile.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`Bridge compilation failed: ${compileErr}`));
+          return;
+        }
+        resolve(outDir);
+      });
+    });
+  }
+
+  /**
+   * Start the bridge process (no-op if it is already running or starting)
+   * @returns {Promise<void>}
+   */
+  start() {
+    if (this.process && !this.starting) return Promise.resolve();
+    if (!this.starting) {
+      this.stopping = false;
+      this.starting = this._spawn().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async _spawn() {
+    const classDir = await this._compile();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('java', ['-cp', `${this.jar}${path.delimiter}${classDir}`, BRIDGE_CLASS], {
+        stdio: ['pipe', 'pipe', 'pipe'],
+        env: {
+          ...process.env,
+          BRIDGE_JDBC_URL: this.jdbcUrl,
+          BRIDGE_USER: this.user,
+          BRIDGE_PASSWORD: this.password,
+        },
+      });
+
+      let settled = false;
+      const startTimer = setTimeout(() => {
+        fail(new Error('Bridge did not become ready in time'));
+        child.kill();
+      }, this.startTimeout);
+
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(startTimer);
+        reject(err);
+      };
+
+      this.process = child;
+
+      // A write racing a crash surfaces as EPIPE here; the exit handler
+      // already rejects whatever was pending
+      child.stdin.on('error', (err) => {
+        console.error('JDBC bridge stdin error:', err.message);
+      });
+
+      readline.createInterface({ input: child.stdout }).on('line', (line) => {
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch {
+          console.error('JDBC bridge sent an unreadable frame:', line);
+          return;
+        }
+
+        if (message.event === 'ready') {
+          if (!settled) {
+            settled = true;
+            clearTimeout(startTimer);
+            this.currentRestartDelay = this.restartDelay;
+            console.log('JDBC bridge ready');
+            this.emit('ready');
+            resolve();
+          }
+          return;
+        }
+
+        this._handleResponse(message);
+      });
+
+      readline.createInterface({ input: child.stderr }).on('line', (line) => {
+        console.error(`[jdbc-bridge] ${line}`);
+      });
+
+      child.on('error', (err) => {
+        if (this.process === child) {
+          this.process = null;
+        }
+        fail(new Error(`Failed to execute Java: ${err.message}`));
+      });
+
+      child.on('exit', (code, signal) => {
+        if (this.process === child) {
+          this.process = null;
+        }
+        fail(new Error(`Bridge exited during startup (code ${code}, signal ${signal})`));
+        this._onExit(code, signal);
+      });
+    });
+  }
+
+  _handleResponse(message) {
+    const entry = this.pending.get(message.id);
+    if (!entry) return;
+
+    // Intermediate frames (e.g. streamed row batches) precede the final response
+    if (message.event) {
+      if (entry.onEvent) entry.onEvent(message);
+      return;
+    }
+    this.pending.delete(message.id);
+
+    if (message.ok) {
+      // Finished before the cancel reached the statement
+      entry.resolve(message.result);
+    } else if (entry.cancelled) {
+      entry.reject(entry.cancelled);
+    } else if (message.error && message.error.timedOut) {
+      entry.reject(new CancelledError('timeout', entry.timeoutMs));
+    } else {
+      entry.reject(new BridgeError(message.error));
+    }
+  }
+
+  _onExit(code, signal) {
+    const error = new Error(`JDBC bridge exited (code ${code}, signal ${signal})`);
+    for (const entry of this.pending.values()) {
+      entry.reject(error);
+    }
+    this.pending.clear();
+    this.emit('exit', { code, signal });
+
+    if (this.stopping) return;
+
+    // Crashed: restart with exponential backoff. Requests made while the
+    // bridge is down will also trigger a start on their own.
+    console.error(`${error.message}; restarting in ${this.currentRestartDelay}ms`);
+    const delay = this.currentRestartDelay;
+    this.currentRestartDelay = Math.min(this.currentRestartDelay * 2, this.maxRestartDelay);
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.restarts++;
+      this.start().catch((err) => {
+        console.error('Failed to restart JDBC bridge:', err.message);
+      });
+    }, delay);
+    this.restartTimer.unref();
+  }
+
+  /**
+   * Send a request to the bridge and wait for its response
+   * @param {string} op - Operation name
+   * @param {Object} payload - Operation arguments
+   * @param {Function} onEvent - Receives intermediate frames sent before the response
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement when aborted
+   * @returns {Promise<*>} Operation result
+   * @throws {CancelledError} When the request timed out or was cancelled; its
+   *   abandoned flag is set if the bridge did not stop it within cancelGrace
+   */
+  async request(op, payload = {}, onEvent = null, options = {}) {
+    if (this.stopping) {
+      throw new Error('JDBC bridge is stopped');
+    }
+    const { signal, timeoutMs } = options;
+    if (signal && signal.aborted) {
+      throw new CancelledError(signal.reason);
+    }
+    await this.start();
+
+    const id = this.nextId++;
+    const frame = JSON.stringify(timeoutMs ? { ...payload, timeoutMs, id, op } : { ...payload, id, op }) + '\n';
+
+    return new Promise((resolve, reject) => {
+      const entry = { onEvent, timeoutMs, cancelled: null, timers: [] };
+      const done = () => {
+        entry.timers.forEach(timer => clearTimeout(timer));
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      entry.resolve = (result) => {
+        done();
+        resolve(result);
+      };
+      entry.reject = (error) => {
+        done();
+        reject(error);
+      };
+
+      // Ask the bridge to stop the statement; if it does not answer in time
+      // the caller gets the error anyway and the connection is given up
+      const cancel = (reason) => {
+        if (entry.cancelled || this.pending.get(id) !== entry) return;
+        entry.cancelled = new CancelledError(reason, timeoutMs);
+        this.notify('cancel', { target: id });
+        entry.timers.push(setTimeout(() => {
+          if (this.pending.get(id) !== entry) return;
+          this.pending.delete(id);
+          entry.cancelled.abandoned = true;
+          entry.reject(entry.cancelled);
+        }, this.cancelGrace));
+      };
+      const onAbort = () => cancel(signal.reason);
+
+      if (timeoutMs) entry.timers.push(setTimeout(() => cancel('timeout'), timeoutMs));
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      this.pending.set(id, entry);
+      this.process.stdin.write(frame, (err) => {
+        if (err && this.pending.get(id) === entry) {
+          this.pending.delete(id);
+          entry.reject(new Error(`Failed to write to JDBC bridge: ${err.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a control frame that gets no response (stream credit, cancellation).
+   * Dropped silently when the bridge is not running.
+   * @param {string} op - Control operation name
+   * @param {Object} payload - Operation arguments
+   */
+  notify(op, payload = {}) {
+    if (!this.isRunning) return;
+    this.process.stdin.write(JSON.stringify({ ...payload, op }) + '\n');
+  }
+
+  /**
+   * Stop the bridge; closing stdin lets it close its connections and exit
+   * @param {number} graceMs - Time to wait before killing the process
+   */
+  async stop(graceMs = 5000) {
+    this.stopping = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    const child = this.process;
+    if (!child) return;
+
+    await new Promise((resolve) => {
+      const killTimer = setTimeout(() => child.kill('SIGKILL'), graceMs);
+      child.once('exit', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+      child.stdin.end();
+    });
+  }
+
+  getStats() {
+    return {
+      running: this.isRunning,
+      pid: this.process ? this.process.pid : null,
+      pendingRequests: this.pending.size,
+      restarts: this.restarts,
+    };
+  }
+}
+
+/**
+ * Error reported by the bridge for a failed operation
+ */
+class BridgeError extends Error {
+  constructor(error = {}) {
+    super(error.message || 'Bridge request failed');
+    this.name = 'BridgeError';
+    this.sqlState = error.sqlState;
+    this.errorCode = error.errorCode;
+    // Zero-based row index of the failure, for "executeBatch"
+    this.batchIndex = error.batchIndex;
+  }
+}
+
+/**
+ * A request stopped before it finished: its timeout passed ('timeout') or
+ * its caller went away ('cancelled')
+ */
+class CancelledError extends Error {
+  /**
+   * @param {string} reason - 'timeout', or anything else for a cancellation
+   * @param {number} timeoutMs - The timeout that passed
+   */
+  constructor(reason, timeoutMs = undefined) {
+    const timedOut = reason === 'timeout';
+    super(timedOut
+      ? `Statement cancelled after exceeding its ${timeoutMs ? `${timeoutMs}ms ` : ''}timeout`
+      : 'Statement cancelled because the request was abandoned');
+    this.name = 'CancelledError';
+    this.code = timedOut ? 'QUERY_TIMEOUT' : 'QUERY_CANCELLED';
+    // The bridge may still be running the statement; its connection must not be reused
+    this.abandoned = false;
+  }
+}
+
+module.exports = { JdbcBridge, BridgeError, CancelledError };
@@ -0,0 +1,160 @@
+/**
+ * Informix catalog type decoding
+ * Turns syscolumns.coltype / collength into a type name, nullability,
+ * length, precision/scale and DATETIME/INTERVAL qualifiers
+ */
+
+// syscolumns.coltype base codes (the low byte)
+const COLTYPES = {
+  0: 'CHAR',
+  1: 'SMALLINT',
+  2: 'INTEGER',
+  3: 'FLOAT',
+  4: 'SMALLFLOAT',
+  5: 'DECIMAL',
+  6: 'SERIAL',
+  7: 'DATE',
+  8: 'MONEY',
+  9: 'NULL',
+  10: 'DATETIME',
+  11: 'BYTE',
+  12: 'TEXT',
+  13: 'VARCHAR',
+  14: 'INTERVAL',
+  15: 'NCHAR',
+  16: 'NVARCHAR',
+  17: 'INT8',
+  18: 'SERIAL8',
+  19: 'SET',
+  20: 'MULTISET',
+  21: 'LIST',
+  22: 'ROW',
+  23: 'COLLECTION',
+  40: 'LVARCHAR',
+  41: 'OPAQUE',
+  43: 'LVARCHAR',
+  45: 'BOOLEAN',
+  52: 'BIGINT',
+  53: 'BIGSERIAL'
+};
+
+// Set on coltype when the column is NOT NULL
+const NOT_NULL_FLAG = 0x100;
+
+const SERIAL_TYPES = ['SERIAL', 'SERIAL8', 'BIGSERIAL'];
+
+// DATETIME / INTERVAL qualifier field codes
+const QUALIFIER_FIELDS = {
+  0: 'year',
+  2: 'month',
+  4: 'day',
+  6: 'hour',
+  8: 'minute',
+  10: 'second'
+};
+
+function qualifierField(code) {
+  if (QUALIFIER_FIELDS[code]) return QUALIFIER_FIELDS[code];
+  if (code >= 11 && code <= 15) return `fraction(${code - 10})`;
+  return null;
+}
+
+/**
+ * Decode a DATETIME or INTERVAL collength: (length << 8) | (first << 4) | last
+ * @returns {{qualifier: string, first: string, last: string, leadingPrecision?: number}}
+ */
+function decodeQualifier(collength, interval) {
+  const length = collength >> 8;
+  const firstCode = (collength >> 4) & 0x0f;
+  const lastCode = collength & 0x0f;
+  const first = qualifierField(firstCode);
+  const last = qualifierField(lastCode);
+
+  if (!interval) {
+    return { qualifier: `${first} to ${last}`, first, last };
+  }
+  // The leading field can be wider than its usual two digits: day(3) to second
+  const leadingPrecision = length - (lastCode - firstCode);
+  const lead = first && first.startsWith('fraction') ? first : `${first}(${leadingPrecision})`;
+  return { qualifier: `${lead} to ${last}`, first, last, leadingPrecision };
+}
+
+/**
+ * Decode one syscolumns row
+ * @param {Object} row
+ * @param {string} row.colname
+ * @param {number} row.coltype
+ * @param {number} row.collength
+ * @param {string} [row.xtdname] - sysxtdtypes.name for opaque/extended types
+ * @returns {{name: string, type: string, sqlType: string, nullable: boolean,
+ *   serial: boolean, length: ?number, minLength: ?number, precision: ?number,
+ *   scale: ?number, qualifier: ?string}}
+ */
+function decodeColumn(row) {
+  const coltype = Number(row.coltype);
+  const collength = Number(row.collength);
+  const base = coltype & 0xff;
+  let type = COLTYPES[base] || `UNKNOWN(${base})`;
+  if ((base === 40 || base === 41) && row.xtdname) {
+    type = String(row.xtdname).trim().toUpperCase();
+  }
+
+  const column = {
+    name: String(row.colname).trim(),
+    type,
+    sqlType: type,
+    nullable: (coltype & NOT_NULL_FLAG) === 0,
+    serial: SERIAL_TYPES.includes(type),
+    length: null,
+    minLength: null,
+    precision: null,
+    scale: null,
+    qualifier: null
+  };
+
+  switch (type) {
+    case 'CHAR':
+    case 'NCHAR':
+    case 'LVARCHAR':
+      column.length = collength;
+      column.sqlType = `${type}(${collength})`;
+      break;
+    case 'VARCHAR':
+    case 'NVARCHAR':
+      column.length = collength & 0xff;
+      column.minLength = collength >> 8;
+      column.sqlType = column.minLength
+        ? `${type}(${column.length},${column.minLength})`
+        : `${type}(${column.length})`;
+      break;
+    case 'DECIMAL':
+    case 'MONEY': {
+      column.precision = collength >> 8;
+      const scale = collength & 0xff;
+      // Scale 255 is a floating-point DECIMAL(p)
+      column.scale = scale === 0xff ? null : scale;
+      column.sqlType = column.scale === null
+        ? `${type}(${column.precision})`
+        : `${type}(${column.precision},${column.scale})`;
+      break;
+    }
+    case 'DATETIME':
+    case 'INTERVAL': {
+      const { qualifier } = decodeQualifier(collength, type === 'INTERVAL');
+      column.qualifier = qualifier;
+      column.sqlType = `${type} ${qualifier}`.toUpperCase();
+      break;
+    }
+    default:
+      break;
+  }
+
+  return column;
+}
+
+module.exports = {
+  COLTYPES,
+  SERIAL_TYPES,
+  decodeColumn,
+  decodeQualifier,
+};
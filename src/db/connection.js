@@ -1,20 +1,29 @@
 /**
  * Informix Database Connection Manager
- * Uses JDBC via Java subprocess for maximum compatibility
+ * Uses JDBC via a persistent Java bridge process for maximum compatibility
  */
 
-const { spawn, execSync } = require('child_process');
+const { execSync } = require('child_process');
 const path = require('path');
-const crypto = require('crypto');
 const { config } = require('../config/database');
+const { JdbcBridge, CancelledError } = require('./bridge');
+const { ConnectionPool } = require('./pool');
+const { encodeParams } = require('./params');
+const { Transaction, normalizeIsolation } = require('./transaction');
+const { QueryStream } = require('./stream');
 
 // Path to JDBC driver
 const JDBC_JAR = process.env.INFORMIX_JDBC_JAR || path.join(__dirname, '../../lib/ifxjdbc.jar');
 
+// Cheap statement used to check that a connection is alive
+const PROBE_SQL = 'SELECT FIRST 1 1 FROM systables';
+
 class InformixConnection {
   constructor() {
     this.isInitialized = false;
     this.jdbcUrl = null;
+    this.bridge = null;
+    this.pool = null;
   }
 
   /**
@@ -45,6 +54,32 @@ class InformixConnection {
         throw new Error('Java is not installed or not in PATH');
       }
 
+      this.bridge = new JdbcBridge({
+        jar: JDBC_JAR,
+        jdbcUrl: this.jdbcUrl,
+        user: config.user,
+        password: config.password,
+        ...config.bridge,
+      });
+
+      const pool = new ConnectionPool({
+        ...config.pool,
+        create: async () => (await this.bridge.request('open')).conn,
+        destroy: (conn) => this.bridge.request('close', { conn }),
+        validate: (conn) => this.probe(conn),
+      });
+      this.pool = pool;
+
+      // Connection handles die with the bridge process; reopen the
+      // minimum once a restarted bridge is ready
+      this.bridge.on('exit', () => pool.reset());
+      this.bridge.on('ready', () => {
+        if (this.isInitialized) pool.fill();
+      });
+
+      await this.bridge.start();
+      await this.pool.start();
+
       // Test the connection
       await this.testConnection();
 
@@ -52,6 +87,14 @@ class InformixConnection {
       console.log('Informix JDBC connection initialized successfully');
     } catch (error) {
       console.error('Failed to initialize database connection:', error.message);
+      if (this.pool) {
+        await this.pool.close();
+        this.pool = null;
+      }
+      if (this.bridge) {
+        await this.bridge.stop();
+        this.bridge = null;
+      }
       throw error;
     }
   }
@@ -62,7 +105,7 @@ class InformixConnection {
    */
   async testConnection() {
     try {
-      await this.simpleQuery('SELECT FIRST 1 1 FROM systables');
+      await this.simpleQuery(PROBE_SQL);
       return true;
     } catch (error) {
       throw new Error(`Connection test failed: ${error.message}`);
@@ -70,251 +113,142 @@ class InformixConnection {
   }
 
   /**
-   * Execute a query via Java JDBC
-   * @param {string} sql - SQL query string
-   * @param {Array} params - Query parameters (not used in this simple implementation)
-   * @returns {Promise<Array>} Query results
+   * Run the connection test probe on a specific connection handle
+   * @param {string} conn - Connection handle
+   * @returns {Promise<boolean>}
    */
-  async query(sql, params = []) {
-    return new Promise((resolve, reject) => {
-      const javaCode = this.generateJavaQueryCode(sql, params);
-      
-      const java = spawn('java', [
-        '-cp', JDBC_JAR,
-        'InformixQuery',
-      ], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      // Send the Java code via stdin
-      java.stdin.write(javaCode);
-      java.stdin.end();
-
-      let stdout = '';
-      let stderr = '';
-
-      java.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
-
-      java.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
-
-      java.on('close', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Query failed: ${stderr || 'Unknown error'}`));
-          return;
-        }
-
-        try {
-          const results = JSON.parse(stdout || '[]');
-          resolve(results);
-        } catch {
-          resolve([]);
-        }
-      });
-
-      java.on('error', (err) => {
-        reject(new Error(`Failed to execute Java: ${err.message}`));
-      });
-    });
+  async probe(conn) {
+    await this.bridge.request('query', { conn, sql: PROBE_SQL });
+    return true;
   }
 
   /**
-   * Execute query using inline Java with jshell
+   * Run a bridge operation on a connection borrowed from the pool
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement (or the wait for a connection) when aborted
    */
-  async queryWithJshell(sql) {
-    return new Promise((resolve, reject) => {
-      const { user, password } = config;
-      
-      const script = `
-        import java.sql.*;
-        import java.util.*;
-        
-        try {
-          Class.forName("com.informix.jdbc.IfxDriver");
-          Connection conn = DriverManager.getConnection(
-            "${this.jdbcUrl}",
-            "${user}",
-            "${password}"
-          );
-          Statement stmt = conn.createStatement();
-          ResultSet rs = stmt.executeQuery("${sql.replace(/"/g, '\\"')}");
-          ResultSetMetaData meta = rs.getMetaData();
-          int cols = meta.getColumnCount();
-          StringBuilder sb = new StringBuilder("[");
-          boolean first = true;
-          while (rs.next()) {
-            if (!first) sb.append(",");
-            first = false;
-            sb.append("{");
-            for (int i = 1; i <= cols; i++) {
-              if (i > 1) sb.append(",");
-              String name = meta.getColumnName(i);
-              String val = rs.getString(i);
-              sb.append("\\"").append(name).append("\\":\\"").append(val != null ? val : "").append("\\"");
-            }
-            sb.append("}");
-          }
-          sb.append("]");
-          System.out.println(sb.toString());
-          rs.close();
-          stmt.close();
-          conn.close();
-        } catch (Exception e) {
-          System.err.println(e.getMessage());
-          System.exit(1);
-        }
-        /exit
-      `;
-
-      const jshell = spawn('jshell', ['--class-path', JDBC_JAR], {
-        stdio: ['pipe', 'pipe', 'pipe'],
-      });
-
-      jshell.stdin.write(script);
-      jshell.stdin.end();
-
-      let stdout = '';
-      let stderr = '';
-
-      jshell.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+  async _withConnection(op, payload, options = {}) {
+    if (!this.pool) {
+      throw new Error('Database connection is not initialized');
+    }
+    const { signal, timeoutMs } = options;
+    const conn = await this.pool.acquire({ signal, onAbort: reason => new CancelledError(reason) });
+    let healthy = true;
+    try {
+      return await this.bridge.request(op, { ...payload, conn }, null, { signal, timeoutMs });
+    } catch (error) {
+      // A statement that would not stop still holds the connection; close it
+      if (error instanceof CancelledError && error.abandoned) healthy = false;
+      throw error;
+    } finally {
+      if (healthy) {
+        this.pool.release(conn);
+      } else {
+        this.pool.destroy(conn);
+      }
+    }
+  }
 
-      jshell.stderr.on('data', (data) => {
-        stderr += data.toString();
-      });
+  /**
+   * Execute a query via the JDBC bridge
+   * @param {string} sql - SQL query string with "?" placeholders
+   * @param {Array} params - Values bound to the placeholders in order
+   * @param {Object} options - See queryWithMetadata
+   * @returns {Promise<Array>} Query results
+   */
+  async query(sql, params = [], options = {}) {
+    const { rows } = await this.queryWithMetadata(sql, params, options);
+    return rows;
+  }
 
-      jshell.on('close', (code) => {
-        // Extract JSON from jshell output
-        const jsonMatch = stdout.match(/\[.*\]/s);
-        if (jsonMatch) {
-          try {
-            resolve(JSON.parse(jsonMatch[0]));
-          } catch {
-            reject(new Error('Failed to parse results'));
-          }
-        } else if (code !== 0) {
-          reject(new Error(stderr || 'Query failed'));
-        } else {
-          resolve([]);
-        }
-      });
-    });
+  /**
+   * Execute a query and return its rows together with column descriptors
+   * @param {string} sql - SQL query string with "?" placeholders
+   * @param {Array} params - Values bound to the placeholders in order
+   * @param {Object} options
+   * @param {string} options.decimals - 'string' (exact) or 'number' for DECIMAL/MONEY values
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement when aborted
+   * @returns {Promise<{rows: Array, columns: Array}>}
+   */
+  async queryWithMetadata(sql, params = [], options = {}) {
+    return this._withConnection('query', {
+      sql,
+      params: encodeParams(params),
+      decimals: options.decimals || config.results.decimals,
+    }, options);
   }
 
   /**
-   * Simple query execution - creates a temp Java file and runs it
+   * Simple query execution without parameters
    */
   async simpleQuery(sql) {
-    const fs = require('fs');
-    const os = require('os');
-    const { user, password } = config;
-    
-    // Use unique identifier to prevent race conditions with concurrent requests
-    const uniqueId = crypto.randomUUID().replace(/-/g, '');
-    const className = `InformixQuery_${uniqueId}`;
-    const tempDir = os.tmpdir();
-    const javaFile = path.join(tempDir, `${className}.java`);
-    const escapedSql = sql.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-    
-    const javaCode = `
-import java.sql.*;
-
-public class ${className} {
-    public static void main(String[] args) {
-        try {
-            Class.forName("com.informix.jdbc.IfxDriver");
-            Connection conn = DriverManager.getConnection(
-                "${this.jdbcUrl}",
-                "${user}",
-                "${password}"
-            );
-            Statement stmt = conn.createStatement();
-            ResultSet rs = stmt.executeQuery("${escapedSql}");
-            ResultSetMetaData meta = rs.getMetaData();
-            int cols = meta.getColumnCount();
-            StringBuilder sb = new StringBuilder("[");
-            boolean first = true;
-            while (rs.next()) {
-                if (!first) sb.append(",");
-                first = false;
-                sb.append("{");
-                for (int i = 1; i <= cols; i++) {
-                    if (i > 1) sb.append(",");
-                    String name = meta.getColumnName(i);
-                    String val = rs.getString(i);
-                    sb.append("\\"").append(name).append("\\":");
-                    if (val == null) {
-                        sb.append("null");
-                    } else {
-                        sb.append("\\"").append(val.replace("\\\\", "\\\\\\\\").replace("\\"", "\\\\\\"")).append("\\"");
-                    }
-                }
-                sb.append("}");
-            }
-            sb.append("]");
-            System.out.println(sb.toString());
-            rs.close();
-            stmt.close();
-            conn.close();
-        } catch (Exception e) {
-            System.err.println("ERROR: " + e.getMessage());
-            System.exit(1);
-        }
+    return this.query(sql);
+  }
+
+  /**
+   * Stream a query's rows from the JDBC cursor. Resolves once the query has
+   * started and its columns are known; the pooled connection is held until
+   * the stream ends, fails or is destroyed.
+   * @param {string} sql - SQL query string with "?" placeholders
+   * @param {Array} params - Values bound to the placeholders in order
+   * @param {Object} options
+   * @param {number} options.fetchSize - JDBC fetch size (rows per round-trip to the server)
+   * @param {number} options.batchSize - Rows per frame sent from the bridge
+   * @param {string} options.decimals - 'string' (exact) or 'number' for DECIMAL/MONEY values
+   * @param {AbortSignal} options.signal - Cancels the query when aborted
+   * @returns {Promise<{columns: Array, rows: QueryStream}>}
+   */
+  async stream(sql, params = [], options = {}) {
+    if (!this.pool) {
+      throw new Error('Database connection is not initialized');
     }
-}
-`;
-    
-    fs.writeFileSync(javaFile, javaCode);
-    
+    const encoded = encodeParams(params);
+    const batchSize = options.batchSize || config.streaming.batchSize;
+    const pool = this.pool;
+    const conn = await pool.acquire({ signal: options.signal, onAbort: reason => new CancelledError(reason) });
+    const rows = new QueryStream(this.bridge, batchSize);
+
     return new Promise((resolve, reject) => {
-      // Compile
-      const compile = spawn('javac', ['-cp', JDBC_JAR, javaFile], {
-        cwd: tempDir,
-      });
-      
-      let compileErr = '';
-      compile.stderr.on('data', (d) => compileErr += d);
-      
-      compile.on('close', (code) => {
-        if (code !== 0) {
-          // Cleanup on compile error
-          try { fs.unlinkSync(javaFile); } catch {}
-          reject(new Error(`Compilation failed: ${compileErr}`));
-          return;
+      let started = false;
+
+      const onEvent = (event) => {
+        rows.requestId = event.id;
+        if (event.event === 'columns') {
+          started = true;
+          resolve({ columns: event.columns, rows });
+        } else if (event.event === 'rows') {
+          rows.pushBatch(event.rows);
         }
-        
-        // Run
-        const run = spawn('java', ['-cp', `${JDBC_JAR}${path.delimiter}${tempDir}`, className]);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        run.stdout.on('data', (d) => stdout += d);
-        run.stderr.on('data', (d) => stderr += d);
-        
-        run.on('close', (code) => {
-          // Cleanup
-          try {
-            fs.unlinkSync(javaFile);
-            fs.unlinkSync(path.join(tempDir, `${className}.class`));
-          } catch {}
-          
-          if (code !== 0 || stderr.includes('ERROR:')) {
-            reject(new Error(stderr || 'Query failed'));
-            return;
+      };
+
+      this.bridge.request('stream', {
+        conn,
+        sql,
+        params: encoded,
+        fetchSize: options.fetchSize || config.streaming.fetchSize,
+        batchSize,
+        window: config.streaming.window,
+        decimals: options.decimals || config.results.decimals,
+      }, onEvent, { signal: options.signal }).then(
+        () => {
+          rows.finish();
+          pool.release(conn);
+        },
+        (error) => {
+          if (started) {
+            rows.fail(error);
+          } else {
+            reject(error);
           }
-          
-          try {
-            resolve(JSON.parse(stdout.trim() || '[]'));
-          } catch {
-            reject(new Error('Failed to parse results'));
+          if (error instanceof CancelledError && error.abandoned) {
+            pool.destroy(conn);
+          } else {
+            pool.release(conn);
           }
-        });
-      });
+        }
+      );
     });
   }
 
@@ -322,109 +256,125 @@ public class ${className} {
    * Execute a query and return a single row
    */
   async queryOne(sql, params = []) {
-    const results = await this.simpleQuery(sql);
+    const results = await this.query(sql, params);
     return results.length > 0 ? results[0] : null;
   }
 
   /**
    * Execute an INSERT, UPDATE, or DELETE statement
+   * @param {string} sql - SQL statement with "?" placeholders
+   * @param {Array} params - Values bound to the placeholders in order
+   * @param {Object} options
+   * @param {boolean} options.generatedKeys - Read back the SERIAL / SERIAL8 / BIGSERIAL values an INSERT generated
+   * @param {string} options.decimals - 'string' (exact) or 'number' for DECIMAL generated keys
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement when aborted
+   * @returns {Promise<{rowsAffected: number, generatedKeys?: Array<Object>}>}
    */
-  async execute(sql, params = []) {
-    const fs = require('fs');
-    const os = require('os');
-    const { user, password } = config;
-    
-    // Use unique identifier to prevent race conditions with concurrent requests
-    const uniqueId = crypto.randomUUID().replace(/-/g, '');
-    const className = `InformixExecute_${uniqueId}`;
-    const tempDir = os.tmpdir();
-    const javaFile = path.join(tempDir, `${className}.java`);
-    const escapedSql = sql.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-    
-    const javaCode = `
-import java.sql.*;
-
-public class ${className} {
-    public static void main(String[] args) {
-        try {
-            Class.forName("com.informix.jdbc.IfxDriver");
-            Connection conn = DriverManager.getConnection(
-                "${this.jdbcUrl}",
-                "${user}",
-                "${password}"
-            );
-            Statement stmt = conn.createStatement();
-            int rowsAffected = stmt.executeUpdate("${escapedSql}");
-            System.out.println("{\\"rowsAffected\\":" + rowsAffected + ",\\"success\\":true}");
-            stmt.close();
-            conn.close();
-        } catch (Exception e) {
-            System.err.println("ERROR: " + e.getMessage());
-            System.exit(1);
-        }
+  async execute(sql, params = [], options = {}) {
+    return this._withConnection('execute', {
+      sql,
+      params: encodeParams(params),
+      keys: Boolean(options.generatedKeys),
+      decimals: options.decimals || config.results.decimals,
+    }, options);
+  }
+
+  /**
+   * Call a stored procedure or function through a JDBC CallableStatement
+   * @param {string} sql - EXECUTE PROCEDURE / EXECUTE FUNCTION with "?" placeholders
+   * @param {Array} params - Values bound to the placeholders in order (ignored for OUT parameters)
+   * @param {Array<Object>} out - OUT / INOUT parameters: { index (1-based), type (JDBC type name), mode: 'out' | 'inout' }
+   * @param {Object} options
+   * @param {string} options.decimals - 'string' (exact) or 'number' for DECIMAL/MONEY values
+   * @param {number} options.timeoutMs - Cancel the call after this long
+   * @param {AbortSignal} options.signal - Cancels the call when aborted
+   * @returns {Promise<{resultSets: Array<{columns: Array, rows: Array}>, out: Array, rowsAffected: number}>}
+   *   out holds the OUT / INOUT values in the order they were declared
+   */
+  async call(sql, params = [], out = [], options = {}) {
+    return this._withConnection('call', {
+      sql,
+      params: encodeParams(params),
+      out,
+      decimals: options.decimals || config.results.decimals,
+    }, options);
+  }
+
+  /**
+   * Start a transaction on a connection pinned from the pool. The connection
+   * returns to the pool when the transaction commits or rolls back.
+   * @param {Object} options
+   * @param {string} options.isolation - dirty_read, committed_read, cursor_stability or repeatable_read
+   * @param {AbortSignal} options.signal - Stops waiting for a connection when aborted
+   * @returns {Promise<Transaction>}
+   */
+  async beginTransaction(options = {}) {
+    if (!this.pool) {
+      throw new Error('Database connection is not initialized');
     }
-}
-`;
-    
-    fs.writeFileSync(javaFile, javaCode);
-    
-    return new Promise((resolve, reject) => {
-      // Compile
-      const compile = spawn('javac', ['-cp', JDBC_JAR, javaFile], {
-        cwd: tempDir,
-      });
-      
-      let compileErr = '';
-      compile.stderr.on('data', (d) => compileErr += d);
-      
-      compile.on('close', (code) => {
-        if (code !== 0) {
-          // Cleanup on compile error
-          try { fs.unlinkSync(javaFile); } catch {}
-          reject(new Error(`Compilation failed: ${compileErr}`));
-          return;
-        }
-        
-        // Run
-        const run = spawn('java', ['-cp', `${JDBC_JAR}${path.delimiter}${tempDir}`, className]);
-        
-        let stdout = '';
-        let stderr = '';
-        
-        run.stdout.on('data', (d) => stdout += d);
-        run.stderr.on('data', (d) => stderr += d);
-        
-        run.on('close', (code) => {
-          // Cleanup
-          try {
-            fs.unlinkSync(javaFile);
-            fs.unlinkSync(path.join(tempDir, `${className}.class`));
-          } catch {}
-          
-          if (code !== 0 || stderr.includes('ERROR:')) {
-            reject(new Error(stderr || 'Execute failed'));
-            return;
-          }
-          
-          try {
-            resolve(JSON.parse(stdout.trim() || '{"rowsAffected":0,"success":true}'));
-          } catch {
-            resolve({ rowsAffected: 0, success: true });
-          }
-        });
-      });
+    const isolation = normalizeIsolation(options.isolation);
+    const pool = this.pool;
+    const conn = await pool.acquire({ signal: options.signal, onAbort: reason => new CancelledError(reason) });
+    const tx = new Transaction(this.bridge, conn, (handle, healthy) => {
+      if (healthy) {
+        pool.release(handle);
+      } else {
+        pool.destroy(handle);
+      }
     });
+
+    try {
+      await tx.begin(isolation);
+    } catch (error) {
+      pool.destroy(conn);
+      throw error;
+    }
+    return tx;
   }
 
-  generateJavaQueryCode(sql, params) {
-    // This would generate inline Java for the query
-    return '';
+  /**
+   * Run a function inside a transaction: commit when it resolves,
+   * roll back when it throws
+   * @param {Function} work - async (tx) => result
+   * @param {Object} options - See beginTransaction
+   */
+  async transaction(work, options = {}) {
+    const tx = await this.beginTransaction(options);
+    try {
+      const result = await work(tx);
+      await tx.commit();
+      return result;
+    } catch (error) {
+      await tx.rollback().catch((rollbackError) => {
+        console.error('Rollback failed:', rollbackError.message);
+      });
+      throw error;
+    }
   }
 
   /**
-   * Close connection (no-op for JDBC subprocess approach)
+   * Bridge process and pool statistics
+   */
+  getStats() {
+    return {
+      bridge: this.bridge ? this.bridge.getStats() : { running: false },
+      pool: this.pool ? this.pool.getStats() : null,
+    };
+  }
+
+  /**
+   * Close the pool and stop the bridge process
    */
   async close() {
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+    }
+    if (this.bridge) {
+      await this.bridge.stop();
+      this.bridge = null;
+    }
     this.isInitialized = false;
     console.log('Connection closed');
   }
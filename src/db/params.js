@@ -0,0 +1,76 @@
+/**
+ * Statement parameter encoding
+ * Converts JavaScript values into the JSON form the JDBC bridge binds
+ * to "?" placeholders
+ */
+
+// Types the bridge knows how to bind from a { $type, value } tag
+const TAGGED_TYPES = ['date', 'time', 'timestamp', 'datetime', 'decimal', 'binary'];
+
+/**
+ * Encode a single parameter value
+ * - string, number, boolean, null: sent as-is
+ * - Date: timestamp
+ * - Buffer / Uint8Array: binary (base64)
+ * - bigint: decimal (exact)
+ * - { $type, value }: passed through after checking the type
+ * @param {*} value
+ * @param {number} index - Zero-based position, used in error messages
+ * @returns {*} JSON-safe value
+ */
+function encodeParam(value, index = 0) {
+  if (value === null || value === undefined) return null;
+
+  switch (typeof value) {
+    case 'string':
+    case 'boolean':
+      return value;
+    case 'number':
+      if (!Number.isFinite(value)) {
+        throw new TypeError(`Parameter ${index + 1} is not a finite number`);
+      }
+      return value;
+    case 'bigint':
+      return { $type: 'decimal', value: value.toString() };
+    default:
+      break;
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) {
+      throw new TypeError(`Parameter ${index + 1} is an invalid date`);
+    }
+    return { $type: 'timestamp', value: value.toISOString() };
+  }
+
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+    return { $type: 'binary', value: Buffer.from(value).toString('base64') };
+  }
+
+  if (typeof value === 'object' && typeof value.$type === 'string') {
+    if (!TAGGED_TYPES.includes(value.$type)) {
+      throw new TypeError(`Parameter ${index + 1} has unsupported type "${value.$type}"`);
+    }
+    return { $type: value.$type, value: value.value === undefined ? null : String(value.value) };
+  }
+
+  throw new TypeError(`Parameter ${index + 1} has an unsupported value`);
+}
+
+/**
+ * Encode a parameter list
+ * @param {Array} params
+ * @returns {Array}
+ */
+function encodeParams(params = []) {
+  if (!Array.isArray(params)) {
+    throw new TypeError('Parameters must be an array');
+  }
+  return params.map(encodeParam);
+}
+
+module.exports = {
+  TAGGED_TYPES,
+  encodeParam,
+  encodeParams,
+};
@@ -0,0 +1,322 @@
+/**
+ * Connection Pool
+ * Keeps bridge connection handles open between statements, bounded by
+ * min/max sizes, with idle eviction, checkout validation and a FIFO wait queue
+ */
+
+class ConnectionPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.create - Opens a connection, resolves to its handle
+   * @param {Function} options.destroy - Closes a connection handle
+   * @param {Function} options.validate - Probes a handle; rejects or resolves false when broken
+   * @param {number} options.min - Connections kept open even when idle
+   * @param {number} options.max - Upper bound on open connections
+   * @param {number} options.idleTimeout - Idle time before a connection above min is closed (ms)
+   * @param {number} options.acquireTimeout - Max time a caller waits for a connection (ms)
+   * @param {boolean} options.validateOnCheckout - Probe connections before handing them out
+   */
+  constructor(options) {
+    this.create = options.create;
+    this.destroyConnection = options.destroy;
+    this.validate = options.validate;
+    this.min = options.min;
+    this.max = Math.max(options.max, 1);
+    this.idleTimeout = options.idleTimeout;
+    this.acquireTimeout = options.acquireTimeout;
+    this.validateOnCheckout = options.validateOnCheckout !== false;
+    this.evictionInterval = options.evictionInterval || Math.max(Math.floor(this.idleTimeout / 2), 1000);
+
+    this.idle = [];
+    this.inUse = new Set();
+    this.waiters = [];
+    this.pendingCreates = 0;
+    this.evictionTimer = null;
+    this.closed = false;
+
+    this.metrics = {
+      created: 0,
+      destroyed: 0,
+      acquired: 0,
+      timeouts: 0,
+      validationFailures: 0,
+    };
+  }
+
+  /**
+   * Open connections currently owned by the pool (including ones being opened)
+   */
+  get size() {
+    return this.idle.length + this.inUse.size + this.pendingCreates;
+  }
+
+  /**
+   * Open the minimum number of connections and start idle eviction
+   */
+  async start() {
+    this.closed = false;
+    if (!this.evictionTimer) {
+      this.evictionTimer = setInterval(() => this._evict(), this.evictionInterval);
+      this.evictionTimer.unref();
+    }
+    await this.fill();
+  }
+
+  /**
+   * Top the pool up to its minimum size
+   */
+  async fill() {
+    const missing = this.min - this.size;
+    const opening = [];
+    for (let i = 0; i < missing; i++) {
+      this.pendingCreates++;
+      opening.push(this.create().then(
+        (conn) => {
+          this.pendingCreates--;
+          this.metrics.created++;
+          this.idle.push({ conn, lastUsed: Date.now() });
+          this._dispatch();
+        },
+        (err) => {
+          this.pendingCreates--;
+          console.error('Failed to open pooled connection:', err.message);
+        }
+      ));
+    }
+    await Promise.all(opening);
+  }
+
+  /**
+   * Borrow a connection; waits in FIFO order when the pool is exhausted
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Stops waiting when aborted
+   * @param {Function} options.onAbort - Builds the error for an aborted wait from the signal's reason
+   * @returns {Promise<string>} Connection handle
+   */
+  acquire(options = {}) {
+    if (this.closed) {
+      return Promise.reject(new PoolError('Connection pool is closed', 'POOL_CLOSED'));
+    }
+    const { signal, onAbort = reason => new PoolError(`Gave up waiting for a connection (${reason})`, 'POOL_ABORTED') } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(onAbort(signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, settled: false, timer: null, signal: null, abort: null };
+      const leave = (error) => {
+        const index = this.waiters.indexOf(waiter);
+        if (index !== -1) this.waiters.splice(index, 1);
+        this._settle(waiter, error);
+      };
+
+      waiter.timer = setTimeout(() => {
+        this.metrics.timeouts++;
+        leave(new PoolError(
+          `Timed out after ${this.acquireTimeout}ms waiting for a database connection`,
+          'POOL_TIMEOUT'
+        ));
+      }, this.acquireTimeout);
+
+      if (signal) {
+        waiter.signal = signal;
+        waiter.abort = () => leave(onAbort(signal.reason));
+        signal.addEventListener('abort', waiter.abort, { once: true });
+      }
+
+      this.waiters.push(waiter);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Return a healthy connection to the pool
+   */
+  release(conn) {
+    if (!this.inUse.delete(conn)) return;
+
+    if (this.closed) {
+      this._destroy(conn);
+      return;
+    }
+
+    this.idle.push({ conn, lastUsed: Date.now() });
+    this._dispatch();
+  }
+
+  /**
+   * Drop a connection that should not be reused
+   */
+  destroy(conn) {
+    if (!this.inUse.delete(conn)) return;
+    this._destroy(conn);
+    this._dispatch();
+  }
+
+  /**
+   * Forget every handle without closing it (the bridge that owned them is gone)
+   */
+  reset() {
+    this.idle = [];
+    this.inUse.clear();
+  }
+
+  /**
+   * Hand out idle connections, or open new ones, to waiters in arrival order
+   */
+  _dispatch() {
+    while (this.waiters.length > 0) {
+      if (this.idle.length > 0) {
+        const waiter = this.waiters.shift();
+        const { conn } = this.idle.pop();
+        this._checkout(conn, waiter);
+      } else if (this.size < this.max) {
+        this._createFor(this.waiters.shift());
+      } else {
+        break;
+      }
+    }
+  }
+
+  async _checkout(conn, waiter) {
+    this.inUse.add(conn);
+
+    if (this.validateOnCheckout) {
+      let valid;
+      try {
+        valid = (await this.validate(conn)) !== false;
+      } catch {
+        valid = false;
+      }
+
+      if (!valid) {
+        this.metrics.validationFailures++;
+        this.destroy(conn);
+        // Keep the waiter's place at the head of the queue
+        if (!waiter.settled) {
+          this.waiters.unshift(waiter);
+          this._dispatch();
+        }
+        return;
+      }
+    }
+
+    this._handOver(conn, waiter);
+  }
+
+  async _createFor(waiter) {
+    this.pendingCreates++;
+    let conn;
+    try {
+      conn = await this.create();
+    } catch (err) {
+      this.pendingCreates--;
+      this._settle(waiter, err);
+      this._dispatch();
+      return;
+    }
+    this.pendingCreates--;
+    this.metrics.created++;
+    this.inUse.add(conn);
+    this._handOver(conn, waiter);
+  }
+
+  _handOver(conn, waiter) {
+    if (waiter.settled) {
+      // The caller gave up while we were validating or opening
+      this.release(conn);
+      return;
+    }
+    this.metrics.acquired++;
+    this._settle(waiter, null, conn);
+  }
+
+  _settle(waiter, err, conn) {
+    if (waiter.settled) return;
+    waiter.settled = true;
+    clearTimeout(waiter.timer);
+    if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.abort);
+    if (err) {
+      waiter.reject(err);
+    } else {
+      waiter.resolve(conn);
+    }
+  }
+
+  _destroy(conn) {
+    this.metrics.destroyed++;
+    Promise.resolve()
+      .then(() => this.destroyConnection(conn))
+      .catch((err) => console.error('Failed to close pooled connection:', err.message));
+  }
+
+  /**
+   * Close connections above the minimum that have been idle too long
+   */
+  _evict() {
+    const now = Date.now();
+    let surplus = this.size - this.min;
+
+    // Oldest idle connections sit at the front
+    this.idle = this.idle.filter((entry) => {
+      if (surplus > 0 && now - entry.lastUsed >= this.idleTimeout) {
+        surplus--;
+        this._destroy(entry.conn);
+        return false;
+      }
+      return true;
+    });
+
+    if (!this.closed) {
+      this.fill();
+    }
+  }
+
+  /**
+   * Close the pool: fail waiters and close idle connections; connections
+   * still in use are closed when released
+   */
+  async close() {
+    this.closed = true;
+    clearInterval(this.evictionTimer);
+    this.evictionTimer = null;
+
+    for (const waiter of this.waiters) {
+      this._settle(waiter, new PoolError('Connection pool is closed', 'POOL_CLOSED'));
+    }
+    this.waiters = [];
+
+    const idle = this.idle;
+    this.idle = [];
+    await Promise.all(idle.map(({ conn }) => {
+      this.metrics.destroyed++;
+      return Promise.resolve(this.destroyConnection(conn)).catch(() => {});
+    }));
+  }
+
+  getStats() {
+    return {
+      min: this.min,
+      max: this.max,
+      size: this.size,
+      inUse: this.inUse.size,
+      idle: this.idle.length,
+      waiting: this.waiters.length,
+      pending: this.pendingCreates,
+      ...this.metrics,
+    };
+  }
+}
+
+/**
+ * Pool error with a machine-readable code
+ */
+class PoolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PoolError';
+    this.code = code;
+  }
+}
+
+module.exports = { ConnectionPool, PoolError };
@@ -0,0 +1,80 @@
+/**
+ * Streamed Query Results
+ * Object-mode Readable fed by the bridge's "rows" event frames. The bridge
+ * only sends a batch after receiving a credit, and credits are granted as
+ * the consumer drains the stream, so a slow HTTP client slows the cursor
+ * down instead of buffering the result in memory.
+ */
+
+const { Readable } = require('stream');
+
+class QueryStream extends Readable {
+  /**
+   * @param {JdbcBridge} bridge - Bridge running the query
+   * @param {number} batchSize - Rows per batch frame (used as the buffer high-water mark)
+   */
+  constructor(bridge, batchSize) {
+    super({ objectMode: true, highWaterMark: batchSize });
+    this.bridge = bridge;
+    this.requestId = null;
+    this.finished = false;
+    this.needsCredit = false;
+    this.rowCount = 0;
+  }
+
+  /**
+   * Queue a batch of rows, granting the next credit unless the buffer is full
+   */
+  pushBatch(rows) {
+    let hasRoom = true;
+    for (const row of rows) {
+      hasRoom = this.push(row);
+    }
+    this.rowCount += rows.length;
+
+    if (hasRoom) {
+      this._grantCredit();
+    } else {
+      this.needsCredit = true;
+    }
+  }
+
+  /**
+   * All rows were delivered
+   */
+  finish() {
+    this.finished = true;
+    this.push(null);
+  }
+
+  /**
+   * The query failed after streaming had started
+   */
+  fail(error) {
+    this.finished = true;
+    this.destroy(error);
+  }
+
+  _read() {
+    if (this.needsCredit) {
+      this.needsCredit = false;
+      this._grantCredit();
+    }
+  }
+
+  _grantCredit() {
+    if (!this.finished && this.requestId !== null) {
+      this.bridge.notify('credit', { target: this.requestId, count: 1 });
+    }
+  }
+
+  _destroy(error, callback) {
+    // Consumer went away early: stop the cursor on the Java side
+    if (!this.finished && this.requestId !== null) {
+      this.bridge.notify('cancel', { target: this.requestId });
+    }
+    callback(error);
+  }
+}
+
+module.exports = { QueryStream };
@@ -0,0 +1,179 @@
+/**
+ * Database Transaction
+ * Runs statements on one pinned bridge connection with autocommit off
+ */
+
+const { encodeParams } = require('./params');
+const { CancelledError } = require('./bridge');
+const { config } = require('../config/database');
+
+// Informix isolation levels accepted by the bridge's "begin" operation
+const ISOLATION_LEVELS = ['dirty_read', 'committed_read', 'cursor_stability', 'repeatable_read'];
+
+/**
+ * Normalize an isolation level name ("Cursor Stability", "cursor-stability", ...)
+ * @returns {string|null} Bridge isolation name, or null when not given
+ */
+function normalizeIsolation(isolation) {
+  if (isolation === undefined || isolation === null || isolation === '') return null;
+  const name = String(isolation).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!ISOLATION_LEVELS.includes(name)) {
+    throw new TypeError(`Unknown isolation level: ${isolation}. Use one of: ${ISOLATION_LEVELS.join(', ')}`);
+  }
+  return name;
+}
+
+class Transaction {
+  /**
+   * @param {JdbcBridge} bridge - Bridge that owns the connection
+   * @param {string} conn - Connection handle pinned for the transaction
+   * @param {Function} onEnd - Called with (conn, healthy) once the transaction is over
+   */
+  constructor(bridge, conn, onEnd) {
+    this.bridge = bridge;
+    this.conn = conn;
+    this.onEnd = onEnd;
+    this.active = false;
+    this.isolation = null;
+  }
+
+  /**
+   * Turn autocommit off and set the isolation level
+   */
+  async begin(isolation) {
+    this.isolation = normalizeIsolation(isolation);
+    const payload = { conn: this.conn };
+    if (this.isolation) payload.isolation = this.isolation;
+    await this.bridge.request('begin', payload);
+    this.active = true;
+  }
+
+  _assertActive() {
+    if (!this.active) {
+      throw new Error('Transaction is no longer active');
+    }
+  }
+
+  /**
+   * Run a statement on the pinned connection. A statement that would not
+   * stop when cancelled leaves the connection busy, so the transaction ends
+   * and the connection is closed.
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement when aborted
+   */
+  async _statement(op, payload, options = {}) {
+    this._assertActive();
+    try {
+      return await this.bridge.request(op, { ...payload, conn: this.conn }, null, {
+        signal: options.signal,
+        timeoutMs: options.timeoutMs
+      });
+    } catch (error) {
+      if (error instanceof CancelledError && error.abandoned && this.active) this._end(false);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a SELECT inside the transaction
+   * @returns {Promise<Array>} Rows
+   */
+  async query(sql, params = [], options = {}) {
+    const { rows } = await this.queryWithMetadata(sql, params, options);
+    return rows;
+  }
+
+  /**
+   * Run a SELECT inside the transaction, keeping column descriptors
+   * @param {Object} options - See InformixConnection.queryWithMetadata
+   * @returns {Promise<{rows: Array, columns: Array}>}
+   */
+  async queryWithMetadata(sql, params = [], options = {}) {
+    return this._statement('query', {
+      sql,
+      params: encodeParams(params),
+      decimals: options.decimals || config.results.decimals
+    }, options);
+  }
+
+  /**
+   * Run an INSERT, UPDATE or DELETE inside the transaction
+   * @param {Object} options - See InformixConnection.execute
+   * @returns {Promise<{rowsAffected: number, generatedKeys?: Array<Object>}>}
+   */
+  async execute(sql, params = [], options = {}) {
+    return this._statement('execute', {
+      sql,
+      params: encodeParams(params),
+      keys: Boolean(options.generatedKeys),
+      decimals: options.decimals || config.results.decimals
+    }, options);
+  }
+
+  /**
+   * Run one statement for each parameter row as a single JDBC batch
+   * @param {string} sql - Statement with "?" placeholders
+   * @param {Array<Array>} rows - One parameter list per execution
+   * @param {Object} options - timeoutMs and signal, as for execute
+   * @returns {Promise<{rowsAffected: number}>} On failure the BridgeError's
+   *   batchIndex points at the failing row when the driver reports it
+   */
+  async executeBatch(sql, rows, options = {}) {
+    return this._statement('executeBatch', {
+      sql,
+      rows: rows.map(params => encodeParams(params))
+    }, options);
+  }
+
+  async savepoint(name) {
+    this._assertActive();
+    return this.bridge.request('savepoint', { conn: this.conn, name });
+  }
+
+  async rollbackTo(name) {
+    this._assertActive();
+    return this.bridge.request('rollbackTo', { conn: this.conn, name });
+  }
+
+  async releaseSavepoint(name) {
+    this._assertActive();
+    return this.bridge.request('release', { conn: this.conn, name });
+  }
+
+  async commit() {
+    this._assertActive();
+    try {
+      await this.bridge.request('commit', { conn: this.conn });
+    } catch (error) {
+      // A failed commit leaves the transaction open; roll it back before
+      // the connection goes back to the pool
+      await this.rollback().catch(() => {});
+      throw error;
+    }
+    this._end(true);
+  }
+
+  async rollback() {
+    if (!this.active) return;
+    try {
+      await this.bridge.request('rollback', { conn: this.conn });
+      this._end(true);
+    } catch (error) {
+      // Never hand a connection stuck mid-transaction back to the pool
+      this._end(false);
+      throw error;
+    }
+  }
+
+  _end(healthy) {
+    this.active = false;
+    this.onEnd(this.conn, healthy);
+  }
+}
+
+module.exports = {
+  Transaction,
+  ISOLATION_LEVELS,
+  normalizeIsolation,
+};
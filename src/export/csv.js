@@ -0,0 +1,52 @@
+/**
+ * CSV / TSV export
+ * RFC 4180 output: fields holding the delimiter, a quote or a line break
+ * are quoted, quotes are doubled, records end with CRLF and NULL is an
+ * empty field
+ */
+
+const { waitForDrain, toText } = require('./util');
+
+// Flush records to the output in chunks of roughly this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+function escapeField(value, delimiter) {
+  const text = toText(value);
+  if (text === null) return '';
+  if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Write rows as delimited text
+ * @param {Writable} out - Destination (the HTTP response)
+ * @param {{columns: Array, rows: Readable}} result - From DatabaseService.stream
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (default ",")
+ * @param {boolean} options.header - Write a header record (default true)
+ * @returns {Promise<number>} Rows written
+ */
+async function writeDelimited(out, { columns, rows }, options = {}) {
+  const delimiter = options.delimiter || ',';
+  const names = columns.map(column => column.name);
+  const record = values => values.map(value => escapeField(value, delimiter)).join(delimiter) + '\r\n';
+
+  let chunk = options.header === false ? '' : record(names);
+  let count = 0;
+  for await (const row of rows) {
+    chunk += record(names.map(name => row[name]));
+    count++;
+
+    if (chunk.length >= CHUNK_SIZE) {
+      const hasRoom = out.write(chunk);
+      chunk = '';
+      if (!hasRoom) await waitForDrain(out);
+    }
+  }
+  out.end(chunk);
+  return count;
+}
+
+module.exports = { writeDelimited };
@@ -0,0 +1,177 @@
+/**
+ * File exports
+ * Negotiates CSV, TSV, XLSX or Parquet output and writes a query stream
+ * to the response as a downloadable file
+ */
+
+const { writeDelimited } = require('./csv');
+const { writeXlsx } = require('./xlsx');
+const { writeParquet } = require('./parquet');
+const { errorBody } = require('../routes/errors');
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    accept: ['text/csv'],
+    write: writeDelimited
+  },
+  tsv: {
+    contentType: 'text/tab-separated-values; charset=utf-8',
+    accept: ['text/tab-separated-values'],
+    write: (out, result, options) => writeDelimited(out, result, { ...options, delimiter: '\t' })
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    accept: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    write: writeXlsx
+  },
+  parquet: {
+    contentType: 'application/vnd.apache.parquet',
+    accept: ['application/vnd.apache.parquet', 'application/x-parquet'],
+    write: writeParquet
+  }
+};
+
+// ?format= values that select the regular JSON / streaming responses
+const NON_EXPORT_FORMATS = ['json', 'ndjson'];
+
+// Named alternatives for ?delimiter=
+const DELIMITERS = {
+  comma: ',',
+  semicolon: ';',
+  tab: '\t',
+  pipe: '|'
+};
+
+/**
+ * Pick an export format from ?format= or the Accept header
+ * @returns {string|null} Format name, or null for a regular response
+ * @throws {TypeError} When ?format= names an unknown format
+ */
+function exportFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    const format = String(requested).toLowerCase();
+    if (EXPORT_FORMATS[format]) return format;
+    if (NON_EXPORT_FORMATS.includes(format)) return null;
+    throw new TypeError(`Unknown format: ${requested}. Use one of: ${[...Object.keys(EXPORT_FORMATS), ...NON_EXPORT_FORMATS].join(', ')}`);
+  }
+
+  const accept = (req.get('Accept') || '').toLowerCase();
+  for (const [format, { accept: types }] of Object.entries(EXPORT_FORMATS)) {
+    if (types.some(type => accept.includes(type))) return format;
+  }
+  return null;
+}
+
+/**
+ * Read the export options from the query string
+ * (?delimiter=, ?header=false, ?filename=)
+ * @param {Request} req - Express request
+ * @param {string} defaultName - Base file name when ?filename= is absent
+ * @throws {TypeError} On an invalid delimiter
+ */
+function exportOptions(req, defaultName) {
+  const options = {
+    header: req.query.header !== 'false' && req.query.header !== '0',
+    filename: req.query.filename || defaultName
+  };
+
+  if (req.query.delimiter !== undefined) {
+    options.delimiter = parseDelimiter(req.query.delimiter);
+  }
+
+  return options;
+}
+
+/**
+ * Resolve a ?delimiter= value: one character or a name from DELIMITERS
+ * @throws {TypeError} When the value is not usable as a CSV delimiter
+ */
+function parseDelimiter(value) {
+  const delimiter = DELIMITERS[value] || value;
+  if (typeof delimiter !== 'string' || delimiter.length !== 1 || /["\r\n]/.test(delimiter)) {
+    throw new TypeError(`delimiter must be a single character or one of: ${Object.keys(DELIMITERS).join(', ')}`);
+  }
+  return delimiter;
+}
+
+/**
+ * Format and options for an export request
+ * @param {Request} req - Express request
+ * @param {string} defaultName - Base file name when ?filename= is absent
+ * @returns {{format: string, options: Object}|null} null for a regular response
+ * @throws {TypeError} On an unknown format or invalid option
+ */
+function parseExportRequest(req, defaultName) {
+  const format = exportFormat(req);
+  return format ? { format, options: exportOptions(req, defaultName) } : null;
+}
+
+/**
+ * Default base name for ad-hoc query exports, e.g. "query-20240131-101500"
+ */
+function queryFilename(date = new Date()) {
+  return `query-${date.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-')}`;
+}
+
+/**
+ * Keep file names to a safe character set and add the format's extension
+ */
+function attachmentName(name, format) {
+  const base = String(name).replace(/\.[a-z]+$/i, '').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(0, 100) || 'export';
+  return `${base}.${format}`;
+}
+
+/**
+ * Send a query stream as a file download.
+ * Rows are written as they arrive. A failure before anything was flushed
+ * gets a JSON error; after that the connection is aborted so the client
+ * never takes a truncated file for a complete one.
+ * @param {Response} res - Express response
+ * @param {{columns: Array, rows: Readable}} result - From DatabaseService.stream
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {Object} options - From exportOptions, plus sheet/decimals
+ */
+async function sendExport(res, result, format, options = {}) {
+  const { rows } = result;
+  if (res.headersSent) {
+    rows.destroy();
+    return;
+  }
+
+  res.on('close', () => {
+    if (!res.writableFinished) rows.destroy();
+  });
+
+  const { contentType, write } = EXPORT_FORMATS[format];
+  res.status(200);
+  res.attachment(attachmentName(options.filename, format));
+  res.set('Content-Type', contentType);
+
+  try {
+    await write(res, result, options);
+  } catch (error) {
+    rows.destroy();
+    // The client went away; nothing left to report to
+    if (res.destroyed) return;
+
+    console.error(`Export (${format}) failed:`, error.message);
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    // Nothing was flushed yet, so the client can still get a proper error
+    res.removeHeader('Content-Disposition');
+    res.status(500).json(errorBody('Export failed', 'EXPORT_ERROR', error.message));
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormat,
+  parseExportRequest,
+  parseDelimiter,
+  queryFilename,
+  sendExport,
+};
@@ -0,0 +1,80 @@
+/**
+ * Parquet export
+ * Builds the file schema from the column descriptors and writes row groups
+ * to the response as they fill, so memory is bounded by one row group
+ */
+
+const parquet = require('parquetjs-lite');
+const { columnKind, toText, toUtcDate, timeToMillis } = require('./util');
+
+const ROW_GROUP_SIZE = 4096;
+
+/**
+ * Parquet type and value converter for a column. DECIMAL is written as exact
+ * UTF8 text, or DOUBLE when numeric decimals were requested.
+ */
+function fieldFor(column, decimals) {
+  switch (columnKind(column)) {
+    case 'integer':
+      return { type: 'INT32', convert: value => value };
+    case 'bigint':
+      return { type: 'INT64', convert: value => value };
+    case 'float':
+      return { type: 'DOUBLE', convert: value => value };
+    case 'decimal':
+      return decimals === 'number'
+        ? { type: 'DOUBLE', convert: value => Number(value) }
+        : { type: 'UTF8', convert: value => String(value) };
+    case 'boolean':
+      return { type: 'BOOLEAN', convert: value => value };
+    case 'date':
+      return { type: 'DATE', convert: toUtcDate };
+    case 'time':
+      return { type: 'TIME_MILLIS', convert: timeToMillis };
+    case 'timestamp':
+      return { type: 'TIMESTAMP_MILLIS', convert: toUtcDate };
+    case 'binary':
+      return { type: 'BYTE_ARRAY', convert: value => Buffer.from(value, 'base64') };
+    default:
+      return { type: 'UTF8', convert: toText };
+  }
+}
+
+/**
+ * Write rows as a Parquet file; every field is optional since nullability
+ * is not always known
+ * @param {Writable} out - Destination (the HTTP response)
+ * @param {{columns: Array, rows: Readable}} result - From DatabaseService.stream
+ * @param {Object} options
+ * @param {string} options.decimals - 'number' to write DECIMAL as DOUBLE
+ * @returns {Promise<number>} Rows written
+ */
+async function writeParquet(out, { columns, rows }, options = {}) {
+  const fields = columns.map(column => fieldFor(column, options.decimals));
+  const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map((column, i) => [
+    column.name,
+    { type: fields[i].type, optional: true }
+  ])));
+
+  const writer = await parquet.ParquetWriter.openStream(schema, out, { rowGroupSize: ROW_GROUP_SIZE });
+
+  let count = 0;
+  for await (const row of rows) {
+    const record = {};
+    columns.forEach((column, i) => {
+      const value = row[column.name];
+      if (value !== null && value !== undefined) {
+        const converted = fields[i].convert(value);
+        if (converted !== null) record[column.name] = converted;
+      }
+    });
+    // Resolves once a full row group has been handed to the response
+    await writer.appendRow(record);
+    count++;
+  }
+
+  await writer.close();
+  return count;
+}
+
+module.exports = { writeParquet };
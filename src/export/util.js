@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for the export writers
+ */
+
+const INTEGER_TYPES = ['TINYINT', 'SMALLINT', 'INTEGER'];
+const FLOAT_TYPES = ['REAL', 'FLOAT', 'DOUBLE'];
+const DECIMAL_TYPES = ['DECIMAL', 'NUMERIC'];
+const BINARY_TYPES = ['BINARY', 'VARBINARY', 'LONGVARBINARY', 'BLOB'];
+
+/**
+ * Resolve once the writable can take more data (or has gone away)
+ */
+function waitForDrain(out) {
+  return new Promise((resolve) => {
+    const done = () => {
+      out.off('drain', done);
+      out.off('close', done);
+      resolve();
+    };
+    out.on('drain', done);
+    out.on('close', done);
+  });
+}
+
+/**
+ * Broad kind of a column, from its JDBC type and database type name
+ * @returns {'integer'|'bigint'|'float'|'decimal'|'boolean'|'date'|'time'|'timestamp'|'interval'|'binary'|'text'}
+ */
+function columnKind(column) {
+  if ((column.type || '').toLowerCase().startsWith('interval')) return 'interval';
+
+  const jdbcType = column.jdbcType;
+  if (INTEGER_TYPES.includes(jdbcType)) return 'integer';
+  if (jdbcType === 'BIGINT') return 'bigint';
+  if (FLOAT_TYPES.includes(jdbcType)) return 'float';
+  if (DECIMAL_TYPES.includes(jdbcType)) return 'decimal';
+  if (jdbcType === 'BIT' || jdbcType === 'BOOLEAN') return 'boolean';
+  if (jdbcType === 'DATE') return 'date';
+  if (jdbcType === 'TIME') return 'time';
+  if (jdbcType === 'TIMESTAMP') return 'timestamp';
+  if (BINARY_TYPES.includes(jdbcType)) return 'binary';
+  return 'text';
+}
+
+/**
+ * Plain-text form of a result value; null stays null.
+ * INTERVALs use their ISO-8601 duration when the bridge could parse them.
+ */
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value.iso || value.text || JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Date for a DATE or DATETIME value. The database has no time zone, so the
+ * wall-clock value is read as UTC; spreadsheet and Parquet readers show it
+ * unchanged that way.
+ */
+function toUtcDate(value) {
+  if (value === null || value === undefined) return null;
+  const text = value.length === 10 ? `${value}T00:00:00` : value;
+  const date = new Date(`${text}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Milliseconds since midnight for a "HH:mm:ss[.SSS]" value
+ */
+function timeToMillis(value) {
+  const match = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?$/.exec(value || '');
+  if (!match) return null;
+  const [, hours, minutes, seconds = '0', fraction = ''] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000
+    + Number(fraction.padEnd(3, '0').slice(0, 3));
+}
+
+module.exports = {
+  waitForDrain,
+  columnKind,
+  toText,
+  toUtcDate,
+  timeToMillis,
+};
@@ -0,0 +1,97 @@
+/**
+ * XLSX export
+ * Streams a single-sheet workbook with exceljs, committing each row as it
+ * arrives so the sheet is never held in memory
+ */
+
+const ExcelJS = require('exceljs');
+const { waitForDrain, columnKind, toText, toUtcDate } = require('./util');
+
+// Excel stores numbers as doubles; wider DECIMALs are kept as text so no digits are lost
+const MAX_EXACT_DIGITS = 15;
+
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  timestamp: 'yyyy-mm-dd hh:mm:ss'
+};
+
+/**
+ * Sheet names are capped at 31 characters and cannot contain []:*?/\
+ */
+function sheetName(name) {
+  const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, '_').slice(0, 31);
+  return cleaned || 'Sheet1';
+}
+
+/**
+ * Build a converter from a result value to a typed cell value
+ */
+function cellConverter(column) {
+  const kind = columnKind(column);
+  switch (kind) {
+    case 'integer':
+    case 'float':
+    case 'boolean':
+      return value => value;
+    case 'bigint':
+      // Beyond 2^53 the bridge sends a string; keep it exact
+      return value => value;
+    case 'decimal':
+      if (column.precision > MAX_EXACT_DIGITS) return value => value;
+      return value => (typeof value === 'string' ? Number(value) : value);
+    case 'date':
+    case 'timestamp':
+      return value => toUtcDate(value);
+    default:
+      return value => toText(value);
+  }
+}
+
+/**
+ * Write rows as an XLSX workbook
+ * @param {Writable} out - Destination (the HTTP response)
+ * @param {{columns: Array, rows: Readable}} result - From DatabaseService.stream
+ * @param {Object} options
+ * @param {boolean} options.header - Write a bold header row (default true)
+ * @param {string} options.sheet - Worksheet name
+ * @returns {Promise<number>} Rows written
+ */
+async function writeXlsx(out, { columns, rows }, options = {}) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: out,
+    useStyles: true,
+    useSharedStrings: false
+  });
+  const worksheet = workbook.addWorksheet(sheetName(options.sheet));
+
+  worksheet.columns = columns.map((column) => {
+    const numFmt = NUMBER_FORMATS[columnKind(column)];
+    return {
+      header: options.header === false ? undefined : column.name,
+      width: Math.min(Math.max(column.name.length + 2, 12), 50),
+      style: numFmt ? { numFmt } : undefined
+    };
+  });
+  if (options.header !== false) {
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+  }
+
+  const converters = columns.map(cellConverter);
+  let count = 0;
+  for await (const row of rows) {
+    worksheet.addRow(columns.map((column, i) => {
+      const value = row[column.name];
+      return value === null || value === undefined ? null : converters[i](value);
+    })).commit();
+    count++;
+
+    if (out.writableNeedDrain) await waitForDrain(out);
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+}
+
+module.exports = { writeXlsx };
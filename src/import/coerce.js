@@ -0,0 +1,200 @@
+/**
+ * Import value checks
+ * Validates incoming values against decoded syscolumns metadata and
+ * converts them to bridge parameters. CSV fields arrive as strings,
+ * JSON values keep their own types.
+ */
+
+const TEXT_TYPES = ['CHAR', 'NCHAR', 'VARCHAR', 'NVARCHAR', 'LVARCHAR', 'TEXT', 'CLOB'];
+
+const INTEGER_RANGES = {
+  SMALLINT: 32767n,
+  INTEGER: 2147483647n,
+  SERIAL: 2147483647n,
+  INT8: 9223372036854775807n,
+  SERIAL8: 9223372036854775807n,
+  BIGINT: 9223372036854775807n,
+  BIGSERIAL: 9223372036854775807n
+};
+
+const BOOLEAN_VALUES = {
+  true: true, t: true, yes: true, y: true, 1: true,
+  false: false, f: false, no: false, n: false, 0: false
+};
+
+// Types an import can bind
+const SUPPORTED_TYPES = [
+  ...TEXT_TYPES,
+  ...Object.keys(INTEGER_RANGES),
+  'FLOAT', 'SMALLFLOAT', 'DECIMAL', 'MONEY', 'DATE', 'DATETIME', 'INTERVAL',
+  'BOOLEAN', 'BYTE', 'BLOB'
+];
+
+class CoercionError extends Error {
+  constructor(column, message) {
+    super(`${column.name}: ${message}`);
+    this.name = 'CoercionError';
+    this.column = column.name;
+  }
+}
+
+function isSupported(column) {
+  return SUPPORTED_TYPES.includes(column.type);
+}
+
+function toInteger(column, value) {
+  const text = typeof value === 'number' ? String(value) : String(value).trim();
+  if (!/^[+-]?\d+$/.test(text)) {
+    throw new CoercionError(column, `"${value}" is not an integer`);
+  }
+  const big = BigInt(text);
+  const max = INTEGER_RANGES[column.type];
+  if (big > max || big < -max) {
+    throw new CoercionError(column, `${text} is out of range for ${column.type}`);
+  }
+  return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+}
+
+function toFloat(column, value) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(number) || (typeof value === 'string' && !value.trim())) {
+    throw new CoercionError(column, `"${value}" is not a number`);
+  }
+  return number;
+}
+
+function toDecimal(column, value) {
+  const text = String(value).trim();
+  const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE][+-]?\d+)?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    throw new CoercionError(column, `"${value}" is not a decimal number`);
+  }
+  if (column.scale !== null && column.precision) {
+    const integerDigits = match[2].replace(/^0+/, '').length;
+    if (!/[eE]/.test(text) && integerDigits > column.precision - column.scale) {
+      throw new CoercionError(column, `${text} does not fit ${column.sqlType}`);
+    }
+  }
+  return { $type: 'decimal', value: text };
+}
+
+function isValidDate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) return false;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return date.getUTCFullYear() === Number(match[1])
+    && date.getUTCMonth() === Number(match[2]) - 1
+    && date.getUTCDate() === Number(match[3]);
+}
+
+function toDate(column, value) {
+  const text = String(value).trim();
+  if (!isValidDate(text)) {
+    throw new CoercionError(column, `"${value}" is not a date (YYYY-MM-DD)`);
+  }
+  return { $type: 'date', value: text };
+}
+
+/**
+ * DATETIME columns take a date, a time of day or a full timestamp
+ * depending on their qualifier
+ */
+function toDatetime(column, value) {
+  const text = String(value).trim();
+  const qualifier = column.qualifier || 'year to fraction(3)';
+
+  if (qualifier.startsWith('year') && qualifier.endsWith('to day')) {
+    return toDate(column, text);
+  }
+  if (!qualifier.startsWith('year') && !qualifier.startsWith('month')) {
+    if (!/^\d{2}:\d{2}(:\d{2}(\.\d{1,5})?)?$/.test(text)) {
+      throw new CoercionError(column, `"${value}" is not a time (HH:MM[:SS])`);
+    }
+    return { $type: 'time', value: text.length === 5 ? `${text}:00` : text };
+  }
+
+  const iso = text.replace(' ', 'T');
+  const match = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(iso);
+  if (!match || !isValidDate(match[1]) || Number.isNaN(Date.parse(match[4] ? iso : `${iso}Z`))) {
+    throw new CoercionError(column, `"${value}" is not a timestamp (YYYY-MM-DD HH:MM:SS)`);
+  }
+  return { $type: 'timestamp', value: iso };
+}
+
+function toBoolean(column, value) {
+  if (typeof value === 'boolean') return value;
+  const key = String(value).trim().toLowerCase();
+  if (!(key in BOOLEAN_VALUES)) {
+    throw new CoercionError(column, `"${value}" is not a boolean`);
+  }
+  return BOOLEAN_VALUES[key];
+}
+
+function toText(column, value) {
+  if (typeof value === 'object') {
+    throw new CoercionError(column, 'expected a text value');
+  }
+  const text = String(value);
+  // Informix lengths count bytes in the database locale
+  if (column.length && Buffer.byteLength(text, 'utf8') > column.length) {
+    throw new CoercionError(column, `value is longer than ${column.length} bytes`);
+  }
+  return text;
+}
+
+function toBinary(column, value) {
+  const text = String(value).trim();
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text)) {
+    throw new CoercionError(column, 'expected base64-encoded data');
+  }
+  return { $type: 'binary', value: text };
+}
+
+/**
+ * Validate one value and convert it to a bridge parameter
+ * @param {Object} column - Decoded column (see db/coltypes)
+ * @param {*} value - Raw value from the file
+ * @param {boolean} fromText - Whether the value came from a CSV field
+ * @returns {*} Parameter value
+ * @throws {CoercionError}
+ */
+function coerceValue(column, value, fromText) {
+  // CSV cannot tell NULL from an empty string; only text columns keep ''
+  const empty = value === null || value === undefined
+    || (fromText && value === '' && !TEXT_TYPES.includes(column.type));
+  if (empty) {
+    if (!column.nullable && !column.serial) {
+      throw new CoercionError(column, 'cannot be null');
+    }
+    return null;
+  }
+
+  if (INTEGER_RANGES[column.type]) return toInteger(column, value);
+
+  switch (column.type) {
+    case 'FLOAT':
+    case 'SMALLFLOAT':
+      return toFloat(column, value);
+    case 'DECIMAL':
+    case 'MONEY':
+      return toDecimal(column, value);
+    case 'DATE':
+      return toDate(column, value);
+    case 'DATETIME':
+      return toDatetime(column, value);
+    case 'BOOLEAN':
+      return toBoolean(column, value);
+    case 'BYTE':
+    case 'BLOB':
+      return toBinary(column, value);
+    default:
+      // Character types, and INTERVAL in its literal form ("5 10:30:00")
+      return toText(column, value);
+  }
+}
+
+module.exports = {
+  CoercionError,
+  coerceValue,
+  isSupported,
+};
@@ -0,0 +1,107 @@
+/**
+ * Import record sources
+ * Each source is an async iterable of { row, record } entries, or
+ * { row, error } for a record that could not be read. Row numbers are
+ * 1-based and do not count a CSV header line.
+ */
+
+const readline = require('readline');
+const { parse } = require('csv-parse');
+
+/**
+ * Records from a CSV/TSV stream, parsed as it arrives
+ * @param {Readable} input - Request body
+ * @param {Object} options
+ * @param {string} options.delimiter - Field separator (default ",")
+ * @param {boolean} options.header - First line names the columns (default true)
+ * @param {Array<string>} options.columns - Column names when there is no header
+ * @throws {Error} With code INVALID_FILE when the CSV itself is malformed
+ */
+async function* csvRecords(input, options = {}) {
+  const parser = input.pipe(parse({
+    delimiter: options.delimiter || ',',
+    bom: true,
+    relax_column_count: true,
+    skip_empty_lines: true
+  }));
+
+  let names = options.header === false ? options.columns : null;
+  let row = 0;
+  try {
+    for await (const fields of parser) {
+      if (!names) {
+        names = fields.map(name => name.trim());
+        continue;
+      }
+
+      row++;
+      if (fields.length !== names.length) {
+        yield { row, error: `expected ${names.length} fields, found ${fields.length}` };
+        continue;
+      }
+      const record = {};
+      names.forEach((name, i) => {
+        record[name] = fields[i];
+      });
+      yield { row, record };
+    }
+  } catch (error) {
+    if (error.code && error.code.startsWith('CSV_')) {
+      error.code = 'INVALID_FILE';
+    }
+    throw error;
+  } finally {
+    input.unpipe(parser);
+    parser.destroy();
+  }
+}
+
+/**
+ * Records from a newline-delimited JSON stream; blank lines are skipped
+ * @param {Readable} input - Request body
+ */
+async function* ndjsonRecords(input) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let row = 0;
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      row++;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        yield { row, error: `invalid JSON: ${error.message}` };
+        continue;
+      }
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        yield { row, error: 'expected a JSON object' };
+        continue;
+      }
+      yield { row, record };
+    }
+  } finally {
+    lines.close();
+  }
+}
+
+/**
+ * Records from an already parsed JSON array
+ * @param {Array} items
+ */
+async function* arrayRecords(items) {
+  for (const [index, record] of items.entries()) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      yield { row: index + 1, error: 'expected a JSON object' };
+      continue;
+    }
+    yield { row: index + 1, record };
+  }
+}
+
+module.exports = {
+  csvRecords,
+  ndjsonRecords,
+  arrayRecords,
+};
@@ -40,10 +40,10 @@ async function main() {
     // );
 
     // Example: Transaction
-    // await db.transaction(async (conn) => {
-    //   await conn.query('UPDATE accounts SET balance = balance - 100 WHERE id = ?', [1]);
-    //   await conn.query('UPDATE accounts SET balance = balance + 100 WHERE id = ?', [2]);
-    // });
+    // await db.transaction(async (tx) => {
+    //   await tx.execute('UPDATE accounts SET balance = balance - 100 WHERE id = ?', [1]);
+    //   await tx.execute('UPDATE accounts SET balance = balance + 100 WHERE id = ?', [2]);
+    // }, { isolation: 'committed_read' });
 
     console.log('\n--- Examples completed successfully ---');
 
@@ -0,0 +1,25 @@
+/**
+ * OpenAPI document
+ * The route description from ./spec plus, when table metadata is given,
+ * schemas and /api/data/<table> paths for every table.
+ */
+
+const { baseSpec } = require('./spec');
+const { addTables } = require('./tables');
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options
+ * @param {string} options.version - API version
+ * @param {boolean} options.authEnabled - Whether routes need credentials
+ * @param {boolean} options.publicDocs - Whether this document is served without credentials
+ * @param {Array<Object>} options.tables - { name, columns, grants } to document (optional)
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function buildSpec({ version, authEnabled, publicDocs = false, tables = [] }) {
+  return addTables(baseSpec({ version, authEnabled, publicDocs }), tables);
+}
+
+module.exports = {
+  buildSpec,
+};
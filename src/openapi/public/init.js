@@ -0,0 +1,60 @@
+/**
+ * Swagger UI page of /api/docs
+ * Loaded as a file because the Content-Security-Policy forbids inline
+ * scripts. The API key or token typed into the form is kept in
+ * sessionStorage and sent with the document request (so the per-table
+ * paths are included) and with every "Try it out" request.
+ */
+(function () {
+  var STORAGE_KEY = 'informix-api-credentials';
+
+  function stored() {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function credentialHeaders() {
+    var credentials = stored();
+    if (!credentials || !credentials.value) return {};
+    return credentials.type === 'bearer'
+      ? { Authorization: 'Bearer ' + credentials.value }
+      : { 'X-API-Key': credentials.value };
+  }
+
+  var form = document.getElementById('credentials');
+  var current = stored();
+  if (current) {
+    form.elements.type.value = current.type;
+    form.elements.value.value = current.value;
+  }
+
+  form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    var value = form.elements.value.value.trim();
+    if (value) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ type: form.elements.type.value, value: value }));
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+    window.location.reload();
+  });
+
+  window.ui = SwaggerUIBundle({
+    url: '../openapi.json',
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    presets: [SwaggerUIBundle.presets.apis],
+    layout: 'BaseLayout',
+    requestInterceptor: function (request) {
+      var headers = credentialHeaders();
+      Object.keys(headers).forEach(function (name) {
+        // Credentials entered with the Authorize button win
+        if (!request.headers[name]) request.headers[name] = headers[name];
+      });
+      return request;
+    }
+  });
+})();
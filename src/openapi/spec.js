@@ -0,0 +1,1093 @@
+/**
+ * OpenAPI description of the routes
+ * Paths, request bodies, responses and the error envelope of every
+ * /api route. Per-table schemas are added by ./tables.
+ */
+
+const { ISOLATION_LEVELS } = require('../db/transaction');
+const { TAGGED_TYPES } = require('../db/params');
+const { config } = require('../config/database');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = schema => ({ 'application/json': { schema } });
+
+/**
+ * Standard error responses by status code
+ */
+function errors(...statuses) {
+  const names = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    408: 'Timeout',
+    412: 'PreconditionFailed',
+    415: 'UnsupportedMediaType',
+    422: 'Unprocessable',
+    429: 'TooManyRequests',
+    500: 'ServerError',
+    503: 'Unavailable'
+  };
+  const responses = {};
+  for (const status of [...statuses, 401, 408, 429, 500, 503]) {
+    responses[status] = { $ref: `#/components/responses/${names[status]}` };
+  }
+  return responses;
+}
+
+const ok = (description, schema) => ({ 200: { description, content: json(schema) } });
+
+const body = (schema, required = true) => ({ required, content: json(schema) });
+
+const pathParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  required: false,
+  description,
+  schema
+});
+
+const TABLE_PARAM = pathParam('tableName', 'Table name', { type: 'string', pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$' });
+
+const ROW_ID_PARAM = pathParam('id', 'Primary key value; composite keys list their values in key order, '
+  + 'comma-separated (1001,3), with commas and backslashes inside a value escaped by a backslash');
+
+const headerParam = (name, description) => ({ name, in: 'header', required: false, description, schema: { type: 'string' } });
+
+const IF_MATCH_PARAM = headerParam('If-Match', 'ETag from an earlier read; the write fails with 412 if the row has changed');
+
+const ETAG_HEADER = { ETag: { description: 'Version of the row', schema: { type: 'string' } } };
+
+// Query string switches: true/false or 1/0
+const FLAG = { type: 'string', enum: ['true', 'false', '1', '0'] };
+
+const RETURN_PARAM = queryParam('return', 'rows adds the written rows as data, with the columns you may read',
+  { type: 'string', enum: ['rows'] });
+const REQUIRE_MATCH_PARAM = queryParam('requireMatch', 'true answers 404 ROW_NOT_FOUND when no row was affected', FLAG);
+
+const TIMEOUT_MS = {
+  type: 'integer',
+  minimum: 1,
+  description: `Cancel the request's statements in the database after this long (default ${config.queries.timeout}, `
+    + `at most ${config.queries.maxTimeout})`
+};
+const TIMEOUT_PARAM = queryParam('timeoutMs', TIMEOUT_MS.description, TIMEOUT_MS);
+
+// Values an INSERT generated
+const GENERATED_KEYS = {
+  type: 'array',
+  items: ref('Row'),
+  description: 'INSERT only: the SERIAL / SERIAL8 / BIGSERIAL values the server generated'
+};
+
+// Query string options shared by the streaming / export responses
+const STREAM_PARAMS = [
+  queryParam('stream', 'Stream rows instead of buffering them', { type: 'string', enum: ['ndjson', 'json', 'true', '1'] }),
+  queryParam('fetchSize', 'JDBC fetch size when streaming', { type: 'integer', minimum: 1, maximum: 10000 }),
+  queryParam('format', 'Download as a file: csv, tsv, xlsx or parquet (json and ndjson answer as usual)'),
+  queryParam('delimiter', 'CSV separator: one character, or comma, semicolon, tab, pipe'),
+  queryParam('header', 'false leaves out the CSV/TSV header row', FLAG),
+  queryParam('filename', 'Download file name (without extension)')
+];
+
+// Alternative representations of a streamed or exported result
+const ROW_STREAM_CONTENT = {
+  'application/x-ndjson': { schema: { type: 'string', description: 'One JSON row per line' } },
+  'text/csv': { schema: { type: 'string' } },
+  'text/tab-separated-values': { schema: { type: 'string' } },
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+  'application/vnd.apache.parquet': { schema: { type: 'string', format: 'binary' } }
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'Human-readable message' },
+      code: { type: 'string', description: 'Machine-readable error code, e.g. INVALID_SQL, FORBIDDEN' },
+      details: {
+        description: 'More about the failure: a message, an object for permission errors, or for '
+          + 'VALIDATION_ERROR a list of { in: params | query | body, path: JSON pointer, message }'
+      },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  TaggedValue: {
+    type: 'object',
+    required: ['$type', 'value'],
+    description: 'A value JSON cannot carry as-is, e.g. { "$type": "timestamp", "value": "2024-01-31T10:15:00" }',
+    properties: {
+      $type: { type: 'string', enum: TAGGED_TYPES },
+      value: { type: 'string' }
+    }
+  },
+  Param: {
+    description: 'A value bound to a "?" placeholder',
+    anyOf: [
+      { type: 'string', nullable: true },
+      { type: 'number' },
+      { type: 'boolean' },
+      ref('TaggedValue')
+    ]
+  },
+  Decimals: {
+    type: 'string',
+    enum: ['string', 'number'],
+    description: 'DECIMAL/MONEY values as exact strings (default) or numbers'
+  },
+  ResultColumn: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', description: 'Informix type name' },
+      jdbcType: { type: 'string' },
+      precision: { type: 'integer' },
+      scale: { type: 'integer' },
+      nullable: { type: 'boolean' }
+    }
+  },
+  Row: {
+    type: 'object',
+    additionalProperties: true,
+    description: 'Column name to value, typed as described in the README "Result types" table'
+  },
+  QueryRequest: {
+    type: 'object',
+    required: ['sql'],
+    properties: {
+      sql: { type: 'string', minLength: 1, description: 'One SELECT statement with optional "?" placeholders' },
+      params: { type: 'array', items: ref('Param') },
+      useCache: { type: 'boolean', default: true },
+      cacheTtlMs: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 86400000,
+        description: 'How long this result stays cached (default INFORMIX_CACHE_TTL)'
+      },
+      coalesce: {
+        type: 'boolean',
+        description: 'Share the result of an identical query already running (default INFORMIX_CACHE_COALESCE)'
+      },
+      decimals: ref('Decimals'),
+      timeoutMs: TIMEOUT_MS
+    }
+  },
+  CacheClearRequest: {
+    type: 'object',
+    description: 'Leave empty to clear everything',
+    properties: {
+      tables: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        description: 'Drop the cached results that read any of these tables'
+      },
+      sql: { type: 'string', minLength: 1, description: 'Drop the cached result of this query' },
+      params: { type: 'array', items: ref('Param') },
+      decimals: ref('Decimals')
+    }
+  },
+  QueryResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      rowCount: { type: 'integer' },
+      fromCache: { type: 'boolean' },
+      columns: { type: 'array', items: ref('ResultColumn') },
+      data: { type: 'array', items: ref('Row') }
+    }
+  },
+  ExecuteRequest: {
+    type: 'object',
+    required: ['sql'],
+    properties: {
+      sql: { type: 'string', minLength: 1, description: 'One INSERT, UPDATE, DELETE or MERGE statement' },
+      params: { type: 'array', items: ref('Param') },
+      timeoutMs: TIMEOUT_MS
+    }
+  },
+  TransactionStatement: {
+    oneOf: [
+      {
+        type: 'object',
+        required: ['sql'],
+        properties: {
+          sql: { type: 'string', minLength: 1 },
+          params: { type: 'array', items: ref('Param') },
+          type: { type: 'string', enum: ['query', 'execute'] }
+        }
+      },
+      { type: 'object', required: ['savepoint'], properties: { savepoint: { type: 'string' } } },
+      { type: 'object', required: ['rollbackTo'], properties: { rollbackTo: { type: 'string' } } },
+      { type: 'object', required: ['release'], properties: { release: { type: 'string' } } }
+    ]
+  },
+  Isolation: {
+    type: 'string',
+    nullable: true,
+    description: `One of ${ISOLATION_LEVELS.join(', ')}; case, spaces and dashes are ignored`,
+    example: 'committed_read'
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      transactionId: { type: 'string', format: 'uuid' },
+      isolation: { type: 'string', nullable: true },
+      idleTimeoutMs: { type: 'integer' },
+      statementCount: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' },
+      expiresAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Principal: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['apikey', 'jwt'] },
+      id: { type: 'string' },
+      name: { type: 'string' },
+      roles: { type: 'array', items: { type: 'string' } },
+      metadata: { type: 'object', additionalProperties: true }
+    }
+  },
+  CatalogColumn: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      type: { type: 'string', example: 'DECIMAL' },
+      sqlType: { type: 'string', example: 'DECIMAL(10,2)' },
+      nullable: { type: 'boolean' },
+      serial: { type: 'boolean' },
+      length: { type: 'integer', nullable: true },
+      minLength: { type: 'integer', nullable: true },
+      precision: { type: 'integer', nullable: true },
+      scale: { type: 'integer', nullable: true },
+      qualifier: { type: 'string', nullable: true, example: 'year to second' },
+      position: { type: 'integer' },
+      default: {
+        type: 'object',
+        nullable: true,
+        properties: {
+          kind: { type: 'string', enum: ['literal', 'user', 'current', 'today', 'null', 'dbservername'] },
+          value: { type: 'string' }
+        }
+      }
+    }
+  },
+  TableSummary: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      owner: { type: 'string' },
+      type: { type: 'string', enum: ['table', 'view', 'synonym', 'external'] },
+      rowEstimate: { type: 'integer', nullable: true },
+      created: { type: 'string', format: 'date', nullable: true }
+    }
+  },
+  KeyColumns: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      columns: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  TableDescription: {
+    allOf: [
+      ref('TableSummary'),
+      {
+        type: 'object',
+        properties: {
+          columns: { type: 'array', items: ref('CatalogColumn') },
+          primaryKey: { ...ref('KeyColumns'), description: 'null when the table has none' },
+          uniqueKeys: { type: 'array', items: ref('KeyColumns') },
+          foreignKeys: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                columns: { type: 'array', items: { type: 'string' } },
+                references: {
+                  type: 'object',
+                  properties: {
+                    table: { type: 'string' },
+                    columns: { type: 'array', items: { type: 'string' } }
+                  }
+                },
+                onDelete: { type: 'string' },
+                onUpdate: { type: 'string' }
+              }
+            }
+          },
+          checks: {
+            type: 'array',
+            items: { type: 'object', properties: { name: { type: 'string' }, expression: { type: 'string' } } }
+          },
+          indexes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                owner: { type: 'string' },
+                unique: { type: 'boolean' },
+                clustered: { type: 'boolean' },
+                columns: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, order: { type: 'string', enum: ['asc', 'desc'] } }
+                  }
+                }
+              }
+            }
+          },
+          referencedBy: {
+            type: 'array',
+            items: { type: 'object', properties: { table: { type: 'string' }, constraint: { type: 'string' } } }
+          },
+          definition: { type: 'string', description: 'View text (views only)' }
+        }
+      }
+    ]
+  },
+  Routine: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      owner: { type: 'string' },
+      qualifiedName: { type: 'string' },
+      specificName: { type: 'string', nullable: true },
+      kind: { type: 'string', enum: ['procedure', 'function'] },
+      language: { type: 'string', nullable: true },
+      signature: { type: 'string' },
+      documentation: { type: 'string', nullable: true },
+      parameters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', nullable: true },
+            mode: { type: 'string', enum: ['in', 'inout', 'out'] },
+            type: { type: 'string' },
+            sqlType: { type: 'string' }
+          }
+        }
+      },
+      returns: {
+        type: 'array',
+        items: { type: 'object', properties: { name: { type: 'string', nullable: true }, type: { type: 'string' }, sqlType: { type: 'string' } } }
+      }
+    }
+  },
+  ImportReport: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      table: { type: 'string' },
+      mode: { type: 'string', enum: ['stop', 'skip'] },
+      received: { type: 'integer' },
+      inserted: { type: 'integer' },
+      rejected: { type: 'integer' },
+      rolledBack: { type: 'boolean' },
+      errorsTruncated: { type: 'boolean' },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { row: { type: 'integer' }, column: { type: 'string' }, error: { type: 'string' } }
+        }
+      }
+    }
+  },
+  DataInsert: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: { type: 'object', minProperties: 1, additionalProperties: ref('Param') }
+    }
+  },
+  DataUpdate: {
+    type: 'object',
+    required: ['data', 'where'],
+    properties: {
+      data: { type: 'object', minProperties: 1, additionalProperties: ref('Param') },
+      where: { type: 'object', minProperties: 1, additionalProperties: ref('Param'), description: 'column = value conditions' }
+    }
+  },
+  DataDelete: {
+    type: 'object',
+    required: ['where'],
+    properties: {
+      where: { type: 'object', minProperties: 1, additionalProperties: ref('Param'), description: 'column = value conditions' }
+    }
+  },
+  RowValues: {
+    type: 'object',
+    required: ['data'],
+    properties: {
+      data: { type: 'object', minProperties: 1, additionalProperties: ref('Param') }
+    }
+  },
+  RowKey: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Primary key columns and the values given in the path'
+  },
+  WriteResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      table: { type: 'string' },
+      key: ref('RowKey'),
+      rowsAffected: { type: 'integer' },
+      generatedKeys: {
+        type: 'object',
+        additionalProperties: true,
+        nullable: true,
+        description: 'Inserts: the value of the table\'s SERIAL / SERIAL8 / BIGSERIAL column, null when it has none'
+      },
+      data: {
+        oneOf: [{ type: 'array', items: ref('Row') }, ref('Row')],
+        description: 'With ?return=rows: the written rows (one row for /api/data/{tableName}/{id})'
+      }
+    }
+  },
+  RowResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      table: { type: 'string' },
+      key: ref('RowKey'),
+      data: ref('Row')
+    }
+  },
+  TableData: {
+    allOf: [
+      ref('QueryResult'),
+      {
+        type: 'object',
+        properties: {
+          table: { type: 'string' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer', nullable: true, description: 'null on a page read with a keyset cursor' },
+          total: { type: 'integer', nullable: true, description: 'With ?count' },
+          totalIsEstimate: { type: 'boolean', description: 'With ?count' },
+          next: { type: 'string', nullable: true, description: 'Cursor of the next page; null on the last page' },
+          prev: { type: 'string', nullable: true, description: 'Cursor of the previous page; null on the first page' }
+        }
+      }
+    ]
+  }
+};
+
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+
+// Shed by admission control: come back after Retry-After seconds
+const shedResponse = description => ({
+  ...errorResponse(description),
+  headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } }
+});
+
+const RESPONSES = {
+  BadRequest: errorResponse('Invalid request: VALIDATION_ERROR for params, query or body that do not match this document, or bad SQL / options'),
+  Unauthorized: errorResponse('Missing or invalid credentials (UNAUTHENTICATED, INVALID_CREDENTIALS, INVALID_TOKEN, ...)'),
+  Forbidden: errorResponse('Not allowed by the role policy (FORBIDDEN) or the statement checks'),
+  NotFound: errorResponse('No such table, row, routine or transaction'),
+  Timeout: errorResponse('The request ran past its timeout and its statements were cancelled in the database (QUERY_TIMEOUT)'),
+  PreconditionFailed: errorResponse('The row no longer has the ETag given in If-Match (PRECONDITION_FAILED)'),
+  UnsupportedMediaType: errorResponse('Unsupported request body type'),
+  Unprocessable: errorResponse('The import stopped at a rejected row; nothing was inserted'),
+  TooManyRequests: shedResponse('The client already has too many requests running and waiting (TOO_MANY_REQUESTS)'),
+  ServerError: errorResponse('The database or the service failed'),
+  Unavailable: shedResponse('Unavailable or over a limit: at capacity (OVERLOADED), waited too long for a free slot (QUEUE_TIMEOUT), ...')
+};
+
+const PATHS = {
+  '/api/health': {
+    get: {
+      tags: ['System'],
+      summary: 'Health check',
+      security: [],
+      responses: {
+        200: { description: 'Healthy', content: json({ type: 'object', additionalProperties: true }) },
+        503: { description: 'Unhealthy', content: json({ type: 'object', additionalProperties: true }) }
+      }
+    }
+  },
+  '/api/stats': {
+    get: {
+      tags: ['System'],
+      summary: 'Service, cache, bridge, pool and admission statistics',
+      responses: { ...ok('Statistics', { type: 'object', additionalProperties: true }), ...errors() }
+    }
+  },
+  '/api/auth/me': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Identity of the authenticated caller',
+      responses: { ...ok('Principal', ref('Principal')), ...errors(404) }
+    }
+  },
+  '/api/query': {
+    post: {
+      tags: ['Query'],
+      summary: 'Run a SELECT',
+      description: 'Streams rows (?stream=) or downloads them as a file (?format=) instead of buffering them when asked.',
+      parameters: STREAM_PARAMS,
+      requestBody: body(ref('QueryRequest')),
+      responses: {
+        200: { description: 'Rows', content: { ...json(ref('QueryResult')), ...ROW_STREAM_CONTENT } },
+        ...errors(400, 403)
+      }
+    }
+  },
+  '/api/query/one': {
+    post: {
+      tags: ['Query'],
+      summary: 'Run a SELECT and return its first row',
+      requestBody: body(ref('QueryRequest')),
+      responses: {
+        ...ok('First row, or null', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            fromCache: { type: 'boolean' },
+            columns: { type: 'array', items: ref('ResultColumn') },
+            data: { type: 'object', additionalProperties: true, nullable: true, description: 'The first row, or null' }
+          }
+        }),
+        ...errors(400, 403)
+      }
+    }
+  },
+  '/api/execute': {
+    post: {
+      tags: ['Query'],
+      summary: 'Run an INSERT, UPDATE, DELETE or MERGE',
+      parameters: [REQUIRE_MATCH_PARAM],
+      requestBody: body(ref('ExecuteRequest')),
+      responses: {
+        ...ok('Executed', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            operation: { type: 'string' },
+            message: { type: 'string' },
+            rowsAffected: { type: 'integer' },
+            generatedKeys: GENERATED_KEYS
+          }
+        }),
+        ...errors(400, 403, 404)
+      }
+    }
+  },
+  '/api/transaction': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Run several statements in one transaction',
+      requestBody: body({
+        type: 'object',
+        required: ['statements'],
+        properties: {
+          statements: { type: 'array', minItems: 1, items: ref('TransactionStatement') },
+          isolation: ref('Isolation'),
+          timeoutMs: TIMEOUT_MS
+        }
+      }),
+      responses: {
+        ...ok('Committed', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            statementCount: { type: 'integer' },
+            results: { type: 'array', items: { type: 'object', additionalProperties: true } }
+          }
+        }),
+        ...errors(400, 403)
+      }
+    }
+  },
+  '/api/transactions': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Open an interactive transaction session',
+      requestBody: body({
+        type: 'object',
+        properties: {
+          isolation: ref('Isolation'),
+          idleTimeoutMs: { type: 'integer', minimum: 1 }
+        }
+      }, false),
+      responses: {
+        201: { description: 'Opened', content: json(ref('Session')) },
+        ...errors(400, 403, 503)
+      }
+    }
+  },
+  '/api/transactions/{id}': {
+    get: {
+      tags: ['Transactions'],
+      summary: 'Describe an open transaction session',
+      parameters: [pathParam('id', 'Transaction id')],
+      responses: { ...ok('Session', ref('Session')), ...errors(403, 404) }
+    }
+  },
+  '/api/transactions/{id}/query': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Run a SELECT inside a session',
+      parameters: [pathParam('id', 'Transaction id')],
+      requestBody: body(ref('ExecuteRequest')),
+      responses: { ...ok('Rows', ref('QueryResult')), ...errors(400, 403, 404) }
+    }
+  },
+  '/api/transactions/{id}/execute': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Run an INSERT, UPDATE, DELETE or MERGE inside a session',
+      parameters: [pathParam('id', 'Transaction id')],
+      requestBody: body(ref('ExecuteRequest')),
+      responses: {
+        ...ok('Executed', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            transactionId: { type: 'string' },
+            operation: { type: 'string' },
+            rowsAffected: { type: 'integer' },
+            generatedKeys: GENERATED_KEYS
+          }
+        }),
+        ...errors(400, 403, 404)
+      }
+    }
+  },
+  '/api/transactions/{id}/commit': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Commit a session',
+      parameters: [pathParam('id', 'Transaction id')],
+      responses: { ...ok('Committed', { type: 'object', additionalProperties: true }), ...errors(403, 404) }
+    }
+  },
+  '/api/transactions/{id}/rollback': {
+    post: {
+      tags: ['Transactions'],
+      summary: 'Roll back a session',
+      parameters: [pathParam('id', 'Transaction id')],
+      responses: { ...ok('Rolled back', { type: 'object', additionalProperties: true }), ...errors(403, 404) }
+    }
+  },
+  '/api/procedures': {
+    get: {
+      tags: ['Procedures'],
+      summary: 'List stored procedures and functions',
+      parameters: [
+        queryParam('name', 'LIKE pattern on the routine name'),
+        queryParam('owner', 'Routine owner'),
+        queryParam('language', 'Routine language, e.g. spl')
+      ],
+      responses: {
+        ...ok('Routines', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            procedures: { type: 'array', items: ref('Routine') }
+          }
+        }),
+        ...errors(403)
+      }
+    }
+  },
+  '/api/procedures/{name}': {
+    get: {
+      tags: ['Procedures'],
+      summary: 'Describe every overload of a routine',
+      parameters: [pathParam('name', 'Routine name or owner.name')],
+      responses: {
+        ...ok('Overloads', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            name: { type: 'string' },
+            overloads: { type: 'array', items: ref('Routine') }
+          }
+        }),
+        ...errors(400, 403, 404)
+      }
+    },
+    post: {
+      tags: ['Procedures'],
+      summary: 'Call a stored procedure or function',
+      parameters: [pathParam('name', 'Routine name or owner.name')],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          args: {
+            description: 'IN / INOUT values in order, or by parameter name',
+            oneOf: [
+              { type: 'array', items: ref('Param') },
+              { type: 'object', additionalProperties: ref('Param') }
+            ]
+          },
+          decimals: ref('Decimals'),
+          timeoutMs: TIMEOUT_MS
+        }
+      }, false),
+      responses: {
+        ...ok('Result sets and OUT values', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            routine: { type: 'string' },
+            kind: { type: 'string', enum: ['procedure', 'function'] },
+            resultSets: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  columns: { type: 'array', items: ref('ResultColumn') },
+                  rows: { type: 'array', items: ref('Row') }
+                }
+              }
+            },
+            outParams: { type: 'object', additionalProperties: true },
+            rowsAffected: { type: 'integer' }
+          }
+        }),
+        ...errors(400, 403, 404)
+      }
+    }
+  },
+  '/api/cache/clear': {
+    post: {
+      tags: ['Cache'],
+      summary: 'Clear the query cache, or the results of some tables or one query',
+      requestBody: body(ref('CacheClearRequest'), false),
+      responses: {
+        ...ok('Cleared', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            cleared: { type: 'integer', description: 'Entries dropped' }
+          }
+        }),
+        ...errors(400, 403)
+      }
+    }
+  },
+  '/api/tables': {
+    get: {
+      tags: ['Schema'],
+      summary: 'List table names',
+      responses: {
+        ...ok('Tables', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            tables: { type: 'array', items: { type: 'string' } }
+          }
+        }),
+        ...errors()
+      }
+    }
+  },
+  '/api/tables/{tableName}/columns': {
+    get: {
+      tags: ['Schema'],
+      summary: 'Columns of a table with decoded types',
+      parameters: [TABLE_PARAM],
+      responses: {
+        ...ok('Columns', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            table: { type: 'string' },
+            columns: { type: 'array', items: ref('CatalogColumn') }
+          }
+        }),
+        ...errors(403, 404)
+      }
+    }
+  },
+  '/api/schema/tables': {
+    get: {
+      tags: ['Schema'],
+      summary: 'List tables, views, synonyms and external tables',
+      parameters: [queryParam('type', 'Only this kind of object', { type: 'string', enum: ['table', 'view', 'synonym', 'external'] })],
+      responses: {
+        ...ok('Tables', {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            count: { type: 'integer' },
+            tables: { type: 'array', items: ref('TableSummary') }
+          }
+        }),
+        ...errors(400)
+      }
+    }
+  },
+  '/api/schema/tables/{tableName}': {
+    get: {
+      tags: ['Schema'],
+      summary: 'Describe a table or view',
+      parameters: [TABLE_PARAM],
+      responses: { ...ok('Description', ref('TableDescription')), ...errors(403, 404) }
+    }
+  },
+  '/api/schema/views': {
+    get: {
+      tags: ['Schema'],
+      summary: 'List views with their definitions',
+      responses: { ...ok('Views', { type: 'object', additionalProperties: true }), ...errors() }
+    }
+  },
+  '/api/schema/synonyms': {
+    get: {
+      tags: ['Schema'],
+      summary: 'List synonyms and their targets',
+      responses: { ...ok('Synonyms', { type: 'object', additionalProperties: true }), ...errors() }
+    }
+  },
+  '/api/schema/sequences': {
+    get: {
+      tags: ['Schema'],
+      summary: 'List sequences',
+      responses: { ...ok('Sequences', { type: 'object', additionalProperties: true }), ...errors() }
+    }
+  },
+  '/api/data/{tableName}': {
+    get: {
+      tags: ['Data'],
+      summary: 'Read rows of a table',
+      parameters: [
+        TABLE_PARAM,
+        queryParam('limit', `Rows to return (default ${config.data.defaultLimit})`,
+          { type: 'integer', minimum: 1, maximum: config.data.maxLimit }),
+        queryParam('offset', 'Rows to skip', { type: 'integer', minimum: 0, maximum: config.data.maxOffset }),
+        queryParam('cursor', 'next or prev token of an earlier page with the same order; replaces offset'),
+        queryParam('count', 'Add total: exact counts the rows matching where, estimate reads the table '
+          + 'row count from the last UPDATE STATISTICS', { type: 'string', enum: ['exact', 'estimate'] }),
+        queryParam('select', 'Comma-separated columns to return (default: every column you may read)'),
+        {
+          name: 'where',
+          in: 'query',
+          required: false,
+          description: 'where[column][operator]=value conditions, joined with AND. Operators: eq, ne, lt, lte, '
+            + 'gt, gte, like, in (a,b,c), between (low,high) and isnull (true or false); where[column]=value '
+            + 'is eq. where[or][0][column][operator]=value ORs the numbered groups, and where[and][...] '
+            + 'ANDs them, e.g. where[or][0][city][eq]=Oslo&where[or][1][vip][eq]=t',
+          style: 'deepObject',
+          explode: true,
+          schema: { type: 'object' }
+        },
+        queryParam('order', 'Comma-separated column, column.asc or column.desc; the primary key is '
+          + 'always added last so pages are stable'),
+        TIMEOUT_PARAM,
+        ...STREAM_PARAMS
+      ],
+      responses: {
+        200: {
+          description: 'Rows',
+          headers: {
+            Link: {
+              description: 'first, prev and next page URLs (RFC 8288)',
+              schema: { type: 'string' }
+            }
+          },
+          content: { ...json(ref('TableData')), ...ROW_STREAM_CONTENT }
+        },
+        ...errors(400, 403, 404)
+      }
+    },
+    post: {
+      tags: ['Data'],
+      summary: 'Insert a row',
+      parameters: [TABLE_PARAM, RETURN_PARAM, TIMEOUT_PARAM],
+      requestBody: body(ref('DataInsert')),
+      responses: {
+        201: { description: 'Inserted', content: json(ref('WriteResult')) },
+        ...errors(400, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Data'],
+      summary: 'Update the rows matching where',
+      parameters: [TABLE_PARAM, RETURN_PARAM, REQUIRE_MATCH_PARAM, TIMEOUT_PARAM],
+      requestBody: body(ref('DataUpdate')),
+      responses: { ...ok('Updated', ref('WriteResult')), ...errors(400, 403, 404) }
+    },
+    delete: {
+      tags: ['Data'],
+      summary: 'Delete the rows matching where',
+      parameters: [TABLE_PARAM, REQUIRE_MATCH_PARAM, TIMEOUT_PARAM],
+      requestBody: body(ref('DataDelete')),
+      responses: { ...ok('Deleted', ref('WriteResult')), ...errors(400, 403, 404) }
+    }
+  },
+  '/api/data/{tableName}/{id}': {
+    get: {
+      tags: ['Data'],
+      summary: 'Read one row by primary key',
+      parameters: [
+        TABLE_PARAM,
+        ROW_ID_PARAM,
+        headerParam('If-None-Match', 'ETag of a copy you have; 304 if it is current'),
+        TIMEOUT_PARAM
+      ],
+      responses: {
+        200: { description: 'The row', headers: ETAG_HEADER, content: json(ref('RowResult')) },
+        304: { description: 'Not modified', headers: ETAG_HEADER },
+        ...errors(400, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Data'],
+      summary: 'Replace one row: columns you may update that data leaves out are set to NULL',
+      parameters: [TABLE_PARAM, ROW_ID_PARAM, IF_MATCH_PARAM, RETURN_PARAM, TIMEOUT_PARAM],
+      requestBody: body(ref('RowValues')),
+      responses: {
+        200: { description: 'Updated', headers: ETAG_HEADER, content: json(ref('WriteResult')) },
+        ...errors(400, 403, 404, 412)
+      }
+    },
+    patch: {
+      tags: ['Data'],
+      summary: 'Update some columns of one row',
+      parameters: [TABLE_PARAM, ROW_ID_PARAM, IF_MATCH_PARAM, RETURN_PARAM, TIMEOUT_PARAM],
+      requestBody: body(ref('RowValues')),
+      responses: {
+        200: { description: 'Updated', headers: ETAG_HEADER, content: json(ref('WriteResult')) },
+        ...errors(400, 403, 404, 412)
+      }
+    },
+    delete: {
+      tags: ['Data'],
+      summary: 'Delete one row by primary key',
+      parameters: [TABLE_PARAM, ROW_ID_PARAM, IF_MATCH_PARAM, TIMEOUT_PARAM],
+      responses: { ...ok('Deleted', ref('WriteResult')), ...errors(400, 403, 404, 412) }
+    }
+  },
+  '/api/import/{tableName}': {
+    post: {
+      tags: ['Import'],
+      summary: 'Bulk import CSV, TSV, NDJSON or a JSON array',
+      parameters: [
+        TABLE_PARAM,
+        queryParam('mode', 'stop rolls back at the first bad row; skip loads the good rows', { type: 'string', enum: ['stop', 'skip'] }),
+        queryParam('format', 'Body format when the Content-Type does not say: csv, tsv, ndjson or json'),
+        queryParam('batchSize', 'Rows per JDBC batch', { type: 'integer', minimum: 1, maximum: 10000 }),
+        queryParam('delimiter', 'CSV separator'),
+        queryParam('header', 'false when the CSV has no header row', FLAG),
+        queryParam('columns', 'Comma-separated column names for header=false'),
+        queryParam('ignoreUnknown', 'Drop fields that match no column', FLAG),
+        {
+          name: 'map',
+          in: 'query',
+          required: false,
+          description: 'map[field]=column renames a field; map[field]= drops it',
+          style: 'deepObject',
+          explode: true,
+          schema: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'text/tab-separated-values': { schema: { type: 'string' } },
+          'application/x-ndjson': { schema: { type: 'string' } },
+          'application/json': { schema: { type: 'array', items: ref('Row') } }
+        }
+      },
+      responses: {
+        ...ok('Import report', ref('ImportReport')),
+        422: {
+          description: 'Stopped at a rejected row; nothing was inserted',
+          content: json({ allOf: [ref('Error'), ref('ImportReport')] })
+        },
+        ...errors(400, 403, 404, 415)
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      tags: ['System'],
+      summary: 'This document',
+      security: [],
+      parameters: [queryParam('tables', 'false leaves out the per-table paths', FLAG)],
+      responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } }
+    }
+  }
+};
+
+/**
+ * Build the route part of the document
+ * @param {Object} options
+ * @param {string} options.version - API version
+ * @param {boolean} options.authEnabled - Whether routes need credentials
+ * @param {boolean} options.publicDocs - Whether this document is served without credentials
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function baseSpec({ version, authEnabled, publicDocs = false }) {
+  const spec = {
+    openapi: '3.0.3',
+    info: {
+      title: 'Informix Database Service',
+      version,
+      description: 'REST API over an Informix database. Errors share one envelope: '
+        + '{ error, code, details?, timestamp? }.'
+    },
+    servers: [{ url: '/' }],
+    tags: ['System', 'Auth', 'Query', 'Transactions', 'Procedures', 'Schema', 'Data', 'Import', 'Cache', 'Tables']
+      .map(name => ({ name })),
+    paths: JSON.parse(JSON.stringify(PATHS)),
+    components: {
+      schemas: JSON.parse(JSON.stringify(SCHEMAS)),
+      responses: RESPONSES,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+  if (authEnabled) {
+    spec.security = [{ apiKey: [] }, { bearer: [] }];
+    if (!publicDocs) {
+      const document = spec.paths['/api/openapi.json'].get;
+      delete document.security;
+      Object.assign(document.responses, errors());
+    }
+  } else {
+    delete spec.components.responses.Unauthorized;
+    for (const operations of Object.values(spec.paths)) {
+      for (const operation of Object.values(operations)) {
+        delete operation.responses[401];
+      }
+    }
+  }
+  return spec;
+}
+
+module.exports = {
+  SCHEMAS,
+  baseSpec,
+  ref,
+  json,
+};
@@ -0,0 +1,241 @@
+/**
+ * Per-table OpenAPI schemas
+ * Turns decoded catalog columns into JSON schemas for rows, inserts and
+ * updates, and documents /api/data/<table> for each table.
+ */
+
+const { ref, json } = require('./spec');
+
+const INTEGER_TYPES = ['SMALLINT', 'INTEGER', 'SERIAL'];
+const BIGINT_TYPES = ['BIGINT', 'INT8', 'SERIAL8', 'BIGSERIAL'];
+const CHARACTER_TYPES = ['CHAR', 'NCHAR', 'VARCHAR', 'NVARCHAR', 'LVARCHAR'];
+
+// Types a client may also send as { "$type": ..., "value": ... }
+const TAGGED_INPUT_TYPES = ['DECIMAL', 'MONEY', 'DATE', 'DATETIME', 'BYTE', 'BLOB'];
+
+/**
+ * JSON schema of the values a column returns, following the README
+ * "Result types" table
+ * @param {Object} column - Decoded column (see db/coltypes)
+ */
+function valueSchema(column) {
+  const { type } = column;
+  if (INTEGER_TYPES.includes(type)) {
+    return { type: 'integer', format: 'int32' };
+  }
+  if (BIGINT_TYPES.includes(type)) {
+    return { anyOf: [{ type: 'integer', format: 'int64' }, { type: 'string', pattern: '^-?\\d+$' }] };
+  }
+  if (type === 'FLOAT' || type === 'SMALLFLOAT') {
+    return { type: 'number', format: type === 'FLOAT' ? 'double' : 'float' };
+  }
+  if (type === 'DECIMAL' || type === 'MONEY') {
+    return { anyOf: [{ type: 'string', pattern: '^-?\\d*\\.?\\d+$' }, { type: 'number' }] };
+  }
+  if (type === 'DATE') return { type: 'string', format: 'date' };
+  if (type === 'DATETIME') {
+    // Only a full "year to second" value is an RFC 3339 date-time
+    return /^year to (second|fraction)/.test(column.qualifier || '')
+      ? { type: 'string', format: 'date-time' }
+      : { type: 'string', example: column.qualifier };
+  }
+  if (type === 'INTERVAL') {
+    return {
+      type: 'object',
+      properties: { text: { type: 'string' }, negative: { type: 'boolean' }, iso: { type: 'string' } },
+      additionalProperties: true
+    };
+  }
+  if (type === 'BOOLEAN') return { type: 'boolean' };
+  if (type === 'BYTE' || type === 'BLOB') return { type: 'string', format: 'byte' };
+  if (CHARACTER_TYPES.includes(type)) {
+    return column.length ? { type: 'string', maxLength: column.length } : { type: 'string' };
+  }
+  if (type === 'TEXT' || type === 'CLOB') return { type: 'string' };
+  return {};
+}
+
+/**
+ * JSON schema of the values a client may write to a column
+ */
+function inputSchema(column) {
+  let schema = valueSchema(column);
+  if (column.type === 'INTERVAL') {
+    schema = { type: 'string', example: '5 10:30:00' };
+  }
+  if (TAGGED_INPUT_TYPES.includes(column.type)) {
+    schema = { anyOf: [...(schema.anyOf || [schema]), ref('TaggedValue')] };
+  }
+  return schema;
+}
+
+function property(column, schema) {
+  let value = schema;
+  if (column.nullable) {
+    // OpenAPI 3.0 only honors nullable next to type, so it goes on the first alternative
+    value = schema.anyOf
+      ? { ...schema, anyOf: [{ ...schema.anyOf[0], nullable: true }, ...schema.anyOf.slice(1)] }
+      : schema.type ? { ...schema, nullable: true } : schema;
+  }
+  return {
+    ...value,
+    description: column.sqlType,
+    ...(column.serial ? { readOnly: true } : {})
+  };
+}
+
+/**
+ * Columns a grant covers: null allows all of them
+ */
+function granted(columns, allowed) {
+  if (allowed === null) return columns;
+  const names = new Set(allowed);
+  return columns.filter(column => names.has(column.name));
+}
+
+/**
+ * Columns update or delete conditions may name: the union of both grants
+ */
+function filterable(columns, { update, delete: remove }) {
+  if (update === null || remove === null) return columns;
+  const names = new Set([...(update || []), ...(remove || [])]);
+  return columns.filter(column => names.has(column.name));
+}
+
+function objectSchema(columns, toSchema, required = [], minProperties = 0) {
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(columns.map(column => [column.name, property(column, toSchema(column))])),
+    additionalProperties: false
+  };
+  if (required.length > 0) schema.required = required;
+  if (minProperties > 0) schema.minProperties = minProperties;
+  return schema;
+}
+
+/**
+ * Component schemas of one table
+ * @param {Object} table - { name, columns, grants }
+ * @returns {Object} component name -> schema; missing entries for denied actions
+ */
+function tableSchemas({ name, columns, grants }) {
+  const schemas = {};
+  if (grants.read !== false) {
+    const readable = granted(columns, grants.read);
+    schemas[`${name}.Row`] = objectSchema(
+      readable,
+      valueSchema,
+      readable.filter(column => !column.nullable).map(column => column.name)
+    );
+  }
+  if (grants.insert !== false) {
+    const writable = granted(columns, grants.insert);
+    schemas[`${name}.Insert`] = objectSchema(
+      writable,
+      inputSchema,
+      // Serial columns and columns with a default may be left out
+      writable.filter(column => !column.nullable && !column.serial && !column.default).map(column => column.name),
+      1
+    );
+  }
+  if (grants.update !== false) {
+    schemas[`${name}.Update`] = objectSchema(granted(columns, grants.update), inputSchema, [], 1);
+  }
+  if (grants.update !== false || grants.delete !== false) {
+    // Column grants limit where conditions too; any of those columns can be compared with null
+    schemas[`${name}.Where`] = {
+      ...objectSchema(filterable(columns, grants).map(column => ({ ...column, nullable: true })), inputSchema, [], 1),
+      description: 'column = value conditions joined with AND; null matches IS NULL'
+    };
+  }
+  return schemas;
+}
+
+/**
+ * Operations of /api/data/<table>, based on the generic /api/data/{tableName}
+ * @param {Object} generic - Path item of /api/data/{tableName}
+ */
+function tablePath({ name, grants }, generic) {
+  const withoutTable = operation => ({
+    ...operation,
+    tags: ['Tables'],
+    parameters: (operation.parameters || []).filter(parameter => parameter.name !== 'tableName')
+  });
+  const item = {};
+
+  if (grants.read !== false) {
+    const rows = {
+      allOf: [
+        ref('TableData'),
+        { type: 'object', properties: { data: { type: 'array', items: ref(`${name}.Row`) } } }
+      ]
+    };
+    item.get = {
+      ...withoutTable(generic.get),
+      summary: `Read rows of ${name}`,
+      responses: {
+        ...generic.get.responses,
+        200: { ...generic.get.responses[200], content: { ...generic.get.responses[200].content, ...json(rows) } }
+      }
+    };
+  }
+  if (grants.insert !== false) {
+    item.post = {
+      ...withoutTable(generic.post),
+      summary: `Insert a row into ${name}`,
+      requestBody: {
+        required: true,
+        content: json({ type: 'object', required: ['data'], properties: { data: ref(`${name}.Insert`) } })
+      }
+    };
+  }
+  if (grants.update !== false) {
+    item.put = {
+      ...withoutTable(generic.put),
+      summary: `Update rows of ${name}`,
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['data', 'where'],
+          properties: { data: ref(`${name}.Update`), where: ref(`${name}.Where`) }
+        })
+      }
+    };
+  }
+  if (grants.delete !== false) {
+    item.delete = {
+      ...withoutTable(generic.delete),
+      summary: `Delete rows of ${name}`,
+      requestBody: {
+        required: true,
+        content: json({ type: 'object', required: ['where'], properties: { where: ref(`${name}.Where`) } })
+      }
+    };
+  }
+  return item;
+}
+
+/**
+ * Add per-table schemas and paths to a document
+ * @param {Object} spec - Document from baseSpec
+ * @param {Array<Object>} tables - { name, columns, grants } where grants maps
+ *   read/insert/update/delete to allowed column names, null (all) or false
+ */
+function addTables(spec, tables) {
+  const generic = spec.paths['/api/data/{tableName}'];
+  for (const table of tables) {
+    const item = tablePath(table, generic);
+    if (Object.keys(item).length === 0) continue;
+    Object.assign(spec.components.schemas, tableSchemas(table));
+    spec.paths[`/api/data/${table.name}`] = item;
+  }
+  return spec;
+}
+
+module.exports = {
+  valueSchema,
+  inputSchema,
+  tableSchemas,
+  addTables,
+};
@@ -0,0 +1,253 @@
+/**
+ * Admission control
+ * Bounds the requests running at once: globally, per client and per lane.
+ * Reads, writes and admin traffic (health checks, stats, docs) queue in
+ * lanes of their own, so a flood of exports cannot hold up a health check.
+ * A request over a limit waits in its lane's bounded queue; it is shed with
+ * 429 TOO_MANY_REQUESTS when its client already has too many waiting, and
+ * with 503 OVERLOADED / QUEUE_TIMEOUT when the lane is full or the wait too
+ * long. Both carry Retry-After.
+ */
+
+const { config } = require('../config/database');
+const { sendError } = require('./errors');
+
+// Paths served in the admin lane ("/prefix/*" also covers everything below /prefix)
+const ADMIN_PATHS = ['/', '/api/health', '/api/stats', '/api/auth/me', '/api/cache/clear', '/api/openapi.json', '/api/docs/*'];
+
+// POST routes that only read
+const READ_POSTS = [/^\/api\/query(\/one)?$/, /^\/api\/transactions\/[^/]+\/query$/];
+
+const isAdmin = path => ADMIN_PATHS.some(admin => admin.endsWith('/*')
+  ? path === admin.slice(0, -2) || path.startsWith(admin.slice(0, -1))
+  : path === admin);
+
+/**
+ * Lane of a request: 'admin', 'read' or 'write'
+ */
+function laneOf(req) {
+  // Routes match whatever the case of the path, so lanes do too
+  const path = req.path.toLowerCase().replace(/(.)\/$/, '$1');
+  if (isAdmin(path)) return 'admin';
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return 'read';
+  if (req.method === 'POST' && READ_POSTS.some(pattern => pattern.test(path))) return 'read';
+  return 'write';
+}
+
+/**
+ * Client a request counts against: its principal, or its address when
+ * authentication is off
+ */
+function clientOf(req) {
+  return req.auth ? `${req.auth.type}:${req.auth.id}` : `ip:${req.ip}`;
+}
+
+class Admission {
+  /**
+   * @param {Object} options - config.admission
+   * @param {boolean} options.enabled - false lets every request through
+   * @param {number} options.concurrency - Read and write requests running at once
+   * @param {number} options.readConcurrency - Reads running at once (default concurrency - 1)
+   * @param {number} options.writeConcurrency - Writes running at once (default concurrency - 1)
+   * @param {number} options.adminConcurrency - Admin requests running at once, outside the global limit
+   * @param {number} options.clientConcurrency - Read and write requests one client may run at once
+   *   (default half the global limit)
+   * @param {number} options.clientQueue - Requests one client may have waiting
+   * @param {number} options.queue - Requests waiting per lane
+   * @param {number} options.queueTimeout - Longest wait for a slot (ms)
+   * @param {number} options.retryAfter - Retry-After for shed requests (ms)
+   */
+  constructor(options) {
+    this.enabled = options.enabled !== false;
+    this.concurrency = Math.max(options.concurrency, 1);
+    this.clientConcurrency = options.clientConcurrency || Math.max(Math.ceil(this.concurrency / 2), 1);
+    this.clientQueue = options.clientQueue;
+    this.queueTimeout = options.queueTimeout;
+    this.retryAfter = Math.max(Math.ceil(options.retryAfter / 1000), 1);
+
+    const share = Math.max(this.concurrency - 1, 1);
+    const lane = (concurrency, global) => ({
+      concurrency,
+      global,
+      queueLimit: options.queue,
+      running: 0,
+      queue: [],
+      admitted: 0,
+      rejected: 0,
+      timedOut: 0,
+    });
+    // Admin requests are neither counted against the global nor the client limits
+    this.lanes = {
+      read: lane(Math.min(options.readConcurrency || share, this.concurrency), true),
+      write: lane(Math.min(options.writeConcurrency || share, this.concurrency), true),
+      admin: lane(Math.max(options.adminConcurrency, 1), false),
+    };
+
+    this.running = 0;
+    this.sequence = 0;
+    // Client key -> { running, queued }
+    this.clients = new Map();
+  }
+
+  /**
+   * Express middleware admitting, queueing or shedding each request. Place
+   * it after authentication (clients are told apart by req.auth) and before
+   * the body parsers, so a queued request's body is not read until it runs.
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const lane = this.lanes[laneOf(req)];
+      const key = lane.global ? clientOf(req) : null;
+      const ticket = { lane, key, res, next, timer: null };
+
+      if (this._canRun(ticket)) return this._run(ticket);
+
+      // Whatever the client is running, so that one client cannot fill the lane's queue
+      const client = key && this.clients.get(key);
+      if (client && client.queued >= this.clientQueue) {
+        return this._shed(ticket, 429, 'Too many concurrent requests from this client', 'TOO_MANY_REQUESTS');
+      }
+      if (lane.queue.length >= lane.queueLimit) {
+        return this._shed(ticket, 503, 'Server is at capacity', 'OVERLOADED');
+      }
+      this._enqueue(ticket);
+    };
+  }
+
+  stats() {
+    const lanes = {};
+    for (const [name, lane] of Object.entries(this.lanes)) {
+      lanes[name] = {
+        concurrency: lane.concurrency,
+        running: lane.running,
+        queued: lane.queue.length,
+        admitted: lane.admitted,
+        // Shed requests, including the ones that waited too long
+        rejected: lane.rejected,
+        timedOut: lane.timedOut,
+      };
+    }
+    return {
+      enabled: this.enabled,
+      concurrency: this.concurrency,
+      running: this.running,
+      clientConcurrency: this.clientConcurrency,
+      clients: this.clients.size,
+      lanes,
+    };
+  }
+
+  _client(key) {
+    let client = this.clients.get(key);
+    if (!client) {
+      client = { running: 0, queued: 0 };
+      this.clients.set(key, client);
+    }
+    return client;
+  }
+
+  _forget(key) {
+    const client = this.clients.get(key);
+    if (client && client.running === 0 && client.queued === 0) this.clients.delete(key);
+  }
+
+  _canRun({ lane, key }) {
+    if (lane.running >= lane.concurrency) return false;
+    if (!lane.global) return true;
+    if (this.running >= this.concurrency) return false;
+    const client = this.clients.get(key);
+    return !client || client.running < this.clientConcurrency;
+  }
+
+  /**
+   * Hold the slots until the response ends (or the client goes away)
+   */
+  _run(ticket) {
+    const { lane, key, res } = ticket;
+    lane.running++;
+    lane.admitted++;
+    if (lane.global) {
+      this.running++;
+      this._client(key).running++;
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      lane.running--;
+      if (lane.global) {
+        this.running--;
+        this._client(key).running--;
+        this._forget(key);
+      }
+      this._dispatch();
+    };
+    res.once('finish', release);
+    res.once('close', release);
+    ticket.next();
+  }
+
+  _enqueue(ticket) {
+    const { lane, key, res } = ticket;
+    ticket.order = ++this.sequence;
+    lane.queue.push(ticket);
+    if (key) this._client(key).queued++;
+
+    const leave = () => {
+      const index = lane.queue.indexOf(ticket);
+      if (index === -1) return false;
+      lane.queue.splice(index, 1);
+      clearTimeout(ticket.timer);
+      res.removeListener('close', ticket.abandon);
+      if (key) {
+        this._client(key).queued--;
+        this._forget(key);
+      }
+      return true;
+    };
+
+    ticket.leave = leave;
+    ticket.timer = setTimeout(() => {
+      if (!leave()) return;
+      lane.timedOut++;
+      this._shed(ticket, 503, 'Timed out waiting for a free slot', 'QUEUE_TIMEOUT', { waitedMs: this.queueTimeout });
+    }, this.queueTimeout);
+    // A client that disconnects while waiting gives up its place
+    ticket.abandon = leave;
+    res.once('close', ticket.abandon);
+  }
+
+  /**
+   * Start waiting requests while there are free slots, oldest first. A
+   * request held back by its client's limit does not block the others.
+   */
+  _dispatch() {
+    for (;;) {
+      let next = null;
+      for (const lane of Object.values(this.lanes)) {
+        const ticket = lane.queue.find(waiting => this._canRun(waiting));
+        if (ticket && (!next || ticket.order < next.order)) next = ticket;
+      }
+      if (!next) return;
+      next.leave();
+      this._run(next);
+    }
+  }
+
+  _shed(ticket, status, message, code, details = undefined) {
+    ticket.lane.rejected++;
+    ticket.res.set('Retry-After', String(this.retryAfter));
+    sendError(ticket.res, status, message, code, details);
+  }
+}
+
+const admission = new Admission(config.admission);
+
+module.exports = {
+  Admission,
+  admission,
+  laneOf,
+};
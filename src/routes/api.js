@@ -5,6 +5,215 @@
 const express = require('express');
 const router = express.Router();
 const dbService = require('../services/DatabaseService');
+const importService = require('../services/ImportService');
+const procedureService = require('../services/ProcedureService');
+const schemaService = require('../services/SchemaService');
+const rowService = require('../services/RowService');
+const { etagMatches } = rowService;
+const { config } = require('../config/database');
+const { normalizeIsolation } = require('../db/transaction');
+const { streamFormat, parseFetchSize, sendRowStream } = require('./streaming');
+const { parseExportRequest, parseDelimiter, queryFilename, sendExport } = require('../export');
+const { csvRecords, ndjsonRecords, arrayRecords } = require('../import/sources');
+const { requireEndpoint, requireTable, requireSql, readableTables, tableGrants } = require('../auth/authorize');
+const { assertStatement, SqlPolicyError, READ_KINDS, WRITE_KINDS } = require('../sql/classify');
+const { SqlSyntaxError } = require('../sql/tokenizer');
+const { buildFilter, filterColumns, orderBy, FilterError } = require('../sql/filter');
+const { isKeyset, makeCursor, readCursor, keysetCondition } = require('../sql/cursor');
+const { validate, validateTableData, sendValidationError } = require('./validate');
+const { errorBody, sendError, sendServiceError } = require('./errors');
+const { statementOptions } = require('./deadline');
+const { admission } = require('./admission');
+
+// HTTP status for transaction session errors; anything else is a 500
+const SESSION_ERROR_STATUS = {
+  TRANSACTION_NOT_FOUND: 404,
+  TRANSACTION_LIMIT: 503
+};
+
+// HTTP status for import errors; anything else is a 500
+const IMPORT_ERROR_STATUS = {
+  TABLE_NOT_FOUND: 404,
+  INVALID_OPTION: 400,
+  INVALID_FILE: 400,
+  INVALID_MAPPING: 400,
+  INVALID_COLUMN: 400,
+  MISSING_COLUMN: 400,
+  UNSUPPORTED_COLUMN: 400,
+  FORBIDDEN: 403
+};
+
+// HTTP status for single-row errors; anything else is a 500
+const ROW_ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  NO_PRIMARY_KEY: 400,
+  TABLE_NOT_FOUND: 404,
+  ROW_NOT_FOUND: 404,
+  PRECONDITION_FAILED: 412,
+  TOO_MANY_ROWS: 400,
+  FORBIDDEN: 403
+};
+
+// HTTP status for stored procedure errors; anything else is a 500
+const PROCEDURE_ERROR_STATUS = {
+  INVALID_PROCEDURE: 400,
+  INVALID_ARGUMENTS: 400,
+  AMBIGUOUS_PROCEDURE: 400,
+  PROCEDURE_NOT_FOUND: 404
+};
+
+// HTTP status for schema errors; anything else is a 500
+const SCHEMA_ERROR_STATUS = {
+  TABLE_NOT_FOUND: 404,
+  INVALID_OPTION: 400
+};
+
+// Content types accepted by POST /api/import/:tableName
+const IMPORT_CONTENT_TYPES = {
+  csv: ['text/csv'],
+  tsv: ['text/tab-separated-values'],
+  ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  json: ['application/json']
+};
+
+/**
+ * Pick the import format from ?format= or the Content-Type header
+ * @returns {string|null} csv, tsv, ndjson or json; null when unrecognized
+ */
+function importFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    return IMPORT_CONTENT_TYPES[format] ? format : null;
+  }
+  const match = Object.entries(IMPORT_CONTENT_TYPES).find(([, types]) => req.is(types));
+  return match ? match[0] : null;
+}
+
+/**
+ * Check that raw SQL is one statement of an allowed kind, answering 400
+ * (unparseable or empty) or 403 (wrong kind, several statements) otherwise
+ * @param {string} message - Explanation sent with FORBIDDEN_OPERATION
+ * @returns {Object|null} { kind, keyword }, or null when a response was sent
+ */
+function checkStatement(res, sql, kinds, message) {
+  try {
+    return assertStatement(sql, kinds);
+  } catch (error) {
+    if (error instanceof SqlSyntaxError) {
+      sendError(res, 400, error.message, 'INVALID_SQL');
+      return null;
+    }
+    if (!(error instanceof SqlPolicyError)) throw error;
+
+    sendError(
+      res,
+      error.code === 'MISSING_SQL' ? 400 : 403,
+      error.code === 'FORBIDDEN_OPERATION' ? message : error.message,
+      error.code,
+      error.code === 'FORBIDDEN_OPERATION' ? error.message : undefined
+    );
+    return null;
+  }
+}
+
+// Query string flag: true for "true" or "1"
+const isFlagSet = value => value === 'true' || value === '1';
+
+/**
+ * Column filter for a write's ?return=rows: written rows come back with
+ * the columns the caller may read
+ * @returns {Function|null|false} null when rows were not asked for, false
+ *   when the caller may not read the table
+ */
+function returnedColumns(req) {
+  if (req.query.return !== 'rows') return null;
+  if (tableGrants(req, req.params.tableName).read === false) return false;
+  return readableColumns(req);
+}
+
+/**
+ * Filter for the columns the caller may read, whatever the route's own
+ * permission; row ETags cover only these
+ */
+function readableColumns(req) {
+  const allowed = tableGrants(req, req.params.tableName).read;
+  if (allowed === false) return () => [];
+  return allowed ? columns => columns.filter(column => allowed.includes(column.name)) : columns => columns;
+}
+
+function forbidReturn(res, tableName) {
+  sendError(res, 403, `Not allowed to read ${tableName}; leave out return=rows`, 'FORBIDDEN',
+    { permission: 'read', table: tableName });
+}
+
+/**
+ * Columns named in a { data: { column: value } } body, for column-level permissions
+ */
+function dataColumns(req) {
+  const { data } = req.body;
+  return data && typeof data === 'object' ? Object.keys(data) : [];
+}
+
+/**
+ * Columns named in a { where: { column: value } } body: a column-limited
+ * update or delete grant must cover them, or rowsAffected would reveal
+ * hidden values
+ */
+function whereColumns(req) {
+  const { where } = req.body;
+  return where && typeof where === 'object' ? Object.keys(where) : [];
+}
+
+/**
+ * Columns a bulk update both writes and filters on
+ */
+function updateColumns(req) {
+  return [...dataColumns(req), ...whereColumns(req)];
+}
+
+/**
+ * Drop the columns a column-limited read grant does not cover
+ * @param {Array<Object>} columns - Decoded columns ({ name, ... })
+ */
+function visibleColumns(req, columns) {
+  if (!req.allowedColumns) return columns;
+  const allowed = new Set(req.allowedColumns);
+  return columns.filter(column => allowed.has(column.name));
+}
+
+/**
+ * Total rows for ?count=exact (matching the filter) or ?count=estimate
+ * (the whole table, from the catalog statistics)
+ * @returns {Promise<{total: number|null, estimate: boolean}>}
+ */
+async function countRows(tableName, mode, where, params, control = {}) {
+  if (mode === 'estimate') {
+    return { total: await schemaService.getRowEstimate(tableName), estimate: true };
+  }
+  const result = await dbService.query(
+    `SELECT COUNT(*) AS total FROM ${tableName}${where ? ` WHERE ${where}` : ''}`,
+    params,
+    { useCache: true, ...control }
+  );
+  return { total: Number(result.data[0].total), estimate: false };
+}
+
+/**
+ * Link header with the first, prev and next pages of a GET /api/data read
+ * @param {Object} cursors - rel -> cursor token, '' for no cursor, null to leave out
+ */
+function pageLinks(req, cursors) {
+  const links = [];
+  for (const [rel, cursor] of Object.entries(cursors)) {
+    if (cursor === null) continue;
+    const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    query.delete('offset');
+    query.delete('cursor');
+    if (cursor) query.set('cursor', cursor);
+    links.push(`<${req.baseUrl}${req.path}${query.toString() ? `?${query}` : ''}>; rel="${rel}"`);
+  }
+  return links.join(', ');
+}
 
 /**
  * Health check endpoint
@@ -18,7 +227,9 @@ router.get('/health', async (req, res) => {
   } catch (error) {
     res.status(500).json({
       status: 'error',
-      message: error.message
+      message: error.message,
+      code: 'HEALTH_CHECK_ERROR',
+      timestamp: new Date().toISOString()
     });
   }
 });
@@ -28,131 +239,388 @@ router.get('/health', async (req, res) => {
  * GET /api/stats
  */
 router.get('/stats', (req, res) => {
-  res.json(dbService.getStats());
+  res.json({ ...dbService.getStats(), admission: admission.stats() });
+});
+
+/**
+ * Identity of the authenticated caller
+ * GET /api/auth/me
+ */
+router.get('/auth/me', (req, res) => {
+  if (!req.auth) {
+    return sendError(res, 404, 'Authentication is disabled', 'AUTH_DISABLED');
+  }
+  res.json(req.auth);
 });
 
 /**
  * Execute a query
- * POST /api/query
- * Body: { sql: string, params?: array, useCache?: boolean }
+ * POST /api/query[?stream=ndjson|json&fetchSize=n]
+ * POST /api/query?format=csv|tsv|xlsx|parquet[&delimiter=;&header=false&filename=name]
+ * Body: { sql: string, params?: array, useCache?: boolean, cacheTtlMs?: number, coalesce?: boolean,
+ *         decimals?: 'string' | 'number' }
+ * Streams rows instead of buffering them when ?stream= is set or the
+ * Accept header asks for application/x-ndjson (streamed results are not cached).
+ * ?format= or a matching Accept header streams the rows as a file download.
  */
-router.post('/query', async (req, res) => {
+router.post('/query', validate(), requireSql('query'), async (req, res) => {
   try {
-    const { sql, params = [], useCache = true } = req.body;
-    
-    if (!sql) {
-      return res.status(400).json({
-        error: 'SQL query is required',
-        code: 'MISSING_SQL'
-      });
+    const { sql, params = [], useCache = true, cacheTtlMs, coalesce, decimals } = req.body;
+
+    if (!checkStatement(res, sql, READ_KINDS, 'Only SELECT queries are allowed via this endpoint')) {
+      return;
     }
 
-    // Basic SQL injection prevention - only allow SELECT
-    const trimmedSql = sql.trim().toUpperCase();
-    if (!trimmedSql.startsWith('SELECT')) {
-      return res.status(403).json({
-        error: 'Only SELECT queries are allowed via this endpoint',
-        code: 'FORBIDDEN_OPERATION'
-      });
+    let exportAs;
+    try {
+      exportAs = parseExportRequest(req, queryFilename());
+    } catch (error) {
+      return sendError(res, 400, error.message, 'INVALID_OPTION');
+    }
+
+    const format = streamFormat(req);
+    if (exportAs || format) {
+      const fetchSize = parseFetchSize(req);
+      const stream = await dbService.stream(sql, params, { decimals, fetchSize, signal: req.signal });
+      if (exportAs) {
+        return sendExport(res, stream, exportAs.format, { ...exportAs.options, sheet: 'Query', decimals });
+      }
+      return sendRowStream(res, stream, format);
     }
 
-    const result = await dbService.query(sql, params, { useCache });
+    const result = await dbService.query(sql, params, {
+      useCache, cacheTtl: cacheTtlMs, coalesce, decimals, ...statementOptions(req)
+    });
     res.json({
       success: true,
       rowCount: result.data.length,
       fromCache: result.fromCache,
+      columns: result.columns,
       data: result.data
     });
   } catch (error) {
-    res.status(500).json(error.toJSON ? error.toJSON() : {
-      error: error.message,
-      code: 'QUERY_ERROR'
-    });
+    sendServiceError(res, error, null, 'QUERY_ERROR');
   }
 });
 
 /**
  * Execute a single-row query
  * POST /api/query/one
- * Body: { sql: string, params?: array }
+ * Body: { sql: string, params?: array, useCache?: boolean, cacheTtlMs?: number, coalesce?: boolean,
+ *         decimals?: 'string' | 'number' }
  */
-router.post('/query/one', async (req, res) => {
+router.post('/query/one', validate(), requireSql('query'), async (req, res) => {
   try {
-    const { sql, params = [] } = req.body;
-    
-    if (!sql) {
-      return res.status(400).json({
-        error: 'SQL query is required',
-        code: 'MISSING_SQL'
-      });
+    const { sql, params = [], useCache = true, cacheTtlMs, coalesce, decimals } = req.body;
+
+    if (!checkStatement(res, sql, READ_KINDS, 'Only SELECT queries are allowed via this endpoint')) {
+      return;
     }
 
-    const result = await dbService.queryOne(sql, params);
+    const result = await dbService.queryOne(sql, params, {
+      useCache, cacheTtl: cacheTtlMs, coalesce, decimals, ...statementOptions(req)
+    });
     res.json({
       success: true,
       fromCache: result.fromCache,
+      columns: result.columns,
       data: result.data
     });
   } catch (error) {
-    res.status(500).json(error.toJSON ? error.toJSON() : {
-      error: error.message,
-      code: 'QUERY_ERROR'
-    });
+    sendServiceError(res, error, null, 'QUERY_ERROR');
   }
 });
 
 /**
  * Execute INSERT, UPDATE, DELETE queries
  * POST /api/execute
- * Body: { sql: string }
+ * Body: { sql: string, params?: array }
  */
-router.post('/execute', async (req, res) => {
+router.post('/execute', validate(), requireSql('execute'), async (req, res) => {
   try {
-    const { sql } = req.body;
-    
-    if (!sql) {
-      return res.status(400).json({
-        error: 'SQL statement is required',
-        code: 'MISSING_SQL'
-      });
+    const { sql, params = [] } = req.body;
+
+    const statement = checkStatement(res, sql, WRITE_KINDS,
+      'Only INSERT, UPDATE, DELETE, MERGE queries are allowed via this endpoint. Use /api/query for SELECT.');
+    if (!statement) return;
+    const operation = statement.keyword;
+
+    const { result } = await dbService.execute(sql, params, statementOptions(req));
+    if (isFlagSet(req.query.requireMatch) && result.rowsAffected === 0) {
+      return sendError(res, 404, `${operation} affected no rows`, 'ROW_NOT_FOUND');
     }
+    res.json({
+      success: true,
+      operation,
+      message: `${operation} executed successfully`,
+      rowsAffected: result.rowsAffected,
+      ...(result.generatedKeys ? { generatedKeys: result.generatedKeys } : {})
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'EXECUTE_ERROR');
+  }
+});
 
-    // Only allow INSERT, UPDATE, DELETE
-    const trimmedSql = sql.trim().toUpperCase();
-    const allowedOperations = ['INSERT', 'UPDATE', 'DELETE'];
-    const operation = allowedOperations.find(op => trimmedSql.startsWith(op));
-    
-    if (!operation) {
-      return res.status(403).json({
-        error: 'Only INSERT, UPDATE, DELETE queries are allowed via this endpoint. Use /api/query for SELECT.',
-        code: 'FORBIDDEN_OPERATION'
-      });
+/**
+ * Execute several statements in one transaction
+ * POST /api/transaction
+ * Body: {
+ *   statements: [{ sql, params?, type? } | { savepoint } | { rollbackTo } | { release }],
+ *   isolation?: 'dirty_read' | 'committed_read' | 'cursor_stability' | 'repeatable_read'
+ * }
+ */
+router.post('/transaction', validate(), requireSql('transaction', req =>
+  req.body.statements.map(statement => statement.sql)
+), async (req, res) => {
+  try {
+    const { statements, isolation } = req.body;
+
+    try {
+      normalizeIsolation(isolation);
+    } catch (error) {
+      return sendError(res, 400, error.message, 'INVALID_ISOLATION');
+    }
+
+    for (const [index, statement] of statements.entries()) {
+      if (statement.savepoint || statement.rollbackTo || statement.release) {
+        continue;
+      }
+
+      if (!checkStatement(res, statement.sql, [...READ_KINDS, ...WRITE_KINDS],
+        `Statement ${index + 1}: only SELECT, INSERT, UPDATE, DELETE, MERGE are allowed in transactions`)) {
+        return;
+      }
+    }
+
+    const result = await dbService.transaction(statements, { isolation, ...statementOptions(req) });
+    res.json({
+      success: true,
+      statementCount: statements.length,
+      results: result.results
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'TRANSACTION_ERROR');
+  }
+});
+
+/**
+ * Open an interactive transaction session
+ * POST /api/transactions
+ * Body: { isolation?: string, idleTimeoutMs?: number }
+ */
+router.post('/transactions', requireEndpoint('transaction'), validate(), async (req, res) => {
+  try {
+    const { isolation, idleTimeoutMs } = req.body;
+
+    try {
+      normalizeIsolation(isolation);
+    } catch (error) {
+      return sendError(res, 400, error.message, 'INVALID_ISOLATION');
+    }
+
+    const session = await dbService.beginSession({ isolation, idleTimeout: idleTimeoutMs, signal: req.signal });
+    res.status(201).json({
+      success: true,
+      ...session
+    });
+  } catch (error) {
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'TRANSACTION_ERROR');
+  }
+});
+
+/**
+ * Get an open transaction session
+ * GET /api/transactions/:id
+ */
+router.get('/transactions/:id', requireEndpoint('transaction'), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...dbService.getSession(req.params.id)
+    });
+  } catch (error) {
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'TRANSACTION_ERROR');
+  }
+});
+
+/**
+ * Run a SELECT inside a transaction session
+ * POST /api/transactions/:id/query
+ * Body: { sql: string, params?: array }
+ */
+router.post('/transactions/:id/query', requireEndpoint('transaction'), validate(), requireSql('query'), async (req, res) => {
+  try {
+    const { sql, params = [] } = req.body;
+
+    if (!checkStatement(res, sql, READ_KINDS, 'Only SELECT queries are allowed via this endpoint')) {
+      return;
     }
 
-    const result = await dbService.execute(sql);
+    const result = await dbService.sessionQuery(req.params.id, sql, params, statementOptions(req));
     res.json({
       success: true,
+      transactionId: req.params.id,
+      rowCount: result.data.length,
+      columns: result.columns,
+      data: result.data
+    });
+  } catch (error) {
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * Run an INSERT, UPDATE or DELETE inside a transaction session
+ * POST /api/transactions/:id/execute
+ * Body: { sql: string, params?: array }
+ */
+router.post('/transactions/:id/execute', requireEndpoint('transaction'), validate(), requireSql('execute'), async (req, res) => {
+  try {
+    const { sql, params = [] } = req.body;
+
+    const statement = checkStatement(res, sql, WRITE_KINDS,
+      'Only INSERT, UPDATE, DELETE, MERGE queries are allowed via this endpoint. Use /query for SELECT.');
+    if (!statement) return;
+    const operation = statement.keyword;
+
+    const result = await dbService.sessionExecute(req.params.id, sql, params, statementOptions(req));
+    res.json({
+      success: true,
+      transactionId: req.params.id,
       operation,
-      message: `${operation} executed successfully`
+      rowsAffected: result.result.rowsAffected,
+      ...(result.result.generatedKeys ? { generatedKeys: result.result.generatedKeys } : {})
     });
   } catch (error) {
-    res.status(500).json(error.toJSON ? error.toJSON() : {
-      error: error.message,
-      code: 'EXECUTE_ERROR'
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'EXECUTE_ERROR');
+  }
+});
+
+/**
+ * Commit a transaction session
+ * POST /api/transactions/:id/commit
+ */
+router.post('/transactions/:id/commit', requireEndpoint('transaction'), async (req, res) => {
+  try {
+    const result = await dbService.commitSession(req.params.id);
+    res.json({
+      success: true,
+      transactionId: req.params.id,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'TRANSACTION_ERROR');
+  }
+});
+
+/**
+ * Roll back a transaction session
+ * POST /api/transactions/:id/rollback
+ */
+router.post('/transactions/:id/rollback', requireEndpoint('transaction'), async (req, res) => {
+  try {
+    const result = await dbService.rollbackSession(req.params.id);
+    res.json({
+      success: true,
+      transactionId: req.params.id,
+      ...result
     });
+  } catch (error) {
+    sendServiceError(res, error, SESSION_ERROR_STATUS, 'TRANSACTION_ERROR');
+  }
+});
+
+/**
+ * List stored procedures and functions (built-in routines excluded)
+ * GET /api/procedures?name=pattern&owner=&language=spl
+ * name is a LIKE pattern ("order_%")
+ */
+router.get('/procedures', requireEndpoint('procedure'), validate(), async (req, res) => {
+  try {
+    const { name, owner, language } = req.query;
+    const procedures = await procedureService.listProcedures({
+      pattern: name === undefined ? undefined : String(name),
+      owner: owner === undefined ? undefined : String(owner),
+      language: language === undefined ? undefined : String(language)
+    });
+    res.json({
+      success: true,
+      count: procedures.length,
+      procedures
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * Describe a routine: every overload with its parameters, return types
+ * and documentation
+ * GET /api/procedures/:name
+ */
+router.get('/procedures/:name', requireEndpoint('procedure'), validate(), async (req, res) => {
+  try {
+    const overloads = await procedureService.getProcedure(req.params.name);
+    res.json({
+      success: true,
+      name: req.params.name,
+      overloads
+    });
+  } catch (error) {
+    sendServiceError(res, error, PROCEDURE_ERROR_STATUS, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * Call a stored procedure or function
+ * POST /api/procedures/:name
+ * Body: {
+ *   args?: [value, ...] | { parameterName: value },
+ *   decimals?: 'string' | 'number'
+ * }
+ * Positional args fill the IN / INOUT parameters in order; OUT parameters
+ * are never passed and come back in outParams with the INOUT values.
+ */
+router.post('/procedures/:name', requireEndpoint('procedure'), validate(), async (req, res) => {
+  try {
+    const { args = [], decimals } = req.body;
+
+    const result = await procedureService.call(req.params.name, args, { decimals, ...statementOptions(req) });
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendServiceError(res, error, PROCEDURE_ERROR_STATUS, 'PROCEDURE_ERROR');
   }
 });
 
 /**
  * Clear cache
  * POST /api/cache/clear
+ * Body (optional): { tables?: [name], sql?: string, params?: array, decimals?: 'string' | 'number' }
+ * tables drops the results that read those tables, sql / params the result
+ * of one query; an empty body clears everything.
  */
-router.post('/cache/clear', (req, res) => {
-  dbService.clearCache();
-  res.json({
-    success: true,
-    message: 'Cache cleared'
-  });
+router.post('/cache/clear', requireEndpoint('cache.clear'), validate(), async (req, res) => {
+  try {
+    const { tables, sql, params = [], decimals } = req.body || {};
+
+    if (!tables && sql === undefined) {
+      const cleared = await dbService.clearCache();
+      return res.json({ success: true, message: 'Cache cleared', cleared });
+    }
+    let cleared = 0;
+    if (tables) cleared += await dbService.invalidateTables(tables);
+    if (sql !== undefined) cleared += await dbService.clearCache(dbService._getCacheKey(sql, params, { decimals }));
+    res.json({
+      success: true,
+      message: `Cleared ${cleared} cached result(s)`,
+      cleared
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'CACHE_ERROR');
+  }
 });
 
 /**
@@ -166,272 +634,513 @@ router.get('/tables', async (req, res) => {
       [],
       { useCache: true }
     );
+    const tables = readableTables(req, result.data.map(row => row.tabname));
     res.json({
       success: true,
-      count: result.data.length,
-      tables: result.data.map(row => row.tabname)
+      count: tables.length,
+      tables
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'QUERY_ERROR'
-    });
+    sendServiceError(res, error, null, 'QUERY_ERROR');
   }
 });
 
 /**
- * Get table columns
+ * Get table columns with decoded types (see GET /api/schema/tables/:tableName)
  * GET /api/tables/:tableName/columns
  */
-router.get('/tables/:tableName/columns', async (req, res) => {
+router.get('/tables/:tableName/columns', requireTable('read'), validate(), async (req, res) => {
   try {
     const { tableName } = req.params;
-    const result = await dbService.query(
-      `SELECT c.colname, c.coltype, c.collength 
-       FROM syscolumns c, systables t 
-       WHERE c.tabid = t.tabid AND t.tabname = '${tableName}' 
-       ORDER BY c.colno`,
-      [],
-      { useCache: true }
-    );
+    const columns = await schemaService.getColumns(tableName);
     res.json({
       success: true,
       table: tableName,
-      columns: result.data
+      columns: visibleColumns(req, columns)
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'QUERY_ERROR'
+    sendServiceError(res, error, SCHEMA_ERROR_STATUS, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * List tables, views, synonyms and external tables with row estimates
+ * GET /api/schema/tables?type=table|view|synonym|external
+ */
+router.get('/schema/tables', validate(), async (req, res) => {
+  try {
+    const { type } = req.query;
+    const tables = await schemaService.listTables({ type: type === undefined ? undefined : String(type) });
+    const readable = new Set(readableTables(req, tables.map(table => table.name)));
+    const visible = tables.filter(table => readable.has(table.name));
+    res.json({
+      success: true,
+      count: visible.length,
+      tables: visible
     });
+  } catch (error) {
+    sendServiceError(res, error, SCHEMA_ERROR_STATUS, 'QUERY_ERROR');
   }
 });
 
 /**
- * Insert data into a table
- * POST /api/data/:tableName
- * Body: { data: { column1: value1, column2: value2, ... } }
+ * Describe a table or view: columns, defaults, primary/unique/foreign keys,
+ * check constraints, indexes, referencing tables and the row estimate
+ * GET /api/schema/tables/:tableName
  */
-router.post('/data/:tableName', async (req, res) => {
+router.get('/schema/tables/:tableName', requireTable('read'), validate(), async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const { data } = req.body;
-    
-    // Validate table name (basic protection)
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
-      return res.status(400).json({
-        error: 'Invalid table name',
-        code: 'INVALID_TABLE'
-      });
-    }
+    const table = await schemaService.describeTable(req.params.tableName);
+    res.json({
+      success: true,
+      ...table,
+      columns: visibleColumns(req, table.columns)
+    });
+  } catch (error) {
+    sendServiceError(res, error, SCHEMA_ERROR_STATUS, 'QUERY_ERROR');
+  }
+});
 
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-      return res.status(400).json({
-        error: 'Data object is required',
-        code: 'MISSING_DATA'
-      });
-    }
+/**
+ * List views with their definitions
+ * GET /api/schema/views
+ */
+router.get('/schema/views', async (req, res) => {
+  try {
+    const views = await schemaService.listViews();
+    const readable = new Set(readableTables(req, views.map(view => view.name)));
+    const visible = views.filter(view => readable.has(view.name));
+    res.json({
+      success: true,
+      count: visible.length,
+      views: visible
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'QUERY_ERROR');
+  }
+});
 
-    // Validate column names
-    const columns = Object.keys(data);
-    for (const col of columns) {
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(col)) {
-        return res.status(400).json({
-          error: `Invalid column name: ${col}`,
-          code: 'INVALID_COLUMN'
-        });
-      }
-    }
+/**
+ * List synonyms and their targets
+ * GET /api/schema/synonyms
+ */
+router.get('/schema/synonyms', async (req, res) => {
+  try {
+    const synonyms = await schemaService.listSynonyms();
+    const readable = new Set(readableTables(req, synonyms.map(synonym => synonym.name)));
+    const visible = synonyms.filter(synonym => readable.has(synonym.name));
+    res.json({
+      success: true,
+      count: visible.length,
+      synonyms: visible
+    });
+  } catch (error) {
+    sendServiceError(res, error, null, 'QUERY_ERROR');
+  }
+});
 
-    const values = columns.map(col => {
-      const val = data[col];
-      if (val === null) return 'NULL';
-      if (typeof val === 'number') return val;
-      return `'${String(val).replace(/'/g, "''")}'`;
+/**
+ * List sequences
+ * GET /api/schema/sequences
+ */
+router.get('/schema/sequences', async (req, res) => {
+  try {
+    const sequences = await schemaService.listSequences();
+    const readable = new Set(readableTables(req, sequences.map(sequence => sequence.name)));
+    const visible = sequences.filter(sequence => readable.has(sequence.name));
+    res.json({
+      success: true,
+      count: visible.length,
+      sequences: visible
     });
+  } catch (error) {
+    sendServiceError(res, error, null, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * Insert data into a table
+ * POST /api/data/:tableName[?return=rows]
+ * Body: { data: { column1: value1, column2: value2, ... } }
+ * Answers the value of the table's SERIAL / SERIAL8 / BIGSERIAL column in
+ * generatedKeys, and with return=rows the inserted row as read back.
+ */
+router.post('/data/:tableName', requireTable('insert', dataColumns), validate(), validateTableData('insert'), async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const returning = returnedColumns(req);
+    if (returning === false) return forbidReturn(res, tableName);
 
-    const sql = `INSERT INTO ${tableName} (${columns.join(', ')}) VALUES (${values.join(', ')})`;
-    const result = await dbService.execute(sql);
-    
+    const result = await rowService.insertRow(tableName, req.body.data, { returning, ...statementOptions(req) });
     res.status(201).json({
       success: true,
       message: 'Record inserted successfully',
-      table: tableName
+      table: tableName,
+      rowsAffected: result.rowsAffected,
+      generatedKeys: result.generatedKeys,
+      ...(result.rows ? { data: result.rows } : {})
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'INSERT_ERROR'
-    });
+    sendServiceError(res, error, ROW_ERROR_STATUS, 'INSERT_ERROR');
   }
 });
 
 /**
  * Update data in a table
- * PUT /api/data/:tableName
+ * PUT /api/data/:tableName[?return=rows][&requireMatch=true]
  * Body: { data: { column1: value1, ... }, where: { column: value } }
+ * requireMatch=true answers 404 when no row matched where.
  */
-router.put('/data/:tableName', async (req, res) => {
+router.put('/data/:tableName', requireTable('update', updateColumns), validate(), validateTableData('update'), async (req, res) => {
   try {
     const { tableName } = req.params;
     const { data, where } = req.body;
-    
-    // Validate table name
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
-      return res.status(400).json({
-        error: 'Invalid table name',
-        code: 'INVALID_TABLE'
-      });
+    const returning = returnedColumns(req);
+    if (returning === false) return forbidReturn(res, tableName);
+
+    const result = await rowService.updateRows(tableName, data, where, {
+      returning,
+      requireMatch: isFlagSet(req.query.requireMatch),
+      ...statementOptions(req)
+    });
+    res.json({
+      success: true,
+      message: 'Record(s) updated successfully',
+      table: tableName,
+      rowsAffected: result.rowsAffected,
+      ...(result.rows ? { data: result.rows } : {})
+    });
+  } catch (error) {
+    sendServiceError(res, error, ROW_ERROR_STATUS, 'UPDATE_ERROR');
+  }
+});
+
+/**
+ * Delete data from a table
+ * DELETE /api/data/:tableName[?requireMatch=true]
+ * Body: { where: { column: value } }
+ */
+router.delete('/data/:tableName', requireTable('delete', whereColumns), validate(), validateTableData('delete'), async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const result = await rowService.deleteRows(tableName, req.body.where, {
+      requireMatch: isFlagSet(req.query.requireMatch),
+      ...statementOptions(req)
+    });
+    res.json({
+      success: true,
+      message: 'Record(s) deleted successfully',
+      table: tableName,
+      rowsAffected: result.rowsAffected
+    });
+  } catch (error) {
+    sendServiceError(res, error, ROW_ERROR_STATUS, 'DELETE_ERROR');
+  }
+});
+
+/**
+ * Generic table query with filtering, sorting and pagination
+ * GET /api/data/:tableName?limit=100[&offset=0|&cursor=token][&count=exact|estimate]
+ *   [&select=a,b&where[col][op]=value&order=col.desc][&stream=ndjson|json&fetchSize=n]
+ * GET /api/data/:tableName?format=csv|tsv|xlsx|parquet[&delimiter=;&header=false&filename=name]
+ * See sql/filter for the select / where / order grammar and sql/cursor for
+ * the next / prev cursors. Rows are ordered by the primary key after any
+ * requested order, so pages are stable.
+ * When streaming or exporting, rows are not capped at 100 unless a limit is given.
+ */
+router.get('/data/:tableName', requireTable('read', req => filterColumns(req.query)), validate(), async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    // Bounds are checked by validate()
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : config.data.defaultLimit;
+    let offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+
+    let exportAs;
+    try {
+      exportAs = parseExportRequest(req, tableName);
+    } catch (error) {
+      return sendError(res, 400, error.message, 'INVALID_OPTION');
     }
+    const format = streamFormat(req);
 
-    if (!data || typeof data !== 'object' || Object.keys(data).length === 0) {
-      return res.status(400).json({
-        error: 'Data object is required',
-        code: 'MISSING_DATA'
-      });
+    // A caller limited to some columns only sees, filters and sorts on those
+    const [columns, primaryKey] = await Promise.all([
+      schemaService.getColumns(tableName).then(all => visibleColumns(req, all)),
+      schemaService.getPrimaryKey(tableName)
+    ]);
+    if (columns.length === 0) {
+      return sendError(res, 403, `None of the columns you may read exist in ${tableName}`, 'FORBIDDEN');
     }
 
-    if (!where || typeof where !== 'object' || Object.keys(where).length === 0) {
-      return res.status(400).json({
-        error: 'Where clause is required for updates',
-        code: 'MISSING_WHERE'
-      });
+    let filter;
+    let keyset;
+    let position = null;
+    try {
+      filter = buildFilter(req.query, columns, primaryKey);
+      keyset = isKeyset(filter.sortKey, primaryKey);
+      if (req.query.cursor !== undefined) {
+        if (exportAs || format) {
+          throw new FilterError([{ in: 'query', path: '/cursor', message: 'only applies to JSON pages' }]);
+        }
+        if (req.query.offset !== undefined) {
+          throw new FilterError([{ in: 'query', path: '/offset', message: 'cannot be combined with cursor' }]);
+        }
+        position = readCursor(req.query.cursor, filter.sortKey, keyset);
+      }
+    } catch (error) {
+      if (error instanceof FilterError) return sendValidationError(res, error.details);
+      throw error;
     }
 
-    // Validate column names
-    const allColumns = [...Object.keys(data), ...Object.keys(where)];
-    for (const col of allColumns) {
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(col)) {
-        return res.status(400).json({
-          error: `Invalid column name: ${col}`,
-          code: 'INVALID_COLUMN'
-        });
+    if (position && position.offset !== undefined) offset = position.offset;
+    const backward = Boolean(position && position.backward);
+    const conditions = filter.where ? [filter.where] : [];
+    const params = [...filter.params];
+    if (position && position.values) {
+      const after = keysetCondition(filter.sortKey, position.values, backward);
+      conditions.push(after.sql);
+      params.push(...after.params);
+    }
+    const select = filter.columns.map(column => column.name);
+    const from = [
+      'FROM',
+      tableName,
+      conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      orderBy(filter.sortKey, backward)
+    ].filter(Boolean).join(' ');
+
+    if (exportAs || format) {
+      const fetchSize = parseFetchSize(req);
+      const first = req.query.limit !== undefined ? `FIRST ${limit} ` : '';
+      const skip = offset > 0 ? `SKIP ${offset} ` : '';
+      const stream = await dbService.stream(`SELECT ${skip}${first}${select.join(', ')} ${from}`, params, {
+        fetchSize,
+        signal: req.signal
+      });
+      if (exportAs) {
+        return sendExport(res, stream, exportAs.format, { ...exportAs.options, sheet: tableName });
       }
+      return sendRowStream(res, stream, format, { table: tableName });
     }
 
-    // Build SET clause
-    const setClause = Object.entries(data).map(([col, val]) => {
-      if (val === null) return `${col} = NULL`;
-      if (typeof val === 'number') return `${col} = ${val}`;
-      return `${col} = '${String(val).replace(/'/g, "''")}'`;
-    }).join(', ');
-
-    // Build WHERE clause
-    const whereClause = Object.entries(where).map(([col, val]) => {
-      if (val === null) return `${col} IS NULL`;
-      if (typeof val === 'number') return `${col} = ${val}`;
-      return `${col} = '${String(val).replace(/'/g, "''")}'`;
-    }).join(' AND ');
-
-    const sql = `UPDATE ${tableName} SET ${setClause} WHERE ${whereClause}`;
-    const result = await dbService.execute(sql);
-    
+    // Sort key columns the caller did not select are read for the cursors and dropped again
+    const extra = keyset ? filter.sortKey.map(entry => entry.name).filter(name => !select.includes(name)) : [];
+    // One row more than the page tells whether another page follows
+    const sql = `SELECT SKIP ${offset} FIRST ${limit + 1} ${[...select, ...extra].join(', ')} ${from}`;
+    const control = statementOptions(req);
+    const [result, count] = await Promise.all([
+      dbService.query(sql, params, { useCache: true, ...control }),
+      req.query.count ? countRows(tableName, req.query.count, filter.where, filter.params, control) : null
+    ]);
+
+    const more = result.data.length > limit;
+    const rows = result.data.slice(0, limit);
+    if (backward) rows.reverse();
+
+    let next = null;
+    let prev = null;
+    if (!keyset) {
+      next = more ? makeCursor(filter.sortKey, { offset: offset + limit }) : null;
+      prev = offset > 0 ? makeCursor(filter.sortKey, { offset: Math.max(0, offset - limit) }) : null;
+    } else if (rows.length > 0) {
+      // Reading backwards, the rows after the page are the ones the caller came from
+      const after = backward || more;
+      const before = backward ? more : position !== null || offset > 0;
+      next = after ? makeCursor(filter.sortKey, { row: rows[rows.length - 1] }) : null;
+      prev = before ? makeCursor(filter.sortKey, { row: rows[0], backward: true }) : null;
+    }
+
+    const data = extra.length > 0
+      ? rows.map(row => Object.fromEntries(Object.entries(row).filter(([name]) => !extra.includes(name))))
+      : rows;
+    res.set('Link', pageLinks(req, { first: '', prev, next }));
     res.json({
       success: true,
-      message: 'Record(s) updated successfully',
-      table: tableName
+      table: tableName,
+      limit,
+      offset: position && position.values ? null : offset,
+      rowCount: data.length,
+      ...(count ? { total: count.total, totalIsEstimate: count.estimate } : {}),
+      next,
+      prev,
+      fromCache: result.fromCache,
+      columns: extra.length > 0 ? result.columns.filter(column => !extra.includes(column.name)) : result.columns,
+      data
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'UPDATE_ERROR'
-    });
+    sendServiceError(res, error, { TABLE_NOT_FOUND: 404 }, 'QUERY_ERROR');
   }
 });
 
 /**
- * Delete data from a table
- * DELETE /api/data/:tableName
- * Body: { where: { column: value } }
+ * Read one row by primary key
+ * GET /api/data/:tableName/:id
+ * Composite keys list their values in key order, comma-separated
+ * (/api/data/order_lines/1001,3); a comma or backslash inside a value is
+ * escaped with a backslash. Answers an ETag; If-None-Match with it gives 304.
  */
-router.delete('/data/:tableName', async (req, res) => {
+router.get('/data/:tableName/:id', requireTable('read'), validate(), async (req, res) => {
   try {
-    const { tableName } = req.params;
-    const { where } = req.body;
-    
-    // Validate table name
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
-      return res.status(400).json({
-        error: 'Invalid table name',
-        code: 'INVALID_TABLE'
-      });
+    const { tableName, id } = req.params;
+    const row = await rowService.getRow(tableName, id, {
+      visible: columns => visibleColumns(req, columns),
+      ...statementOptions(req)
+    });
+
+    res.set('ETag', row.etag);
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && etagMatches(ifNoneMatch, row.etag)) {
+      return res.status(304).end();
     }
+    res.json({ success: true, table: tableName, key: row.key, data: row.data });
+  } catch (error) {
+    sendServiceError(res, error, ROW_ERROR_STATUS, 'QUERY_ERROR');
+  }
+});
+
+/**
+ * Handler updating one row by primary key
+ * @param {boolean} replace - PUT: columns the caller may update that data leaves out are set to NULL
+ */
+function updateRowHandler(replace) {
+  return async (req, res) => {
+    try {
+      const { tableName, id } = req.params;
+      const returning = returnedColumns(req);
+      if (returning === false) return forbidReturn(res, tableName);
 
-    if (!where || typeof where !== 'object' || Object.keys(where).length === 0) {
-      return res.status(400).json({
-        error: 'Where clause is required for deletes (use DELETE /api/data/:tableName/all to delete all)',
-        code: 'MISSING_WHERE'
+      const result = await rowService.updateRow(tableName, id, req.body.data, {
+        replace: replace ? visibleColumns(req, await schemaService.getColumns(tableName)) : null,
+        ifMatch: req.get('If-Match'),
+        visible: readableColumns(req),
+        returning,
+        ...statementOptions(req)
       });
-    }
 
-    // Validate column names
-    for (const col of Object.keys(where)) {
-      if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(col)) {
-        return res.status(400).json({
-          error: `Invalid column name: ${col}`,
-          code: 'INVALID_COLUMN'
-        });
-      }
+      if (result.etag) res.set('ETag', result.etag);
+      res.json({
+        success: true,
+        message: 'Record updated successfully',
+        table: tableName,
+        key: result.key,
+        rowsAffected: result.rowsAffected,
+        ...(result.data !== undefined ? { data: result.data } : {})
+      });
+    } catch (error) {
+      sendServiceError(res, error, ROW_ERROR_STATUS, 'UPDATE_ERROR');
     }
+  };
+}
 
-    // Build WHERE clause
-    const whereClause = Object.entries(where).map(([col, val]) => {
-      if (val === null) return `${col} IS NULL`;
-      if (typeof val === 'number') return `${col} = ${val}`;
-      return `${col} = '${String(val).replace(/'/g, "''")}'`;
-    }).join(' AND ');
+/**
+ * Replace or partially update one row by primary key
+ * PUT /api/data/:tableName/:id   Body: { data: { every NOT NULL column, ... } }
+ * PATCH /api/data/:tableName/:id Body: { data: { column: value, ... } }
+ * If-Match makes the write conditional on the row's current ETag (412 otherwise);
+ * return=rows adds the updated row as data.
+ */
+router.put('/data/:tableName/:id', requireTable('update', dataColumns), validate(), validateTableData('replace'),
+  updateRowHandler(true));
+router.patch('/data/:tableName/:id', requireTable('update', dataColumns), validate(), validateTableData('update'),
+  updateRowHandler(false));
+
+/**
+ * Delete one row by primary key
+ * DELETE /api/data/:tableName/:id
+ */
+router.delete('/data/:tableName/:id', requireTable('delete'), validate(), async (req, res) => {
+  try {
+    const { tableName, id } = req.params;
+    const result = await rowService.deleteRow(tableName, id, {
+      ifMatch: req.get('If-Match'),
+      visible: readableColumns(req),
+      ...statementOptions(req)
+    });
 
-    const sql = `DELETE FROM ${tableName} WHERE ${whereClause}`;
-    const result = await dbService.execute(sql);
-    
     res.json({
       success: true,
-      message: 'Record(s) deleted successfully',
-      table: tableName
+      message: 'Record deleted successfully',
+      table: tableName,
+      key: result.key,
+      rowsAffected: result.rowsAffected
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'DELETE_ERROR'
-    });
+    sendServiceError(res, error, ROW_ERROR_STATUS, 'DELETE_ERROR');
   }
 });
 
 /**
- * Generic table query with pagination
- * GET /api/data/:tableName?limit=100&offset=0
+ * Bulk import rows into a table
+ * POST /api/import/:tableName?mode=stop|skip[&batchSize=500&format=csv|tsv|ndjson|json]
+ *   [&delimiter=;&header=false&columns=a,b,c&map[Source Field]=column&ignoreUnknown=true]
+ * Body: CSV (text/csv), TSV (text/tab-separated-values), NDJSON
+ * (application/x-ndjson) or a JSON array of objects (application/json)
+ * mode=stop (default) rolls back everything at the first bad row and answers 422;
+ * mode=skip loads the good rows and reports the rejected ones.
  */
-router.get('/data/:tableName', async (req, res) => {
+router.post('/import/:tableName', requireTable('insert'), validate(), async (req, res) => {
   try {
     const { tableName } = req.params;
-    const limit = parseInt(req.query.limit) || 100;
-    const offset = parseInt(req.query.offset) || 0;
-    
-    // Validate table name (basic protection)
-    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(tableName)) {
-      return res.status(400).json({
-        error: 'Invalid table name',
-        code: 'INVALID_TABLE'
-      });
+    // mode, batchSize and map are checked by validate()
+    const { mode = 'stop', map = {}, ignoreUnknown } = req.query;
+    const batchSize = req.query.batchSize !== undefined ? parseInt(req.query.batchSize, 10) : undefined;
+
+    const format = importFormat(req);
+    if (!format) {
+      return sendError(res, 415, 'Send CSV, TSV, NDJSON or a JSON array (or set ?format=)', 'UNSUPPORTED_MEDIA_TYPE');
     }
 
-    const sql = `SELECT FIRST ${limit} SKIP ${offset} * FROM ${tableName}`;
-    const result = await dbService.query(sql, [], { useCache: true });
-    
+    let source;
+    if (format === 'csv' || format === 'tsv') {
+      let delimiter = format === 'tsv' ? '\t' : ',';
+      try {
+        if (req.query.delimiter !== undefined) delimiter = parseDelimiter(req.query.delimiter);
+      } catch (error) {
+        return sendError(res, 400, error.message, 'INVALID_OPTION');
+      }
+
+      const header = req.query.header !== 'false' && req.query.header !== '0';
+      const columns = req.query.columns ? String(req.query.columns).split(',').map(name => name.trim()) : null;
+      if (!header && !columns) {
+        return sendError(res, 400, 'columns is required when header=false', 'INVALID_OPTION');
+      }
+      source = csvRecords(req, { delimiter, header, columns });
+    } else if (format === 'ndjson') {
+      source = ndjsonRecords(req);
+    } else {
+      // ?format=json with another Content-Type leaves the body unparsed
+      if (!Array.isArray(req.body)) {
+        return sendError(res, 400, 'Body must be a JSON array of objects', 'INVALID_FILE');
+      }
+      source = arrayRecords(req.body);
+    }
+
+    // Large files can take longer than the default request timeout
+    req.setDeadline(config.imports.timeout);
+
+    const report = await importService.importRows(tableName, source, {
+      mode,
+      mapping: map,
+      ignoreUnknown: isFlagSet(ignoreUnknown),
+      batchSize,
+      fromText: format === 'csv' || format === 'tsv',
+      allowedColumns: req.allowedColumns,
+      ...statementOptions(req)
+    });
+
+    if (report.rolledBack) {
+      return res.status(422).json({
+        success: false,
+        ...errorBody(`Import stopped at row ${report.errors[0].row}; nothing was inserted`, 'IMPORT_REJECTED'),
+        ...report
+      });
+    }
     res.json({
       success: true,
-      table: tableName,
-      limit,
-      offset,
-      rowCount: result.data.length,
-      fromCache: result.fromCache,
-      data: result.data
+      ...report
     });
   } catch (error) {
-    res.status(500).json({
-      error: error.message,
-      code: 'QUERY_ERROR'
-    });
+    sendServiceError(res, error, IMPORT_ERROR_STATUS, 'IMPORT_ERROR');
   }
 });
 
@@ -0,0 +1,74 @@
+/**
+ * Request deadlines
+ * Every request gets a deadline: the default statement timeout, or the
+ * timeoutMs it asks for (in the query string or JSON body) up to the
+ * maximum. Its statements are cancelled in the database when the deadline
+ * passes (QUERY_TIMEOUT) or the client disconnects (QUERY_CANCELLED).
+ */
+
+const { config } = require('../config/database');
+const { sendError } = require('./errors');
+
+/**
+ * Timeout the client asked for, capped at the maximum; the default when
+ * absent or not a positive number (validation reports bad values)
+ */
+function requestedTimeout(req) {
+  const { timeout, maxTimeout } = config.queries;
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+  const value = req.query.timeoutMs !== undefined ? req.query.timeoutMs : body.timeoutMs;
+  const requested = parseInt(value, 10);
+  return requested > 0 ? Math.min(requested, maxTimeout) : timeout;
+}
+
+/**
+ * Middleware setting req.signal, req.deadline (epoch ms) and
+ * req.setDeadline(ms) for routes that may run longer (imports). Place it
+ * after the body parsers.
+ */
+function deadline() {
+  return (req, res, next) => {
+    const controller = new AbortController();
+    let timer = null;
+    let fallback = null;
+
+    const setDeadline = (ms) => {
+      clearTimeout(timer);
+      clearTimeout(fallback);
+      req.deadline = Date.now() + ms;
+      timer = setTimeout(() => {
+        // A streamed response that has already started just keeps going
+        if (!res.headersSent) controller.abort('timeout');
+      }, ms);
+      // Answer for a handler that is still waiting once the statement has had time to stop
+      fallback = setTimeout(() => {
+        sendError(res, 408, 'Request timeout', 'TIMEOUT');
+      }, ms + config.bridge.cancelGrace);
+    };
+
+    res.on('close', () => {
+      clearTimeout(timer);
+      clearTimeout(fallback);
+      if (!res.writableFinished) controller.abort('cancelled');
+    });
+
+    req.signal = controller.signal;
+    req.setDeadline = setDeadline;
+    setDeadline(requestedTimeout(req));
+    next();
+  };
+}
+
+/**
+ * Statement options for a service call: the time left until the request's
+ * deadline, and its abort signal
+ * @returns {{timeoutMs: number, signal: AbortSignal}}
+ */
+function statementOptions(req) {
+  return { timeoutMs: Math.max(req.deadline - Date.now(), 1), signal: req.signal };
+}
+
+module.exports = {
+  deadline,
+  statementOptions
+};
@@ -0,0 +1,48 @@
+/**
+ * API documentation routes
+ * GET /api/openapi.json - OpenAPI 3 document
+ * GET /api/docs/        - Swagger UI, served from the installed swagger-ui-dist
+ *                         package so it works offline
+ */
+
+const path = require('path');
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { buildSpec } = require('../openapi');
+const schemaService = require('../services/SchemaService');
+const { tableGrants } = require('../auth/authorize');
+const { authConfig } = require('../config/auth');
+const { version } = require('../../package.json');
+const { sendServiceError } = require('./errors');
+const { validate } = require('./validate');
+
+const router = express.Router();
+
+/**
+ * OpenAPI document
+ * GET /api/openapi.json?tables=false
+ * Needs credentials unless AUTH_PUBLIC_DOCS=true. Callers who are
+ * authenticated (or every caller when auth is off) also get /api/data/<table>
+ * paths and row schemas for the tables they may use, read from the live
+ * catalog. tables=false leaves them out.
+ */
+router.get('/openapi.json', validate(), async (req, res) => {
+  try {
+    let tables = [];
+    const wanted = req.query.tables !== 'false' && req.query.tables !== '0';
+    if (wanted && (!authConfig.enabled || req.auth)) {
+      // Tables the caller may not use at all are left out by buildSpec
+      tables = (await schemaService.tableColumns())
+        .map(table => ({ ...table, grants: tableGrants(req, table.name) }));
+    }
+    res.json(buildSpec({ version, authEnabled: authConfig.enabled, publicDocs: authConfig.publicDocs, tables }));
+  } catch (error) {
+    sendServiceError(res, error, null, 'QUERY_ERROR');
+  }
+});
+
+// Page and initializer first, so the package's demo index.html is never served
+router.use('/docs', express.static(path.join(__dirname, '..', 'openapi', 'public')));
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
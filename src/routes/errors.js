@@ -0,0 +1,51 @@
+/**
+ * Error responses
+ * Every failure is sent in one envelope: { error, code, details?, timestamp }
+ */
+
+// Status for codes any operation can fail with
+const STATUS_BY_CODE = {
+  QUERY_TIMEOUT: 408,
+  // Nobody is left to read it (the client closed the connection)
+  QUERY_CANCELLED: 499
+};
+
+/**
+ * @param {string} message - Human-readable message
+ * @param {string} code - Machine-readable code
+ * @param {*} details - More about the failure (optional)
+ */
+function errorBody(message, code, details = undefined) {
+  return {
+    error: message,
+    code,
+    details,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Send an error; a no-op once a response has started (e.g. after a timeout answered)
+ */
+function sendError(res, status, message, code, details = undefined) {
+  if (res.headersSent) return;
+  res.status(status).json(errorBody(message, code, details));
+}
+
+/**
+ * Send a caught error with a status matching its code
+ * @param {Object} statusByCode - code -> HTTP status; QUERY_TIMEOUT is a 408,
+ *   QUERY_CANCELLED a 499 and anything else a 500
+ * @param {string} fallbackCode - Code for errors that carry none of their own
+ */
+function sendServiceError(res, error, statusByCode, fallbackCode) {
+  if (res.headersSent) return;
+  const status = (statusByCode && statusByCode[error.code]) || STATUS_BY_CODE[error.code] || error.status || 500;
+  res.status(status).json(error.toJSON ? error.toJSON() : errorBody(error.message, fallbackCode));
+}
+
+module.exports = {
+  errorBody,
+  sendError,
+  sendServiceError,
+};
@@ -0,0 +1,111 @@
+/**
+ * Streaming response helpers
+ * Write rows from a query stream to the HTTP response as NDJSON or as a
+ * chunked JSON document, honoring backpressure from the client socket
+ */
+
+const { waitForDrain } = require('../export/util');
+const { errorBody } = require('./errors');
+
+// Flush serialized rows to the socket in chunks of roughly this many characters
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Pick a streaming format from ?stream= or the Accept header
+ * @returns {'ndjson'|'json'|null} null when the client did not ask for streaming
+ */
+function streamFormat(req) {
+  const requested = req.query.stream;
+  if (requested === 'ndjson' || requested === 'json') return requested;
+  if (requested === 'true' || requested === '1') return 'json';
+  if ((req.get('Accept') || '').includes('application/x-ndjson')) return 'ndjson';
+  return null;
+}
+
+/**
+ * Parse the optional ?fetchSize= override
+ * @returns {number|undefined|null} undefined when absent, null when invalid
+ */
+function parseFetchSize(req) {
+  if (req.query.fetchSize === undefined) return undefined;
+  const fetchSize = parseInt(req.query.fetchSize, 10);
+  return fetchSize > 0 && fetchSize <= 10000 ? fetchSize : null;
+}
+
+function streamErrorBody(error) {
+  return errorBody('Query failed', 'STREAM_ERROR', error.message);
+}
+
+/**
+ * Send a query stream as the response body.
+ * NDJSON: one row per line; a failure after the first row is reported as a
+ * final {"$error": {...}} line. JSON: {success, ...meta, columns, data: [...],
+ * rowCount}, with an "error" member appended on failure.
+ * @param {Response} res - Express response
+ * @param {{columns: Array, rows: Readable}} result - From DatabaseService.stream
+ * @param {string} format - 'ndjson' or 'json'
+ * @param {Object} meta - Extra top-level members for the JSON format
+ */
+async function sendRowStream(res, { columns, rows }, format, meta = {}) {
+  if (res.headersSent) {
+    // Something (e.g. the request timeout) already answered
+    rows.destroy();
+    return;
+  }
+
+  const ndjson = format === 'ndjson';
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      clientGone = true;
+      rows.destroy();
+    }
+  });
+
+  res.status(200);
+  res.type(ndjson ? 'application/x-ndjson' : 'application/json');
+  if (!ndjson) {
+    const head = JSON.stringify({ success: true, ...meta, columns });
+    res.write(`${head.slice(0, -1)},"data":[`);
+  }
+
+  let chunk = '';
+  let count = 0;
+  let failure = null;
+  try {
+    for await (const row of rows) {
+      if (ndjson) {
+        chunk += `${JSON.stringify(row)}\n`;
+      } else {
+        chunk += (count > 0 ? ',' : '') + JSON.stringify(row);
+      }
+      count++;
+
+      if (chunk.length >= CHUNK_SIZE) {
+        const hasRoom = res.write(chunk);
+        chunk = '';
+        if (!hasRoom) await waitForDrain(res);
+      }
+      if (clientGone) break;
+    }
+  } catch (error) {
+    failure = error;
+  }
+
+  if (clientGone) return;
+
+  if (ndjson) {
+    if (failure) chunk += `${JSON.stringify({ $error: streamErrorBody(failure) })}\n`;
+  } else {
+    chunk += `],"rowCount":${count}`;
+    if (failure) chunk += `,"error":${JSON.stringify(streamErrorBody(failure))}`;
+    chunk += '}';
+  }
+  res.end(chunk);
+}
+
+module.exports = {
+  streamFormat,
+  parseFetchSize,
+  sendRowStream
+};
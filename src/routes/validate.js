@@ -0,0 +1,262 @@
+/**
+ * Request validation
+ * Checks path params, query strings and JSON bodies against the schemas the
+ * OpenAPI document (src/openapi) gives each route, and /api/data values
+ * against the table's column metadata. Failures answer 400 VALIDATION_ERROR
+ * with one { in, path, message } entry per problem in details.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { baseSpec } = require('../openapi/spec');
+const { tableSchemas } = require('../openapi/tables');
+const schemaService = require('../services/SchemaService');
+const { sendError, sendServiceError } = require('./errors');
+
+const DOCUMENT_ID = 'openapi';
+
+// Compiled table validators kept, keyed by their schema text
+const MAX_TABLE_VALIDATORS = 200;
+
+const document = baseSpec({ version: '', authEnabled: true });
+
+/**
+ * Ajv instance that can resolve references into the OpenAPI document
+ */
+function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: true, ...options });
+  addFormats(ajv);
+  // OpenAPI members that are not JSON Schema keywords
+  for (const keyword of ['example', 'components', 'paths']) {
+    ajv.addKeyword(keyword);
+  }
+  ajv.addSchema({ $id: DOCUMENT_ID, components: document.components, paths: document.paths });
+  return ajv;
+}
+
+const bodyAjv = createAjv();
+// Path and query values arrive as strings; they are coerced on a copy only
+const stringAjv = createAjv({ coerceTypes: true });
+
+const pointer = segment => segment.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Turn Ajv errors into { in, path, message } entries. Errors inside a
+ * failed anyOf / oneOf are folded into the one for the alternatives.
+ */
+function describeErrors(location, errors) {
+  const alternatives = errors
+    .filter(error => error.keyword === 'anyOf' || error.keyword === 'oneOf')
+    .map(error => error.instancePath);
+  const explained = error => error.keyword !== 'anyOf' && error.keyword !== 'oneOf'
+    && alternatives.some(path => error.instancePath === path || error.instancePath.startsWith(`${path}/`));
+
+  return errors.filter(error => !explained(error)).map(error => {
+    let path = error.instancePath;
+    let message = error.message;
+    switch (error.keyword) {
+      case 'required':
+        path += `/${error.params.missingProperty}`;
+        message = 'is required';
+        break;
+      case 'additionalProperties':
+        path += `/${error.params.additionalProperty}`;
+        message = 'is not allowed';
+        break;
+      case 'enum':
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+        break;
+      case 'anyOf':
+      case 'oneOf':
+        message = 'is not a valid value';
+        break;
+      default:
+        break;
+    }
+    return { in: location, path, message };
+  });
+}
+
+/**
+ * "body.statements[0].sql" style name for a detail entry
+ */
+function fieldName({ in: location, path }) {
+  return path.split('/').slice(1).reduce((name, segment) =>
+    (/^\d+$/.test(segment) ? `${name}[${segment}]` : `${name}.${segment.replace(/~1/g, '/').replace(/~0/g, '~')}`), location);
+}
+
+function sendValidationError(res, details) {
+  const [first] = details;
+  const more = details.length > 1 ? ` (and ${details.length - 1} more)` : '';
+  sendError(res, 400, `${fieldName(first)} ${first.message}${more}`, 'VALIDATION_ERROR', details);
+}
+
+/**
+ * Object schema of an operation's path or query parameters
+ */
+function parameterSchema(operation, location) {
+  const parameters = (operation.parameters || []).filter(parameter => parameter.in === location);
+  if (parameters.length === 0) return null;
+  return {
+    type: 'object',
+    properties: Object.fromEntries(parameters.map(parameter => [parameter.name, parameter.schema])),
+    required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+  };
+}
+
+/**
+ * Compile the checks for one route of the OpenAPI document
+ * @returns {{params: ?Function, query: ?Function, body: ?Function, jsonOnly: boolean}}
+ */
+function compileOperation(method, path) {
+  const operation = (document.paths[path] || {})[method];
+  if (!operation) {
+    throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${path}`);
+  }
+
+  const params = parameterSchema(operation, 'path');
+  const query = parameterSchema(operation, 'query');
+  const content = operation.requestBody ? operation.requestBody.content : {};
+  return {
+    params: params && stringAjv.compile(params),
+    query: query && stringAjv.compile(query),
+    body: content['application/json']
+      ? bodyAjv.compile({
+        $ref: `${DOCUMENT_ID}#/paths/${pointer(path)}/${method}/requestBody/content/application~1json/schema`
+      })
+      : null,
+    // Routes that also take other body types only check JSON bodies
+    jsonOnly: Object.keys(content).length > 1
+  };
+}
+
+/**
+ * Middleware checking a request against its route's OpenAPI operation.
+ * The route is taken from the matched Express route, so it must be used in
+ * the route's own handler list.
+ */
+function validate() {
+  const compiled = new Map();
+
+  return (req, res, next) => {
+    const path = `${req.baseUrl}${req.route.path}`.replace(/:(\w+)/g, '{$1}');
+    const method = req.method.toLowerCase();
+    const key = `${method} ${path}`;
+    if (!compiled.has(key)) compiled.set(key, compileOperation(method, path));
+    const checks = compiled.get(key);
+
+    const details = [];
+    const check = (location, validator, value) => {
+      if (validator && !validator(value)) {
+        details.push(...describeErrors(location, validator.errors));
+      }
+    };
+    // Coercion ("10" -> 10) happens on copies; handlers read the original strings
+    check('params', checks.params, { ...req.params });
+    check('query', checks.query, { ...req.query });
+    if (!checks.jsonOnly || req.is('application/json')) {
+      check('body', checks.body, req.body === undefined ? {} : req.body);
+    }
+
+    if (details.length > 0) return sendValidationError(res, details);
+    next();
+  };
+}
+
+const tableValidators = new Map();
+
+/**
+ * Compiled check of a /api/data body for a table's current columns
+ */
+function tableValidator(tableName, columns, action) {
+  const all = { read: null, insert: null, update: null, delete: null };
+  const schemas = tableSchemas({ name: tableName, columns, grants: all });
+  const name = { insert: 'Insert', update: 'Update', replace: 'Update' }[action];
+  const schema = {
+    type: 'object',
+    properties: {
+      ...(name ? { data: { $ref: `#/definitions/${tableName}.${name}` } } : {}),
+      ...(action === 'update' || action === 'delete' ? { where: { $ref: `#/definitions/${tableName}.Where` } } : {})
+    },
+    definitions: schemas
+  };
+  // Point the table schemas' component references at the OpenAPI document
+  const text = JSON.stringify(schema).replace(/"#\/components\//g, `"${DOCUMENT_ID}#/components/`);
+
+  let validator = tableValidators.get(text);
+  if (!validator) {
+    validator = bodyAjv.compile(JSON.parse(text));
+    if (tableValidators.size >= MAX_TABLE_VALIDATORS) {
+      bodyAjv.removeSchema(tableValidators.values().next().value.schema);
+      tableValidators.delete(tableValidators.keys().next().value);
+    }
+    tableValidators.set(text, validator);
+  }
+  return validator;
+}
+
+/**
+ * Lower-case the column names of a { column: value } object; Informix
+ * names are case-insensitive and stored in lower case
+ * @returns {Object|null} null when two keys differ only in case
+ */
+function lowerCaseKeys(values) {
+  const lowered = {};
+  for (const [key, value] of Object.entries(values)) {
+    const name = key.toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(lowered, name)) return null;
+    lowered[name] = value;
+  }
+  return lowered;
+}
+
+/**
+ * Middleware checking the data / where objects of a /api/data write
+ * against the table's columns: unknown columns, value types, lengths and
+ * ranges, and (for inserts) the NOT NULL columns without a default.
+ * Run after validate(), which checks the body's shape.
+ * @param {string} action - insert, update, delete, or replace (a PUT of a
+ *   whole row by key, which needs every NOT NULL column the caller may update)
+ */
+function validateTableData(action) {
+  return async (req, res, next) => {
+    try {
+      const { tableName } = req.params;
+      const body = {};
+      for (const field of ['data', 'where']) {
+        if (req.body[field] === undefined) continue;
+        body[field] = lowerCaseKeys(req.body[field]);
+        if (!body[field]) {
+          return sendValidationError(res, [{ in: 'body', path: `/${field}`, message: 'names a column twice' }]);
+        }
+      }
+
+      const columns = await schemaService.getColumns(tableName);
+      const validator = tableValidator(tableName.toLowerCase(), columns, action);
+      if (!validator(body)) {
+        return sendValidationError(res, describeErrors('body', validator.errors));
+      }
+      if (action === 'replace') {
+        const key = (await schemaService.getPrimaryKey(tableName)) || [];
+        const allowed = req.allowedColumns ? new Set(req.allowedColumns) : null;
+        const missing = columns.filter(column => !column.nullable && !column.serial && !key.includes(column.name)
+          && (!allowed || allowed.has(column.name)) && !(column.name in body.data));
+        if (missing.length > 0) {
+          return sendValidationError(res, missing.map(column =>
+            ({ in: 'body', path: `/data/${column.name}`, message: 'is required' })));
+        }
+      }
+
+      Object.assign(req.body, body);
+      next();
+    } catch (error) {
+      sendServiceError(res, error, { TABLE_NOT_FOUND: 404 }, 'QUERY_ERROR');
+    }
+  };
+}
+
+module.exports = {
+  validate,
+  validateTableData,
+  sendValidationError,
+};
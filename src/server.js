@@ -10,7 +10,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const apiRoutes = require('./routes/api');
+const docsRoutes = require('./routes/docs');
+const { buildSpec } = require('./openapi');
+const { errorBody } = require('./routes/errors');
+const { deadline } = require('./routes/deadline');
+const { admission } = require('./routes/admission');
+const { authenticate } = require('./auth');
 const dbService = require('./services/DatabaseService');
+const { config } = require('./config/database');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,58 +27,66 @@ const HOST = process.env.HOST || '0.0.0.0';
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['Link', 'ETag', 'Retry-After']
 }));
 app.use(morgan('combined')); // Request logging
+// API key / JWT authentication; only the health check and the API docs are public
+app.use(authenticate());
+// Concurrency limits: requests over them queue in their lane (read, write or admin) or are shed
+app.use(admission.middleware());
+// JSON array imports get a larger body limit; CSV and NDJSON imports are streamed
+app.use('/api/import', express.json({ limit: config.imports.jsonLimit }));
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Request timeout
-app.use((req, res, next) => {
-  res.setTimeout(30000, () => {
-    res.status(408).json({ error: 'Request timeout', code: 'TIMEOUT' });
-  });
-  next();
-});
+// Request timeout: statements are cancelled at the deadline or when the client disconnects
+app.use(deadline());
 
 // API Routes
+app.use('/api', docsRoutes);
 app.use('/api', apiRoutes);
 
-// Root endpoint
+// Root endpoint: the route list comes from the OpenAPI document so it stays current
+const { info, paths } = buildSpec({ version: require('../package.json').version, authEnabled: false });
+const endpoints = Object.entries(paths).flatMap(([route, operations]) =>
+  Object.keys(operations).map(method => `${method.toUpperCase()} ${route.replace(/\{(\w+)\}/g, ':$1')}`));
+
 app.get('/', (req, res) => {
   res.json({
-    name: 'Informix Database Service',
-    version: '1.0.0',
-    endpoints: {
-      health: 'GET /api/health',
-      stats: 'GET /api/stats',
-      query: 'POST /api/query',
-      queryOne: 'POST /api/query/one',
-      tables: 'GET /api/tables',
-      tableColumns: 'GET /api/tables/:tableName/columns',
-      tableData: 'GET /api/data/:tableName',
-      clearCache: 'POST /api/cache/clear'
-    }
+    name: info.title,
+    version: info.version,
+    docs: '/api/docs/',
+    openapi: '/api/openapi.json',
+    endpoints
   });
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    path: req.path,
-    method: req.method
-  });
+  res.status(404).json(errorBody('Not found', 'NOT_FOUND', { method: req.method, path: req.path }));
 });
 
+// Body parser failures are the client's; anything else is ours
+const BODY_ERRORS = {
+  'entity.parse.failed': 'INVALID_JSON',
+  'entity.too.large': 'PAYLOAD_TOO_LARGE',
+  'encoding.unsupported': 'UNSUPPORTED_ENCODING',
+  'charset.unsupported': 'UNSUPPORTED_ENCODING'
+};
+
 // Error handler
 app.use((err, req, res, next) => {
+  if (BODY_ERRORS[err.type]) {
+    return res.status(err.status || 400).json(errorBody('Invalid request body', BODY_ERRORS[err.type], err.message));
+  }
   console.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined
-  });
+  res.status(500).json(errorBody(
+    'Internal server error',
+    'INTERNAL_ERROR',
+    process.env.NODE_ENV === 'development' ? err.message : undefined
+  ));
 });
 
 // Graceful shutdown
@@ -3,13 +3,27 @@
  * Provides high-level database operations with caching and error handling
  */
 
+const crypto = require('crypto');
 const db = require('../db/connection');
+const { CancelledError } = require('../db/bridge');
+const { decodeColumn } = require('../db/coltypes');
+const { QueryCache, ANY_TABLE } = require('../cache/QueryCache');
+const { assertStatement, SqlPolicyError, READ_KINDS, WRITE_KINDS } = require('../sql/classify');
+const { tableAccess } = require('../sql/tables');
+const { SqlSyntaxError } = require('../sql/tokenizer');
+const { config } = require('../config/database');
 
 class DatabaseService {
   constructor() {
-    this.cache = new Map();
-    this.cacheTimeout = 60000; // 1 minute default cache
+    this.cache = new QueryCache(config.cache);
+    this.cacheTimeout = config.cache.ttl;
+    // Names of views and synonyms, which hide the tables a query reads
+    this.derivedTables = null;
     this.initialized = false;
+    this.sessions = new Map();
+    // Running queries by cache key, and how many callers joined one
+    this.inFlight = new Map();
+    this.coalesced = 0;
   }
 
   /**
@@ -18,76 +32,236 @@ class DatabaseService {
   async init() {
     if (this.initialized) return;
     await db.initialize();
+    this.cache.start();
     this.initialized = true;
   }
 
   /**
    * Generate cache key from query and params
    */
-  _getCacheKey(sql, params = []) {
-    return `${sql}:${JSON.stringify(params)}`;
+  _getCacheKey(sql, params = [], options = {}) {
+    const key = `${sql}:${JSON.stringify(params)}`;
+    return options.decimals ? `${key}:decimals=${options.decimals}` : key;
   }
 
   /**
-   * Get cached result if valid
+   * Clear all cache or specific key
+   * @returns {Promise<number>} Entries dropped
    */
-  _getFromCache(key) {
-    const cached = this.cache.get(key);
-    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-      return cached.data;
+  async clearCache(key = null) {
+    if (key) {
+      return (await this.cache.delete(key)) ? 1 : 0;
     }
-    this.cache.delete(key);
-    return null;
+    return this.cache.clear();
   }
 
   /**
-   * Store result in cache
+   * Drop the cached results that read any of the given tables. A write
+   * through a view or synonym can change any table, so it clears everything.
+   * @param {Array<string>} tables
+   * @returns {Promise<number>} Entries dropped
    */
-  _setCache(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
+  async invalidateTables(tables) {
+    const names = tables.map(table => table.toLowerCase());
+    // Nothing to look through; still mark the tables for queries in flight
+    if (this.cache.isEmpty() && names.length > 0) return this.cache.invalidate(names);
+    let derived;
+    try {
+      derived = await this._derivedTables();
+    } catch (error) {
+      return this.cache.clear();
+    }
+    if (names.length === 0 || names.some(name => derived.has(name))) {
+      return this.cache.clear();
+    }
+    return this.cache.invalidate(names);
   }
 
   /**
-   * Clear all cache or specific key
+   * Tables a SELECT's cached result depends on. Results read through views
+   * or synonyms, or from SQL whose tables cannot be found, depend on any table.
    */
-  clearCache(key = null) {
-    if (key) {
-      this.cache.delete(key);
-    } else {
-      this.cache.clear();
+  async _readTables(sql) {
+    try {
+      const tables = [...new Set(tableAccess(sql).map(access => access.table))];
+      const derived = await this._derivedTables();
+      return tables.length > 0 && !tables.some(table => derived.has(table)) ? tables : [ANY_TABLE];
+    } catch (error) {
+      return [ANY_TABLE];
+    }
+  }
+
+  /**
+   * Tables an INSERT, UPDATE, DELETE or MERGE writes
+   */
+  _writtenTables(sql) {
+    return tableAccess(sql).filter(access => access.action !== 'read').map(access => access.table);
+  }
+
+  /**
+   * Names of views and synonyms, re-read from the catalog once per cache TTL
+   * @returns {Promise<Set<string>>}
+   */
+  _derivedTables() {
+    const now = Date.now();
+    if (!this.derivedTables || this.derivedTables.expiresAt <= now) {
+      const names = db.query('SELECT tabname FROM systables WHERE tabtype IN (?, ?, ?)', ['V', 'S', 'P'])
+        .then(rows => new Set(rows.map(row => String(row.tabname).trim().toLowerCase())));
+      this.derivedTables = { names, expiresAt: now + this.cacheTimeout };
+      names.catch(() => {
+        this.derivedTables = null;
+      });
     }
+    return this.derivedTables.names;
   }
 
   /**
-   * Execute a SELECT query with optional caching
+   * Check that sql is a single statement of one of the given kinds
+   * @returns {{kind: string, keyword: string}}
+   * @throws {ServiceError} INVALID_SQL, MISSING_SQL, MULTIPLE_STATEMENTS or FORBIDDEN_OPERATION
+   */
+  _checkStatement(sql, kinds) {
+    try {
+      return assertStatement(sql, kinds);
+    } catch (error) {
+      if (error instanceof SqlPolicyError) {
+        throw new ServiceError('Statement not allowed', error.message, error.code);
+      }
+      if (error instanceof SqlSyntaxError) {
+        throw new ServiceError('Invalid SQL', error.message, 'INVALID_SQL');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Execute a SELECT query with optional caching. Identical queries that
+   * arrive while one is running share its result unless coalesce is false.
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Stops waiting when aborted; the statement
+   *   is cancelled once no caller is waiting for it
    */
   async query(sql, params = [], options = {}) {
+    this._checkStatement(sql, READ_KINDS);
     await this.init();
     
-    const { useCache = true, cacheTtl = this.cacheTimeout } = options;
-    const cacheKey = this._getCacheKey(sql, params);
+    const {
+      useCache = true,
+      cacheTtl = this.cacheTimeout,
+      decimals,
+      coalesce = config.cache.coalesce,
+      signal,
+      timeoutMs
+    } = options;
+    const cacheKey = this._getCacheKey(sql, params, { decimals });
 
     // Check cache first
     if (useCache) {
-      const cached = this._getFromCache(cacheKey);
+      const cached = await this.cache.get(cacheKey);
       if (cached) {
-        return { data: cached, fromCache: true };
+        return { data: cached.rows, columns: cached.columns, fromCache: true };
       }
     }
 
+    // A write that lands while the query runs may leave its result stale:
+    // it is not cached, and later callers do not join it. Every caller
+    // waits until its own deadline; a shared statement runs until the last
+    // of them has left (or the maximum timeout, as a backstop in the database).
+    const epoch = this.cache.epoch;
+    let flight = coalesce ? this.inFlight.get(cacheKey) : null;
+    if (flight && flight.epoch === epoch) {
+      this.coalesced++;
+    } else {
+      const controller = new AbortController();
+      flight = { key: cacheKey, epoch, controller, waiters: 0 };
+      flight.result = this._load(sql, params, {
+        useCache, cacheTtl, decimals, cacheKey, epoch, signal: controller.signal,
+        timeoutMs: coalesce && timeoutMs ? Math.max(timeoutMs, config.queries.maxTimeout) : timeoutMs
+      });
+      flight.result.catch(() => {}).finally(() => this._land(flight));
+      if (coalesce) this.inFlight.set(cacheKey, flight);
+    }
+    const result = await this._await(flight, { signal, timeoutMs: coalesce ? timeoutMs : undefined });
+    return { data: result.rows, columns: result.columns, fromCache: false };
+  }
+
+  /**
+   * Wait for a running query's result. A caller whose signal aborts or whose
+   * timeout passes stops waiting; the statement is cancelled when the last
+   * caller has left.
+   */
+  _await(flight, { signal, timeoutMs }) {
+    flight.waiters++;
+    if (!signal && !timeoutMs) return flight.result;
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', abort);
+      };
+      const leave = (reason) => {
+        done();
+        reject(serviceError('Query failed', new CancelledError(reason, timeoutMs), 'QUERY_ERROR'));
+        if (--flight.waiters === 0) {
+          this._land(flight);
+          flight.controller.abort(reason);
+        }
+      };
+      const abort = () => leave(signal.reason);
+      if (signal && signal.aborted) {
+        leave(signal.reason);
+        return;
+      }
+      if (signal) signal.addEventListener('abort', abort, { once: true });
+      if (timeoutMs) timer = setTimeout(() => leave('timeout'), timeoutMs);
+      flight.result.then(resolve, reject).finally(done);
+    });
+  }
+
+  /**
+   * Stop offering a query's result to new callers
+   */
+  _land(flight) {
+    if (this.inFlight.get(flight.key) === flight) this.inFlight.delete(flight.key);
+  }
+
+  /**
+   * Run a SELECT and cache its result
+   * @returns {Promise<{rows: Array, columns: Array}>}
+   */
+  async _load(sql, params, options) {
     try {
-      const data = await db.simpleQuery(sql);
+      const result = await db.queryWithMetadata(sql, params, {
+        decimals: options.decimals,
+        timeoutMs: options.timeoutMs,
+        signal: options.signal
+      });
       
-      if (useCache) {
-        this._setCache(cacheKey, data);
+      if (options.useCache) {
+        const tables = await this._readTables(sql);
+        await this.cache.set(options.cacheKey, result, { ttl: options.cacheTtl, tables, epoch: options.epoch });
       }
       
-      return { data, fromCache: false };
+      return result;
+    } catch (error) {
+      throw serviceError('Query failed', error, 'QUERY_ERROR');
+    }
+  }
+
+  /**
+   * Stream a SELECT's rows without buffering them (never cached)
+   * @param {Object} options - See InformixConnection.stream
+   * @returns {Promise<{columns: Array, rows: Readable}>}
+   */
+  async stream(sql, params = [], options = {}) {
+    this._checkStatement(sql, READ_KINDS);
+    await this.init();
+
+    try {
+      return await db.stream(sql, params, options);
     } catch (error) {
-      throw new ServiceError('Query failed', error.message, 'QUERY_ERROR');
+      throw serviceError('Query failed', error, 'QUERY_ERROR');
     }
   }
 
@@ -98,45 +272,336 @@ class DatabaseService {
     const result = await this.query(sql, params, options);
     return {
       data: result.data.length > 0 ? result.data[0] : null,
+      columns: result.columns,
       fromCache: result.fromCache
     };
   }
 
   /**
-   * Execute INSERT, UPDATE, DELETE
+   * Execute INSERT, UPDATE, DELETE or MERGE
+   * @param {Object} options
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the statement when aborted
+   * @returns {Promise<{success: boolean, result: Object}>} result holds rowsAffected,
+   *   and for an INSERT the generatedKeys rows (empty when nothing was generated)
    */
-  async execute(sql, params = []) {
+  async execute(sql, params = [], options = {}) {
+    const { kind } = this._checkStatement(sql, WRITE_KINDS);
     await this.init();
     
     try {
-      const result = await db.execute(sql);
-      // Clear related cache entries after modifications
-      this.clearCache();
+      const result = await db.execute(sql, params, {
+        generatedKeys: kind === 'insert',
+        timeoutMs: options.timeoutMs,
+        signal: options.signal
+      });
+      // Drop the cached results of the tables it wrote
+      await this.invalidateTables(this._writtenTables(sql));
       return { success: true, result };
     } catch (error) {
-      throw new ServiceError('Execute failed', error.message, 'EXECUTE_ERROR');
+      // A cancelled write may have landed before the cancel reached it
+      if (error instanceof CancelledError) await this.invalidateTables(this._writtenTables(sql)).catch(() => {});
+      throw serviceError('Execute failed', error, 'EXECUTE_ERROR');
     }
   }
 
   /**
-   * Execute multiple queries in sequence
+   * Catalog description of a table's columns, in column order
+   * @param {string} tableName
+   * @returns {Promise<Array<Object>>} Decoded columns (see db/coltypes); empty when the table does not exist
    */
-  async transaction(queries) {
+  async getTableColumns(tableName) {
+    const result = await this.query(
+      `SELECT c.colname, c.colno, c.coltype, c.collength,
+              (SELECT x.name FROM sysxtdtypes x WHERE x.extended_id = c.extended_id) AS xtdname,
+              (SELECT COUNT(*) FROM sysdefaults d WHERE d.tabid = c.tabid AND d.colno = c.colno) AS defaults
+       FROM syscolumns c, systables t
+       WHERE c.tabid = t.tabid AND t.tabname = ?
+       ORDER BY c.colno`,
+      [tableName.toLowerCase()],
+      { useCache: true }
+    );
+    return result.data.map(row => ({
+      ...decodeColumn(row),
+      hasDefault: Number(row.defaults) > 0
+    }));
+  }
+
+  /**
+   * Execute multiple statements atomically on one connection.
+   * Each entry is one of:
+   *   { sql, params?, type?: 'query' | 'execute' }
+   *   { savepoint: name } | { rollbackTo: name } | { release: name }
+   * Everything is committed if all statements succeed and rolled back otherwise.
+   * @param {Array<Object>} statements
+   * @param {Object} options
+   * @param {string} options.isolation - Transaction isolation level
+   * @param {number} options.timeoutMs - Cancel any one statement after this long
+   * @param {AbortSignal} options.signal - Cancels the running statement, and so the transaction, when aborted
+   */
+  async transaction(statements, options = {}) {
     await this.init();
-    
-    const results = [];
+
+    const control = { timeoutMs: options.timeoutMs, signal: options.signal };
+    let current = 0;
     try {
-      for (const { sql, params } of queries) {
-        const result = await db.simpleQuery(sql);
-        results.push(result);
-      }
-      this.clearCache();
+      const results = await db.transaction(async (tx) => {
+        const results = [];
+        for (const [index, statement] of statements.entries()) {
+          current = index;
+          if (control.signal && control.signal.aborted) throw new CancelledError(control.signal.reason);
+          results.push(await this._runInTransaction(tx, statement, control));
+        }
+        return results;
+      }, { isolation: options.isolation, signal: options.signal });
+
+      await this.invalidateTables(statements.filter(statement => statement.sql)
+        .flatMap(statement => this._writtenTables(statement.sql)));
       return { success: true, results };
     } catch (error) {
-      throw new ServiceError('Transaction failed', error.message, 'TRANSACTION_ERROR');
+      throw new ServiceError(
+        'Transaction failed',
+        `Statement ${current + 1}: ${error instanceof ServiceError ? error.details : error.message}`,
+        error instanceof CancelledError ? error.code : 'TRANSACTION_ERROR'
+      );
     }
   }
 
+  /**
+   * Run one transaction batch entry and describe its outcome
+   * @param {Object} control - timeoutMs and signal for the statement
+   */
+  async _runInTransaction(tx, statement, control = {}) {
+    if (statement.savepoint) {
+      await tx.savepoint(statement.savepoint);
+      return { type: 'savepoint', name: statement.savepoint };
+    }
+    if (statement.rollbackTo) {
+      await tx.rollbackTo(statement.rollbackTo);
+      return { type: 'rollbackTo', name: statement.rollbackTo };
+    }
+    if (statement.release) {
+      await tx.releaseSavepoint(statement.release);
+      return { type: 'release', name: statement.release };
+    }
+
+    const { sql, params = [] } = statement;
+    const { kind } = this._checkStatement(sql, [...READ_KINDS, ...WRITE_KINDS]);
+    const type = statement.type || (READ_KINDS.includes(kind) ? 'query' : 'execute');
+
+    if (type === 'query') {
+      const { rows, columns } = await tx.queryWithMetadata(sql, params, control);
+      return { type, rowCount: rows.length, columns, data: rows };
+    }
+    const result = await tx.execute(sql, params, { ...control, generatedKeys: kind === 'insert' });
+    return { type, rowsAffected: result.rowsAffected, ...(result.generatedKeys ? { generatedKeys: result.generatedKeys } : {}) };
+  }
+
+  /**
+   * Open an interactive transaction session pinned to one pooled connection.
+   * The session is rolled back automatically after idleTimeout ms without use.
+   * @param {Object} options
+   * @param {string} options.isolation - Transaction isolation level
+   * @param {number} options.idleTimeout - Idle timeout in ms (capped by config)
+   * @param {AbortSignal} options.signal - Stops waiting for a connection when aborted
+   */
+  async beginSession(options = {}) {
+    await this.init();
+
+    const { maxOpen, idleTimeout, maxIdleTimeout } = config.transactions;
+    if (this.sessions.size >= maxOpen) {
+      throw new ServiceError(
+        'Too many open transactions',
+        `At most ${maxOpen} transactions may be open at once`,
+        'TRANSACTION_LIMIT'
+      );
+    }
+
+    let tx;
+    try {
+      tx = await db.beginTransaction({ isolation: options.isolation, signal: options.signal });
+    } catch (error) {
+      throw serviceError('Failed to begin transaction', error, 'TRANSACTION_ERROR');
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      tx,
+      idleTimeout: Math.min(options.idleTimeout || idleTimeout, maxIdleTimeout),
+      createdAt: Date.now(),
+      lastUsed: Date.now(),
+      statementCount: 0,
+      // Tables written, whose cached results the commit invalidates
+      written: new Set(),
+      timer: null,
+      queue: Promise.resolve()
+    };
+    this.sessions.set(session.id, session);
+    this._armSession(session);
+
+    return this._describeSession(session);
+  }
+
+  /**
+   * Describe an open transaction session
+   */
+  getSession(id) {
+    const session = this.sessions.get(id);
+    if (!session) throw this._sessionNotFound(id);
+    return this._describeSession(session);
+  }
+
+  /**
+   * Run a SELECT inside a transaction session
+   * @param {Object} options - decimals, and timeoutMs and signal for the statement
+   */
+  async sessionQuery(id, sql, params = [], options = {}) {
+    this._checkStatement(sql, READ_KINDS);
+    return this._useSession(id, async (session) => {
+      try {
+        const { rows, columns } = await session.tx.queryWithMetadata(sql, params, options);
+        session.statementCount++;
+        return { data: rows, columns };
+      } catch (error) {
+        this._checkSessionAlive(session);
+        throw serviceError('Query failed', error, 'QUERY_ERROR');
+      }
+    });
+  }
+
+  /**
+   * Run an INSERT, UPDATE, DELETE or MERGE inside a transaction session
+   * @param {Object} options - timeoutMs and signal for the statement
+   */
+  async sessionExecute(id, sql, params = [], options = {}) {
+    const { kind } = this._checkStatement(sql, WRITE_KINDS);
+    return this._useSession(id, async (session) => {
+      try {
+        const result = await session.tx.execute(sql, params, {
+          generatedKeys: kind === 'insert',
+          timeoutMs: options.timeoutMs,
+          signal: options.signal
+        });
+        session.statementCount++;
+        this._writtenTables(sql).forEach(table => session.written.add(table));
+        return { success: true, result };
+      } catch (error) {
+        this._checkSessionAlive(session);
+        throw serviceError('Execute failed', error, 'EXECUTE_ERROR');
+      }
+    });
+  }
+
+  /**
+   * Forget a session whose transaction ended under it (a cancelled statement
+   * that would not stop takes its connection with it)
+   */
+  _checkSessionAlive(session) {
+    if (!session.tx.active && this.sessions.get(session.id) === session) {
+      this._closeSession(session);
+    }
+  }
+
+  /**
+   * Commit a transaction session and release its connection
+   */
+  async commitSession(id) {
+    return this._useSession(id, async (session) => {
+      this._closeSession(session);
+      try {
+        await session.tx.commit();
+      } catch (error) {
+        throw new ServiceError('Commit failed; transaction rolled back', error.message, 'TRANSACTION_ERROR');
+      }
+      if (session.written.size > 0) await this.invalidateTables([...session.written]);
+      return { committed: true, statementCount: session.statementCount };
+    });
+  }
+
+  /**
+   * Roll back a transaction session and release its connection
+   */
+  async rollbackSession(id) {
+    return this._useSession(id, async (session) => {
+      this._closeSession(session);
+      try {
+        await session.tx.rollback();
+      } catch (error) {
+        throw new ServiceError('Rollback failed', error.message, 'TRANSACTION_ERROR');
+      }
+      return { rolledBack: true, statementCount: session.statementCount };
+    });
+  }
+
+  /**
+   * Run work against a session, one operation at a time, with the idle
+   * timer paused while it runs
+   */
+  _useSession(id, work) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return Promise.reject(this._sessionNotFound(id));
+    }
+
+    const run = session.queue.then(async () => {
+      if (this.sessions.get(id) !== session) {
+        throw this._sessionNotFound(id);
+      }
+      clearTimeout(session.timer);
+      try {
+        return await work(session);
+      } finally {
+        session.lastUsed = Date.now();
+        if (this.sessions.get(id) === session) {
+          this._armSession(session);
+        }
+      }
+    });
+    session.queue = run.catch(() => {});
+    return run;
+  }
+
+  _armSession(session) {
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => this._expireSession(session), session.idleTimeout);
+    session.timer.unref();
+  }
+
+  _closeSession(session) {
+    clearTimeout(session.timer);
+    this.sessions.delete(session.id);
+  }
+
+  async _expireSession(session) {
+    if (this.sessions.get(session.id) !== session) return;
+    this._closeSession(session);
+    console.warn(`Transaction ${session.id} idle for ${session.idleTimeout}ms; rolling back`);
+    try {
+      await session.tx.rollback();
+    } catch (error) {
+      console.error(`Failed to roll back expired transaction ${session.id}:`, error.message);
+    }
+  }
+
+  _sessionNotFound(id) {
+    return new ServiceError(
+      'Transaction not found',
+      `No open transaction ${id}; it may have been committed, rolled back or expired`,
+      'TRANSACTION_NOT_FOUND'
+    );
+  }
+
+  _describeSession(session) {
+    return {
+      transactionId: session.id,
+      isolation: session.tx.isolation,
+      idleTimeoutMs: session.idleTimeout,
+      statementCount: session.statementCount,
+      createdAt: new Date(session.createdAt).toISOString(),
+      expiresAt: new Date(session.lastUsed + session.idleTimeout).toISOString()
+    };
+  }
+
   /**
    * Health check
    */
@@ -165,7 +630,17 @@ class DatabaseService {
     return {
       initialized: this.initialized,
       cacheSize: this.cache.size,
-      cacheTimeout: this.cacheTimeout
+      cacheTimeout: this.cacheTimeout,
+      cache: this.cache.stats(),
+      coalescing: {
+        inFlight: this.inFlight.size,
+        coalesced: this.coalesced
+      },
+      transactions: {
+        open: this.sessions.size,
+        maxOpen: config.transactions.maxOpen
+      },
+      ...db.getStats()
     };
   }
 
@@ -173,12 +648,24 @@ class DatabaseService {
    * Shutdown the service
    */
   async shutdown() {
-    this.cache.clear();
+    for (const session of [...this.sessions.values()]) {
+      this._closeSession(session);
+      await session.tx.rollback().catch(() => {});
+    }
+    await this.cache.stop();
     await db.close();
     this.initialized = false;
   }
 }
 
+/**
+ * Wrap a database failure; a timed-out or cancelled statement keeps its own
+ * code (QUERY_TIMEOUT or QUERY_CANCELLED)
+ */
+function serviceError(message, error, code) {
+  return new ServiceError(message, error.message, error instanceof CancelledError ? error.code : code);
+}
+
 /**
  * Custom service error class
  */
@@ -204,3 +691,4 @@ class ServiceError extends Error {
 // Export singleton instance
 module.exports = new DatabaseService();
 module.exports.ServiceError = ServiceError;
+module.exports.serviceError = serviceError;
@@ -0,0 +1,334 @@
+/**
+ * Bulk Import Service
+ * Loads CSV, NDJSON or JSON records into a table in JDBC batches inside
+ * one transaction, checking every value against the table's catalog
+ * metadata first
+ */
+
+const db = require('../db/connection');
+const { BridgeError, CancelledError } = require('../db/bridge');
+const dbService = require('./DatabaseService');
+const { ServiceError } = dbService;
+const { coerceValue, isSupported } = require('../import/coerce');
+const { config } = require('../config/database');
+
+const IMPORT_MODES = ['stop', 'skip'];
+
+const BATCH_SAVEPOINT = 'import_batch';
+const ROW_SAVEPOINT = 'import_row';
+
+/**
+ * Thrown inside an import to stop at the first rejected row
+ */
+class ImportStopped extends Error {
+  constructor() {
+    super('Import stopped');
+    this.name = 'ImportStopped';
+  }
+}
+
+/**
+ * State of one running import
+ */
+class ImportJob {
+  constructor(tableName, columns, options) {
+    this.tableName = tableName;
+    this.columns = columns;
+    this.mode = options.mode || 'stop';
+    this.mapping = options.mapping || {};
+    this.ignoreUnknown = Boolean(options.ignoreUnknown);
+    this.fromText = Boolean(options.fromText);
+    this.batchSize = options.batchSize || config.imports.batchSize;
+    this.allowedColumns = options.allowedColumns ? new Set(options.allowedColumns) : null;
+    // Timeout and abort signal for each statement
+    this.control = { timeoutMs: options.timeoutMs, signal: options.signal };
+
+    // INSERT plans by record shape (field list); CSV files only ever have one
+    this.plans = new Map();
+    this.tx = null;
+    this.batch = [];
+    this.batchPlan = null;
+    this.report = {
+      table: tableName,
+      mode: this.mode,
+      received: 0,
+      inserted: 0,
+      rejected: 0,
+      errors: []
+    };
+  }
+
+  /**
+   * Work out the target columns for a record shape: apply renames, match
+   * columns case-insensitively and check that no required column is left out
+   * @returns {{targets: Array, sql: string}}
+   */
+  _buildPlan(fields) {
+    const byName = new Map(this.columns.map(column => [column.name.toLowerCase(), column]));
+    const targets = [];
+    const unknown = [];
+    const denied = [];
+    const used = new Set();
+
+    for (const source of Object.keys(this.mapping)) {
+      if (this.plans.size === 0 && !fields.includes(source)) {
+        throw new ServiceError('Invalid column mapping', `Mapped field "${source}" is not in the data`, 'INVALID_MAPPING');
+      }
+    }
+
+    for (const field of fields) {
+      const target = Object.prototype.hasOwnProperty.call(this.mapping, field) ? this.mapping[field] : field;
+      // An empty mapping drops the field
+      if (target === '' || target === null || target === false) continue;
+
+      const column = byName.get(String(target).trim().toLowerCase());
+      if (!column) {
+        if (!this.ignoreUnknown) unknown.push(field);
+        continue;
+      }
+      if (used.has(column.name)) {
+        throw new ServiceError('Invalid column mapping', `Column ${column.name} is mapped more than once`, 'INVALID_MAPPING');
+      }
+      if (!isSupported(column)) {
+        throw new ServiceError(
+          'Unsupported column',
+          `Column ${column.name} (${column.sqlType}) cannot be imported`,
+          'UNSUPPORTED_COLUMN'
+        );
+      }
+      if (this.allowedColumns && !this.allowedColumns.has(column.name)) {
+        denied.push(column.name);
+      }
+      used.add(column.name);
+      targets.push({ field, column });
+    }
+
+    if (unknown.length > 0) {
+      throw new ServiceError(
+        'Unknown columns',
+        `Table ${this.tableName} has no column for: ${unknown.join(', ')}`,
+        'INVALID_COLUMN'
+      );
+    }
+    if (denied.length > 0) {
+      throw new ServiceError(
+        'Permission denied',
+        `Not allowed to insert column(s) ${denied.join(', ')} of ${this.tableName}`,
+        'FORBIDDEN'
+      );
+    }
+    if (targets.length === 0) {
+      throw new ServiceError('No columns to import', 'None of the fields match a column', 'INVALID_COLUMN');
+    }
+
+    const missing = this.columns.filter(column =>
+      !column.nullable && !column.serial && !column.hasDefault && !used.has(column.name));
+    if (missing.length > 0) {
+      throw new ServiceError(
+        'Missing required columns',
+        `NOT NULL column(s) without a default: ${missing.map(column => column.name).join(', ')}`,
+        'MISSING_COLUMN'
+      );
+    }
+
+    const names = targets.map(target => target.column.name);
+    return {
+      targets,
+      sql: `INSERT INTO ${this.tableName} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`
+    };
+  }
+
+  /**
+   * Plan for a record's field list. A problem with the first shape fails
+   * the whole import; a later shape that cannot be mapped only rejects
+   * its record (returns null).
+   */
+  _planFor(entry) {
+    const fields = Object.keys(entry.record);
+    const key = fields.join('\u0000');
+    if (this.plans.has(key)) return this.plans.get(key);
+
+    let plan;
+    try {
+      plan = this._buildPlan(fields);
+    } catch (error) {
+      if (this.plans.size === 0) throw error;
+      this._reject(entry.row, error.details || error.message);
+      return null;
+    }
+    this.plans.set(key, plan);
+    return plan;
+  }
+
+  _reject(row, error, column) {
+    this.report.rejected++;
+    if (this.report.errors.length < config.imports.maxReportedErrors) {
+      this.report.errors.push(column ? { row, column, error } : { row, error });
+    } else {
+      this.report.errorsTruncated = true;
+    }
+    if (this.mode === 'stop') {
+      throw new ImportStopped();
+    }
+  }
+
+  /**
+   * Take one source entry: reject it or queue it for the next batch
+   */
+  async add(entry) {
+    this.report.received++;
+    if (entry.error) {
+      this._reject(entry.row, entry.error);
+      return;
+    }
+
+    const plan = this._planFor(entry);
+    if (!plan) return;
+
+    let params;
+    try {
+      params = plan.targets.map(({ field, column }) => coerceValue(column, entry.record[field], this.fromText));
+    } catch (error) {
+      this._reject(entry.row, error.message, error.column);
+      return;
+    }
+
+    // A batch runs one statement, so a new record shape starts a new batch
+    if (this.batchPlan !== plan) {
+      await this.flush();
+      this.batchPlan = plan;
+    }
+    this.batch.push({ row: entry.row, params });
+    if (this.batch.length >= this.batchSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Insert the queued rows. In "skip" mode a failed batch is rolled back
+   * to its savepoint and retried row by row so only the bad rows are left out.
+   */
+  async flush() {
+    if (this.batch.length === 0) return;
+    const entries = this.batch;
+    this.batch = [];
+
+    // The connection is only pinned once there is something to insert
+    if (!this.tx) this.tx = await db.beginTransaction({ signal: this.control.signal });
+    const tx = this.tx;
+    const { sql } = this.batchPlan;
+    const rows = entries.map(entry => entry.params);
+
+    if (this.mode === 'stop') {
+      try {
+        await tx.executeBatch(sql, rows, this.control);
+        this.report.inserted += entries.length;
+      } catch (error) {
+        // Only database errors are about the data; anything else (the
+        // bridge going away) fails the import
+        if (!(error instanceof BridgeError)) throw error;
+        const failed = entries[error.batchIndex];
+        if (failed) {
+          this._reject(failed.row, error.message);
+        } else {
+          this._reject(entries[0].row, `batch starting at this row failed: ${error.message}`);
+        }
+      }
+      return;
+    }
+
+    await tx.savepoint(BATCH_SAVEPOINT);
+    try {
+      await tx.executeBatch(sql, rows, this.control);
+      await tx.releaseSavepoint(BATCH_SAVEPOINT);
+      this.report.inserted += entries.length;
+      return;
+    } catch (error) {
+      // A timed-out or abandoned import ends here, not row by row
+      if (error instanceof CancelledError) throw error;
+      await tx.rollbackTo(BATCH_SAVEPOINT);
+    }
+
+    for (const entry of entries) {
+      await tx.savepoint(ROW_SAVEPOINT);
+      try {
+        await tx.execute(sql, entry.params, this.control);
+        await tx.releaseSavepoint(ROW_SAVEPOINT);
+        this.report.inserted++;
+      } catch (error) {
+        if (error instanceof CancelledError) throw error;
+        await tx.rollbackTo(ROW_SAVEPOINT);
+        await tx.releaseSavepoint(ROW_SAVEPOINT);
+        this._reject(entry.row, error.message);
+      }
+    }
+    await tx.releaseSavepoint(BATCH_SAVEPOINT);
+  }
+}
+
+class ImportService {
+  /**
+   * Import records into a table.
+   * The column list comes from the CSV header, or from each JSON record's own
+   * fields; columns a record leaves out get their default.
+   * @param {string} tableName - Target table (already validated as an identifier)
+   * @param {AsyncIterable<{row: number, record?: Object, error?: string}>} source - From import/sources
+   * @param {Object} options
+   * @param {string} options.mode - 'stop' (default) rolls everything back at the first bad row;
+   *   'skip' loads the good rows and reports the bad ones
+   * @param {Object} options.mapping - { sourceField: column }, or '' to drop a field
+   * @param {boolean} options.ignoreUnknown - Drop fields that match no column instead of failing
+   * @param {number} options.batchSize - Rows per JDBC batch
+   * @param {boolean} options.fromText - Values are CSV strings ('' is NULL for non-text columns)
+   * @param {Array<string>} options.allowedColumns - Only these columns may be written (from the role policy)
+   * @param {number} options.timeoutMs - Cancel any one statement after this long
+   * @param {AbortSignal} options.signal - Cancels the import (rolling it back) when aborted
+   * @returns {Promise<Object>} Report: { table, mode, received, inserted, rejected, errors, rolledBack }
+   */
+  async importRows(tableName, source, options = {}) {
+    if (options.mode !== undefined && !IMPORT_MODES.includes(options.mode)) {
+      throw new ServiceError('Invalid import mode', `Use one of: ${IMPORT_MODES.join(', ')}`, 'INVALID_OPTION');
+    }
+    await dbService.init();
+
+    const columns = await dbService.getTableColumns(tableName);
+    if (columns.length === 0) {
+      throw new ServiceError('Table not found', `No table named ${tableName}`, 'TABLE_NOT_FOUND');
+    }
+
+    const job = new ImportJob(tableName, columns, options);
+    try {
+      for await (const entry of source) {
+        await job.add(entry);
+      }
+      await job.flush();
+      if (job.tx) await job.tx.commit();
+    } catch (error) {
+      if (job.tx) {
+        await job.tx.rollback().catch((rollbackError) => {
+          console.error('Import rollback failed:', rollbackError.message);
+        });
+      }
+
+      if (error instanceof ImportStopped) {
+        return { ...job.report, inserted: 0, rolledBack: true };
+      }
+      if (error instanceof ServiceError) throw error;
+      if (error instanceof CancelledError) throw new ServiceError('Import failed', error.message, error.code);
+      throw new ServiceError(
+        'Import failed',
+        error.message,
+        error.code === 'INVALID_FILE' ? 'INVALID_FILE' : 'IMPORT_ERROR'
+      );
+    }
+
+    if (job.report.inserted > 0) {
+      await dbService.invalidateTables([tableName]);
+    }
+    return { ...job.report, rolledBack: false };
+  }
+}
+
+// Export singleton instance
+module.exports = new ImportService();
+module.exports.IMPORT_MODES = IMPORT_MODES;
@@ -0,0 +1,390 @@
+/**
+ * Stored Procedure Service
+ * Lists SPL and external routines from the system catalog and calls them
+ * with positional or named arguments, OUT / INOUT parameters and any
+ * number of result sets
+ */
+
+const db = require('../db/connection');
+const { CancelledError } = require('../db/bridge');
+const { decodeColumn } = require('../db/coltypes');
+const dbService = require('./DatabaseService');
+const { ServiceError, serviceError } = dbService;
+
+// [owner.]name
+const ROUTINE_NAME = /^(?:([a-zA-Z_][a-zA-Z0-9_$]*)\.)?([a-zA-Z_][a-zA-Z0-9_$]*)$/;
+
+// sysproccolumns.paramattr
+const PARAM_MODES = {
+  1: 'in',
+  2: 'inout',
+  4: 'out'
+};
+const RETURN_ATTRS = [3, 5];
+
+// JDBC type registered for an OUT / INOUT parameter of each Informix type
+const OUT_JDBC_TYPES = {
+  CHAR: 'CHAR',
+  NCHAR: 'CHAR',
+  VARCHAR: 'VARCHAR',
+  NVARCHAR: 'VARCHAR',
+  LVARCHAR: 'VARCHAR',
+  TEXT: 'LONGVARCHAR',
+  SMALLINT: 'SMALLINT',
+  INTEGER: 'INTEGER',
+  SERIAL: 'INTEGER',
+  INT8: 'BIGINT',
+  SERIAL8: 'BIGINT',
+  BIGINT: 'BIGINT',
+  BIGSERIAL: 'BIGINT',
+  FLOAT: 'DOUBLE',
+  SMALLFLOAT: 'REAL',
+  DECIMAL: 'DECIMAL',
+  MONEY: 'DECIMAL',
+  DATE: 'DATE',
+  DATETIME: 'TIMESTAMP',
+  BOOLEAN: 'BOOLEAN',
+  BYTE: 'LONGVARBINARY'
+};
+
+/**
+ * JDBC type name for an OUT parameter; DATETIME HOUR TO ... is a time of day
+ */
+function outJdbcType(parameter) {
+  if (parameter.type === 'DATETIME' && parameter.qualifier && !/^(year|month|day)/.test(parameter.qualifier)) {
+    return 'TIME';
+  }
+  return OUT_JDBC_TYPES[parameter.type] || 'VARCHAR';
+}
+
+/**
+ * Decode one sysproccolumns row
+ */
+function decodeParameter(row) {
+  const { name, type, sqlType, length, precision, scale, qualifier } = decodeColumn({
+    colname: row.paramname || '',
+    coltype: row.paramtype,
+    collength: row.paramlen,
+    xtdname: row.xtdname
+  });
+  return {
+    name: name || null,
+    mode: PARAM_MODES[Number(row.paramattr)] || 'in',
+    type,
+    sqlType,
+    length,
+    precision,
+    scale,
+    qualifier
+  };
+}
+
+class ProcedureService {
+  /**
+   * Parse a routine name from a URL or client call
+   * @returns {{owner: string|null, name: string}}
+   */
+  _parseName(routineName) {
+    const match = ROUTINE_NAME.exec(String(routineName || ''));
+    if (!match) {
+      throw new ServiceError(
+        'Invalid procedure name',
+        `"${routineName}" is not a valid [owner.]name routine name`,
+        'INVALID_PROCEDURE'
+      );
+    }
+    return { owner: match[1] || null, name: match[2].toLowerCase() };
+  }
+
+  /**
+   * Read routines, their parameters and documentation from the catalog.
+   * Built-in routines and internal support functions are left out.
+   * @param {Object} filter
+   * @param {string} filter.name - Exact routine name
+   * @param {string} filter.pattern - LIKE pattern on the routine name
+   * @param {string} filter.owner
+   * @param {string} filter.language - spl, c, java, ...
+   * @returns {Promise<Array<Object>>}
+   */
+  async _catalog(filter = {}) {
+    const conditions = ["p.internal = 'f'", "(l.langname IS NULL OR l.langname <> 'builtin')"];
+    const params = [];
+    if (filter.name) {
+      conditions.push('p.procname = ?');
+      params.push(filter.name);
+    }
+    if (filter.pattern) {
+      conditions.push('p.procname LIKE ?');
+      params.push(filter.pattern.toLowerCase());
+    }
+    if (filter.owner) {
+      conditions.push('p.owner = ?');
+      params.push(filter.owner);
+    }
+    if (filter.language) {
+      conditions.push('LOWER(l.langname) = ?');
+      params.push(filter.language.toLowerCase());
+    }
+
+    const from = 'FROM sysprocedures p LEFT JOIN sysroutinelangs l ON l.langid = p.langid';
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const selected = `SELECT p.procid ${from} ${where}`;
+
+    const routines = await dbService.query(
+      `SELECT p.procid, p.procname, p.owner, p.isproc, p.specificname, l.langname
+       ${from} ${where}
+       ORDER BY p.procname, p.owner, p.procid`,
+      params,
+      { useCache: true }
+    );
+    if (routines.data.length === 0) return [];
+
+    const columns = await dbService.query(
+      `SELECT c.procid, c.paramname, c.paramid, c.paramtype, c.paramlen, c.paramattr,
+              (SELECT x.name FROM sysxtdtypes x WHERE x.extended_id = c.paramxid) AS xtdname
+       FROM sysproccolumns c
+       WHERE c.procid IN (${selected})
+       ORDER BY c.procid, c.paramid`,
+      params,
+      { useCache: true }
+    );
+    const docs = await dbService.query(
+      `SELECT b.procid, b.data
+       FROM sysprocbody b
+       WHERE b.datakey = 'D' AND b.procid IN (${selected})
+       ORDER BY b.procid, b.seqno`,
+      params,
+      { useCache: true }
+    );
+
+    const byId = new Map(routines.data.map(row => {
+      const owner = String(row.owner).trim();
+      const name = String(row.procname).trim();
+      return [Number(row.procid), {
+        id: Number(row.procid),
+        name,
+        owner,
+        qualifiedName: `${owner}.${name}`,
+        specificName: row.specificname ? String(row.specificname).trim() : null,
+        kind: row.isproc === 't' ? 'procedure' : 'function',
+        language: row.langname ? String(row.langname).trim().toLowerCase() : null,
+        parameters: [],
+        returns: [],
+        documentation: null
+      }];
+    }));
+
+    for (const row of columns.data) {
+      const routine = byId.get(Number(row.procid));
+      if (!routine) continue;
+      if (RETURN_ATTRS.includes(Number(row.paramattr))) {
+        const { name, type, sqlType } = decodeParameter(row);
+        routine.returns.push({ name, type, sqlType });
+      } else {
+        routine.parameters.push(decodeParameter(row));
+      }
+    }
+
+    for (const row of docs.data) {
+      const routine = byId.get(Number(row.procid));
+      if (routine) routine.documentation = (routine.documentation || '') + (row.data || '');
+    }
+
+    return [...byId.values()].map(routine => ({
+      ...routine,
+      signature: this._signature(routine),
+      documentation: routine.documentation ? routine.documentation.trim() : null
+    }));
+  }
+
+  /**
+   * owner.name(a INTEGER, OUT b VARCHAR(10))
+   */
+  _signature(routine) {
+    const parameters = routine.parameters.map(parameter => [
+      parameter.mode === 'in' ? null : parameter.mode.toUpperCase(),
+      parameter.name,
+      parameter.sqlType
+    ].filter(Boolean).join(' '));
+    return `${routine.qualifiedName}(${parameters.join(', ')})`;
+  }
+
+  /**
+   * List routines
+   * @param {Object} filter - { pattern?, owner?, language? }; see _catalog
+   */
+  async listProcedures(filter = {}) {
+    return this._catalog(filter);
+  }
+
+  /**
+   * Describe every overload of a routine
+   * @throws {ServiceError} INVALID_PROCEDURE or PROCEDURE_NOT_FOUND
+   */
+  async getProcedure(routineName) {
+    const { owner, name } = this._parseName(routineName);
+    const routines = await this._catalog({ name, owner });
+    if (routines.length === 0) {
+      throw new ServiceError('Procedure not found', `No routine named ${routineName}`, 'PROCEDURE_NOT_FOUND');
+    }
+    return routines;
+  }
+
+  /**
+   * Work out placeholders, bound values and OUT registrations for calling
+   * a routine with the given arguments
+   * @param {Object} routine - From _catalog
+   * @param {Array|Object} args - Positional values for the IN / INOUT
+   *   parameters, or { parameterName: value }
+   * @returns {{sql: string, params: Array, out: Array, outNames: Array, complete: boolean}}
+   *   complete is false when some parameters are left to their defaults
+   * @throws {Error} With the reason the arguments do not fit
+   */
+  _plan(routine, args) {
+    const inputs = routine.parameters.filter(parameter => parameter.mode !== 'out');
+    const supplied = new Map();
+
+    if (Array.isArray(args)) {
+      if (args.length > inputs.length) {
+        throw new Error(`${routine.signature} takes ${inputs.length} argument(s), got ${args.length}`);
+      }
+      args.forEach((value, i) => supplied.set(inputs[i], value));
+    } else {
+      for (const [key, value] of Object.entries(args)) {
+        const parameter = routine.parameters.find(p => p.name && p.name.toLowerCase() === key.toLowerCase());
+        if (!parameter) {
+          throw new Error(`${routine.signature} has no parameter named ${key}`);
+        }
+        if (parameter.mode === 'out') {
+          throw new Error(`${parameter.name} is an OUT parameter of ${routine.signature} and takes no value`);
+        }
+        supplied.set(parameter, value);
+      }
+    }
+
+    // Parameters left out rely on their DEFAULT, which only named notation can skip
+    const named = supplied.size < inputs.length;
+    const placeholders = [];
+    const params = [];
+    const out = [];
+    const outNames = [];
+    for (const parameter of routine.parameters) {
+      if (parameter.mode !== 'out' && !supplied.has(parameter)) continue;
+      if (named && !parameter.name) {
+        throw new Error(`${routine.signature} has unnamed parameters; pass every argument`);
+      }
+      placeholders.push(named ? `${parameter.name} = ?` : '?');
+      params.push(parameter.mode === 'out' ? null : supplied.get(parameter));
+      if (parameter.mode !== 'in') {
+        out.push({ index: params.length, type: outJdbcType(parameter), mode: parameter.mode });
+        outNames.push(parameter.name || `$${params.length}`);
+      }
+    }
+
+    const verb = routine.kind === 'procedure' ? 'EXECUTE PROCEDURE' : 'EXECUTE FUNCTION';
+    return {
+      sql: `${verb} ${routine.qualifiedName}(${placeholders.join(', ')})`,
+      params,
+      out,
+      outNames,
+      complete: !named
+    };
+  }
+
+  /**
+   * Pick the overload the arguments fit. An overload that takes every
+   * argument beats one that would need parameter defaults.
+   * @throws {ServiceError} INVALID_ARGUMENTS or AMBIGUOUS_PROCEDURE
+   */
+  _resolve(routineName, routines, args) {
+    const fits = [];
+    const reasons = [];
+    for (const routine of routines) {
+      try {
+        fits.push({ routine, plan: this._plan(routine, args) });
+      } catch (error) {
+        reasons.push(error.message);
+      }
+    }
+
+    if (fits.length === 0) {
+      throw new ServiceError(
+        'Arguments do not match the routine',
+        reasons.length === 1 ? reasons[0] : `No overload of ${routineName} takes these arguments: ${reasons.join('; ')}`,
+        'INVALID_ARGUMENTS'
+      );
+    }
+
+    const complete = fits.filter(fit => fit.plan.complete);
+    const candidates = complete.length > 0 ? complete : fits;
+    if (candidates.length > 1) {
+      throw new ServiceError(
+        'Ambiguous procedure call',
+        `Arguments fit several overloads: ${candidates.map(fit => fit.routine.signature).join('; ')}`,
+        'AMBIGUOUS_PROCEDURE'
+      );
+    }
+    return candidates[0];
+  }
+
+  /**
+   * Call a stored procedure or function
+   * @param {string} routineName - [owner.]name
+   * @param {Array|Object} args - Positional values for the IN / INOUT
+   *   parameters, or { parameterName: value }; values are encoded like
+   *   query parameters (tagged { $type, value } objects included)
+   * @param {Object} options
+   * @param {string} options.decimals - 'string' (exact) or 'number' for DECIMAL/MONEY values
+   * @param {number} options.timeoutMs - Cancel the call after this long
+   * @param {AbortSignal} options.signal - Cancels the call when aborted
+   * @returns {Promise<Object>} { routine, kind, resultSets, outParams, rowsAffected }
+   * @throws {ServiceError} INVALID_PROCEDURE, PROCEDURE_NOT_FOUND, INVALID_ARGUMENTS,
+   *   AMBIGUOUS_PROCEDURE, PROCEDURE_ERROR, QUERY_TIMEOUT or QUERY_CANCELLED
+   */
+  async call(routineName, args = [], options = {}) {
+    if (args === null || typeof args !== 'object') {
+      throw new ServiceError(
+        'Invalid arguments',
+        'args must be an array of positional values or an object of named values',
+        'INVALID_ARGUMENTS'
+      );
+    }
+
+    const routines = await this.getProcedure(routineName);
+    const { routine, plan } = this._resolve(routineName, routines, args);
+
+    let result;
+    try {
+      result = await db.call(plan.sql, plan.params, plan.out, {
+        decimals: options.decimals,
+        timeoutMs: options.timeoutMs,
+        signal: options.signal
+      });
+    } catch (error) {
+      if (error instanceof TypeError) {
+        throw new ServiceError('Invalid arguments', error.message, 'INVALID_ARGUMENTS');
+      }
+      // A cancelled routine may have changed something before it stopped
+      if (error instanceof CancelledError) await dbService.clearCache();
+      throw serviceError('Procedure call failed', error, 'PROCEDURE_ERROR');
+    }
+
+    // Routines can change anything
+    await dbService.clearCache();
+
+    const outParams = {};
+    plan.outNames.forEach((name, i) => {
+      outParams[name] = result.out[i];
+    });
+    return {
+      routine: routine.signature,
+      kind: routine.kind,
+      resultSets: result.resultSets,
+      outParams,
+      rowsAffected: result.rowsAffected
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ProcedureService();
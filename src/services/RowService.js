@@ -0,0 +1,538 @@
+/**
+ * Row Service
+ * Writes for /api/data: inserts, updates and deletes by where conditions,
+ * and single rows addressed by their primary key with ETags for
+ * conditional requests. Writes report rowsAffected and can read the
+ * written rows back in the same transaction.
+ */
+
+const crypto = require('crypto');
+const db = require('../db/connection');
+const { CancelledError } = require('../db/bridge');
+const { config } = require('../config/database');
+const dbService = require('./DatabaseService');
+const schemaService = require('./SchemaService');
+const { CoercionError } = require('../import/coerce');
+const { bindValue } = require('../sql/filter');
+const { ServiceError, serviceError } = dbService;
+
+/**
+ * Split a path id into key values: composite keys are comma-separated, and
+ * a comma or backslash inside a value is escaped with a backslash
+ * @param {string} id
+ * @returns {Array<string>}
+ */
+function splitKey(id) {
+  const values = [''];
+  for (let i = 0; i < id.length; i++) {
+    if (id[i] === '\\' && i + 1 < id.length) {
+      values[values.length - 1] += id[++i];
+    } else if (id[i] === ',') {
+      values.push('');
+    } else {
+      values[values.length - 1] += id[i];
+    }
+  }
+  return values;
+}
+
+/**
+ * Strong ETag of a row: a hash of the values of the given columns. Only the
+ * columns the caller may read go in, so the tag reveals nothing they may not.
+ */
+function rowEtag(row, columns) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(pick(row, columns))).digest('base64url');
+  return `"${hash.slice(0, 27)}"`;
+}
+
+/**
+ * The given columns of a row
+ */
+function pick(row, columns) {
+  return Object.fromEntries(columns.filter(column => column.name in row).map(column => [column.name, row[column.name]]));
+}
+
+/**
+ * Whether an If-Match / If-None-Match header value covers an ETag
+ */
+function etagMatches(header, etag) {
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * column = value conditions joined with AND; null matches IS NULL
+ */
+function whereClause(where) {
+  const params = [];
+  const sql = Object.entries(where).map(([name, value]) => {
+    if (value === null) return `${name} IS NULL`;
+    params.push(value);
+    return `${name} = ?`;
+  }).join(' AND ');
+  return { sql, params };
+}
+
+/**
+ * Values an INSERT generated for the table's SERIAL / SERIAL8 / BIGSERIAL
+ * column, from the bridge's generatedKeys rows
+ * @returns {Object|null} { column: value }, null when the table has no such column
+ */
+function generatedKey(serial, rows) {
+  if (!serial) return null;
+  const row = (rows || [])[0];
+  if (!row) return { [serial.name]: null };
+  // Drivers label the key column differently; a lone value is the serial
+  const value = serial.name in row ? row[serial.name] : Object.values(row)[0];
+  return { [serial.name]: value === undefined ? null : value };
+}
+
+/**
+ * A connection or transaction whose statements carry the caller's timeout
+ * and abort signal
+ * @param {Object} control - timeoutMs and signal
+ */
+function bound(runner, control) {
+  const { timeoutMs, signal } = control;
+  if (!timeoutMs && !signal) return runner;
+  return {
+    query: (sql, params, options = {}) => runner.query(sql, params, { ...options, timeoutMs, signal }),
+    execute: (sql, params, options = {}) => runner.execute(sql, params, { ...options, timeoutMs, signal })
+  };
+}
+
+// Key conditions per statement when reading rows back
+const KEY_CHUNK = 200;
+
+const keyError = message => new ServiceError(
+  `params.id ${message}`,
+  [{ in: 'params', path: '/id', message }],
+  'VALIDATION_ERROR'
+);
+
+class RowService {
+  /**
+   * Insert one row
+   * @param {string} tableName
+   * @param {Object} data - Column values (names in lower case)
+   * @param {Object} options
+   * @param {Function} options.returning - Filters the columns to return; set to read the inserted row back
+   * @param {number} options.timeoutMs - Cancel each statement after this long
+   * @param {AbortSignal} options.signal - Cancels the write when aborted
+   * @returns {Promise<{rowsAffected: number, generatedKeys: Object|null, rows?: Array<Object>}>}
+   * @throws {ServiceError} NO_PRIMARY_KEY (when returning), INSERT_ERROR
+   */
+  async insertRow(tableName, data, options = {}) {
+    const columns = await schemaService.getColumns(tableName);
+    const serial = columns.find(column => column.serial);
+    const names = Object.keys(data);
+    const sql = `INSERT INTO ${tableName} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`;
+    const params = names.map(name => data[name]);
+
+    // The new row is found again by its primary key, or its serial column
+    let key = null;
+    if (options.returning) {
+      const primaryKey = await schemaService.getPrimaryKey(tableName);
+      key = primaryKey ? primaryKey.map(name => columns.find(column => column.name === name)) : serial && [serial];
+      if (!key) throw this._noPrimaryKey(tableName, 'return=rows');
+    }
+
+    return this._run(tableName, Boolean(options.returning), async (runner) => {
+      const result = await runner.execute(sql, params, { generatedKeys: Boolean(serial) });
+      const generatedKeys = generatedKey(serial, result.generatedKeys);
+      const outcome = { rowsAffected: result.rowsAffected, generatedKeys };
+      if (key) {
+        const values = { ...data, ...generatedKeys };
+        outcome.rows = await this._readBack(runner, tableName, columns, key, [values], options.returning);
+      }
+      return outcome;
+    }, 'INSERT_ERROR', options);
+  }
+
+  /**
+   * Update the rows matching where
+   * @param {string} tableName
+   * @param {Object} data - Column values to set
+   * @param {Object} where - column = value conditions
+   * @param {Object} options
+   * @param {Function} options.returning - Filters the columns to return; set to read the updated rows back
+   * @param {boolean} options.requireMatch - Fail with ROW_NOT_FOUND when no row matched
+   * @param {number} options.timeoutMs - Cancel each statement after this long
+   * @param {AbortSignal} options.signal - Cancels the write when aborted
+   * @returns {Promise<{rowsAffected: number, rows?: Array<Object>}>}
+   * @throws {ServiceError} ROW_NOT_FOUND, NO_PRIMARY_KEY and TOO_MANY_ROWS (when returning), UPDATE_ERROR
+   */
+  async updateRows(tableName, data, where, options = {}) {
+    const names = Object.keys(data);
+    const set = `UPDATE ${tableName} SET ${names.map(name => `${name} = ?`).join(', ')}`;
+    const setParams = names.map(name => data[name]);
+    const condition = whereClause(where);
+
+    let outcome;
+    if (!options.returning) {
+      outcome = await this._run(tableName, false, async (runner) => {
+        const { rowsAffected } = await runner.execute(`${set} WHERE ${condition.sql}`, [...setParams, ...condition.params]);
+        return { rowsAffected };
+      }, 'UPDATE_ERROR', options);
+    } else {
+      const { columns, key } = await this._keyedTable(tableName, 'return=rows');
+      // Update exactly the rows whose keys were read, so those are the rows returned
+      outcome = await this._run(tableName, true, async (runner) => {
+        const matched = await this._matchingKeys(runner, tableName, key, condition);
+        let rowsAffected = 0;
+        for (const chunk of this._keyChunks(key, matched)) {
+          const result = await runner.execute(`${set} WHERE ${condition.sql} AND ${chunk.sql}`,
+            [...setParams, ...condition.params, ...chunk.params]);
+          rowsAffected += result.rowsAffected;
+        }
+        // Rows whose key columns were set are found under their new key
+        const moved = matched.map(row => ({ ...row, ...Object.fromEntries(
+          key.filter(column => column.name in data).map(column => [column.name, data[column.name]])) }));
+        const rows = await this._readBack(runner, tableName, columns, key, moved, options.returning);
+        return { rowsAffected, rows };
+      }, 'UPDATE_ERROR', options);
+    }
+
+    if (options.requireMatch && outcome.rowsAffected === 0) throw this._noMatch(tableName);
+    return outcome;
+  }
+
+  /**
+   * Delete the rows matching where
+   * @param {string} tableName
+   * @param {Object} where - column = value conditions
+   * @param {Object} options
+   * @param {boolean} options.requireMatch - Fail with ROW_NOT_FOUND when no row matched
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the write when aborted
+   * @returns {Promise<{rowsAffected: number}>}
+   * @throws {ServiceError} ROW_NOT_FOUND, DELETE_ERROR
+   */
+  async deleteRows(tableName, where, options = {}) {
+    const condition = whereClause(where);
+    const outcome = await this._run(tableName, false, async (runner) => {
+      const { rowsAffected } = await runner.execute(`DELETE FROM ${tableName} WHERE ${condition.sql}`, condition.params);
+      return { rowsAffected };
+    }, 'DELETE_ERROR', options);
+
+    if (options.requireMatch && outcome.rowsAffected === 0) throw this._noMatch(tableName);
+    return outcome;
+  }
+
+  /**
+   * Run a write on its own, or in a transaction when it reads rows too,
+   * and drop the table's cached query results afterwards
+   * @param {string} tableName
+   * @param {boolean} transactional
+   * @param {Function} work - async (runner) => result; runner is the connection or the transaction
+   * @param {Object} control - timeoutMs and signal for the statements
+   */
+  async _run(tableName, transactional, work, errorCode, control = {}) {
+    await dbService.init();
+    let result;
+    try {
+      result = transactional
+        ? await db.transaction(tx => work(bound(tx, control)), { signal: control.signal })
+        : await work(bound(db, control));
+    } catch (error) {
+      if (error instanceof ServiceError) throw error;
+      // A cancelled write outside a transaction may have landed before the cancel reached it
+      if (!transactional && error instanceof CancelledError) await dbService.invalidateTables([tableName]).catch(() => {});
+      throw serviceError('Write failed', error, errorCode);
+    }
+    await dbService.invalidateTables([tableName]);
+    return result;
+  }
+
+  /**
+   * Key values of the rows matching a condition
+   * @throws {ServiceError} TOO_MANY_ROWS when there are more than a page of them
+   */
+  async _matchingKeys(runner, tableName, key, condition) {
+    const max = config.data.maxLimit;
+    const rows = await runner.query(
+      `SELECT FIRST ${max + 1} ${key.map(column => column.name).join(', ')} FROM ${tableName} WHERE ${condition.sql}`,
+      condition.params
+    );
+    if (rows.length > max) {
+      throw new ServiceError(
+        'Too many rows',
+        `return=rows returns at most ${max} rows; narrow where or leave out return`,
+        'TOO_MANY_ROWS'
+      );
+    }
+    return rows;
+  }
+
+  /**
+   * (key = ? AND ...) OR ... conditions for rows of key values, a chunk at a time
+   * @param {Array<Object>} key - Key columns
+   * @param {Array<Object>} rows - { column: value } per row
+   * @returns {Array<{sql: string, params: Array}>}
+   */
+  _keyChunks(key, rows) {
+    const chunks = [];
+    for (let start = 0; start < rows.length; start += KEY_CHUNK) {
+      const slice = rows.slice(start, start + KEY_CHUNK);
+      const params = [];
+      const alternatives = slice.map(row => key.map(column => {
+        if (row[column.name] === null || row[column.name] === undefined) return `${column.name} IS NULL`;
+        params.push(bindValue(column, row[column.name]));
+        return `${column.name} = ?`;
+      }).join(' AND '));
+      const sql = alternatives.length > 1
+        ? `(${alternatives.map(alternative => (key.length > 1 ? `(${alternative})` : alternative)).join(' OR ')})`
+        : alternatives[0];
+      chunks.push({ sql, params });
+    }
+    return chunks;
+  }
+
+  /**
+   * Read rows back by key, keeping the columns the caller may read
+   */
+  async _readBack(runner, tableName, columns, key, keyRows, returning) {
+    const visible = returning(columns);
+    if (visible.length === 0) return keyRows.map(() => ({}));
+    const rows = [];
+    for (const chunk of this._keyChunks(key, keyRows)) {
+      rows.push(...await runner.query(
+        `SELECT ${visible.map(column => column.name).join(', ')} FROM ${tableName} WHERE ${chunk.sql}`,
+        chunk.params
+      ));
+    }
+    return rows;
+  }
+
+  /**
+   * Columns and primary key columns of a table
+   * @returns {Promise<{columns: Array<Object>, key: Array<Object>}>}
+   * @throws {ServiceError} TABLE_NOT_FOUND, NO_PRIMARY_KEY
+   */
+  async _keyedTable(tableName, feature = null) {
+    const [columns, primaryKey] = await Promise.all([
+      schemaService.getColumns(tableName),
+      schemaService.getPrimaryKey(tableName)
+    ]);
+    if (!primaryKey) throw this._noPrimaryKey(tableName, feature);
+    return { columns, key: primaryKey.map(name => columns.find(column => column.name === name)) };
+  }
+
+  /**
+   * Refuse a path id naming key columns the caller may not read: whether
+   * the row is found would confirm their values
+   * @param {Function} visible - Filters the columns the caller may read
+   * @throws {ServiceError} FORBIDDEN
+   */
+  _assertKeyVisible(tableName, columns, key, visible) {
+    if (!visible) return;
+    const readable = new Set(visible(columns).map(column => column.name));
+    const hidden = key.filter(column => !readable.has(column.name)).map(column => column.name);
+    if (hidden.length > 0) {
+      throw new ServiceError(
+        'Permission denied',
+        `Not allowed to read key column(s) ${hidden.join(', ')} of ${tableName}`,
+        'FORBIDDEN'
+      );
+    }
+  }
+
+  /**
+   * Key condition for a path id
+   * @returns {{sql: string, params: Array, values: Object}} values maps key columns to the path values
+   * @throws {ServiceError} VALIDATION_ERROR
+   */
+  _keyCondition(key, id) {
+    const texts = splitKey(id);
+    if (texts.length !== key.length) {
+      throw keyError(key.length > 1
+        ? `must be ${key.length} comma-separated values: ${key.map(column => column.name).join(', ')}`
+        : `must be one value (${key[0].name}); escape commas as \\,`);
+    }
+    try {
+      const params = key.map((column, index) => bindValue(column, texts[index]));
+      return {
+        sql: key.map(column => `${column.name} = ?`).join(' AND '),
+        params,
+        values: Object.fromEntries(key.map((column, index) => [column.name, texts[index]]))
+      };
+    } catch (error) {
+      if (error instanceof CoercionError) throw keyError(error.message.slice(error.column.length + 2));
+      throw error;
+    }
+  }
+
+  async _readRow(runner, tableName, columns, where, options = {}) {
+    const sql = `SELECT ${columns.map(column => column.name).join(', ')} FROM ${tableName} WHERE ${where.sql}`
+      + (options.forUpdate ? ' FOR UPDATE' : '');
+    const rows = await runner.query(sql, where.params);
+    return rows[0] || null;
+  }
+
+  /**
+   * Read one row
+   * @param {string} tableName
+   * @param {string} id - Key value(s) from the path
+   * @param {Object} options
+   * @param {Function} options.visible - Filters the columns the caller may read; the key columns must be among them
+   * @param {number} options.timeoutMs - Cancel the statement after this long
+   * @param {AbortSignal} options.signal - Cancels the read when aborted
+   * @returns {Promise<{key: Object, data: Object, etag: string}>}
+   * @throws {ServiceError} ROW_NOT_FOUND, FORBIDDEN and the errors of _keyedTable and _keyCondition
+   */
+  async getRow(tableName, id, options = {}) {
+    const { columns, key } = await this._keyedTable(tableName);
+    this._assertKeyVisible(tableName, columns, key, options.visible);
+    const where = this._keyCondition(key, id);
+    let row;
+    try {
+      row = await this._readRow(bound(db, options), tableName, columns, where);
+    } catch (error) {
+      throw serviceError('Query failed', error, 'QUERY_ERROR');
+    }
+    if (!row) throw this._notFound(tableName, where.values);
+
+    const visible = options.visible ? options.visible(columns) : columns;
+    return {
+      key: where.values,
+      data: pick(row, visible),
+      etag: rowEtag(row, visible)
+    };
+  }
+
+  /**
+   * Update one row
+   * @param {string} tableName
+   * @param {string} id - Key value(s) from the path
+   * @param {Object} data - Column values (names in lower case)
+   * @param {Object} options
+   * @param {Array<Object>} options.replace - Columns to replace: those left out of data are set to NULL
+   * @param {string} options.ifMatch - If-Match header; the row must still have one of its ETags
+   * @param {Function} options.visible - Filters the columns the caller may read (those its ETags cover); the key columns must be among them
+   * @param {Function} options.returning - Filters the columns to return; set to add the updated row as data
+   * @param {number} options.timeoutMs - Cancel each statement after this long
+   * @param {AbortSignal} options.signal - Cancels the write when aborted
+   * @returns {Promise<{key: Object, rowsAffected: number, etag: string, data?: Object}>}
+   * @throws {ServiceError} ROW_NOT_FOUND, PRECONDITION_FAILED, FORBIDDEN, VALIDATION_ERROR, UPDATE_ERROR
+   */
+  async updateRow(tableName, id, data, options = {}) {
+    const { columns, key } = await this._keyedTable(tableName);
+    this._assertKeyVisible(tableName, columns, key, options.visible);
+    const where = this._keyCondition(key, id);
+
+    // Key columns may be repeated in data but not changed
+    const values = { ...data };
+    key.forEach((column, index) => {
+      if (!(column.name in values)) return;
+      let bound;
+      try {
+        bound = bindValue(column, values[column.name]);
+      } catch (error) {
+        if (!(error instanceof CoercionError)) throw error;
+      }
+      if (JSON.stringify(bound) !== JSON.stringify(where.params[index])) {
+        throw new ServiceError(
+          `body.data.${column.name} does not match the key in the path`,
+          [{ in: 'body', path: `/data/${column.name}`, message: 'does not match the key in the path' }],
+          'VALIDATION_ERROR'
+        );
+      }
+      delete values[column.name];
+    });
+    if (options.replace) {
+      for (const column of options.replace) {
+        if (!key.includes(column) && !column.serial && !(column.name in values)) values[column.name] = null;
+      }
+    }
+    const names = Object.keys(values);
+    if (names.length === 0) {
+      throw new ServiceError(
+        'body.data must set a column besides the primary key',
+        [{ in: 'body', path: '/data', message: 'must set a column besides the primary key' }],
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const { row, ...result } = await this._write(tableName, columns, where, options.ifMatch, tx => tx.execute(
+      `UPDATE ${tableName} SET ${names.map(name => `${name} = ?`).join(', ')} WHERE ${where.sql}`,
+      [...names.map(name => values[name]), ...where.params]
+    ), 'UPDATE_ERROR', options);
+    if (options.returning) result.data = row && pick(row, options.returning(columns));
+    return result;
+  }
+
+  /**
+   * Delete one row
+   * @param {string} tableName
+   * @param {string} id - Key value(s) from the path
+   * @param {Object} options
+   * @param {string} options.ifMatch - If-Match header
+   * @param {Function} options.visible - Filters the columns the caller may read; the key columns must be among them
+   * @param {number} options.timeoutMs - Cancel each statement after this long
+   * @param {AbortSignal} options.signal - Cancels the write when aborted
+   * @returns {Promise<{key: Object, rowsAffected: number}>}
+   * @throws {ServiceError} ROW_NOT_FOUND, PRECONDITION_FAILED, FORBIDDEN, DELETE_ERROR
+   */
+  async deleteRow(tableName, id, options = {}) {
+    const { columns, key } = await this._keyedTable(tableName);
+    this._assertKeyVisible(tableName, columns, key, options.visible);
+    const where = this._keyCondition(key, id);
+    const { rowsAffected } = await this._write(tableName, columns, where, options.ifMatch, tx =>
+      tx.execute(`DELETE FROM ${tableName} WHERE ${where.sql}`, where.params), 'DELETE_ERROR', options);
+    return { key: where.values, rowsAffected };
+  }
+
+  /**
+   * Run a single-row write in a transaction: check If-Match against the
+   * locked row first, and read the row back for its new ETag
+   * @param {Object} control - timeoutMs and signal for the statements, and visible for the ETags
+   */
+  async _write(tableName, columns, where, ifMatch, write, errorCode, control = {}) {
+    const visible = control.visible ? control.visible(columns) : columns;
+    let outcome;
+    try {
+      outcome = await db.transaction(async (transaction) => {
+        const tx = bound(transaction, control);
+        if (ifMatch) {
+          const current = await this._readRow(tx, tableName, columns, where, { forUpdate: true });
+          if (!current || !etagMatches(ifMatch, rowEtag(current, visible))) return { failed: 'PRECONDITION_FAILED' };
+        }
+        const { rowsAffected } = await write(tx);
+        if (rowsAffected === 0) return { failed: 'ROW_NOT_FOUND' };
+        const row = await this._readRow(tx, tableName, columns, where);
+        return { rowsAffected, etag: row ? rowEtag(row, visible) : null, row };
+      }, { signal: control.signal });
+    } catch (error) {
+      throw serviceError('Write failed', error, errorCode);
+    }
+    await dbService.invalidateTables([tableName]);
+
+    if (outcome.failed === 'PRECONDITION_FAILED') {
+      throw new ServiceError('Precondition failed', 'The row has changed since the ETag in If-Match was read', 'PRECONDITION_FAILED');
+    }
+    if (outcome.failed) throw this._notFound(tableName, where.values);
+    return { key: where.values, ...outcome };
+  }
+
+  _noPrimaryKey(tableName, feature) {
+    return new ServiceError(
+      'No primary key',
+      feature
+        ? `${feature} needs a primary key and ${tableName} has none`
+        : `${tableName} has no primary key; use /api/data/${tableName} with where conditions`,
+      'NO_PRIMARY_KEY'
+    );
+  }
+
+  _noMatch(tableName) {
+    return new ServiceError('Row not found', `No row of ${tableName} matches where`, 'ROW_NOT_FOUND');
+  }
+
+  _notFound(tableName, values) {
+    const key = Object.entries(values).map(([name, value]) => `${name} = ${value}`).join(', ');
+    return new ServiceError('Row not found', `No row of ${tableName} with ${key}`, 'ROW_NOT_FOUND');
+  }
+}
+
+// Export singleton instance
+module.exports = new RowService();
+module.exports.etagMatches = etagMatches;
@@ -0,0 +1,477 @@
+/**
+ * Schema Introspection Service
+ * Reads tables, columns, keys, indexes, check constraints, views, synonyms
+ * and sequences from the system catalog and decodes them into readable
+ * descriptions
+ */
+
+const { decodeColumn } = require('../db/coltypes');
+const dbService = require('./DatabaseService');
+const { ServiceError } = dbService;
+
+// systables.tabtype
+const TABLE_TYPES = {
+  T: 'table',
+  V: 'view',
+  P: 'synonym',
+  S: 'synonym',
+  E: 'external',
+  Q: 'sequence'
+};
+
+// sysdefaults.type; only literals carry a value
+const DEFAULT_KINDS = {
+  L: 'literal',
+  U: 'user',
+  C: 'current',
+  N: 'null',
+  T: 'today',
+  S: 'dbservername'
+};
+
+// sysreferences.delrule / updrule
+const REFERENCE_RULES = {
+  C: 'cascade',
+  R: 'restrict',
+  N: 'set null'
+};
+
+// sysindexes.part1 .. part16 hold column numbers, negative for DESC
+const INDEX_PARTS = Array.from({ length: 16 }, (_, i) => `part${i + 1}`);
+
+// User objects; the system catalog has tabid 1 - 99
+const FIRST_USER_TABID = 100;
+
+const placeholders = values => values.map(() => '?').join(', ');
+
+const trimmed = value => (value === null || value === undefined ? null : String(value).trim());
+
+/**
+ * Join catalog text split over fixed-width rows (sysviews.viewtext,
+ * syschecks.checktext, ...). Every row but the last is filled to the
+ * column width, so the pieces are concatenated as they are.
+ */
+function joinText(rows, field) {
+  return rows.map(row => row[field] || '').join('').trim();
+}
+
+/**
+ * Group rows by a key, keeping their order
+ * @returns {Map}
+ */
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    const value = row[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  }
+  return groups;
+}
+
+class SchemaService {
+  /**
+   * Run a catalog query through the service cache
+   * @returns {Promise<Array<Object>>} Rows
+   */
+  async _catalog(sql, params = []) {
+    const result = await dbService.query(sql, params, { useCache: true });
+    return result.data;
+  }
+
+  /**
+   * Look up a user table, view or synonym by name
+   * @param {Array<string>} types - Accepted TABLE_TYPES values (default: any)
+   * @throws {ServiceError} TABLE_NOT_FOUND
+   */
+  async _findTable(tableName, types = null) {
+    const rows = await this._catalog(
+      `SELECT tabid, tabname, owner, tabtype, nrows, created
+       FROM systables
+       WHERE tabname = ? AND tabid >= ${FIRST_USER_TABID}
+       ORDER BY owner`,
+      [tableName.toLowerCase()]
+    );
+    const row = rows.find(candidate => !types || types.includes(TABLE_TYPES[candidate.tabtype]));
+    if (!row) {
+      throw new ServiceError('Table not found', `No table named ${tableName}`, 'TABLE_NOT_FOUND');
+    }
+    return row;
+  }
+
+  _describeTableRow(row) {
+    return {
+      name: trimmed(row.tabname),
+      owner: trimmed(row.owner),
+      type: TABLE_TYPES[row.tabtype] || row.tabtype,
+      // From the last UPDATE STATISTICS; 0 when statistics were never gathered
+      rowEstimate: row.nrows === null || row.nrows === undefined ? null : Math.round(Number(row.nrows)),
+      created: row.created || null
+    };
+  }
+
+  /**
+   * List user tables, views, synonyms and external tables
+   * @param {Object} options
+   * @param {string} options.type - table, view, synonym or external (default: all of them)
+   * @returns {Promise<Array<Object>>} { name, owner, type, rowEstimate, created }
+   */
+  async listTables(options = {}) {
+    const codes = Object.keys(TABLE_TYPES).filter(code =>
+      TABLE_TYPES[code] !== 'sequence' && (!options.type || TABLE_TYPES[code] === options.type));
+    if (codes.length === 0) {
+      throw new ServiceError(
+        'Invalid table type',
+        `type must be one of: ${[...new Set(Object.values(TABLE_TYPES))].filter(type => type !== 'sequence').join(', ')}`,
+        'INVALID_OPTION'
+      );
+    }
+
+    const rows = await this._catalog(
+      `SELECT tabid, tabname, owner, tabtype, nrows, created
+       FROM systables
+       WHERE tabid >= ${FIRST_USER_TABID} AND tabtype IN (${placeholders(codes)})
+       ORDER BY tabname, owner`,
+      codes
+    );
+    return rows.map(row => this._describeTableRow(row));
+  }
+
+  /**
+   * Decoded columns of some tables, with their defaults
+   * @param {Array<number>} tabids
+   * @returns {Promise<Map<number, Array<Object>>>} tabid -> columns
+   */
+  async _columns(tabids) {
+    if (tabids.length === 0) return new Map();
+    const rows = await this._catalog(
+      `SELECT c.tabid, c.colname, c.colno, c.coltype, c.collength,
+              (SELECT x.name FROM sysxtdtypes x WHERE x.extended_id = c.extended_id) AS xtdname,
+              d.type AS default_type, d.default AS default_value
+       FROM syscolumns c
+       LEFT JOIN sysdefaults d ON d.tabid = c.tabid AND d.colno = c.colno
+       WHERE c.tabid IN (${placeholders(tabids)})
+       ORDER BY c.tabid, c.colno`,
+      tabids
+    );
+
+    const byTable = new Map(tabids.map(tabid => [tabid, []]));
+    for (const row of rows) {
+      let defaultValue = null;
+      if (row.default_type) {
+        const kind = DEFAULT_KINDS[row.default_type] || row.default_type;
+        defaultValue = kind === 'literal' ? { kind, value: trimmed(row.default_value) } : { kind };
+      }
+      byTable.get(Number(row.tabid)).push({
+        ...decodeColumn(row),
+        position: Number(row.colno),
+        default: defaultValue
+      });
+    }
+    return byTable;
+  }
+
+  /**
+   * Decoded columns of a table or view
+   * @param {string} tableName
+   * @throws {ServiceError} TABLE_NOT_FOUND
+   */
+  async getColumns(tableName) {
+    const table = await this._findTable(tableName, ['table', 'view', 'external']);
+    const tabid = Number(table.tabid);
+    return (await this._columns([tabid])).get(tabid);
+  }
+
+  /**
+   * Row count of a table from the last UPDATE STATISTICS
+   * @param {string} tableName
+   * @returns {Promise<number|null>}
+   * @throws {ServiceError} TABLE_NOT_FOUND
+   */
+  async getRowEstimate(tableName) {
+    const table = await this._findTable(tableName, ['table', 'view', 'external']);
+    return this._describeTableRow(table).rowEstimate;
+  }
+
+  /**
+   * Primary key columns of a table, in key order
+   * @param {string} tableName
+   * @returns {Promise<Array<string>|null>} null when the table has no primary key
+   * @throws {ServiceError} TABLE_NOT_FOUND
+   */
+  async getPrimaryKey(tableName) {
+    const table = await this._findTable(tableName, ['table', 'view', 'external']);
+    const tabid = Number(table.tabid);
+    const [constraint] = await this._catalog(
+      `SELECT idxname FROM sysconstraints WHERE tabid = ? AND constrtype = 'P'`,
+      [tabid]
+    );
+    if (!constraint) return null;
+    const index = (await this._indexes([tabid])).get(`${tabid}:${trimmed(constraint.idxname)}`);
+    return index ? index.columns.map(column => column.name) : null;
+  }
+
+  /**
+   * Every user table with its decoded columns, read in two catalog queries
+   * @returns {Promise<Array<Object>>} { name, owner, columns }
+   */
+  async tableColumns() {
+    const tables = await this._catalog(
+      `SELECT tabid, tabname, owner
+       FROM systables
+       WHERE tabid >= ${FIRST_USER_TABID} AND tabtype = 'T'
+       ORDER BY tabname, owner`
+    );
+    const columns = await this._columns(tables.map(row => Number(row.tabid)));
+    return tables.map(row => ({
+      name: trimmed(row.tabname),
+      owner: trimmed(row.owner),
+      columns: columns.get(Number(row.tabid))
+    }));
+  }
+
+  /**
+   * Indexes of some tables with their column names
+   * @param {Array<number>} tabids
+   * @returns {Promise<Map<string, Object>>} `${tabid}:${idxname}` -> index
+   */
+  async _indexes(tabids) {
+    if (tabids.length === 0) return new Map();
+    const [indexes, columns] = await Promise.all([
+      this._catalog(
+        `SELECT tabid, idxname, owner, idxtype, clustered, ${INDEX_PARTS.join(', ')}
+         FROM sysindexes
+         WHERE tabid IN (${placeholders(tabids)})
+         ORDER BY tabid, idxname`,
+        tabids
+      ),
+      this._catalog(
+        `SELECT tabid, colno, colname FROM syscolumns WHERE tabid IN (${placeholders(tabids)})`,
+        tabids
+      )
+    ]);
+
+    const names = new Map(columns.map(row => [`${row.tabid}:${row.colno}`, trimmed(row.colname)]));
+    const byName = new Map();
+    for (const row of indexes) {
+      const parts = INDEX_PARTS.map(part => Number(row[part])).filter(colno => colno);
+      const name = trimmed(row.idxname);
+      byName.set(`${row.tabid}:${name}`, {
+        name,
+        owner: trimmed(row.owner),
+        unique: row.idxtype === 'U',
+        clustered: row.clustered === 'C',
+        columns: parts.map(colno => ({
+          name: names.get(`${row.tabid}:${Math.abs(colno)}`) || null,
+          order: colno < 0 ? 'desc' : 'asc'
+        }))
+      });
+    }
+    return byName;
+  }
+
+  /**
+   * Indexes, primary, unique, foreign key and check constraints of a table,
+   * and the foreign keys of other tables that reference it
+   * @param {number} tabid
+   */
+  async _constraints(tabid) {
+    const [constraints, references, checks, referencedBy] = await Promise.all([
+      this._catalog(
+        `SELECT constrid, constrname, constrtype, idxname
+         FROM sysconstraints
+         WHERE tabid = ?
+         ORDER BY constrname`,
+        [tabid]
+      ),
+      this._catalog(
+        `SELECT r.constrid, r.updrule, r.delrule, r.ptabid, p.tabname AS ptabname, pc.idxname AS pidxname
+         FROM sysreferences r, sysconstraints c, sysconstraints pc, systables p
+         WHERE c.constrid = r.constrid AND c.tabid = ?
+           AND pc.constrid = r.primary AND p.tabid = r.ptabid`,
+        [tabid]
+      ),
+      this._catalog(
+        `SELECT k.constrid, k.checktext
+         FROM syschecks k, sysconstraints c
+         WHERE k.constrid = c.constrid AND c.tabid = ? AND k.type = 'T'
+         ORDER BY k.constrid, k.seqno`,
+        [tabid]
+      ),
+      this._catalog(
+        `SELECT c.constrname, t.tabname
+         FROM sysreferences r, sysconstraints c, systables t
+         WHERE r.ptabid = ? AND c.constrid = r.constrid AND t.tabid = c.tabid
+         ORDER BY t.tabname, c.constrname`,
+        [tabid]
+      )
+    ]);
+
+    const referenceById = new Map(references.map(row => [row.constrid, row]));
+    const parentIds = [...new Set(references.map(row => Number(row.ptabid)))];
+    const indexes = await this._indexes([tabid, ...parentIds.filter(id => id !== Number(tabid))]);
+    const indexColumns = (id, idxname) => {
+      const index = indexes.get(`${id}:${trimmed(idxname)}`);
+      return index ? index.columns.map(column => column.name) : [];
+    };
+    const checkText = groupBy(checks, 'constrid');
+
+    const result = {
+      primaryKey: null,
+      uniqueKeys: [],
+      foreignKeys: [],
+      checks: [],
+      referencedBy: referencedBy.map(row => ({ table: trimmed(row.tabname), constraint: trimmed(row.constrname) }))
+    };
+
+    for (const row of constraints) {
+      const name = trimmed(row.constrname);
+      switch (row.constrtype) {
+        case 'P':
+          result.primaryKey = { name, columns: indexColumns(tabid, row.idxname) };
+          break;
+        case 'U':
+          result.uniqueKeys.push({ name, columns: indexColumns(tabid, row.idxname) });
+          break;
+        case 'R': {
+          const reference = referenceById.get(row.constrid);
+          if (!reference) break;
+          result.foreignKeys.push({
+            name,
+            columns: indexColumns(tabid, row.idxname),
+            references: {
+              table: trimmed(reference.ptabname),
+              columns: indexColumns(Number(reference.ptabid), reference.pidxname)
+            },
+            onDelete: REFERENCE_RULES[reference.delrule] || 'restrict',
+            onUpdate: REFERENCE_RULES[reference.updrule] || 'restrict'
+          });
+          break;
+        }
+        case 'C':
+          result.checks.push({ name, expression: joinText(checkText.get(row.constrid) || [], 'checktext') });
+          break;
+        default:
+          // 'N' (NOT NULL) shows as column nullability
+          break;
+      }
+    }
+
+    result.indexes = [...indexes]
+      .filter(([key]) => key.startsWith(`${tabid}:`))
+      .map(([, index]) => index);
+    return result;
+  }
+
+  /**
+   * Describe a table or view: columns with decoded types and defaults,
+   * keys, indexes, check constraints and the row estimate
+   * @param {string} tableName
+   * @throws {ServiceError} TABLE_NOT_FOUND
+   */
+  async describeTable(tableName) {
+    const table = await this._findTable(tableName, ['table', 'view', 'external']);
+    const tabid = Number(table.tabid);
+    const [columns, constraints] = await Promise.all([this._columns([tabid]), this._constraints(tabid)]);
+
+    const description = {
+      ...this._describeTableRow(table),
+      columns: columns.get(tabid),
+      ...constraints
+    };
+    if (description.type === 'view') {
+      description.definition = (await this._viewText([tabid])).get(tabid) || null;
+    }
+    return description;
+  }
+
+  /**
+   * View definitions by tabid
+   * @returns {Promise<Map<number, string>>}
+   */
+  async _viewText(tabids) {
+    const rows = await this._catalog(
+      `SELECT tabid, viewtext FROM sysviews WHERE tabid IN (${placeholders(tabids)}) ORDER BY tabid, seqno`,
+      tabids
+    );
+    const text = new Map();
+    for (const [tabid, parts] of groupBy(rows, 'tabid')) {
+      text.set(Number(tabid), joinText(parts, 'viewtext'));
+    }
+    return text;
+  }
+
+  /**
+   * List views with their definitions
+   * @returns {Promise<Array<Object>>} { name, owner, created, definition }
+   */
+  async listViews() {
+    const views = await this._catalog(
+      `SELECT tabid, tabname, owner, tabtype, nrows, created
+       FROM systables
+       WHERE tabtype = 'V' AND tabid >= ${FIRST_USER_TABID}
+       ORDER BY tabname, owner`
+    );
+    if (views.length === 0) return [];
+    const text = await this._viewText(views.map(view => Number(view.tabid)));
+    return views.map(view => {
+      const { name, owner, created } = this._describeTableRow(view);
+      return { name, owner, created, definition: text.get(Number(view.tabid)) || null };
+    });
+  }
+
+  /**
+   * List synonyms and what they point at
+   * @returns {Promise<Array<Object>>} { name, owner, public, target: { server, database, owner, table } }
+   */
+  async listSynonyms() {
+    const rows = await this._catalog(
+      `SELECT t.tabname, t.owner, t.tabtype, s.servername, s.dbname, s.owner AS target_owner,
+              s.tabname AS target_table, b.tabname AS base_table, b.owner AS base_owner
+       FROM systables t
+       JOIN syssyntable s ON s.tabid = t.tabid
+       LEFT JOIN systables b ON b.tabid = s.btabid
+       WHERE t.tabtype IN ('P', 'S')
+       ORDER BY t.tabname, t.owner`
+    );
+    return rows.map(row => ({
+      name: trimmed(row.tabname),
+      owner: trimmed(row.owner),
+      public: row.tabtype === 'S',
+      target: {
+        server: trimmed(row.servername),
+        database: trimmed(row.dbname),
+        owner: trimmed(row.base_owner || row.target_owner),
+        table: trimmed(row.base_table || row.target_table)
+      }
+    }));
+  }
+
+  /**
+   * List sequences with their settings
+   * @returns {Promise<Array<Object>>} { name, owner, start, increment, min, max, cycle, cache, ordered }
+   */
+  async listSequences() {
+    const rows = await this._catalog(
+      `SELECT t.tabname, t.owner, s.start_val, s.inc_val, s.min_val, s.max_val, s.cycle, s.cache, s.order
+       FROM syssequences s, systables t
+       WHERE t.tabid = s.tabid
+       ORDER BY t.tabname, t.owner`
+    );
+    return rows.map(row => ({
+      name: trimmed(row.tabname),
+      owner: trimmed(row.owner),
+      start: row.start_val,
+      increment: row.inc_val,
+      min: row.min_val,
+      max: row.max_val,
+      cycle: trimmed(row.cycle) === '1',
+      cache: row.cache,
+      ordered: trimmed(row.order) === '1'
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new SchemaService();
+module.exports.TABLE_TYPES = TABLE_TYPES;
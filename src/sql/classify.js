@@ -0,0 +1,165 @@
+/**
+ * Informix SQL statement classifier
+ * Tells what kind of statement(s) a SQL text holds so endpoints can accept
+ * only the kinds they are meant for, whatever comments, CTEs or extra
+ * statements surround them.
+ */
+
+const { tokenize, splitStatements } = require('./tokenizer');
+
+/**
+ * Statement kinds:
+ *   select       SELECT or WITH ... SELECT that only returns rows
+ *   select-into  SELECT ... INTO TEMP / EXTERNAL / RAW / SCRATCH / table (creates a table)
+ *   insert, update, delete, merge
+ *   procedure    EXECUTE PROCEDURE, EXECUTE FUNCTION, CALL
+ *   ddl          CREATE, ALTER, DROP, RENAME, TRUNCATE
+ *   dcl          GRANT, REVOKE
+ *   transaction  BEGIN [WORK], COMMIT, ROLLBACK, SAVEPOINT, RELEASE SAVEPOINT
+ *   other        anything else (SET, LOCK TABLE, UPDATE STATISTICS, DATABASE, ...)
+ */
+const READ_KINDS = ['select'];
+const WRITE_KINDS = ['insert', 'update', 'delete', 'merge'];
+
+const KIND_BY_KEYWORD = {
+  SELECT: 'select',
+  INSERT: 'insert',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  MERGE: 'merge',
+  CALL: 'procedure',
+  CREATE: 'ddl',
+  ALTER: 'ddl',
+  DROP: 'ddl',
+  RENAME: 'ddl',
+  TRUNCATE: 'ddl',
+  GRANT: 'dcl',
+  REVOKE: 'dcl',
+  BEGIN: 'transaction',
+  COMMIT: 'transaction',
+  ROLLBACK: 'transaction',
+  SAVEPOINT: 'transaction',
+  RELEASE: 'transaction'
+};
+
+// Statements may only be used as documented; codes match the HTTP error codes
+class SqlPolicyError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - MISSING_SQL, MULTIPLE_STATEMENTS or FORBIDDEN_OPERATION
+   * @param {string} kind - Kind of the offending statement, if any
+   */
+  constructor(message, code, kind = undefined) {
+    super(message);
+    this.name = 'SqlPolicyError';
+    this.code = code;
+    this.kind = kind;
+  }
+}
+
+const isWord = (token, word) => token && token.type === 'word' && token.upper === word;
+const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+
+/**
+ * Index of the first token after a leading WITH clause
+ */
+function skipWith(tokens) {
+  if (!isWord(tokens[0], 'WITH')) return 0;
+  let depth = 0;
+  for (let i = 1; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')')) depth--;
+    else if (depth === 0 && tokens[i].type === 'word' &&
+      ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(tokens[i].upper)) {
+      return i;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Whether a SELECT writes its result into a table: an INTO outside any
+ * parentheses (subqueries cannot have one)
+ */
+function hasTopLevelInto(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')')) depth--;
+    else if (depth <= 0 && isWord(tokens[i], 'INTO')) return true;
+  }
+  return false;
+}
+
+/**
+ * Classify one statement's tokens
+ * @returns {{kind: string, keyword: string}} keyword is the statement's leading verb
+ */
+function classifyTokens(tokens) {
+  let start = skipWith(tokens);
+  // (SELECT ...) UNION (SELECT ...)
+  while (isPunct(tokens[start], '(')) start++;
+  const verb = tokens[start];
+  if (!verb || verb.type !== 'word') {
+    return { kind: 'other', keyword: verb ? verb.value : '' };
+  }
+  const next = tokens[start + 1];
+  let kind = KIND_BY_KEYWORD[verb.upper] || 'other';
+
+  if (verb.upper === 'SELECT' && hasTopLevelInto(tokens, start)) {
+    kind = 'select-into';
+  } else if (verb.upper === 'UPDATE' && isWord(next, 'STATISTICS')) {
+    kind = 'other';
+  } else if (verb.upper === 'EXECUTE' && (isWord(next, 'PROCEDURE') || isWord(next, 'FUNCTION'))) {
+    kind = 'procedure';
+  } else if (verb.upper === 'RELEASE' && !isWord(next, 'SAVEPOINT')) {
+    kind = 'other';
+  }
+
+  return { kind, keyword: verb.upper };
+}
+
+/**
+ * Classify every statement in a SQL text
+ * @param {string} sql
+ * @returns {Array<{kind: string, keyword: string}>} One entry per statement; empty for blank text or only comments
+ * @throws {SqlSyntaxError} On an unterminated string or comment
+ */
+function classify(sql) {
+  return splitStatements(tokenize(sql)).map(classifyTokens);
+}
+
+/**
+ * Check that a SQL text is exactly one statement of an allowed kind
+ * @param {string} sql
+ * @param {Array<string>} kinds - Allowed kinds (e.g. READ_KINDS)
+ * @returns {{kind: string, keyword: string}}
+ * @throws {SqlPolicyError|SqlSyntaxError}
+ */
+function assertStatement(sql, kinds) {
+  const statements = classify(sql);
+  if (statements.length === 0) {
+    throw new SqlPolicyError('SQL text contains no statement', 'MISSING_SQL');
+  }
+  if (statements.length > 1) {
+    throw new SqlPolicyError(`Only one statement is allowed; found ${statements.length}`, 'MULTIPLE_STATEMENTS');
+  }
+
+  const [statement] = statements;
+  if (!kinds.includes(statement.kind)) {
+    throw new SqlPolicyError(
+      `${statement.keyword || 'This'} statement (${statement.kind}) is not allowed here`,
+      'FORBIDDEN_OPERATION',
+      statement.kind
+    );
+  }
+  return statement;
+}
+
+module.exports = {
+  classify,
+  assertStatement,
+  SqlPolicyError,
+  READ_KINDS,
+  WRITE_KINDS,
+};
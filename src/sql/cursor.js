@@ -0,0 +1,132 @@
+/**
+ * Page cursors for GET /api/data/:table
+ * A cursor is an opaque base64url token. When the rows are ordered by a
+ * unique key the caller can read (the primary key, after any requested
+ * order), it holds the sort key values of the row a page starts after or
+ * before, and the next page is read with a keyset condition instead of
+ * SKIP. Otherwise it holds a plain offset.
+ */
+
+const { CoercionError } = require('../import/coerce');
+const { FilterError, bindValue, orderBy } = require('./filter');
+
+// Keys whose values a cursor cannot carry back as parameters
+const UNKEYABLE_TYPES = ['INTERVAL'];
+
+const invalid = message => new FilterError([{ in: 'query', path: '/cursor', message }]);
+
+/**
+ * Whether pages can be read by keyset: the sort key ends with the primary
+ * key and every column in it is readable
+ * @param {Array<Object>} sortKey - From buildFilter
+ * @param {Array<string>|null} primaryKey
+ */
+function isKeyset(sortKey, primaryKey) {
+  return Boolean(primaryKey && primaryKey.length > 0)
+    && sortKey.every(entry => entry.column && !UNKEYABLE_TYPES.includes(entry.column.type));
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Make the token of a page boundary
+ * @param {Array<Object>} sortKey
+ * @param {Object} position - { row, backward } for keyset pages, { offset } otherwise
+ */
+function makeCursor(sortKey, position) {
+  const payload = { o: orderBy(sortKey) };
+  if (position.row) {
+    payload.k = sortKey.map(entry => position.row[entry.name]);
+    if (position.backward) payload.b = true;
+  } else {
+    payload.s = position.offset;
+  }
+  return encodeCursor(payload);
+}
+
+/**
+ * Read a token back
+ * @param {string} token
+ * @param {Array<Object>} sortKey - Current sort key; the token must have been made for the same order
+ * @param {boolean} keyset - Whether the current pages are keyset pages
+ * @returns {{values: Array, backward: boolean}|{offset: number}}
+ * @throws {FilterError}
+ */
+function readCursor(token, sortKey, keyset) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid('is not a valid cursor');
+  }
+  if (!payload || typeof payload !== 'object' || payload.o !== orderBy(sortKey)) {
+    throw invalid('was made for a different order; start again without a cursor');
+  }
+
+  if (!keyset) {
+    if (!Number.isInteger(payload.s) || payload.s < 0) throw invalid('is not a valid cursor');
+    return { offset: payload.s };
+  }
+  if (!Array.isArray(payload.k) || payload.k.length !== sortKey.length) {
+    throw invalid('is not a valid cursor');
+  }
+  try {
+    const values = payload.k.map((value, index) => bindValue(sortKey[index].column, value));
+    return { values, backward: payload.b === true };
+  } catch (error) {
+    if (error instanceof CoercionError) throw invalid('is not a valid cursor');
+    throw error;
+  }
+}
+
+/**
+ * Condition selecting the rows after a position in the sort order (before
+ * it when reading backwards). Informix sorts NULL first ascending and last
+ * descending.
+ * @param {Array<Object>} sortKey
+ * @param {Array} values - Bound sort key values of the boundary row
+ * @param {boolean} backward
+ * @returns {{sql: string, params: Array}}
+ */
+function keysetCondition(sortKey, values, backward) {
+  const alternatives = [];
+  const params = [];
+  const equal = [];
+  const equalParams = [];
+
+  sortKey.forEach(({ name, desc, column }, index) => {
+    const value = values[index];
+    const descending = desc !== backward;
+    let after = null;
+    let afterParams = [];
+    if (value === null) {
+      // Only NULLs sort at this place; ascending, every non-NULL value comes after them
+      if (!descending) after = `${name} IS NOT NULL`;
+    } else {
+      after = `${name} ${descending ? '<' : '>'} ?`;
+      afterParams = [value];
+      if (descending && column.nullable) after = `(${after} OR ${name} IS NULL)`;
+    }
+    if (after) {
+      const parts = [...equal, after];
+      alternatives.push(parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]);
+      params.push(...equalParams, ...afterParams);
+    }
+    equal.push(value === null ? `${name} IS NULL` : `${name} = ?`);
+    if (value !== null) equalParams.push(value);
+  });
+
+  return {
+    sql: alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0] || '1 = 0',
+    params
+  };
+}
+
+module.exports = {
+  isKeyset,
+  makeCursor,
+  readCursor,
+  keysetCondition,
+};
@@ -0,0 +1,257 @@
+/**
+ * Row filters for GET /api/data/:table
+ * Turns the select / where / order query-string grammar into parameterized
+ * SQL. Column names are checked against the catalog and only catalog names
+ * reach the SQL text; values are always bound to "?" placeholders.
+ *
+ *   ?select=id,name
+ *   &where[status][eq]=active&where[amount][gte]=10      conditions, ANDed
+ *   &where[or][0][city][eq]=Oslo&where[or][1][vip][eq]=t  alternatives, ORed
+ *   &where[region][in]=north,south&where[closed][isnull]=true
+ *   &order=created_at.desc,id
+ */
+
+const { coerceValue, CoercionError } = require('../import/coerce');
+
+const COMPARISONS = { eq: '=', ne: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+const OPERATORS = [...Object.keys(COMPARISONS), 'like', 'in', 'between', 'isnull'];
+const GROUPS = { and: 'AND', or: 'OR' };
+
+// Columns that can only be tested for NULL and cannot be sorted on
+const OPAQUE_TYPES = ['TEXT', 'BYTE', 'BLOB', 'CLOB'];
+const LIKE_TYPES = ['CHAR', 'NCHAR', 'VARCHAR', 'NVARCHAR', 'LVARCHAR'];
+
+const FLAGS = { true: true, 1: true, false: false, 0: false };
+
+class FilterError extends Error {
+  /**
+   * @param {Array<Object>} details - { in: 'query', path, message } per problem
+   */
+  constructor(details) {
+    super('Invalid filter');
+    this.name = 'FilterError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check a value against a column and convert it to a bridge parameter
+ * @param {Object} column - Decoded column
+ * @param {*} value - Query string text, or a JSON value
+ * @returns {*} Parameter; exact big integers go over as decimals so parameters stay JSON
+ * @throws {CoercionError}
+ */
+function bindValue(column, value) {
+  const bound = coerceValue({ ...column, nullable: true }, value, false);
+  return typeof bound === 'bigint' ? { $type: 'decimal', value: bound.toString() } : bound;
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Comma-separated names of a select / order value
+ */
+function listItems(value) {
+  return (Array.isArray(value) ? value : [value])
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Column names a query string refers to, for column-level permissions.
+ * Unknown or malformed entries are left to buildFilter to report.
+ * @param {Object} query - req.query
+ * @returns {Array<string>}
+ */
+function filterColumns(query) {
+  const names = [
+    ...listItems(query.select),
+    ...listItems(query.order).map(item => item.split('.')[0])
+  ];
+  const walk = where => {
+    for (const [key, value] of Object.entries(where)) {
+      if (GROUPS[key.toLowerCase()] && (Array.isArray(value) || isObject(value))) {
+        Object.values(value).filter(isObject).forEach(walk);
+      } else {
+        names.push(key);
+      }
+    }
+  };
+  if (isObject(query.where)) walk(query.where);
+  return [...new Set(names.map(name => name.toLowerCase()))];
+}
+
+/**
+ * Parse a query string into SQL clauses
+ * @param {Object} query - req.query with optional select, where and order
+ * @param {Array<Object>} columns - Decoded columns (see db/coltypes) the caller may read
+ * @param {Array<string>|null} primaryKey - Key columns appended to the order so pages are stable
+ * @returns {{columns: Array<Object>, where: string, params: Array, sortKey: Array<Object>}}
+ *   columns to select, the conditions ('' for none) with their parameters, and
+ *   { name, desc, column } sort entries (column is undefined for unreadable key columns)
+ * @throws {FilterError}
+ */
+function buildFilter(query, columns, primaryKey = null) {
+  const byName = new Map(columns.map(column => [column.name, column]));
+  const details = [];
+  const problem = (path, message) => details.push({ in: 'query', path, message });
+  const params = [];
+
+  const lookup = (name, path) => {
+    const column = byName.get(name.toLowerCase());
+    if (!column) problem(path, `has no column named ${name}`);
+    return column;
+  };
+
+  // Projection
+  let selected = columns;
+  if (query.select !== undefined) {
+    const names = listItems(query.select);
+    if (names.length === 0) problem('/select', 'must name at least one column');
+    selected = [...new Set(names.map(name => lookup(name, '/select')).filter(Boolean))];
+  }
+
+  // Conditions
+  const bind = (column, value, path) => {
+    if (typeof value !== 'string') {
+      problem(path, 'must be a single value');
+      return null;
+    }
+    try {
+      return bindValue(column, value);
+    } catch (error) {
+      if (!(error instanceof CoercionError)) throw error;
+      problem(path, error.message.slice(column.name.length + 2));
+      return null;
+    }
+  };
+
+  const condition = (column, operator, value, path) => {
+    if (!OPERATORS.includes(operator)) {
+      problem(path, `is not an operator; use one of: ${OPERATORS.join(', ')}`);
+      return null;
+    }
+    if (operator === 'isnull') {
+      const flag = FLAGS[String(value).toLowerCase()];
+      if (flag === undefined) {
+        problem(path, 'must be true or false');
+        return null;
+      }
+      return `${column.name} IS ${flag ? '' : 'NOT '}NULL`;
+    }
+    if (OPAQUE_TYPES.includes(column.type)) {
+      problem(path, `cannot be used on ${column.sqlType} columns; use isnull`);
+      return null;
+    }
+    if (operator === 'like') {
+      if (!LIKE_TYPES.includes(column.type)) {
+        problem(path, 'only applies to character columns');
+        return null;
+      }
+      if (typeof value !== 'string') {
+        problem(path, 'must be a single value');
+        return null;
+      }
+      params.push(value);
+      return `${column.name} LIKE ?`;
+    }
+    if (operator === 'in' || operator === 'between') {
+      const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+      if (operator === 'in' ? values.length === 0 : values.length !== 2) {
+        problem(path, operator === 'in' ? 'must list at least one value' : 'must be two values: low,high');
+        return null;
+      }
+      const bound = values.map((item, index) => bind(column, item, `${path}/${index}`));
+      params.push(...bound);
+      return operator === 'in'
+        ? `${column.name} IN (${bound.map(() => '?').join(', ')})`
+        : `${column.name} BETWEEN ? AND ?`;
+    }
+    params.push(bind(column, value, path));
+    return `${column.name} ${COMPARISONS[operator]} ?`;
+  };
+
+  const join = (parts, joiner) => (parts.length > 1 ? `(${parts.join(` ${joiner} `)})` : parts[0]);
+
+  // SQL conditions of one where object, to be joined with AND
+  const group = (where, path) => {
+    const parts = [];
+    for (const [key, value] of Object.entries(where)) {
+      const keyPath = `${path}/${key}`;
+      const joiner = GROUPS[key.toLowerCase()];
+      if (joiner && (Array.isArray(value) || isObject(value))) {
+        const members = Object.entries(value).map(([index, member]) => {
+          if (!isObject(member)) {
+            problem(`${keyPath}/${index}`, 'must be a group of conditions');
+            return [];
+          }
+          return group(member, `${keyPath}/${index}`);
+        }).filter(member => member.length > 0);
+        if (members.length > 0) parts.push(join(members.map(member => join(member, 'AND')), joiner));
+        continue;
+      }
+
+      const column = lookup(key, keyPath);
+      if (!column) continue;
+      // where[column]=value is short for where[column][eq]=value
+      const tests = isObject(value) ? Object.entries(value) : [['eq', value]];
+      for (const [operator, operand] of tests) {
+        const sql = condition(column, operator.toLowerCase(), operand, isObject(value) ? `${keyPath}/${operator}` : keyPath);
+        if (sql) parts.push(sql);
+      }
+    }
+    return parts;
+  };
+
+  let where = '';
+  if (query.where !== undefined) {
+    if (!isObject(query.where)) {
+      problem('/where', 'must be where[column][operator]=value');
+    } else {
+      where = group(query.where, '/where').join(' AND ');
+    }
+  }
+
+  // Sorting, with the primary key as the last tie-breaker
+  const sortKey = [];
+  for (const item of query.order !== undefined ? listItems(query.order) : []) {
+    const [name, direction = 'asc', ...rest] = item.split('.');
+    const column = lookup(name, '/order');
+    if (!column) continue;
+    if (rest.length > 0 || !['asc', 'desc'].includes(direction.toLowerCase())) {
+      problem('/order', `${item} must be column, column.asc or column.desc`);
+    } else if (OPAQUE_TYPES.includes(column.type)) {
+      problem('/order', `cannot sort on ${column.sqlType} column ${column.name}`);
+    } else if (!sortKey.some(entry => entry.name === column.name)) {
+      sortKey.push({ name: column.name, desc: direction.toLowerCase() === 'desc', column });
+    }
+  }
+  for (const name of primaryKey || []) {
+    // Key columns the caller may not read still order the rows, without their metadata
+    if (!sortKey.some(entry => entry.name === name)) sortKey.push({ name, desc: false, column: byName.get(name) });
+  }
+
+  if (details.length > 0) throw new FilterError(details);
+
+  return { columns: selected, where, params, sortKey };
+}
+
+/**
+ * ORDER BY clause of a sort key, or '' for none
+ * @param {Array<Object>} sortKey - { name, desc } entries
+ * @param {boolean} reverse - Flip every direction (to read backwards)
+ */
+function orderBy(sortKey, reverse = false) {
+  if (sortKey.length === 0) return '';
+  return `ORDER BY ${sortKey.map(entry => `${entry.name}${entry.desc !== reverse ? ' DESC' : ''}`).join(', ')}`;
+}
+
+module.exports = {
+  FilterError,
+  OPERATORS,
+  bindValue,
+  buildFilter,
+  filterColumns,
+  orderBy,
+};
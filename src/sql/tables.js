@@ -0,0 +1,223 @@
+/**
+ * Table references in SQL statements
+ * Finds which tables a statement touches and how (read, insert, update,
+ * delete), for checking raw SQL against the authorization policy
+ */
+
+const { tokenize, splitStatements } = require('./tokenizer');
+
+// Words that end a table reference; anything else right after a table name is its alias
+const CLAUSE_WORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'NATURAL', 'OUTER', 'ON',
+  'SET', 'USING', 'INTO', 'VALUES', 'SELECT', 'LIMIT', 'FIRST', 'SKIP', 'FOR',
+  'WITH', 'WHEN', 'CONNECT', 'START', 'AS'
+]);
+
+// Words that may come right before a subquery or joined-table group; any
+// other name before "(" is a function call
+const GROUP_KEYWORDS = new Set([
+  'FROM', 'JOIN', 'IN', 'EXISTS', 'ANY', 'ALL', 'SOME', 'AS', 'ON', 'AND', 'OR',
+  'NOT', 'WHERE', 'HAVING', 'SELECT', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS',
+  'USING', 'LATERAL', 'SET', 'WHEN', 'THEN', 'ELSE', 'RETURN', 'DISTINCT', 'UNIQUE'
+]);
+
+const isWord = (token, word) => token && token.type === 'word' && token.upper === word;
+const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+const isName = token => token && (token.type === 'word' || token.type === 'quoted');
+
+/**
+ * Index just past the parenthesized group opening at tokens[start]
+ */
+function skipGroup(tokens, start) {
+  let depth = 0;
+  for (let i = start; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    else if (isPunct(tokens[i], ')') && --depth === 0) return i + 1;
+  }
+  return tokens.length;
+}
+
+/**
+ * Read a possibly qualified table name: [database[@server]:][owner.]table
+ * @returns {{name: string, database: string|null, server: string|null, end: number}|null}
+ *   Lower-cased; database and server are null when the name does not give them
+ */
+function readTableName(tokens, start) {
+  if (!isName(tokens[start])) return null;
+  const parts = [tokens[start].value.toLowerCase()];
+  const separators = [];
+  let i = start + 1;
+  while ((isPunct(tokens[i], '.') || isPunct(tokens[i], ':') || isPunct(tokens[i], '@')) && isName(tokens[i + 1])) {
+    separators.push(tokens[i].value);
+    parts.push(tokens[i + 1].value.toLowerCase());
+    i += 2;
+  }
+  const qualified = separators.includes(':') || separators.includes('@');
+  return {
+    name: parts[parts.length - 1],
+    database: qualified ? parts[0] : null,
+    server: separators[0] === '@' ? parts[1] : null,
+    end: i
+  };
+}
+
+/**
+ * Skip an optional alias after a table reference
+ */
+function skipAlias(tokens, start) {
+  let i = start;
+  if (isWord(tokens[i], 'AS')) i++;
+  if (tokens[i] && (tokens[i].type === 'quoted' || (tokens[i].type === 'word' && !CLAUSE_WORDS.has(tokens[i].upper)))) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Read the comma-separated table list after FROM / JOIN / USING.
+ * Derived tables are left for the main scan, which sees their own FROM.
+ */
+function readTableList(tokens, start, add) {
+  let i = start;
+  for (;;) {
+    if (isWord(tokens[i], 'OUTER')) i++;
+    if (isWord(tokens[i], 'LATERAL')) i++;
+    if (isPunct(tokens[i], '(') || isWord(tokens[i], 'TABLE') || !isName(tokens[i])) return i;
+
+    const table = readTableName(tokens, i);
+    add(table, 'read');
+    i = skipAlias(tokens, table.end);
+    if (!isPunct(tokens[i], ',')) return i;
+    i++;
+  }
+}
+
+/**
+ * Names defined by a leading WITH clause, and where the main statement starts
+ */
+function readCommonTableExpressions(tokens) {
+  const names = new Set();
+  if (!isWord(tokens[0], 'WITH')) return { names, start: 0 };
+
+  let i = isWord(tokens[1], 'RECURSIVE') ? 2 : 1;
+  while (isName(tokens[i])) {
+    names.add(tokens[i].value.toLowerCase());
+    i++;
+    if (isPunct(tokens[i], '(')) i = skipGroup(tokens, i);
+    if (isWord(tokens[i], 'AS')) i++;
+    if (isPunct(tokens[i], '(')) i = skipGroup(tokens, i);
+    if (!isPunct(tokens[i], ',')) break;
+    i++;
+  }
+  return { names, start: i };
+}
+
+/**
+ * Tables touched by one statement
+ */
+function statementAccess(tokens, add) {
+  const { names: cteNames, start } = readCommonTableExpressions(tokens);
+  const addTable = (table, action) => {
+    if (table.database !== null || !cteNames.has(table.name)) add(table, action);
+  };
+
+  // Scan the CTE bodies as well as the main statement. FROM inside a
+  // function call (TRIM(LEADING 'x' FROM col), SUBSTRING(col FROM 2)) is
+  // not a table list, so track whether each open group is a subquery.
+  const groups = [true];
+  let joinedGroup = false;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (isPunct(token, '(')) {
+      const previous = tokens[i - 1];
+      const subquery = isWord(tokens[i + 1], 'SELECT') || isWord(tokens[i + 1], 'WITH');
+      const call = isName(previous) && !GROUP_KEYWORDS.has(previous.upper);
+      groups.push(!call || subquery);
+      // FROM (a JOIN b ON ...): a parenthesized join starts with a table list
+      joinedGroup = !subquery && (isWord(previous, 'FROM') || isWord(previous, 'JOIN') || (isPunct(previous, '(') && joinedGroup));
+      if (joinedGroup && isName(tokens[i + 1])) {
+        i = readTableList(tokens, i + 1, addTable) - 1;
+      }
+      continue;
+    }
+    if (isPunct(token, ')')) {
+      if (groups.length > 1) groups.pop();
+      continue;
+    }
+    if (token.type !== 'word' || !groups[groups.length - 1]) continue;
+
+    if ((token.upper === 'FROM' || token.upper === 'JOIN') && !(i === start + 1 && isWord(tokens[start], 'DELETE'))) {
+      i = readTableList(tokens, i + 1, addTable) - 1;
+    }
+  }
+
+  const verb = tokens[start];
+  if (!verb || verb.type !== 'word') return;
+  let i = start + 1;
+
+  switch (verb.upper) {
+    case 'INSERT': {
+      if (isWord(tokens[i], 'INTO')) i++;
+      const table = readTableName(tokens, i);
+      if (table) addTable(table, 'insert');
+      break;
+    }
+    case 'UPDATE': {
+      if (isWord(tokens[i], 'STATISTICS')) break;
+      const table = readTableName(tokens, i);
+      if (table) addTable(table, 'update');
+      break;
+    }
+    case 'DELETE': {
+      if (isWord(tokens[i], 'FROM')) i++;
+      const table = readTableName(tokens, i);
+      if (table) addTable(table, 'delete');
+      break;
+    }
+    case 'MERGE': {
+      if (isWord(tokens[i], 'INTO')) i++;
+      const table = readTableName(tokens, i);
+      if (!table) break;
+      const rest = tokens.slice(table.end);
+      const using = rest.findIndex(t => isWord(t, 'USING'));
+      if (using !== -1) readTableList(rest, using + 1, addTable);
+      addTable(table, 'update');
+      addTable(table, 'insert');
+      if (rest.some(t => isWord(t, 'DELETE'))) addTable(table, 'delete');
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * List the tables a SQL text references and the access each one needs.
+ * Tables only read (FROM, JOIN, subqueries, MERGE ... USING) get 'read';
+ * the targets of INSERT, UPDATE, DELETE and MERGE get the matching action.
+ * The owner is dropped from qualified names; the database and server are kept.
+ * @param {string} sql - One or more statements
+ * @returns {Array<{table: string, action: string, database: string|null, server: string|null}>}
+ *   Lower-cased names; database and server are null unless the statement names them
+ * @throws {SqlSyntaxError} On an unterminated string or comment
+ */
+function tableAccess(sql) {
+  const seen = new Set();
+  const access = [];
+  const add = ({ name, database, server }, action) => {
+    const key = `${action}:${database}@${server}:${name}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    access.push({ table: name, action, database, server });
+  };
+
+  for (const statement of splitStatements(tokenize(sql))) {
+    statementAccess(statement, add);
+  }
+  return access;
+}
+
+module.exports = {
+  tableAccess,
+};
@@ -0,0 +1,129 @@
+/**
+ * Informix SQL tokenizer
+ * Splits statement text into words, literals and punctuation, dropping
+ * comments ("--", "{ }" and C-style). Good enough to find statement
+ * boundaries, keywords and table names; it does not validate syntax.
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {string} type - word, quoted ("..."), string ('...'), number, param (?), punct
+ * @property {string} value - Source text (quotes removed for quoted and string)
+ * @property {string} upper - Upper-cased value, for keyword matching on words
+ * @property {number} offset - Position in the source text
+ */
+
+class SqlSyntaxError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.name = 'SqlSyntaxError';
+    this.offset = offset;
+  }
+}
+
+const WORD_START = /[A-Za-z_\u0080-\uffff]/;
+const WORD_PART = /[A-Za-z0-9_$\u0080-\uffff]/;
+const DIGIT = /[0-9]/;
+
+/**
+ * Read a quoted run starting at text[start], where a doubled quote escapes itself
+ * @returns {{value: string, end: number}}
+ */
+function readQuoted(text, start, quote) {
+  let value = '';
+  let i = start + 1;
+  while (i < text.length) {
+    if (text[i] === quote) {
+      if (text[i + 1] === quote) {
+        value += quote;
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+    value += text[i];
+    i++;
+  }
+  throw new SqlSyntaxError(`Unterminated ${quote === "'" ? 'string' : 'quoted identifier'}`, start);
+}
+
+/**
+ * Tokenize SQL text
+ * @param {string} text
+ * @returns {Array<Token>}
+ * @throws {SqlSyntaxError} On an unterminated string or comment, or when text is not a string
+ */
+function tokenize(text) {
+  if (typeof text !== 'string') {
+    throw new SqlSyntaxError('SQL must be a string', 0);
+  }
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '-' && next === '-') {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (ch === '{' || (ch === '/' && next === '*')) {
+      const close = ch === '{' ? '}' : '*/';
+      const end = text.indexOf(close, i + (ch === '{' ? 1 : 2));
+      if (end === -1) throw new SqlSyntaxError('Unterminated comment', i);
+      i = end + close.length;
+    } else if (ch === "'" || ch === '"') {
+      const { value, end } = readQuoted(text, i, ch);
+      tokens.push({ type: ch === "'" ? 'string' : 'quoted', value, upper: value.toUpperCase(), offset: i });
+      i = end;
+    } else if (WORD_START.test(ch)) {
+      let end = i + 1;
+      while (end < text.length && WORD_PART.test(text[end])) end++;
+      const value = text.slice(i, end);
+      tokens.push({ type: 'word', value, upper: value.toUpperCase(), offset: i });
+      i = end;
+    } else if (DIGIT.test(ch) || (ch === '.' && DIGIT.test(next || ''))) {
+      const match = /^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/.exec(text.slice(i));
+      tokens.push({ type: 'number', value: match[0], upper: match[0], offset: i });
+      i += match[0].length;
+    } else if (ch === '?') {
+      tokens.push({ type: 'param', value: ch, upper: ch, offset: i });
+      i++;
+    } else {
+      const two = ch + (next || '');
+      const value = ['<>', '<=', '>=', '!=', '||', '::'].includes(two) ? two : ch;
+      tokens.push({ type: 'punct', value, upper: value, offset: i });
+      i += value.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Split tokens into statements at top-level semicolons; empty statements are dropped
+ * @param {Array<Token>} tokens
+ * @returns {Array<Array<Token>>}
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === ';') {
+      if (current.length > 0) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length > 0) statements.push(current);
+  return statements;
+}
+
+module.exports = {
+  tokenize,
+  splitStatements,
+  SqlSyntaxError,
+};
@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { Admission, laneOf } = require('../src/routes/admission');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Just enough of an Express response for the middleware and sendError
+ */
+class FakeResponse extends EventEmitter {
+  constructor() {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.headersSent = false;
+    this.body = null;
+  }
+
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  json(body) {
+    this.body = body;
+    this.headersSent = true;
+    return this;
+  }
+}
+
+const limiter = options => new Admission({
+  enabled: true,
+  concurrency: 2,
+  adminConcurrency: 1,
+  clientQueue: 10,
+  queue: 10,
+  queueTimeout: 1000,
+  retryAfter: 1000,
+  ...options
+});
+
+/**
+ * Send one request through the middleware
+ * @returns {Object} { res, started } where started turns true once it runs
+ */
+function request(admission, { method = 'GET', path = '/api/data/orders', client = 'a', started = [] } = {}) {
+  const req = { method, path, ip: '127.0.0.1', auth: { type: 'apikey', id: client } };
+  const call = { req, res: new FakeResponse(), started: false };
+  admission.middleware()(req, call.res, () => {
+    call.started = true;
+    started.push(call);
+  });
+  return call;
+}
+
+const lane = (method, path) => laneOf({ method, path });
+
+test('laneOf puts health checks, stats and docs in the admin lane', () => {
+  assert.equal(lane('GET', '/'), 'admin');
+  assert.equal(lane('GET', '/api/health'), 'admin');
+  assert.equal(lane('GET', '/api/stats/'), 'admin');
+  assert.equal(lane('POST', '/api/cache/clear'), 'admin');
+  assert.equal(lane('GET', '/api/docs'), 'admin');
+  assert.equal(lane('GET', '/api/docs/index.html'), 'admin');
+  assert.equal(lane('GET', '/api/docsx'), 'read');
+});
+
+test('laneOf tells reads from writes by method and read-only POST routes', () => {
+  assert.equal(lane('GET', '/api/data/orders'), 'read');
+  assert.equal(lane('HEAD', '/api/data/orders'), 'read');
+  assert.equal(lane('OPTIONS', '/api/data/orders'), 'read');
+  assert.equal(lane('POST', '/api/query'), 'read');
+  assert.equal(lane('POST', '/api/query/one/'), 'read');
+  assert.equal(lane('POST', '/api/transactions/abc/query'), 'read');
+  assert.equal(lane('POST', '/api/execute'), 'write');
+  assert.equal(lane('POST', '/api/transactions/abc/execute'), 'write');
+  assert.equal(lane('PUT', '/api/data/orders'), 'write');
+  assert.equal(lane('DELETE', '/api/data/orders'), 'write');
+});
+
+test('laneOf ignores the case of the path, as routing does', () => {
+  assert.equal(lane('GET', '/API/Health'), 'admin');
+  assert.equal(lane('GET', '/Api/Docs/Index.html'), 'admin');
+  assert.equal(lane('POST', '/API/QUERY'), 'read');
+  assert.equal(lane('POST', '/api/Transactions/ABC/Query'), 'read');
+});
+
+test('a client with a full queue gets 429 even while it runs nothing', () => {
+  const admission = limiter({ concurrency: 1, clientQueue: 1 });
+  const other = request(admission, { client: 'b' });
+  assert.equal(other.started, true);
+
+  const queued = request(admission);
+  assert.equal(queued.started, false);
+  const shed = request(admission);
+  assert.equal(shed.res.statusCode, 429);
+  assert.equal(shed.res.body.code, 'TOO_MANY_REQUESTS');
+  assert.equal(admission.stats().lanes.read.queued, 1);
+
+  // Another client still finds room in the lane's queue
+  assert.equal(request(admission, { client: 'c' }).res.body, null);
+  assert.equal(admission.stats().lanes.read.queued, 2);
+});
+
+test('a full lane queue sheds with 503 OVERLOADED', () => {
+  const admission = limiter({ concurrency: 1, queue: 1 });
+  request(admission, { client: 'a' });
+  request(admission, { client: 'b' });
+  const shed = request(admission, { client: 'c' });
+  assert.equal(shed.res.statusCode, 503);
+  assert.equal(shed.res.body.code, 'OVERLOADED');
+  assert.equal(admission.stats().lanes.read.rejected, 1);
+
+  // The write lane has a queue of its own
+  assert.equal(request(admission, { method: 'POST', path: '/api/execute', client: 'c' }).res.body, null);
+});
+
+test('shed requests carry Retry-After in whole seconds', async () => {
+  const admission = limiter({ concurrency: 1, queue: 1, queueTimeout: 20, retryAfter: 1500 });
+  request(admission, { client: 'a' });
+  const timedOut = request(admission, { client: 'b' });
+  const overloaded = request(admission, { client: 'c' });
+  assert.equal(overloaded.res.headers['Retry-After'], '2');
+
+  await sleep(50);
+  assert.equal(timedOut.res.statusCode, 503);
+  assert.equal(timedOut.res.body.code, 'QUEUE_TIMEOUT');
+  assert.equal(timedOut.res.headers['Retry-After'], '2');
+  assert.equal(admission.stats().lanes.read.timedOut, 1);
+});
+
+test('waiting requests start oldest first across lanes', () => {
+  const admission = limiter({ concurrency: 1 });
+  const started = [];
+  const first = request(admission, { client: 'a', started });
+  const write1 = request(admission, { method: 'POST', path: '/api/execute', client: 'b', started });
+  const read = request(admission, { client: 'c', started });
+  const write2 = request(admission, { method: 'DELETE', client: 'd', started });
+  assert.deepEqual(started, [first]);
+
+  first.res.emit('finish');
+  assert.deepEqual(started, [first, write1]);
+  write1.res.emit('finish');
+  assert.deepEqual(started, [first, write1, read]);
+  read.res.emit('close');
+  assert.deepEqual(started, [first, write1, read, write2]);
+});
+
+test('admin requests run outside the global limit', () => {
+  const admission = limiter({ concurrency: 1 });
+  request(admission, { client: 'a' });
+  assert.equal(request(admission, { client: 'b' }).started, false);
+  assert.equal(request(admission, { path: '/api/health', client: 'b' }).started, true);
+});
+
+test('a slot is released once, on finish or close', () => {
+  const admission = limiter({ concurrency: 3 });
+  const finished = request(admission, { client: 'a' });
+  const closed = request(admission, { client: 'b' });
+  assert.equal(admission.stats().running, 2);
+
+  finished.res.emit('finish');
+  assert.equal(admission.stats().running, 1);
+  // A response emits close after finish as well
+  finished.res.emit('close');
+  assert.equal(admission.stats().running, 1);
+
+  closed.res.emit('close');
+  assert.equal(admission.stats().running, 0);
+  assert.equal(admission.stats().clients, 0);
+});
+
+test('a request abandoned while waiting gives up its place', () => {
+  const admission = limiter({ concurrency: 1 });
+  const started = [];
+  const running = request(admission, { client: 'a', started });
+  const gone = request(admission, { client: 'b', started });
+  const waiting = request(admission, { client: 'c', started });
+
+  gone.res.emit('close');
+  assert.equal(admission.stats().lanes.read.queued, 1);
+  running.res.emit('finish');
+  assert.deepEqual(started, [running, waiting]);
+});
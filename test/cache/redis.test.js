@@ -0,0 +1,157 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { RespServer } = require('../support/respServer');
+const { RedisClient, RedisError } = require('../../src/cache/redis');
+const { QueryCache } = require('../../src/cache/QueryCache');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Poll until a condition holds (pub/sub messages arrive asynchronously)
+ */
+async function eventually(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - start > timeout) throw new Error('Condition not met in time');
+    await sleep(10);
+  }
+}
+
+let server;
+let url;
+const clients = [];
+
+const connect = async () => {
+  const client = new RedisClient(url);
+  clients.push(client);
+  await client.connect();
+  return client;
+};
+
+/**
+ * A replica's cache; stopped after the tests
+ */
+const replica = (store, prefix) => {
+  const cache = new QueryCache({
+    store,
+    ttl: 60000,
+    maxEntries: 100,
+    maxBytes: 1024 * 1024,
+    sweepInterval: 0,
+    redis: { url, prefix, timeout: 1000, broadcast: true },
+  });
+  cache.start();
+  clients.push({ quit: () => cache.stop() });
+  return cache;
+};
+
+const subscribed = cache => eventually(() => cache.channel.subscriber.ready);
+
+before(async () => {
+  server = new RespServer();
+  url = await server.listen();
+});
+
+after(async () => {
+  for (const client of clients) await client.quit();
+  await server.close();
+});
+
+test('GET returns what SET stored until its PX expiry', async () => {
+  const client = await connect();
+  assert.equal(await client.command('SET', 'k', 'v', 'PX', 50), 'OK');
+  assert.equal(await client.command('GET', 'k'), 'v');
+  await sleep(80);
+  assert.equal(await client.command('GET', 'k'), null);
+});
+
+test('server errors reject the command', async () => {
+  const client = await connect();
+  await assert.rejects(client.command('NOPE'), RedisError);
+  // The connection stays usable
+  assert.equal(await client.command('PING'), 'PONG');
+});
+
+test('MULTI/EXEC runs commands together and returns one reply each', async () => {
+  const client = await connect();
+  const replies = await client.transaction([
+    ['SET', 'a', '1'],
+    ['SADD', 's', 'x', 'y'],
+    ['SMEMBERS', 's'],
+  ]);
+  assert.deepEqual(replies, ['OK', 2, ['x', 'y']]);
+
+  const start = server.commands.lastIndexOf('MULTI');
+  assert.deepEqual(server.commands.slice(start, start + 5), ['MULTI', 'SET', 'SADD', 'SMEMBERS', 'EXEC']);
+});
+
+test('a failing command fails the transaction', async () => {
+  const client = await connect();
+  await assert.rejects(client.transaction([['SET', 'b', '1'], ['NOPE']]), RedisError);
+});
+
+test('SUBSCRIBE receives what PUBLISH sends', async () => {
+  const subscriber = new RedisClient(url);
+  clients.push(subscriber);
+  const messages = [];
+  subscriber.on('message', (channel, text) => messages.push([channel, text]));
+  await subscriber.subscribe('news');
+  const publisher = await connect();
+
+  assert.equal(await publisher.command('PUBLISH', 'news', 'hello'), 1);
+  await eventually(() => messages.length === 1);
+  assert.deepEqual(messages, [['news', 'hello']]);
+});
+
+test('a shared store serves one replica\'s results to another and invalidates them for both', async () => {
+  const a = replica('redis', 'shared:');
+  const b = replica('redis', 'shared:');
+  await subscribed(a);
+  await subscribed(b);
+
+  const result = { rows: [{ id: 1 }], columns: [] };
+  assert.equal(await a.set('q1', result, { tables: ['people'] }), true);
+  assert.equal(await a.set('q2', result, { tables: ['orders'] }), true);
+  assert.deepEqual(await b.get('q1'), result);
+
+  assert.equal(await b.invalidate(['people']), 1);
+  assert.equal(await a.get('q1'), undefined);
+  assert.deepEqual(await a.get('q2'), result);
+  await eventually(() => a.metrics.remoteInvalidations === 1);
+});
+
+test('an expired shared entry is gone for every replica', async () => {
+  const a = replica('redis', 'ttl:');
+  const b = replica('redis', 'ttl:');
+  await eventually(() => a.store.client.ready && b.store.client.ready);
+
+  await a.set('q', { rows: [] }, { ttl: 50, tables: ['people'] });
+  assert.deepEqual(await b.get('q'), { rows: [] });
+  await sleep(80);
+  assert.equal(await b.get('q'), undefined);
+});
+
+test('memory stores drop the entries another replica invalidates', async () => {
+  const a = replica('memory', 'memory:');
+  const b = replica('memory', 'memory:');
+  await subscribed(a);
+  await subscribed(b);
+
+  await a.set('q1', { rows: [1] }, { tables: ['people'] });
+  await b.set('q1', { rows: [1] }, { tables: ['people'] });
+  await b.set('q2', { rows: [2] }, { tables: ['orders'] });
+
+  await a.invalidate(['people']);
+  assert.equal(await a.get('q1'), undefined);
+  await eventually(async () => (await b.get('q1')) === undefined);
+  assert.deepEqual(await b.get('q2'), { rows: [2] });
+
+  // A result read while the other replica's write landed is not cached
+  const epoch = b.epoch;
+  await a.invalidate(['orders']);
+  await eventually(() => b.epoch > epoch);
+  assert.equal(await b.set('q3', { rows: [3] }, { tables: ['orders'], epoch }), false);
+
+  await a.clear();
+  await eventually(() => b.size === 0);
+});
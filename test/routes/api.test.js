@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The policy is read when the authorization module loads
+const policyFile = path.join(os.tmpdir(), `api-test-policy-${process.pid}.json`);
+fs.writeFileSync(policyFile, JSON.stringify({
+  roles: {
+    clerk: {
+      tables: {
+        orders: { read: ['id', 'status'], update: ['status'], delete: ['status'] },
+        // The key column id is hidden
+        payslips: { read: ['amount'], update: ['amount'], delete: true }
+      }
+    }
+  }
+}));
+process.env.AUTH_ENABLED = 'true';
+process.env.AUTH_POLICY_FILE = policyFile;
+
+const express = require('express');
+const router = require('../../src/routes/api');
+const schemaService = require('../../src/services/SchemaService');
+
+// Catalog answers for the row routes; no statement reaches the database
+schemaService.getColumns = async () => [
+  { name: 'id', type: 'INTEGER', nullable: false },
+  { name: 'amount', type: 'INTEGER', nullable: true }
+];
+schemaService.getPrimaryKey = async () => ['id'];
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.auth = { type: 'apikey', id: 'test', roles: ['clerk'] };
+    next();
+  });
+  app.use('/api', router);
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(policyFile, { force: true });
+});
+
+const send = async (method, url, body = undefined) => {
+  const response = await fetch(`${base}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+test('PUT /data/:tableName refuses where columns outside a column-limited update grant', async () => {
+  const { status, body } = await send('PUT', '/data/orders', { data: { status: 'shipped' }, where: { amount: 100 } });
+  assert.equal(status, 403);
+  assert.equal(body.code, 'FORBIDDEN');
+  assert.deepEqual(body.details, { permission: 'update', table: 'orders', columns: ['amount'] });
+});
+
+test('PUT /data/:tableName refuses data columns outside a column-limited update grant', async () => {
+  const { status, body } = await send('PUT', '/data/orders', { data: { amount: 1 }, where: { status: 'new' } });
+  assert.equal(status, 403);
+  assert.deepEqual(body.details.columns, ['amount']);
+});
+
+test('DELETE /data/:tableName refuses where columns outside a column-limited delete grant', async () => {
+  const { status, body } = await send('DELETE', '/data/orders', { where: { amount: 100 } });
+  assert.equal(status, 403);
+  assert.deepEqual(body.details, { permission: 'delete', table: 'orders', columns: ['amount'] });
+});
+
+for (const [method, body] of [['GET'], ['PATCH', { data: { amount: 1 } }], ['DELETE']]) {
+  test(`${method} /data/:tableName/:id refuses a key the caller may not read`, async () => {
+    const { status, body: error } = await send(method, '/data/payslips/7', body);
+    assert.equal(status, 403);
+    assert.equal(error.code, 'FORBIDDEN');
+    assert.match(error.details, /key column\(s\) id of payslips/);
+  });
+}
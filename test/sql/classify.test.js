@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classify, assertStatement, SqlPolicyError, READ_KINDS } = require('../../src/sql/classify');
+const { tokenize, splitStatements } = require('../../src/sql/tokenizer');
+
+const kinds = sql => classify(sql).map(statement => statement.kind);
+
+// [sql, kind of each statement]
+const CASES = [
+  ['SELECT * FROM orders', ['select']],
+  ['(SELECT id FROM orders) UNION (SELECT id FROM payroll)', ['select']],
+  ['WITH recent AS (SELECT * FROM orders) SELECT * FROM recent', ['select']],
+  ['WITH old AS (SELECT id FROM orders) DELETE FROM payroll WHERE id IN (SELECT id FROM old)', ['delete']],
+  ['SELECT * FROM orders INTO TEMP t', ['select-into']],
+  ['SELECT id FROM orders WHERE id IN (SELECT id FROM payroll)', ['select']],
+  ['/* read */ DELETE FROM payroll', ['delete']],
+  ['-- read\nUPDATE payroll SET salary = 0', ['update']],
+  ['{ SELECT } INSERT INTO payroll VALUES (1)', ['insert']],
+  ['MERGE INTO payroll USING staging ON 1 = 1 WHEN MATCHED THEN DELETE', ['merge']],
+  ['EXECUTE PROCEDURE raise_pay(1)', ['procedure']],
+  ['EXECUTE FUNCTION f(1)', ['procedure']],
+  ['CALL p(1)', ['procedure']],
+  ['DROP TABLE payroll', ['ddl']],
+  ['GRANT ALL ON payroll TO public', ['dcl']],
+  ['BEGIN WORK', ['transaction']],
+  ['UPDATE STATISTICS FOR TABLE payroll', ['other']],
+  ['DATABASE hr', ['other']],
+  ['SELECT * FROM orders; DELETE FROM payroll', ['select', 'delete']],
+  ["SELECT ';' FROM orders", ['select']],
+  ['SELECT * FROM orders /* ; DELETE FROM payroll */', ['select']],
+  ['SELECT * FROM orders -- ; DELETE FROM payroll', ['select']],
+  ['SELECT * FROM orders;;', ['select']],
+  ['/* nothing */ ;', []]
+];
+
+for (const [sql, expected] of CASES) {
+  test(`classify: ${JSON.stringify(sql)}`, () => {
+    assert.deepEqual(kinds(sql), expected);
+  });
+}
+
+test('assertStatement allows one statement of an allowed kind', () => {
+  assert.deepEqual(assertStatement('SELECT 1 FROM orders', READ_KINDS), { kind: 'select', keyword: 'SELECT' });
+});
+
+// [sql, error code]
+const REJECTED = [
+  ['', 'MISSING_SQL'],
+  ['-- only a comment', 'MISSING_SQL'],
+  ['SELECT * FROM orders; DELETE FROM payroll', 'MULTIPLE_STATEMENTS'],
+  ['/* SELECT */ DELETE FROM payroll', 'FORBIDDEN_OPERATION'],
+  ['SELECT * FROM orders INTO TEMP t', 'FORBIDDEN_OPERATION'],
+  ['WITH x AS (SELECT 1 FROM orders) UPDATE payroll SET salary = 0', 'FORBIDDEN_OPERATION']
+];
+
+for (const [sql, code] of REJECTED) {
+  test(`assertStatement rejects ${JSON.stringify(sql)} with ${code}`, () => {
+    assert.throws(() => assertStatement(sql, READ_KINDS), error => error instanceof SqlPolicyError && error.code === code);
+  });
+}
+
+test('tokenize keeps doubled quotes and drops comments', () => {
+  const tokens = tokenize(`SELECT 'it''s', "a""b" /* x */ -- y\n{ z } FROM t`);
+  assert.deepEqual(tokens.map(token => [token.type, token.value]), [
+    ['word', 'SELECT'],
+    ['string', "it's"],
+    ['punct', ','],
+    ['quoted', 'a"b'],
+    ['word', 'FROM'],
+    ['word', 't']
+  ]);
+});
+
+test('splitStatements splits at semicolons outside strings', () => {
+  const statements = splitStatements(tokenize("SELECT ';' FROM a; SELECT 1 FROM b"));
+  assert.equal(statements.length, 2);
+});
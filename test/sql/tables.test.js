@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { tableAccess } = require('../../src/sql/tables');
+const { SqlSyntaxError } = require('../../src/sql/tokenizer');
+
+/**
+ * Table accesses as "action:table", with "database[@server]:" in front when given
+ */
+const accesses = sql => tableAccess(sql).map(({ action, table, database, server }) =>
+  `${action}:${database ? `${database}${server ? `@${server}` : ''}:` : ''}${table}`);
+
+// [description, sql, expected accesses]; payroll is the table each statement must not hide
+const CASES = [
+  ['plain FROM', 'SELECT * FROM payroll', ['read:payroll']],
+  ['comma list with aliases', 'SELECT * FROM orders o, payroll AS p', ['read:orders', 'read:payroll']],
+  ['Informix OUTER table', 'SELECT * FROM orders, OUTER payroll', ['read:orders', 'read:payroll']],
+  ['joins',
+    'SELECT o.id FROM orders o JOIN customers c ON c.id = o.cust LEFT OUTER JOIN payroll p ON p.id = c.id',
+    ['read:orders', 'read:customers', 'read:payroll']],
+  ['parenthesized join', 'SELECT * FROM (orders o JOIN payroll p ON o.id = p.id)', ['read:orders', 'read:payroll']],
+  ['UNION', 'SELECT id FROM orders UNION SELECT id FROM payroll', ['read:orders', 'read:payroll']],
+
+  ['IN subquery', 'SELECT * FROM orders WHERE id IN (SELECT id FROM payroll)', ['read:orders', 'read:payroll']],
+  ['EXISTS subquery', 'SELECT * FROM orders WHERE EXISTS (SELECT 1 FROM payroll)', ['read:orders', 'read:payroll']],
+  ['scalar subquery', 'SELECT (SELECT MAX(salary) FROM payroll) FROM orders', ['read:payroll', 'read:orders']],
+  ['subquery as a function argument', 'SELECT * FROM orders WHERE total > NVL((SELECT MAX(salary) FROM payroll), 0)',
+    ['read:orders', 'read:payroll']],
+  ['TABLE(MULTISET ...)', 'SELECT * FROM TABLE(MULTISET(SELECT * FROM payroll)) t', ['read:payroll']],
+  ['FROM inside a function call', "SELECT TRIM(LEADING 'x' FROM name) FROM orders", ['read:orders']],
+
+  ['CTE body', 'WITH recent AS (SELECT * FROM payroll) SELECT * FROM recent JOIN orders ON 1 = 1',
+    ['read:payroll', 'read:orders']],
+  ['CTE named like a table', 'WITH orders AS (SELECT 1 FROM payroll) SELECT * FROM orders', ['read:payroll']],
+  ['CTE before a DELETE', 'WITH old AS (SELECT id FROM payroll) DELETE FROM orders WHERE id IN (SELECT id FROM old)',
+    ['read:payroll', 'delete:orders']],
+
+  ['block comment before the name', 'SELECT * FROM /* orders */ payroll', ['read:payroll']],
+  ['line comment before the name', 'SELECT * FROM -- orders\n payroll', ['read:payroll']],
+  ['brace comment before the name', 'SELECT * FROM { orders } payroll', ['read:payroll']],
+  ['comment hiding a list separator', 'SELECT * FROM orders /* , x */ , payroll', ['read:orders', 'read:payroll']],
+  ['table name in a string', "SELECT 'FROM payroll' FROM orders", ['read:orders']],
+
+  ['quoted name', 'SELECT * FROM "payroll"', ['read:payroll']],
+  ['case of the name', 'SELECT * FROM PayRoll', ['read:payroll']],
+  ['owner-qualified name', 'SELECT * FROM informix.payroll', ['read:payroll']],
+  ['quoted owner', 'SELECT * FROM "informix".payroll', ['read:payroll']],
+
+  ['other database', 'SELECT * FROM hr:payroll', ['read:hr:payroll']],
+  ['other database and owner', 'SELECT * FROM hr:informix.payroll', ['read:hr:payroll']],
+  ['other server', 'SELECT * FROM hr@remote:informix.payroll', ['read:hr@remote:payroll']],
+  ['system database', 'SELECT * FROM sysmaster:sysusers', ['read:sysmaster:sysusers']],
+  ['other database in a join', 'SELECT * FROM orders JOIN hr:payroll p ON 1 = 1', ['read:orders', 'read:hr:payroll']],
+  ['other database named like a CTE', 'WITH payroll AS (SELECT 1 FROM orders) SELECT * FROM hr:payroll',
+    ['read:orders', 'read:hr:payroll']],
+
+  ['INSERT ... SELECT', 'INSERT INTO audit SELECT * FROM payroll', ['read:payroll', 'insert:audit']],
+  ['UPDATE with a subquery', 'UPDATE orders SET total = (SELECT SUM(salary) FROM payroll) WHERE id = 1',
+    ['read:payroll', 'update:orders']],
+  ['DELETE FROM', 'DELETE FROM payroll WHERE id = 1', ['delete:payroll']],
+  ['DELETE without FROM', 'DELETE payroll WHERE id = 1', ['delete:payroll']],
+  ['MERGE', 'MERGE INTO payroll p USING staging s ON p.id = s.id WHEN MATCHED THEN DELETE',
+    ['read:staging', 'update:payroll', 'insert:payroll', 'delete:payroll']],
+  ['every statement of several', 'SELECT * FROM orders; DELETE FROM payroll', ['read:orders', 'delete:payroll']],
+
+  ['EXECUTE PROCEDURE argument', 'EXECUTE PROCEDURE raise_pay((SELECT MAX(id) FROM payroll))', ['read:payroll']],
+  ['EXECUTE PROCEDURE later argument', 'EXECUTE PROCEDURE raise_pay(1, (SELECT id FROM payroll))', ['read:payroll']],
+  ['EXECUTE FUNCTION argument', 'EXECUTE FUNCTION f((SELECT id FROM payroll WHERE id = 1))', ['read:payroll']],
+  ['CALL argument', 'CALL p((SELECT id FROM payroll))', ['read:payroll']],
+  ['procedure without tables', "EXECUTE PROCEDURE raise_pay(1, 'x')", []]
+];
+
+for (const [description, sql, expected] of CASES) {
+  test(`tableAccess: ${description}`, () => {
+    assert.deepEqual(accesses(sql), expected);
+  });
+}
+
+test('tableAccess rejects unterminated strings and comments', () => {
+  assert.throws(() => tableAccess("SELECT * FROM orders WHERE name = 'x"), SqlSyntaxError);
+  assert.throws(() => tableAccess('SELECT * FROM /* payroll'), SqlSyntaxError);
+  assert.throws(() => tableAccess('SELECT * FROM { payroll'), SqlSyntaxError);
+});
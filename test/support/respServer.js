@@ -0,0 +1,165 @@
+/**
+ * In-process Redis stand-in for tests
+ * Speaks enough RESP2 for the cache: strings with PX expiry, sets, DEL,
+ * PEXPIRE, SCAN, MULTI/EXEC and SUBSCRIBE/PUBLISH. Listens on a random port.
+ */
+
+const net = require('net');
+
+const CRLF = '\r\n';
+const OK = { status: 'OK' };
+
+function encode(value) {
+  if (value === null) return `$-1${CRLF}`;
+  if (value instanceof Error) return `-${value.message}${CRLF}`;
+  if (typeof value === 'number') return `:${value}${CRLF}`;
+  if (Array.isArray(value)) return `*${value.length}${CRLF}${value.map(encode).join('')}`;
+  if (value.status) return `+${value.status}${CRLF}`;
+  return `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+}
+
+/**
+ * Parse one command (an array of bulk strings) from the start of a buffer
+ * @returns {{args: Array<string>, offset: number}|null} null when incomplete
+ */
+function parseCommand(buffer, start) {
+  const end = buffer.indexOf(CRLF, start);
+  if (end === -1) return null;
+  const count = Number(buffer.toString('utf8', start + 1, end));
+  const args = [];
+  let offset = end + 2;
+  for (let i = 0; i < count; i++) {
+    const lineEnd = buffer.indexOf(CRLF, offset);
+    if (lineEnd === -1) return null;
+    const length = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    if (buffer.length < lineEnd + 2 + length + 2) return null;
+    args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+    offset = lineEnd + 2 + length + 2;
+  }
+  return { args, offset };
+}
+
+class RespServer {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+    this.subscribers = new Map();
+    this.commands = [];
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this._accept(socket));
+  }
+
+  /**
+   * @returns {Promise<string>} redis:// URL of the server
+   */
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    for (const socket of this.sockets) socket.destroy();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  _accept(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      this.sockets.delete(socket);
+      for (const set of this.subscribers.values()) set.delete(socket);
+    });
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let offset = 0;
+      let command;
+      while ((command = parseCommand(buffer, offset))) {
+        offset = command.offset;
+        const name = command.args[0].toUpperCase();
+        this.commands.push(name);
+        if (name === 'MULTI') {
+          queued = [];
+          socket.write(encode(OK));
+        } else if (name === 'EXEC') {
+          const replies = queued.map(args => this._run(socket, args));
+          queued = null;
+          socket.write(encode(replies));
+        } else if (queued) {
+          queued.push(command.args);
+          socket.write(encode({ status: 'QUEUED' }));
+        } else {
+          socket.write(encode(this._run(socket, command.args)));
+        }
+      }
+      buffer = buffer.subarray(offset);
+    });
+  }
+
+  _alive(key) {
+    if (this.expiries.has(key) && this.expiries.get(key) <= Date.now()) {
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.data.has(key);
+  }
+
+  _run(socket, [name, ...args]) {
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return { status: 'PONG' };
+      case 'GET':
+        return this._alive(args[0]) ? this.data.get(args[0]) : null;
+      case 'SET':
+        this.data.set(args[0], args[1]);
+        this.expiries.delete(args[0]);
+        if (String(args[2]).toUpperCase() === 'PX') this.expiries.set(args[0], Date.now() + Number(args[3]));
+        return OK;
+      case 'DEL':
+        return args.filter((key) => {
+          const existed = this._alive(key);
+          this.data.delete(key);
+          this.expiries.delete(key);
+          return existed;
+        }).length;
+      case 'SADD': {
+        if (!this._alive(args[0])) this.data.set(args[0], new Set());
+        const set = this.data.get(args[0]);
+        const added = args.slice(1).filter(member => !set.has(member));
+        added.forEach(member => set.add(member));
+        return added.length;
+      }
+      case 'SMEMBERS':
+        return this._alive(args[0]) ? [...this.data.get(args[0])] : [];
+      case 'PEXPIRE':
+        if (!this._alive(args[0])) return 0;
+        this.expiries.set(args[0], Date.now() + Number(args[1]));
+        return 1;
+      case 'SCAN': {
+        const pattern = new RegExp(`^${args[2].replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+        return ['0', [...this.data.keys()].filter(key => this._alive(key) && pattern.test(key))];
+      }
+      case 'SUBSCRIBE':
+        if (!this.subscribers.has(args[0])) this.subscribers.set(args[0], new Set());
+        this.subscribers.get(args[0]).add(socket);
+        return ['subscribe', args[0], 1];
+      case 'PUBLISH': {
+        const sockets = this.subscribers.get(args[0]) || new Set();
+        for (const subscriber of sockets) subscriber.write(encode(['message', args[0], args[1]]));
+        return sockets.size;
+      }
+      case 'QUIT':
+        setImmediate(() => socket.end());
+        return OK;
+      default:
+        return new Error(`ERR unknown command '${name}'`);
+    }
+  }
+}
+
+module.exports = {
+  RespServer,
+};